@@ -19,13 +19,9 @@ const connectDB = async () => {
       console.log('🔌 MongoDB disconnected');
     });
 
-    // Graceful shutdown
-    process.on('SIGINT', async () => {
-      await mongoose.connection.close();
-      console.log('🔄 MongoDB connection closed through app termination');
-      process.exit(0);
-    });
+    // Shutdown (closing the connection) is handled in server.js
 
+    return true;
   } catch (error) {
     console.error('❌ Error connecting to MongoDB:', error.message);
     console.log('⚠️  Starting server without database connection for development...');
@@ -0,0 +1,37 @@
+const { flush } = require('../utils/analytics');
+
+const DEFAULT_INTERVAL_MS = 15 * 1000; // 15 seconds
+
+// Write buffered analytics on an interval. Returns a function that stops
+// the job and writes whatever is still buffered.
+const startAnalyticsFlushJob = (intervalMs = parseInt(process.env.ANALYTICS_FLUSH_INTERVAL_MS) || DEFAULT_INTERVAL_MS) => {
+  let running = false;
+
+  const tick = async () => {
+    if (running) return;
+    running = true;
+    try {
+      await flush();
+    } catch (error) {
+      console.error('Analytics flush job error:', error);
+    } finally {
+      running = false;
+    }
+  };
+
+  const timer = setInterval(tick, intervalMs);
+  timer.unref();
+
+  return async () => {
+    clearInterval(timer);
+    try {
+      await flush();
+    } catch (error) {
+      console.error('Analytics final flush error:', error);
+    }
+  };
+};
+
+module.exports = {
+  startAnalyticsFlushJob
+};
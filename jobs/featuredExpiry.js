@@ -0,0 +1,142 @@
+const FeaturedListing = require('../models/FeaturedListing');
+const Service = require('../models/Service');
+
+const DEFAULT_INTERVAL_MS = 60 * 1000; // 1 minute
+
+// Length given to legacy features that were flagged without an end date
+const LEGACY_FEATURE_DAYS = 30;
+
+// Services flagged with isFeatured / featuredUntil before featured periods
+// existed have no placements, so listings would not show them and the job
+// would clear their flag. Record each as an active global period, priced
+// from the rate table. Runs once when the job starts, before its first run.
+const adoptLegacyFeatures = async (now = new Date()) => {
+  const legacy = await Service.find({
+    isFeatured: true,
+    'featuredPlacements.0': { $exists: false },
+    $or: [{ featuredUntil: { $gt: now } }, { featuredUntil: { $exists: false } }]
+  }).select('provider featuredUntil');
+
+  for (const service of legacy) {
+    const endsAt = service.featuredUntil || new Date(now.getTime() + LEGACY_FEATURE_DAYS * 24 * 60 * 60 * 1000);
+    const period = await FeaturedListing.create({
+      service: service._id,
+      provider: service.provider,
+      startsAt: now,
+      endsAt,
+      scope: 'global',
+      price: FeaturedListing.priceFor('global', now, endsAt),
+      status: 'active',
+      requestedBy: service.provider,
+      approvedAt: now,
+      notes: 'Featured before scheduled featured periods were introduced'
+    });
+    await Service.updateOne(
+      { _id: service._id, 'featuredPlacements.0': { $exists: false } },
+      { $push: { featuredPlacements: period.toPlacement() } }
+    );
+  }
+
+  return legacy.length;
+};
+
+// Start scheduled featured periods, expire finished ones and keep
+// Service.isFeatured / featuredUntil in step with the schedule.
+const runFeaturedExpiry = async (now = new Date()) => {
+  // Requests nobody approved before they ended
+  const unapproved = await FeaturedListing.updateMany(
+    { status: 'pending_approval', endsAt: { $lte: now } },
+    { $set: { status: 'cancelled', cancelledAt: now, cancellationReason: 'Not approved before the period ended' } }
+  );
+
+  const due = await FeaturedListing.find({
+    $or: [
+      { status: 'scheduled', startsAt: { $lte: now } },
+      { status: { $in: ['scheduled', 'active'] }, endsAt: { $lte: now } }
+    ]
+  }).select('service status startsAt endsAt');
+
+  const finished = due.filter(period => period.endsAt <= now);
+  const started = due.filter(period => period.endsAt > now);
+
+  if (started.length) {
+    await FeaturedListing.updateMany(
+      { _id: { $in: started.map(period => period._id) } },
+      { $set: { status: 'active' } }
+    );
+  }
+
+  if (finished.length) {
+    await FeaturedListing.updateMany(
+      { _id: { $in: finished.map(period => period._id) } },
+      { $set: { status: 'expired', expiredAt: now } }
+    );
+  }
+
+  // Drop finished placements from services
+  await Service.updateMany(
+    { 'featuredPlacements.endsAt': { $lte: now } },
+    { $pull: { featuredPlacements: { endsAt: { $lte: now } } } }
+  );
+
+  // Services whose flag may be out of date
+  const staleFlags = await Service.find({
+    isFeatured: true,
+    $or: [{ featuredUntil: { $lte: now } }, { featuredUntil: { $exists: false } }]
+  }).select('_id');
+
+  const serviceIds = new Set([
+    ...due.map(period => period.service.toString()),
+    ...staleFlags.map(service => service._id.toString())
+  ]);
+
+  for (const serviceId of serviceIds) {
+    await Service.syncFeaturedStatus(serviceId, now);
+  }
+
+  return {
+    started: started.length,
+    expired: finished.length,
+    unapproved: unapproved.modifiedCount,
+    synced: serviceIds.size
+  };
+};
+
+// Run the job on an interval. Returns a function that stops it.
+const startFeaturedExpiryJob = (intervalMs = parseInt(process.env.FEATURED_JOB_INTERVAL_MS) || DEFAULT_INTERVAL_MS) => {
+  let running = false;
+  let adopted = false;
+
+  const tick = async () => {
+    if (running) return;
+    running = true;
+    try {
+      if (!adopted) {
+        const count = await adoptLegacyFeatures();
+        adopted = true;
+        if (count) console.log(`⭐ Featured listings: ${count} legacy features moved to featured periods`);
+      }
+
+      const result = await runFeaturedExpiry();
+      if (result.started || result.expired) {
+        console.log(`⭐ Featured listings: ${result.started} started, ${result.expired} expired`);
+      }
+    } catch (error) {
+      console.error('Featured expiry job error:', error);
+    } finally {
+      running = false;
+    }
+  };
+
+  const timer = setInterval(tick, intervalMs);
+  timer.unref();
+  tick();
+
+  return () => clearInterval(timer);
+};
+
+module.exports = {
+  adoptLegacyFeatures,
+  runFeaturedExpiry,
+  startFeaturedExpiryJob
+};
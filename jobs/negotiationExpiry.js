@@ -0,0 +1,58 @@
+const Negotiation = require('../models/Negotiation');
+
+const DEFAULT_INTERVAL_MS = 5 * 60 * 1000; // 5 minutes
+
+// Close negotiations whose open offer was not answered in time. Requests
+// also expire offers as they read them; this catches the ones nobody opens.
+const runNegotiationExpiry = async (now = new Date()) => {
+  const result = await Negotiation.updateMany(
+    {
+      status: 'open',
+      offers: { $elemMatch: { status: 'open', expiresAt: { $lte: now } } }
+    },
+    {
+      $set: {
+        status: 'expired',
+        active: false,
+        closedAt: now,
+        'offers.$[offer].status': 'expired'
+      },
+      // Saves based on an earlier read must fail
+      $inc: { __v: 1 }
+    },
+    { arrayFilters: [{ 'offer.status': 'open', 'offer.expiresAt': { $lte: now } }] }
+  );
+
+  return { expired: result.modifiedCount };
+};
+
+// Run the job on an interval. Returns a function that stops it.
+const startNegotiationExpiryJob = (intervalMs = parseInt(process.env.NEGOTIATION_JOB_INTERVAL_MS) || DEFAULT_INTERVAL_MS) => {
+  let running = false;
+
+  const tick = async () => {
+    if (running) return;
+    running = true;
+    try {
+      const result = await runNegotiationExpiry();
+      if (result.expired) {
+        console.log(`🤝 Negotiations: ${result.expired} expired`);
+      }
+    } catch (error) {
+      console.error('Negotiation expiry job error:', error);
+    } finally {
+      running = false;
+    }
+  };
+
+  const timer = setInterval(tick, intervalMs);
+  timer.unref();
+  tick();
+
+  return () => clearInterval(timer);
+};
+
+module.exports = {
+  runNegotiationExpiry,
+  startNegotiationExpiryJob
+};
@@ -0,0 +1,68 @@
+const Subscription = require('../models/Subscription');
+const { advanceSubscription, syncOccurrenceBookings, invoiceClosedCycles } = require('../utils/subscriptions');
+
+const DEFAULT_INTERVAL_MS = 15 * 60 * 1000; // 15 minutes
+
+// Keep running arrangements up to date: pauses, notice periods, billing
+// cycles, invoices for closed cycles, and bookings for the visits coming up.
+// Ended subscriptions are visited until their last cycles are invoiced.
+const runSubscriptionJob = async (now = new Date()) => {
+  const result = { updated: 0, booked: 0, invoiced: 0 };
+  const cursor = Subscription.find({
+    $or: [
+      { status: { $in: ['active', 'paused'] } },
+      { billingCycles: { $elemMatch: { status: 'closed', invoice: { $exists: false }, amount: { $gt: 0 } } } }
+    ]
+  }).cursor();
+
+  for await (const subscription of cursor) {
+    try {
+      if (advanceSubscription(subscription, now)) {
+        await subscription.save();
+        result.updated += 1;
+      }
+      const invoices = await invoiceClosedCycles(subscription);
+      result.invoiced += invoices.length;
+      const bookings = await syncOccurrenceBookings(subscription, now);
+      result.booked += bookings.length;
+    } catch (error) {
+      // Changed by a request while we worked; the next run picks it up
+      if (error.name !== 'VersionError') {
+        console.error(`Subscription job error for ${subscription._id}:`, error);
+      }
+    }
+  }
+
+  return result;
+};
+
+// Run the job on an interval. Returns a function that stops it.
+const startSubscriptionJob = (intervalMs = parseInt(process.env.SUBSCRIPTION_JOB_INTERVAL_MS) || DEFAULT_INTERVAL_MS) => {
+  let running = false;
+
+  const tick = async () => {
+    if (running) return;
+    running = true;
+    try {
+      const result = await runSubscriptionJob();
+      if (result.updated || result.booked || result.invoiced) {
+        console.log(`🔁 Subscriptions: ${result.updated} updated, ${result.booked} visits booked, ${result.invoiced} cycles invoiced`);
+      }
+    } catch (error) {
+      console.error('Subscription job error:', error);
+    } finally {
+      running = false;
+    }
+  };
+
+  const timer = setInterval(tick, intervalMs);
+  timer.unref();
+  tick();
+
+  return () => clearInterval(timer);
+};
+
+module.exports = {
+  runSubscriptionJob,
+  startSubscriptionJob
+};
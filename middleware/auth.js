@@ -1,5 +1,6 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const Session = require('../models/Session');
 
 // Protect routes - verify JWT token
 const protect = async (req, res, next) => {
@@ -43,8 +44,25 @@ const protect = async (req, res, next) => {
       });
     }
 
-    // Add user to request object
+    if (user.changedPasswordAfter(decoded.iat)) {
+      return res.status(401).json({
+        success: false,
+        message: 'Password was changed recently. Please login again.'
+      });
+    }
+
+    // Reject tokens whose session has been revoked or has expired
+    const session = decoded.sid ? await Session.findActive(decoded.sid) : null;
+    if (!session || session.user.toString() !== user._id.toString()) {
+      return res.status(401).json({
+        success: false,
+        message: 'Session has ended. Please login again.'
+      });
+    }
+
+    // Add user and session to request object
     req.user = user;
+    req.authSession = session;
     next();
 
   } catch (error) {
@@ -133,10 +151,16 @@ const optionalAuth = async (req, res, next) => {
   if (token) {
     try {
       const decoded = jwt.verify(token, process.env.JWT_SECRET);
-      const user = await User.findById(decoded.id).select('-password');
-      
-      if (user && user.isActive) {
+      const [user, session] = await Promise.all([
+        User.findById(decoded.id).select('-password'),
+        decoded.sid ? Session.findActive(decoded.sid) : null
+      ]);
+
+      const hasActiveSession = session && session.user.toString() === decoded.id;
+
+      if (user && user.isActive && hasActiveSession && !user.changedPasswordAfter(decoded.iat)) {
         req.user = user;
+        req.authSession = session;
       }
     } catch (error) {
       // Token is invalid, but we don't fail the request
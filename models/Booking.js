@@ -0,0 +1,171 @@
+const mongoose = require('mongoose');
+
+// Allowed status transitions and the user types that may perform them.
+// Statuses that do not appear as a key (completed, cancelled, no_show) are final.
+const TRANSITIONS = {
+  requested: {
+    confirmed: ['service_provider'],
+    cancelled: ['customer', 'service_provider']
+  },
+  confirmed: {
+    in_progress: ['service_provider'],
+    cancelled: ['customer', 'service_provider'],
+    no_show: ['service_provider']
+  },
+  in_progress: {
+    completed: ['service_provider']
+  }
+};
+
+const BOOKING_STATUSES = ['requested', 'confirmed', 'in_progress', 'completed', 'cancelled', 'no_show'];
+
+const bookingSchema = new mongoose.Schema({
+  // Parties
+  customer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  provider: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  service: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Service',
+    required: true
+  },
+
+  // Scheduling
+  scheduledStart: {
+    type: Date,
+    required: [true, 'Booking start time is required']
+  },
+  scheduledEnd: {
+    type: Date,
+    required: [true, 'Booking end time is required']
+  },
+
+  // Job Details
+  notes: {
+    type: String,
+    maxlength: [1000, 'Notes cannot exceed 1000 characters']
+  },
+  address: {
+    street: String,
+    city: String,
+    postalCode: String,
+    country: {
+      type: String,
+      default: 'Norway'
+    }
+  },
+
+  // Price snapshot taken when the booking is made. The amount is the total
+  // of the items, MVA included.
+  price: {
+    amount: Number,
+    currency: {
+      type: String,
+      enum: ['NOK', 'EUR', 'USD']
+    },
+    vatRate: Number,
+    items: [{
+      _id: false,
+      description: String,
+      amount: Number
+    }]
+  },
+  // The quote the price was taken from, when the customer booked from one
+  quote: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Quote'
+  },
+  // The negotiation whose agreed price was charged, for negotiable services
+  negotiation: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Negotiation'
+  },
+  // Set on bookings created for an occurrence of a recurring arrangement
+  subscription: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Subscription'
+  },
+  occurrenceDate: String, // the date the recurrence rule puts the visit on, 'YYYY-MM-DD'
+
+  // Lifecycle
+  status: {
+    type: String,
+    enum: BOOKING_STATUSES,
+    default: 'requested'
+  },
+  statusHistory: [{
+    status: { type: String, enum: BOOKING_STATUSES },
+    changedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    reason: String,
+    changedAt: { type: Date, default: Date.now }
+  }],
+  cancellationReason: String,
+  cancelledBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better performance
+bookingSchema.index({ customer: 1, scheduledStart: -1 });
+bookingSchema.index({ provider: 1, scheduledStart: -1 });
+bookingSchema.index({ service: 1, status: 1 });
+// One booking per occurrence
+bookingSchema.index(
+  { subscription: 1, occurrenceDate: 1 },
+  { unique: true, partialFilterExpression: { subscription: { $exists: true } } }
+);
+
+// Virtual for whether the booking can still change state
+bookingSchema.virtual('isFinal').get(function() {
+  return !TRANSITIONS[this.status];
+});
+
+// Method to check whether a user is a party to the booking
+bookingSchema.methods.isParticipant = function(user) {
+  const userId = user._id.toString();
+  return this.customer.toString() === userId || this.provider.toString() === userId;
+};
+
+// Method to check whether a user may move the booking to a new status
+bookingSchema.methods.canTransition = function(toStatus, user) {
+  const allowed = TRANSITIONS[this.status] && TRANSITIONS[this.status][toStatus];
+  return Boolean(allowed && allowed.includes(user.userType) && this.isParticipant(user));
+};
+
+// Atomically move a booking from one status to another.
+// Resolves to null when the booking is no longer in the expected status,
+// so concurrent requests cannot apply the same transition twice.
+bookingSchema.statics.transition = function(bookingId, fromStatus, toStatus, { user, reason } = {}) {
+  const update = {
+    $set: { status: toStatus },
+    $push: {
+      statusHistory: { status: toStatus, changedBy: user && user._id, reason, changedAt: new Date() }
+    }
+  };
+
+  if (toStatus === 'cancelled') {
+    update.$set.cancellationReason = reason;
+    update.$set.cancelledBy = user && user._id;
+  }
+
+  return this.findOneAndUpdate(
+    { _id: bookingId, status: fromStatus },
+    update,
+    { new: true, runValidators: true }
+  );
+};
+
+bookingSchema.statics.TRANSITIONS = TRANSITIONS;
+bookingSchema.statics.STATUSES = BOOKING_STATUSES;
+
+module.exports = mongoose.model('Booking', bookingSchema);
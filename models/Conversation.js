@@ -0,0 +1,105 @@
+const mongoose = require('mongoose');
+
+// A message thread between a customer and the provider of a service.
+// There is at most one thread per customer per service.
+const conversationSchema = new mongoose.Schema({
+  service: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Service',
+    required: true
+  },
+  customer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  provider: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  // Preview of the latest message for thread lists
+  lastMessage: {
+    body: String,
+    sender: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    hasAttachments: Boolean,
+    sentAt: Date
+  },
+  lastMessageAt: {
+    type: Date,
+    default: Date.now
+  },
+
+  // Messages each participant has not read yet
+  unreadCount: {
+    customer: { type: Number, default: 0 },
+    provider: { type: Number, default: 0 }
+  },
+  lastReadAt: {
+    customer: Date,
+    provider: Date
+  },
+
+  // Participants who blocked the other side. No messages can be sent while anyone has.
+  blockedBy: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+
+  // Moderation
+  reports: [{
+    reporter: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    reason: {
+      type: String,
+      maxlength: [500, 'Report reason cannot exceed 500 characters']
+    },
+    message: { type: mongoose.Schema.Types.ObjectId, ref: 'Message' },
+    reportedAt: { type: Date, default: Date.now }
+  }],
+  isFlagged: {
+    type: Boolean,
+    default: false
+  }
+}, {
+  timestamps: true
+});
+
+conversationSchema.index({ service: 1, customer: 1 }, { unique: true });
+conversationSchema.index({ customer: 1, lastMessageAt: -1 });
+conversationSchema.index({ provider: 1, lastMessageAt: -1 });
+conversationSchema.index({ isFlagged: 1 });
+
+// 'customer', 'provider' or null for someone outside the thread
+conversationSchema.methods.roleOf = function(userId) {
+  // Participants may be populated
+  const idOf = (participant) => (participant._id || participant).toString();
+  if (idOf(this.customer) === userId.toString()) return 'customer';
+  if (idOf(this.provider) === userId.toString()) return 'provider';
+  return null;
+};
+
+// The other participant's user ID
+conversationSchema.methods.otherParticipant = function(userId) {
+  const other = this.roleOf(userId) === 'customer' ? this.provider : this.customer;
+  return other._id || other;
+};
+
+conversationSchema.methods.isBlocked = function() {
+  return this.blockedBy.length > 0;
+};
+
+// Thread as seen by one participant: their unread count, without reporter identities
+conversationSchema.methods.forParticipant = function(userId) {
+  const role = this.roleOf(userId);
+  const conversation = this.toObject();
+  conversation.unreadCount = conversation.unreadCount[role] || 0;
+  conversation.isBlocked = conversation.blockedBy.length > 0;
+  conversation.blockedByMe = conversation.blockedBy.some(id => id.toString() === userId.toString());
+  delete conversation.blockedBy;
+  delete conversation.reports;
+  delete conversation.isFlagged;
+  return conversation;
+};
+
+module.exports = mongoose.model('Conversation', conversationSchema);
@@ -0,0 +1,34 @@
+const mongoose = require('mongoose');
+
+// Named sequences, e.g. one invoice number series per provider
+const counterSchema = new mongoose.Schema({
+  _id: String,
+  seq: {
+    type: Number,
+    default: 0
+  },
+  // Numbers taken but never used, with why, so gaps in a series are accounted for
+  voided: [{
+    _id: false,
+    number: Number,
+    reason: String,
+    voidedAt: { type: Date, default: Date.now }
+  }]
+});
+
+// Atomically take the next number in a sequence, starting at 1
+counterSchema.statics.next = async function(name) {
+  const counter = await this.findOneAndUpdate(
+    { _id: name },
+    { $inc: { seq: 1 } },
+    { new: true, upsert: true }
+  );
+  return counter.seq;
+};
+
+// Record a number that was taken but will never be used
+counterSchema.statics.recordVoided = function(name, number, reason) {
+  return this.updateOne({ _id: name }, { $push: { voided: { number, reason } } });
+};
+
+module.exports = mongoose.model('Counter', counterSchema);
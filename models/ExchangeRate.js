@@ -0,0 +1,31 @@
+const mongoose = require('mongoose');
+
+// Exchange rates set by admins. Every change is a new document, so the
+// collection is the rate history; the newest document per currency is current.
+const exchangeRateSchema = new mongoose.Schema({
+  currency: {
+    type: String,
+    enum: ['EUR', 'USD'],
+    required: true
+  },
+  // Value of one unit of the currency in the base currency (NOK)
+  rate: {
+    type: Number,
+    required: [true, 'Exchange rate is required'],
+    min: [0.0001, 'Exchange rate must be positive']
+  },
+  setBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  note: {
+    type: String,
+    maxlength: [200, 'Note cannot exceed 200 characters']
+  }
+}, {
+  timestamps: true
+});
+
+exchangeRateSchema.index({ currency: 1, createdAt: -1 });
+
+module.exports = mongoose.model('ExchangeRate', exchangeRateSchema);
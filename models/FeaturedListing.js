@@ -0,0 +1,136 @@
+const mongoose = require('mongoose');
+
+// Price of a featured day by scope, in NOK. Every started day is charged.
+const DAILY_RATES = {
+  global: 250,
+  category: 150,
+  city: 100
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Statuses that hold a slot in the schedule
+const LIVE_STATUSES = ['pending_approval', 'scheduled', 'active'];
+
+// A scheduled featured period for a service. Documents are never deleted,
+// so they double as the featuring history used for billing. Periods requested
+// by providers wait for an admin to approve them; the price always comes
+// from the rate table.
+const featuredListingSchema = new mongoose.Schema({
+  service: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Service',
+    required: true
+  },
+  provider: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  // Period
+  startsAt: {
+    type: Date,
+    required: [true, 'Start date is required']
+  },
+  endsAt: {
+    type: Date,
+    required: [true, 'End date is required']
+  },
+
+  // Where the service is featured: everywhere, or only within a category or city listing
+  scope: {
+    type: String,
+    enum: ['global', 'category', 'city'],
+    default: 'global'
+  },
+  category: String,
+  city: {
+    type: String,
+    lowercase: true,
+    trim: true
+  },
+
+  // Lifecycle
+  status: {
+    type: String,
+    enum: ['pending_approval', 'scheduled', 'active', 'expired', 'cancelled'],
+    default: 'pending_approval'
+  },
+  requestedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  approvedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  approvedAt: Date,
+  cancelledBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  cancelledAt: Date,
+  cancellationReason: String,
+  expiredAt: Date,
+
+  // Billing reference, from the rate table
+  price: {
+    amount: Number,
+    currency: {
+      type: String,
+      enum: ['NOK', 'EUR', 'USD'],
+      default: 'NOK'
+    }
+  },
+  notes: String
+}, {
+  timestamps: true
+});
+
+featuredListingSchema.index({ service: 1, startsAt: -1 });
+featuredListingSchema.index({ status: 1, startsAt: 1 });
+featuredListingSchema.index({ status: 1, endsAt: 1 });
+
+featuredListingSchema.statics.DAILY_RATES = DAILY_RATES;
+featuredListingSchema.statics.LIVE_STATUSES = LIVE_STATUSES;
+
+// Price of featuring a service in a scope for a period
+featuredListingSchema.statics.priceFor = function(scope, startsAt, endsAt) {
+  const days = Math.ceil((endsAt - startsAt) / DAY_MS);
+  return { amount: days * DAILY_RATES[scope], currency: 'NOK' };
+};
+
+// Status of an approved period: running now, or waiting for its start
+featuredListingSchema.methods.approvedStatus = function(now = new Date()) {
+  return this.startsAt <= now ? 'active' : 'scheduled';
+};
+
+// Placement stored on the service for fast listing queries
+featuredListingSchema.methods.toPlacement = function() {
+  return {
+    period: this._id,
+    scope: this.scope,
+    category: this.category,
+    city: this.city,
+    startsAt: this.startsAt,
+    endsAt: this.endsAt
+  };
+};
+
+// Check whether another live period overlaps this one in the same scope
+featuredListingSchema.methods.findOverlap = function() {
+  return this.constructor.findOne({
+    _id: { $ne: this._id },
+    service: this.service,
+    scope: this.scope,
+    category: this.category,
+    city: this.city,
+    status: { $in: LIVE_STATUSES },
+    startsAt: { $lt: this.endsAt },
+    endsAt: { $gt: this.startsAt }
+  });
+};
+
+module.exports = mongoose.model('FeaturedListing', featuredListingSchema);
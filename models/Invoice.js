@@ -0,0 +1,152 @@
+const mongoose = require('mongoose');
+
+// Invoices and credit notes issued by a provider to a customer. Seller and
+// buyer details are copied in when the document is issued, so later profile
+// changes do not alter it. Amounts are in minor units (øre/cents).
+
+const addressSchema = new mongoose.Schema({
+  street: String,
+  postalCode: String,
+  city: String,
+  country: String
+}, { _id: false });
+
+const partySchema = new mongoose.Schema({
+  name: String,
+  organisationNumber: String,
+  // Sellers: registered for MVA, so the organisation number carries the MVA suffix
+  vatRegistered: Boolean,
+  address: addressSchema,
+  email: String,
+  phone: String
+}, { _id: false });
+
+const invoiceSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['invoice', 'credit_note'],
+    default: 'invoice'
+  },
+  // Sequential per provider, shared by invoices and credit notes. Set right
+  // after the document is stored (see utils/invoices), so a failed insert
+  // never uses up a number.
+  number: Number,
+
+  provider: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  customer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  booking: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking'
+  },
+  service: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Service'
+  },
+  // Subscription invoices: the subscription and the billing cycle charged for
+  subscription: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Subscription'
+  },
+  billingCycle: mongoose.Schema.Types.ObjectId,
+  payment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payment'
+  },
+  // Credit notes: the invoice being credited
+  creditedInvoice: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Invoice'
+  },
+  creditReason: String,
+
+  seller: partySchema,
+  buyer: partySchema,
+
+  issueDate: {
+    type: Date,
+    default: Date.now
+  },
+  // Where and when the service was performed
+  deliveryDate: Date,
+  deliveryAddress: addressSchema,
+  dueDate: Date,
+  currency: {
+    type: String,
+    enum: ['NOK', 'EUR', 'USD'],
+    required: true
+  },
+
+  lines: [{
+    description: String,
+    quantity: { type: Number, default: 1 },
+    unitPrice: Number, // excluding MVA
+    vatRate: Number,
+    netAmount: Number,
+    vatAmount: Number,
+    grossAmount: Number
+  }],
+  vatBreakdown: [{
+    _id: false,
+    rate: Number,
+    netAmount: Number,
+    vatAmount: Number
+  }],
+  netTotal: Number,
+  vatTotal: Number,
+  grossTotal: Number,
+
+  // Invoices: amount already paid through the platform (the document doubles as a receipt)
+  paidAmount: {
+    type: Number,
+    default: 0
+  },
+  paidAt: Date,
+  // Invoices: total of the credit notes issued against it
+  creditedAmount: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+invoiceSchema.index(
+  { provider: 1, number: 1 },
+  { unique: true, partialFilterExpression: { number: { $exists: true } } }
+);
+invoiceSchema.index({ customer: 1, issueDate: -1 });
+invoiceSchema.index({ provider: 1, issueDate: -1 });
+// At most one invoice per booking; credit notes are not limited
+invoiceSchema.index(
+  { booking: 1 },
+  { unique: true, partialFilterExpression: { type: 'invoice', booking: { $exists: true } } }
+);
+// Likewise one invoice per subscription billing cycle
+invoiceSchema.index(
+  { subscription: 1, billingCycle: 1 },
+  { unique: true, partialFilterExpression: { type: 'invoice', billingCycle: { $exists: true } } }
+);
+
+// Virtual for the amount the buyer still owes
+invoiceSchema.virtual('amountDue').get(function() {
+  if (this.type !== 'invoice') return 0;
+  return Math.max(this.grossTotal - this.paidAmount - this.creditedAmount, 0);
+});
+
+// Method to check whether a user is the seller or the buyer
+invoiceSchema.methods.isParticipant = function(user) {
+  const userId = user._id.toString();
+  return this.customer.toString() === userId || this.provider.toString() === userId;
+};
+
+invoiceSchema.set('toJSON', { virtuals: true });
+
+module.exports = mongoose.model('Invoice', invoiceSchema);
@@ -0,0 +1,54 @@
+const mongoose = require('mongoose');
+
+const MAX_ATTACHMENTS = 5;
+
+const messageSchema = new mongoose.Schema({
+  conversation: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Conversation',
+    required: true
+  },
+  sender: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  body: {
+    type: String,
+    trim: true,
+    maxlength: [5000, 'Message cannot exceed 5000 characters']
+  },
+  attachments: {
+    type: [{
+      name: { type: String, required: true },
+      key: String,
+      url: { type: String, required: true },
+      mimeType: String,
+      size: Number
+    }],
+    validate: {
+      validator: attachments => attachments.length <= MAX_ATTACHMENTS,
+      message: `A message can have at most ${MAX_ATTACHMENTS} attachments`
+    }
+  },
+
+  // Read receipt: when the other participant read the message
+  readAt: Date
+}, {
+  timestamps: true
+});
+
+messageSchema.index({ conversation: 1, _id: -1 });
+messageSchema.index({ conversation: 1, sender: 1, readAt: 1 });
+
+// A message needs text or at least one attachment
+messageSchema.pre('validate', function(next) {
+  if (!this.body && !this.attachments.length) {
+    this.invalidate('body', 'Message must have text or an attachment');
+  }
+  next();
+});
+
+messageSchema.statics.MAX_ATTACHMENTS = MAX_ATTACHMENTS;
+
+module.exports = mongoose.model('Message', messageSchema);
@@ -0,0 +1,147 @@
+const mongoose = require('mongoose');
+
+const DEFAULT_OFFER_VALIDITY_HOURS = 72;
+
+const NEGOTIATION_STATUSES = ['open', 'agreed', 'declined', 'expired'];
+
+// One offer in the exchange. Each offer stays in the history with how it
+// was answered; only the newest offer can be open.
+const offerSchema = new mongoose.Schema({
+  by: {
+    type: String,
+    enum: ['customer', 'provider'],
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: [true, 'Offer amount is required'],
+    min: [0, 'Offer amount cannot be negative']
+  },
+  message: {
+    type: String,
+    maxlength: [1000, 'Message cannot exceed 1000 characters']
+  },
+  status: {
+    type: String,
+    enum: ['open', 'accepted', 'declined', 'countered', 'expired'],
+    default: 'open'
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  respondedAt: Date
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Price negotiation between a customer and the provider of a negotiable
+// service. The customer opens with a job description and budget; the sides
+// then take turns to counter until one accepts or declines the other's offer
+// or it expires. The accepted amount is the agreed price the customer's next
+// booking of the service is charged.
+const negotiationSchema = new mongoose.Schema({
+  service: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Service',
+    required: true
+  },
+  customer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  provider: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  description: {
+    type: String,
+    required: [true, 'Job description is required'],
+    maxlength: [2000, 'Job description cannot exceed 2000 characters']
+  },
+  currency: {
+    type: String,
+    enum: ['NOK', 'EUR', 'USD'],
+    default: 'NOK'
+  },
+  offers: [offerSchema],
+  status: {
+    type: String,
+    enum: NEGOTIATION_STATUSES,
+    default: 'open'
+  },
+  // Open, or agreed and not yet booked. A customer has at most one active
+  // negotiation per service.
+  active: {
+    type: Boolean,
+    default: true
+  },
+
+  agreedAmount: Number,
+  agreedAt: Date,
+  closedAt: Date,
+  // The booking charged the agreed price
+  booking: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking'
+  }
+}, {
+  timestamps: true,
+  // Both sides act on the same document; a save based on a stale read fails
+  optimisticConcurrency: true
+});
+
+negotiationSchema.index(
+  { customer: 1, service: 1 },
+  { unique: true, partialFilterExpression: { active: true } }
+);
+negotiationSchema.index({ customer: 1, updatedAt: -1 });
+negotiationSchema.index({ provider: 1, updatedAt: -1 });
+negotiationSchema.index({ status: 1, 'offers.expiresAt': 1 });
+
+negotiationSchema.statics.STATUSES = NEGOTIATION_STATUSES;
+
+// When an offer made now stops being open
+negotiationSchema.statics.offerExpiry = function(now = new Date()) {
+  const hours = parseInt(process.env.NEGOTIATION_OFFER_HOURS) || DEFAULT_OFFER_VALIDITY_HOURS;
+  return new Date(now.getTime() + hours * 60 * 60 * 1000);
+};
+
+// Virtual for the offer waiting for an answer, if any
+negotiationSchema.virtual('openOffer').get(function() {
+  const latest = this.offers[this.offers.length - 1];
+  return latest && latest.status === 'open' ? latest : null;
+});
+
+// 'customer', 'provider' or null for someone outside the negotiation
+negotiationSchema.methods.roleOf = function(userId) {
+  // Participants may be populated
+  const idOf = (participant) => (participant._id || participant).toString();
+  if (idOf(this.customer) === userId.toString()) return 'customer';
+  if (idOf(this.provider) === userId.toString()) return 'provider';
+  return null;
+};
+
+// The other participant's user ID
+negotiationSchema.methods.otherParticipant = function(userId) {
+  const other = this.roleOf(userId) === 'customer' ? this.provider : this.customer;
+  return other._id || other;
+};
+
+// Close the negotiation if its open offer has run out. Returns whether anything changed.
+negotiationSchema.methods.expireIfDue = function(now = new Date()) {
+  const offer = this.openOffer;
+  if (this.status !== 'open' || !offer || offer.expiresAt > now) return false;
+
+  offer.status = 'expired';
+  this.status = 'expired';
+  this.active = false;
+  this.closedAt = now;
+  return true;
+};
+
+negotiationSchema.set('toJSON', { virtuals: true });
+
+module.exports = mongoose.model('Negotiation', negotiationSchema);
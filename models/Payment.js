@@ -0,0 +1,129 @@
+const mongoose = require('mongoose');
+
+// A payment for a booking or for a subscription invoice. A booking's card
+// payment is authorised when the customer pays and captured when the
+// provider completes the booking; an invoice covers service already given,
+// so its payment is captured as soon as it is authorised. All amounts are
+// in the currency's minor unit (øre/cents).
+const paymentSchema = new mongoose.Schema({
+  booking: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking',
+    required: function() { return !this.invoice; }
+  },
+  // Subscription billing: the invoice being paid and its subscription
+  invoice: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Invoice'
+  },
+  subscription: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Subscription'
+  },
+  customer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  provider: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  service: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Service'
+  },
+
+  amount: {
+    type: Number,
+    required: true,
+    min: [1, 'Payment amount must be positive'],
+    validate: {
+      validator: Number.isInteger,
+      message: 'Payment amounts are stored in minor units and must be whole numbers'
+    }
+  },
+  currency: {
+    type: String,
+    enum: ['NOK', 'EUR', 'USD'],
+    required: true
+  },
+  amountCaptured: {
+    type: Number,
+    default: 0
+  },
+  amountRefunded: {
+    type: Number,
+    default: 0
+  },
+
+  // pending: waiting for the customer to pay
+  // authorized: funds held, captured when the booking is completed (invoices: at once)
+  status: {
+    type: String,
+    enum: ['pending', 'authorized', 'captured', 'partially_refunded', 'refunded', 'cancelled', 'failed'],
+    default: 'pending'
+  },
+  failureReason: String,
+
+  gateway: {
+    type: String,
+    required: true
+  },
+  gatewayPaymentId: {
+    type: String,
+    required: true
+  },
+  // Handed to the client to complete the payment; not needed afterwards
+  clientSecret: {
+    type: String,
+    select: false
+  },
+
+  refunds: [{
+    gatewayRefundId: String,
+    amount: Number,
+    reason: String,
+    status: {
+      type: String,
+      enum: ['pending', 'succeeded', 'failed'],
+      default: 'pending'
+    },
+    requestedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    createdAt: { type: Date, default: Date.now }
+  }],
+
+  // Gateway events already applied, so webhook retries are ignored
+  processedEvents: {
+    type: [String],
+    select: false
+  },
+
+  authorizedAt: Date,
+  capturedAt: Date,
+  cancelledAt: Date
+}, {
+  timestamps: true
+});
+
+paymentSchema.index({ gateway: 1, gatewayPaymentId: 1 }, { unique: true });
+paymentSchema.index({ booking: 1, createdAt: -1 });
+paymentSchema.index({ invoice: 1, createdAt: -1 });
+paymentSchema.index({ customer: 1, createdAt: -1 });
+paymentSchema.index({ provider: 1, createdAt: -1 });
+
+// Statuses in which the payment still holds or expects money
+paymentSchema.statics.OPEN_STATUSES = ['pending', 'authorized'];
+
+// Amount still available to refund
+paymentSchema.virtual('refundableAmount').get(function() {
+  const pendingRefunds = this.refunds
+    .filter(refund => refund.status === 'pending')
+    .reduce((sum, refund) => sum + refund.amount, 0);
+  return this.amountCaptured - this.amountRefunded - pendingRefunds;
+});
+
+paymentSchema.set('toJSON', { virtuals: true });
+
+module.exports = mongoose.model('Payment', paymentSchema);
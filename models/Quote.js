@@ -0,0 +1,119 @@
+const mongoose = require('mongoose');
+
+// A priced offer for one job on a service. A booking made before the quote
+// expires can reference it and is charged exactly the quoted total.
+// Amounts are in the service's currency, MVA included.
+const quoteSchema = new mongoose.Schema({
+  service: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Service',
+    required: true
+  },
+  provider: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Set when the quote was requested while signed in
+  customer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+
+  // What was asked for
+  pricingType: {
+    type: String,
+    enum: ['fixed', 'hourly', 'per_unit'],
+    required: true
+  },
+  hours: Number,
+  units: Number,
+  scheduledStart: Date,
+  address: {
+    street: String,
+    postalCode: String,
+    city: String
+  },
+  remote: {
+    type: Boolean,
+    default: false
+  },
+  distanceKm: Number,
+
+  // Itemised price
+  currency: {
+    type: String,
+    enum: ['NOK', 'EUR', 'USD'],
+    required: true
+  },
+  lines: [{
+    _id: false,
+    kind: {
+      type: String,
+      enum: ['base', 'fee', 'travel', 'surcharge']
+    },
+    description: String,
+    quantity: Number,
+    unitPrice: Number,
+    amount: Number
+  }],
+  total: {
+    type: Number,
+    required: true
+  },
+  tax: {
+    rate: Number,
+    amount: Number, // MVA included in the total
+    netAmount: Number
+  },
+
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  // The booking that took up the quote
+  booking: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking'
+  },
+  usedAt: Date,
+  // When an unused quote may be removed (its expiry). Cleared while a booking
+  // uses the quote, so the booking keeps the quote behind its price.
+  purgeAt: Date
+}, {
+  timestamps: true
+});
+
+// Unused quotes are removed a week after they expire
+quoteSchema.index({ purgeAt: 1 }, { expireAfterSeconds: 7 * 24 * 60 * 60 });
+quoteSchema.index({ customer: 1, createdAt: -1 });
+
+// Virtual for whether a booking can still use the quote
+quoteSchema.virtual('isValid').get(function() {
+  return !this.booking && this.expiresAt > new Date();
+});
+
+quoteSchema.pre('save', function(next) {
+  if (this.isNew && !this.booking) this.purgeAt = this.expiresAt;
+  next();
+});
+
+// Quotes used to expire through a TTL index on expiresAt, which also removed
+// the quotes bookings were priced from. Drop it and give unused quotes a purgeAt.
+quoteSchema.statics.migrateExpiry = async function() {
+  try {
+    await this.collection.dropIndex('expiresAt_1');
+  } catch (error) {
+    if (error.codeName !== 'IndexNotFound' && error.codeName !== 'NamespaceNotFound') throw error;
+  }
+
+  const result = await this.updateMany(
+    { booking: { $exists: false }, purgeAt: { $exists: false } },
+    [{ $set: { purgeAt: '$expiresAt' } }]
+  );
+  return result.modifiedCount;
+};
+
+quoteSchema.set('toJSON', { virtuals: true });
+
+module.exports = mongoose.model('Quote', quoteSchema);
@@ -0,0 +1,139 @@
+const mongoose = require('mongoose');
+
+const criterionScore = {
+  type: Number,
+  min: [1, 'Scores must be between 1 and 5'],
+  max: [5, 'Scores must be between 1 and 5']
+};
+
+const reviewSchema = new mongoose.Schema({
+  // Relations
+  service: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Service',
+    required: true
+  },
+  provider: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  customer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  booking: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking'
+  },
+
+  // Review Content
+  rating: {
+    type: Number,
+    required: [true, 'Rating is required'],
+    min: [1, 'Rating must be between 1 and 5'],
+    max: [5, 'Rating must be between 1 and 5']
+  },
+  comment: {
+    type: String,
+    trim: true,
+    maxlength: [2000, 'Review cannot exceed 2000 characters']
+  },
+  criteria: {
+    punctuality: criterionScore,
+    quality: criterionScore,
+    value: criterionScore
+  },
+  isEdited: {
+    type: Boolean,
+    default: false
+  },
+
+  // Provider Reply
+  providerReply: {
+    text: {
+      type: String,
+      trim: true,
+      maxlength: [1000, 'Reply cannot exceed 1000 characters']
+    },
+    repliedAt: Date
+  },
+
+  // Moderation
+  status: {
+    type: String,
+    enum: ['published', 'hidden'],
+    default: 'published'
+  },
+  reports: [{
+    reporter: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    reason: {
+      type: String,
+      maxlength: [500, 'Report reason cannot exceed 500 characters']
+    },
+    reportedAt: { type: Date, default: Date.now }
+  }],
+  isFlagged: {
+    type: Boolean,
+    default: false
+  },
+  moderatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  moderatedAt: Date,
+  moderationNote: String
+}, {
+  timestamps: true
+});
+
+// One review per customer per service
+reviewSchema.index({ service: 1, customer: 1 }, { unique: true });
+reviewSchema.index({ service: 1, status: 1, createdAt: -1 });
+reviewSchema.index({ isFlagged: 1 });
+
+// Hide reporter identities and moderation notes from public output
+reviewSchema.methods.getPublicReview = function() {
+  const reviewObject = this.toObject();
+  reviewObject.reportCount = reviewObject.reports.length;
+  delete reviewObject.reports;
+  delete reviewObject.moderatedBy;
+  delete reviewObject.moderationNote;
+  return reviewObject;
+};
+
+// Recompute a service's rating aggregate from its published reviews
+reviewSchema.statics.recalculateServiceRating = async function(serviceId) {
+  const [stats] = await this.aggregate([
+    { $match: { service: new mongoose.Types.ObjectId(serviceId), status: 'published' } },
+    {
+      $group: {
+        _id: '$service',
+        average: { $avg: '$rating' },
+        count: { $sum: 1 },
+        punctuality: { $avg: '$criteria.punctuality' },
+        quality: { $avg: '$criteria.quality' },
+        value: { $avg: '$criteria.value' }
+      }
+    }
+  ]);
+
+  const round = (value) => (value ? Math.round(value * 10) / 10 : 0);
+
+  const qualityRating = {
+    average: stats ? round(stats.average) : 0,
+    count: stats ? stats.count : 0,
+    criteria: {
+      punctuality: stats ? round(stats.punctuality) : 0,
+      quality: stats ? round(stats.quality) : 0,
+      value: stats ? round(stats.value) : 0
+    }
+  };
+
+  await mongoose.model('Service').updateOne({ _id: serviceId }, { $set: { qualityRating } });
+
+  return qualityRating;
+};
+
+module.exports = mongoose.model('Review', reviewSchema);
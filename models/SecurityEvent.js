@@ -0,0 +1,47 @@
+const mongoose = require('mongoose');
+
+// Audit trail of account security events, kept so support can see
+// why a user was unable to log in.
+const securityEventSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    required: true,
+    enum: ['account_locked', 'account_unlocked', 'refresh_token_reuse']
+  },
+  // Admin who triggered the event, if any
+  performedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  ipAddress: String,
+  userAgent: String,
+  details: mongoose.Schema.Types.Mixed
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+securityEventSchema.index({ user: 1, createdAt: -1 });
+
+// Record an event for a request, never failing the caller
+securityEventSchema.statics.record = async function(type, user, req, details = {}) {
+  try {
+    return await this.create({
+      user: user._id || user,
+      type,
+      performedBy: req && req.user ? req.user._id : undefined,
+      ipAddress: req ? req.ip : undefined,
+      userAgent: req ? req.get('user-agent') : undefined,
+      details
+    });
+  } catch (error) {
+    console.error('Security event error:', error);
+    return null;
+  }
+};
+
+module.exports = mongoose.model('SecurityEvent', securityEventSchema);
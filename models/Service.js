@@ -1,4 +1,27 @@
 const mongoose = require('mongoose');
+const { FIELD_WEIGHTS, buildSearchFields } = require('../utils/search');
+const { getRates, toBaseAmount } = require('../utils/currency');
+const { SUPPORTED_LANGUAGES, DEFAULT_LANGUAGE } = require('../utils/i18n');
+
+// Title and descriptions in another language, shown instead of the
+// originals to readers of that language (utils/i18n localizeService)
+const translationSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    required: [true, 'Translated title is required'],
+    trim: true,
+    maxlength: [100, 'Service title cannot exceed 100 characters']
+  },
+  description: {
+    type: String,
+    required: [true, 'Translated description is required'],
+    maxlength: [1000, 'Service description cannot exceed 1000 characters']
+  },
+  shortDescription: {
+    type: String,
+    maxlength: [200, 'Short description cannot exceed 200 characters']
+  }
+}, { _id: false });
 
 const serviceSchema = new mongoose.Schema({
   // Service Provider
@@ -24,6 +47,17 @@ const serviceSchema = new mongoose.Schema({
     type: String,
     maxlength: [200, 'Short description cannot exceed 200 characters']
   },
+  // Language the title and descriptions above are written in
+  language: {
+    type: String,
+    enum: SUPPORTED_LANGUAGES,
+    default: DEFAULT_LANGUAGE
+  },
+  translations: {
+    en: translationSchema,
+    no: translationSchema,
+    sv: translationSchema
+  },
 
   // Service Category and Type
   category: {
@@ -55,6 +89,34 @@ const serviceSchema = new mongoose.Schema({
     enum: ['one_time', 'recurring', 'subscription', 'consultation'],
     default: 'one_time'
   },
+  // Terms for recurring and subscription arrangements. Recurring visits are
+  // charged per booking; subscriptions are billed per cycle for a plan.
+  subscriptionTerms: {
+    noticeDays: {
+      type: Number,
+      default: 14,
+      min: [0, 'Notice period cannot be negative'],
+      max: [180, 'Notice period cannot exceed 180 days']
+    },
+    billingInterval: {
+      type: String,
+      enum: ['weekly', 'monthly'],
+      default: 'monthly'
+    },
+    plans: [{
+      name: {
+        type: String,
+        required: [true, 'Plan name is required'],
+        maxlength: [50, 'Plan name cannot exceed 50 characters']
+      },
+      description: String,
+      price: {
+        type: Number,
+        required: [true, 'Plan price is required'],
+        min: [0, 'Plan price cannot be negative']
+      }
+    }]
+  },
   duration: {
     type: Number, // in minutes
     min: [15, 'Duration must be at least 15 minutes']
@@ -68,6 +130,26 @@ const serviceSchema = new mongoose.Schema({
     saturday: { start: String, end: String, available: { type: Boolean, default: true } },
     sunday: { start: String, end: String, available: { type: Boolean, default: true } }
   },
+  availabilityExceptions: [{
+    date: {
+      type: String, // YYYY-MM-DD in Europe/Oslo time
+      match: [/^\d{4}-\d{2}-\d{2}$/, 'Exception date must be in YYYY-MM-DD format']
+    },
+    available: { type: Boolean, default: false },
+    start: {
+      type: String,
+      match: [/^(([01]\d|2[0-3]):[0-5]\d|24:00)$/, 'Exception hours must be in HH:mm format']
+    },
+    end: {
+      type: String,
+      match: [/^(([01]\d|2[0-3]):[0-5]\d|24:00)$/, 'Exception hours must be in HH:mm format']
+    }
+  }],
+  bufferTime: {
+    type: Number, // in minutes, kept free between appointments
+    default: 0,
+    min: [0, 'Buffer time cannot be negative']
+  },
 
   // Pricing
   pricing: {
@@ -86,22 +168,58 @@ const serviceSchema = new mongoose.Schema({
       default: 'NOK',
       enum: ['NOK', 'EUR', 'USD']
     },
+    // The amount in the base currency (NOK), kept in sync for filtering and sorting
+    baseAmount: Number,
+    // MVA percentage included in the prices; 0 when the service is exempt.
+    // Only charged when the provider is a verified, MVA-registered business.
+    vatRate: {
+      type: Number,
+      enum: [25, 15, 12, 0],
+      default: 25
+    },
     additionalFees: [{
       name: String,
       amount: Number,
       description: String
-    }]
+    }],
+    // What one unit is for per_unit pricing, e.g. 'm²' or 'window'
+    unitName: String,
+    // Percentages added to the labour cost for jobs at these times (Europe/Oslo)
+    surcharges: {
+      weekend: { type: Number, default: 0, min: 0, max: 200 },
+      evening: { type: Number, default: 0, min: 0, max: 200 },
+      eveningStart: { type: String, default: '18:00' },
+      eveningEnd: { type: String, default: '07:00' }
+    }
   },
 
   // Location and Coverage
   serviceArea: {
     cities: [String],
+    postalCode: String, // base location, geocoded into `location`
     maxDistance: Number, // in kilometers
+    // Travel to on-site jobs: travelFee per visit, plus travelFeePerKm for
+    // every kilometre beyond freeTravelDistance
     travelFee: {
       type: Number,
       default: 0
+    },
+    travelFeePerKm: {
+      type: Number,
+      default: 0,
+      min: [0, 'Travel fee per kilometre cannot be negative']
+    },
+    freeTravelDistance: {
+      type: Number,
+      default: 0,
+      min: [0, 'Free travel distance cannot be negative']
     }
   },
+  // GeoJSON point the service operates from
+  location: {
+    type: { type: String, enum: ['Point'] },
+    coordinates: { type: [Number], default: undefined } // [longitude, latitude]
+  },
   onSiteService: {
     type: Boolean,
     default: true
@@ -112,26 +230,49 @@ const serviceSchema = new mongoose.Schema({
   },
 
   // Media and Attachments
+  // Media is added through /api/media; storageKeys lists every stored file
+  // (including resized variants) so it can be removed with the entry.
   images: [{
     url: String,
     caption: String,
-    isPrimary: { type: Boolean, default: false }
+    isPrimary: { type: Boolean, default: false },
+    variants: {
+      medium: String,
+      thumbnail: String
+    },
+    mimeType: String,
+    size: Number,
+    width: Number,
+    height: Number,
+    storageKeys: [String]
   }],
   videos: [{
     url: String,
     caption: String,
-    duration: Number
+    duration: Number,
+    mimeType: String,
+    size: Number,
+    storageKeys: [String]
   }],
   documents: [{
     name: String,
     url: String,
-    type: String
+    // `type` needs the object form here; `type: String` would make each document a string
+    type: { type: String },
+    mimeType: String,
+    size: Number,
+    storageKeys: [String]
   }],
 
   // Quality and Verification
   qualityRating: {
     average: { type: Number, default: 0, min: 0, max: 5 },
-    count: { type: Number, default: 0 }
+    count: { type: Number, default: 0 },
+    criteria: {
+      punctuality: { type: Number, default: 0, min: 0, max: 5 },
+      quality: { type: Number, default: 0, min: 0, max: 5 },
+      value: { type: Number, default: 0, min: 0, max: 5 }
+    }
   },
   isVerified: {
     type: Boolean,
@@ -146,16 +287,55 @@ const serviceSchema = new mongoose.Schema({
   // Status and Visibility
   status: {
     type: String,
-    enum: ['active', 'inactive', 'suspended', 'pending_review'],
+    enum: ['active', 'inactive', 'suspended', 'pending_review', 'rejected'],
     default: 'pending_review'
   },
+  moderation: {
+    rejectionReason: String,
+    suspensionReason: String,
+    moderatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    moderatedAt: Date
+  },
+  moderationHistory: {
+    type: [{
+      action: {
+        type: String,
+        enum: ['approve', 'reject', 'suspend', 'reinstate']
+      },
+      reason: String,
+      admin: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+      createdAt: { type: Date, default: Date.now }
+    }],
+    select: false
+  },
   isFeatured: {
     type: Boolean,
     default: false
   },
   featuredUntil: Date,
+  featuredPlacements: [{
+    period: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'FeaturedListing'
+    },
+    scope: {
+      type: String,
+      enum: ['global', 'category', 'city']
+    },
+    category: String,
+    city: String,
+    startsAt: Date,
+    endsAt: Date
+  }],
 
-  // Statistics
+  // Statistics (view and inquiry counts are written in batches by utils/analytics)
+  impressionCount: {
+    type: Number,
+    default: 0
+  },
   viewCount: {
     type: Number,
     default: 0
@@ -169,6 +349,16 @@ const serviceSchema = new mongoose.Schema({
     default: 0
   },
 
+  // Search (derived from title, descriptions, translations and tags)
+  searchKeywords: {
+    type: String,
+    select: false
+  },
+  searchTrigrams: {
+    type: [String],
+    select: false
+  },
+
   // Timestamps
   createdAt: {
     type: Date,
@@ -188,10 +378,82 @@ serviceSchema.index({ category: 1 });
 serviceSchema.index({ subcategory: 1 });
 serviceSchema.index({ status: 1 });
 serviceSchema.index({ 'serviceArea.cities': 1 });
+serviceSchema.index({ location: '2dsphere' });
 serviceSchema.index({ isFeatured: 1, status: 1 });
+serviceSchema.index({ 'featuredPlacements.startsAt': 1, 'featuredPlacements.endsAt': 1 });
 serviceSchema.index({ qualityRating: { average: -1 } });
+serviceSchema.index({ searchTrigrams: 1 });
+serviceSchema.index(
+  {
+    title: 'text',
+    tags: 'text',
+    shortDescription: 'text',
+    description: 'text',
+    searchKeywords: 'text'
+  },
+  {
+    name: 'service_text_search',
+    // Listings mix English, Norwegian and Swedish, so no language-specific stemming
+    default_language: 'none',
+    weights: { ...FIELD_WEIGHTS, searchKeywords: 3 }
+  }
+);
+
+const SEARCHABLE_FIELDS = ['title', 'description', 'shortDescription', 'tags', 'translations'];
+
+// Keep derived search fields up to date on save
+serviceSchema.pre('save', function(next) {
+  if (this.isNew || SEARCHABLE_FIELDS.some(field => this.isModified(field))) {
+    Object.assign(this, buildSearchFields(this));
+  }
+  next();
+});
+
+// Exactly one primary image whenever the service has images
+serviceSchema.pre('save', function(next) {
+  if (this.isModified('images') && this.images.length) {
+    const primaryIndex = Math.max(this.images.findIndex(image => image.isPrimary), 0);
+    this.images.forEach((image, index) => {
+      image.isPrimary = index === primaryIndex;
+    });
+  }
+  next();
+});
+
+// ...and after updates that touch searchable fields. The updated document's
+// _id is used because the query filter may match other services by now.
+serviceSchema.post('findOneAndUpdate', async function(updated) {
+  const update = this.getUpdate() || {};
+  const changed = { ...update, ...update.$set };
+  if (!updated || !Object.keys(changed).some(field => SEARCHABLE_FIELDS.includes(field.split('.')[0]))) return;
+
+  const service = await this.model.findById(updated._id).select(SEARCHABLE_FIELDS.join(' '));
+  if (service) {
+    await this.model.updateOne({ _id: service._id }, { $set: buildSearchFields(service) });
+  }
+});
+
+// Keep the base-currency price in step with the price
+serviceSchema.pre('save', async function() {
+  if (this.isNew || this.isModified('pricing')) {
+    this.pricing.baseAmount = toBaseAmount(this.pricing.amount, this.pricing.currency, await getRates());
+  }
+});
+
+serviceSchema.post('findOneAndUpdate', async function(updated) {
+  const update = this.getUpdate() || {};
+  const changed = { ...update, ...update.$set };
+  if (!updated || !Object.keys(changed).some(field => field === 'pricing' || field.startsWith('pricing.'))) return;
+
+  const service = await this.model.findById(updated._id).select('pricing');
+  if (service) {
+    const baseAmount = toBaseAmount(service.pricing.amount, service.pricing.currency, await getRates());
+    await this.model.updateOne({ _id: service._id }, { $set: { 'pricing.baseAmount': baseAmount } });
+  }
+});
 
-// Virtual for full price display
+// Virtual for the "from" price shown in listings. The cost of an actual
+// job (hours, units, travel, surcharges) comes from a quote (utils/quote).
 serviceSchema.virtual('fullPrice').get(function() {
   const basePrice = this.pricing.amount;
   const additionalFees = this.pricing.additionalFees.reduce((sum, fee) => sum + fee.amount, 0);
@@ -203,30 +465,106 @@ serviceSchema.virtual('isAvailable').get(function() {
   return this.status === 'active' && this.isVerified;
 });
 
-// Method to update view count
-serviceSchema.methods.incrementViewCount = function() {
-  this.viewCount += 1;
-  return this.save();
+// The price, fees and travel fee as they stand now, for a booking's price snapshot
+serviceSchema.methods.priceSnapshot = function() {
+  const items = [
+    { description: this.title, amount: this.pricing.amount },
+    ...this.pricing.additionalFees.map(fee => ({ description: fee.name, amount: fee.amount })),
+    ...(this.serviceArea && this.serviceArea.travelFee > 0
+      ? [{ description: 'Travel fee', amount: this.serviceArea.travelFee }]
+      : [])
+  ];
+
+  return {
+    amount: items.reduce((sum, item) => sum + item.amount, 0),
+    currency: this.pricing.currency,
+    vatRate: this.pricing.vatRate,
+    items
+  };
+};
+
+// Derive search fields for services saved before they were stored
+serviceSchema.statics.backfillSearchFields = async function() {
+  const cursor = this.find({ searchKeywords: { $exists: false } })
+    .select(SEARCHABLE_FIELDS.join(' '))
+    .cursor();
+
+  let updated = 0;
+  for await (const service of cursor) {
+    await this.updateOne({ _id: service._id }, { $set: buildSearchFields(service) });
+    updated += 1;
+  }
+  return updated;
+};
+
+// Change the booking count with an atomic $inc, so concurrent edits to the service are kept
+serviceSchema.statics.adjustBookingCount = function(serviceId, change) {
+  return this.updateOne({ _id: serviceId }, { $inc: { bookingCount: change } });
+};
+
+// Method to recalculate rating from stored reviews
+serviceSchema.methods.updateRating = function() {
+  return mongoose.model('Review').recalculateServiceRating(this._id);
+};
+
+// Query condition matching services featured right now for a listing.
+// Checks placement dates directly, so expired features are ignored even
+// before the background job has cleared them.
+serviceSchema.statics.featuredNowCondition = function({ category, city } = {}, now = new Date()) {
+  const scopes = [{ scope: 'global' }];
+  if (category) scopes.push({ scope: 'category', category });
+  if (city) scopes.push({ scope: 'city', city: city.trim().toLowerCase() });
+
+  return {
+    $elemMatch: {
+      startsAt: { $lte: now },
+      endsAt: { $gt: now },
+      $or: scopes
+    }
+  };
+};
+
+// Recompute isFeatured and featuredUntil from the service's placements
+serviceSchema.statics.syncFeaturedStatus = async function(serviceId, now = new Date()) {
+  const service = await this.findById(serviceId).select('featuredPlacements');
+  if (!service) return null;
+
+  const live = service.featuredPlacements.filter(placement =>
+    placement.startsAt <= now && placement.endsAt > now
+  );
+
+  const update = live.length
+    ? { $set: { isFeatured: true, featuredUntil: new Date(Math.max(...live.map(p => p.endsAt.getTime()))) } }
+    : { $set: { isFeatured: false }, $unset: { featuredUntil: 1 } };
+
+  await this.updateOne({ _id: serviceId }, update);
+  return update.$set.isFeatured;
 };
 
-// Method to update inquiry count
-serviceSchema.methods.incrementInquiryCount = function() {
-  this.inquiryCount += 1;
-  return this.save();
+// Every stored media file of the service, for cleanup
+serviceSchema.methods.mediaStorageKeys = function() {
+  return ['images', 'videos', 'documents'].flatMap(field =>
+    (this[field] || []).flatMap(item => item.storageKeys || [])
+  );
 };
 
-// Method to update booking count
-serviceSchema.methods.incrementBookingCount = function() {
-  this.bookingCount += 1;
-  return this.save();
+// Make the first image primary when none is. The update only applies while
+// no image is primary, so concurrent uploads cannot produce two.
+serviceSchema.statics.ensurePrimaryImage = function(serviceId) {
+  return this.updateOne(
+    { _id: serviceId, 'images.0': { $exists: true }, 'images.isPrimary': { $ne: true } },
+    { $set: { 'images.0.isPrimary': true } }
+  );
 };
 
-// Method to calculate average rating
-serviceSchema.methods.updateRating = function(newRating) {
-  const totalRating = (this.qualityRating.average * this.qualityRating.count) + newRating;
-  this.qualityRating.count += 1;
-  this.qualityRating.average = totalRating / this.qualityRating.count;
-  return this.save();
+// Make one image primary and clear the flag on all others in a single update
+serviceSchema.statics.setPrimaryImage = function(serviceId, imageId) {
+  const id = new mongoose.Types.ObjectId(imageId);
+  return this.updateOne(
+    { _id: serviceId, 'images._id': id },
+    { $set: { 'images.$[other].isPrimary': false, 'images.$[chosen].isPrimary': true } },
+    { arrayFilters: [{ 'other._id': { $ne: id } }, { 'chosen._id': id }] }
+  );
 };
 
 module.exports = mongoose.model('Service', serviceSchema);
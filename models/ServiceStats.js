@@ -0,0 +1,43 @@
+const mongoose = require('mongoose');
+
+// Daily activity rollup for a service, written by the analytics flush.
+// One document per service per local (Europe/Oslo) calendar day.
+const serviceStatsSchema = new mongoose.Schema({
+  service: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Service',
+    required: true
+  },
+  provider: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Local calendar day, 'YYYY-MM-DD'
+  date: {
+    type: String,
+    required: true,
+    match: /^\d{4}-\d{2}-\d{2}$/
+  },
+
+  // Appearances in listing and search results
+  impressions: {
+    type: Number,
+    default: 0
+  },
+  // Detail page views
+  views: {
+    type: Number,
+    default: 0
+  },
+  inquiries: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+serviceStatsSchema.index({ service: 1, date: 1 }, { unique: true });
+serviceStatsSchema.index({ provider: 1, date: 1 });
+
+module.exports = mongoose.model('ServiceStats', serviceStatsSchema);
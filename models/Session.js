@@ -0,0 +1,206 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+const REFRESH_TOKEN_DAYS = () => parseInt(process.env.REFRESH_TOKEN_EXPIRE_DAYS) || 30;
+
+// Seconds a just-rotated token is still accepted, for tabs refreshing at the same time
+const REUSE_GRACE_SECONDS = () => {
+  const seconds = parseInt(process.env.REFRESH_TOKEN_REUSE_GRACE_SECONDS);
+  return Number.isNaN(seconds) ? 10 : seconds;
+};
+
+// Rotated-out token hashes remembered per session, to recognise replays
+const MAX_PREVIOUS_TOKENS = 20;
+
+const hashSecret = (secret) => crypto.createHash('sha256').update(secret).digest('hex');
+
+// Rough device description from a User-Agent header, for the sessions list
+const describeDevice = (userAgent = '') => {
+  const browsers = [
+    ['Edge', /Edg\//], ['Opera', /OPR\//], ['Chrome', /Chrome\//],
+    ['Firefox', /Firefox\//], ['Safari', /Safari\//]
+  ];
+  const systems = [
+    ['iOS', /iPhone|iPad/], ['Android', /Android/], ['Windows', /Windows/],
+    ['macOS', /Mac OS X/], ['Linux', /Linux/]
+  ];
+
+  const browser = (browsers.find(([, pattern]) => pattern.test(userAgent)) || ['Unknown browser'])[0];
+  const os = (systems.find(([, pattern]) => pattern.test(userAgent)) || ['Unknown OS'])[0];
+
+  return { browser, os, isMobile: /Mobile|Android|iPhone|iPad/.test(userAgent) };
+};
+
+// A signed-in device. Each session holds the hash of its current refresh token
+// and of the ones it replaced; refresh tokens rotate on every use and have the
+// form `<sessionId>.<secret>`.
+const sessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  refreshTokenHash: {
+    type: String,
+    required: true,
+    select: false
+  },
+  previousTokens: {
+    type: [{
+      _id: false,
+      hash: String,
+      rotatedAt: Date
+    }],
+    select: false
+  },
+
+  // Device Information
+  userAgent: String,
+  device: {
+    browser: String,
+    os: String,
+    isMobile: Boolean
+  },
+  ipAddress: String,
+  lastIpAddress: String,
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+
+  // Lifetime
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: Date,
+  revokedReason: {
+    type: String,
+    enum: ['logout', 'user_revoked', 'password_changed', 'password_reset', 'token_reuse', 'admin']
+  }
+}, {
+  timestamps: true
+});
+
+sessionSchema.index({ user: 1, revokedAt: 1 });
+// Remove sessions from the collection once they have expired
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Virtual for whether the session can still be used
+sessionSchema.virtual('isActive').get(function() {
+  return !this.revokedAt && this.expiresAt > Date.now();
+});
+
+const newRefreshToken = (sessionId) => {
+  const secret = crypto.randomBytes(40).toString('hex');
+  return { token: `${sessionId}.${secret}`, hash: hashSecret(secret) };
+};
+
+const parseRefreshToken = (token) => {
+  const [sessionId, secret] = String(token || '').split('.');
+  if (!secret || !mongoose.Types.ObjectId.isValid(sessionId)) return null;
+  return { sessionId, hash: hashSecret(secret) };
+};
+
+// Start a session for a user. Resolves to the session and its first refresh token.
+sessionSchema.statics.start = async function(user, req) {
+  const sessionId = new mongoose.Types.ObjectId();
+  const { token, hash } = newRefreshToken(sessionId);
+  const userAgent = req.get('user-agent') || '';
+
+  const session = await this.create({
+    _id: sessionId,
+    user: user._id,
+    refreshTokenHash: hash,
+    userAgent,
+    device: describeDevice(userAgent),
+    ipAddress: req.ip,
+    lastIpAddress: req.ip,
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_DAYS() * 24 * 60 * 60 * 1000)
+  });
+
+  return { session, refreshToken: token };
+};
+
+// Exchange a refresh token for a new one.
+// Resolves to { session, refreshToken } on success, { reused: true, session } when a
+// rotated-out token is presented again, or null for unknown or expired tokens.
+// A token rotated out within the grace period resolves to { session, refreshToken: null }:
+// another tab has just refreshed, so the caller gets an access token and keeps the
+// refresh token that tab received.
+sessionSchema.statics.rotate = async function(refreshToken, req) {
+  const parsed = parseRefreshToken(refreshToken);
+  if (!parsed) return null;
+
+  const { token, hash } = newRefreshToken(parsed.sessionId);
+  const live = {
+    _id: parsed.sessionId,
+    revokedAt: { $exists: false },
+    expiresAt: { $gt: new Date() }
+  };
+
+  const session = await this.findOneAndUpdate(
+    { ...live, refreshTokenHash: parsed.hash },
+    {
+      $set: {
+        refreshTokenHash: hash,
+        lastUsedAt: new Date(),
+        lastIpAddress: req.ip
+      },
+      $push: {
+        previousTokens: {
+          $each: [{ hash: parsed.hash, rotatedAt: new Date() }],
+          $slice: -MAX_PREVIOUS_TOKENS
+        }
+      }
+    },
+    { new: true }
+  );
+
+  if (session) {
+    return { session, refreshToken: token };
+  }
+
+  // Only a token this session issued and rotated out counts as a replay.
+  // Anything else (a guessed or corrupted secret) is simply rejected.
+  const existing = await this.findOne({ ...live, 'previousTokens.hash': parsed.hash }).select('+previousTokens');
+  if (!existing) return null;
+
+  const previous = existing.previousTokens.find(entry => entry.hash === parsed.hash);
+  if (Date.now() - previous.rotatedAt.getTime() <= REUSE_GRACE_SECONDS() * 1000) {
+    return { session: existing, refreshToken: null };
+  }
+
+  await existing.revoke('token_reuse');
+  return { reused: true, session: existing };
+};
+
+// Find an active session by ID
+sessionSchema.statics.findActive = function(sessionId) {
+  return this.findOne({
+    _id: sessionId,
+    revokedAt: { $exists: false },
+    expiresAt: { $gt: new Date() }
+  });
+};
+
+// Revoke every active session of a user, optionally keeping one
+sessionSchema.statics.revokeAllForUser = function(userId, reason, exceptSessionId) {
+  const filter = { user: userId, revokedAt: { $exists: false } };
+  if (exceptSessionId) filter._id = { $ne: exceptSessionId };
+
+  return this.updateMany(filter, { $set: { revokedAt: new Date(), revokedReason: reason } });
+};
+
+// Method to revoke this session
+sessionSchema.methods.revoke = async function(reason) {
+  this.revokedAt = new Date();
+  this.revokedReason = reason;
+  await this.constructor.updateOne(
+    { _id: this._id },
+    { $set: { revokedAt: this.revokedAt, revokedReason: reason } }
+  );
+  return this;
+};
+
+module.exports = mongoose.model('Session', sessionSchema);
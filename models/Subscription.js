@@ -0,0 +1,229 @@
+const mongoose = require('mongoose');
+const { parseRRule } = require('../utils/recurrence');
+
+const SUBSCRIPTION_STATUSES = ['requested', 'active', 'paused', 'cancelled', 'declined'];
+
+// Changes to single occurrences, keyed by the date the rule puts them on
+const exceptionSchema = new mongoose.Schema({
+  date: {
+    type: String, // 'YYYY-MM-DD', Europe/Oslo
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['skip', 'reschedule'],
+    required: true
+  },
+  // New start for rescheduled occurrences
+  scheduledStart: Date,
+  reason: {
+    type: String,
+    maxlength: [500, 'Reason cannot exceed 500 characters']
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  _id: false,
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// One billing period of a subscription. Plan changes add proration items
+// to the open cycle. Cycles are billed in arrears: once closed, the cycle is
+// invoiced to the customer, who pays the invoice through the platform.
+const billingCycleSchema = new mongoose.Schema({
+  periodStart: {
+    type: Date,
+    required: true
+  },
+  periodEnd: {
+    type: Date,
+    required: true
+  },
+  items: [{
+    _id: false,
+    kind: {
+      type: String,
+      enum: ['plan', 'proration']
+    },
+    description: String,
+    amount: Number
+  }],
+  amount: {
+    type: Number,
+    default: 0
+  },
+  status: {
+    type: String,
+    enum: ['open', 'closed'],
+    default: 'open'
+  },
+  closedAt: Date,
+  invoice: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Invoice'
+  }
+});
+
+// A customer's standing arrangement with a recurring or subscription
+// service: visits on a recurrence rule at a set local time. Bookings are
+// created for occurrences a little ahead of time (utils/subscriptions).
+const subscriptionSchema = new mongoose.Schema({
+  customer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  provider: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  service: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Service',
+    required: true
+  },
+  // 'recurring' visits are charged per booking; 'subscription' is invoiced per billing cycle
+  kind: {
+    type: String,
+    enum: ['recurring', 'subscription'],
+    required: true
+  },
+
+  // Schedule
+  rrule: {
+    type: String,
+    required: [true, 'Recurrence rule is required'],
+    validate: {
+      validator: (value) => !parseRRule(value).error,
+      message: (props) => parseRRule(props.value).error
+    }
+  },
+  startDate: {
+    type: String, // first possible occurrence, 'YYYY-MM-DD'
+    required: true
+  },
+  startTime: {
+    type: String, // local time of each visit, 'HH:mm'
+    required: true
+  },
+  duration: {
+    type: Number, // in minutes
+    required: true
+  },
+  exceptions: [exceptionSchema],
+  pauses: [{
+    _id: false,
+    from: { type: String, required: true }, // 'YYYY-MM-DD'
+    until: String, // first date after the pause; open-ended when missing
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+  }],
+
+  // Job details copied to each booking
+  notes: {
+    type: String,
+    maxlength: [1000, 'Notes cannot exceed 1000 characters']
+  },
+  address: {
+    street: String,
+    city: String,
+    postalCode: String,
+    country: {
+      type: String,
+      default: 'Norway'
+    }
+  },
+  // Price of each visit, for recurring arrangements
+  price: {
+    amount: Number,
+    currency: {
+      type: String,
+      enum: ['NOK', 'EUR', 'USD']
+    },
+    vatRate: Number,
+    items: [{
+      _id: false,
+      description: String,
+      amount: Number
+    }]
+  },
+
+  // Billing, for subscriptions
+  plan: {
+    planId: mongoose.Schema.Types.ObjectId,
+    name: String,
+    price: Number
+  },
+  currency: {
+    type: String,
+    enum: ['NOK', 'EUR', 'USD'],
+    default: 'NOK'
+  },
+  billingInterval: {
+    type: String,
+    enum: ['weekly', 'monthly']
+  },
+  billingCycles: [billingCycleSchema],
+
+  // Lifecycle
+  status: {
+    type: String,
+    enum: SUBSCRIPTION_STATUSES,
+    default: 'requested'
+  },
+  noticeDays: {
+    type: Number,
+    default: 0
+  },
+  activatedAt: Date,
+  // Set when notice is given; the arrangement ends at effectiveAt
+  cancellation: {
+    requestedAt: Date,
+    requestedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    reason: String,
+    effectiveAt: Date
+  },
+  endedAt: Date,
+  // Billing cycles run from this date in whole intervals ('YYYY-MM-DD')
+  billingAnchor: String
+}, {
+  timestamps: true,
+  // The background job and both participants change the same document
+  optimisticConcurrency: true
+});
+
+subscriptionSchema.index({ customer: 1, createdAt: -1 });
+subscriptionSchema.index({ provider: 1, createdAt: -1 });
+subscriptionSchema.index({ status: 1 });
+
+subscriptionSchema.statics.STATUSES = SUBSCRIPTION_STATUSES;
+
+// Virtual for the billing cycle in progress
+subscriptionSchema.virtual('currentCycle').get(function() {
+  const latest = this.billingCycles[this.billingCycles.length - 1];
+  return latest && latest.status === 'open' ? latest : null;
+});
+
+// 'customer', 'provider' or null for someone outside the arrangement
+subscriptionSchema.methods.roleOf = function(userId) {
+  // Participants may be populated
+  const idOf = (participant) => (participant._id || participant).toString();
+  if (idOf(this.customer) === userId.toString()) return 'customer';
+  if (idOf(this.provider) === userId.toString()) return 'provider';
+  return null;
+};
+
+subscriptionSchema.methods.exceptionFor = function(date) {
+  return this.exceptions.find(exception => exception.date === date) || null;
+};
+
+// Whether the arrangement is paused on a date
+subscriptionSchema.methods.isPausedOn = function(date) {
+  return this.pauses.some(pause => pause.from <= date && (!pause.until || date < pause.until));
+};
+
+subscriptionSchema.set('toJSON', { virtuals: true });
+
+module.exports = mongoose.model('Subscription', subscriptionSchema);
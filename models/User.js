@@ -1,6 +1,7 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
 
 const userSchema = new mongoose.Schema({
   // Basic Information
@@ -58,6 +59,11 @@ const userSchema = new mongoose.Schema({
     country: {
       type: String,
       default: 'Norway'
+    },
+    // GeoJSON point, geocoded from the postal code when not supplied
+    location: {
+      type: { type: String, enum: ['Point'] },
+      coordinates: { type: [Number], default: undefined } // [longitude, latitude]
     }
   },
 
@@ -76,12 +82,77 @@ const userSchema = new mongoose.Schema({
     }
   },
 
+  // Business verification (KYC) for service providers
+  isBusinessVerified: {
+    type: Boolean,
+    default: false
+  },
+  businessVerification: {
+    status: {
+      type: String,
+      enum: ['unverified', 'pending', 'needs_info', 'verified', 'rejected'],
+      default: 'unverified'
+    },
+    organisationNumber: String,
+    // Registered in Merverdiavgiftsregisteret, as confirmed by the admin who
+    // approved the business. Only registered providers charge MVA.
+    vatRegistered: {
+      type: Boolean,
+      default: false
+    },
+    submittedAt: Date,
+    reviewedAt: Date,
+    reviewedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    // Rejection reason or what more information is needed
+    reviewNote: String,
+    // Stored privately; served to the owner and admins only
+    documents: [{
+      name: String,
+      type: { type: String },
+      mimeType: String,
+      size: Number,
+      storageKeys: [String],
+      uploadedAt: { type: Date, default: Date.now }
+    }],
+    history: {
+      type: [{
+        action: {
+          type: String,
+          enum: ['submitted', 'approved', 'rejected', 'info_requested']
+        },
+        note: String,
+        by: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+        createdAt: { type: Date, default: Date.now }
+      }],
+      select: false
+    }
+  },
+
+  // Periods when the provider takes no bookings
+  timeOff: [{
+    start: { type: Date, required: true },
+    end: { type: Date, required: true },
+    reason: String
+  }],
+
   // Profile and Media
   profileImage: {
     type: String,
     default: 'default-avatar.png'
   },
   coverImage: String,
+  imageThumbnails: {
+    profileImage: String,
+    coverImage: String
+  },
+  // Stored files behind uploaded profile and cover images, removed when replaced
+  imageStorageKeys: {
+    profileImage: { type: [String], select: false },
+    coverImage: { type: [String], select: false }
+  },
   bio: {
     type: String,
     maxlength: [500, 'Bio cannot exceed 500 characters']
@@ -89,11 +160,19 @@ const userSchema = new mongoose.Schema({
 
   // Preferences and Settings
   preferences: {
+    // Language of API messages; unset follows the client's Accept-Language
     language: {
       type: String,
-      default: 'en',
       enum: ['en', 'no', 'sv']
     },
+    // Set when the user picked the language themselves. Older accounts were
+    // given 'en' by default, which is not a choice and is cleared at startup
+    languageChosen: Boolean,
+    // Currency prices are shown in; unset shows each service's own currency
+    currency: {
+      type: String,
+      enum: ['NOK', 'EUR', 'USD']
+    },
     notifications: {
       email: { type: Boolean, default: true },
       sms: { type: Boolean, default: false },
@@ -106,6 +185,7 @@ const userSchema = new mongoose.Schema({
   emailVerificationExpire: Date,
   passwordResetToken: String,
   passwordResetExpire: Date,
+  passwordChangedAt: Date,
   lastLogin: Date,
   loginAttempts: {
     type: Number,
@@ -130,16 +210,35 @@ const userSchema = new mongoose.Schema({
 userSchema.index({ email: 1 });
 userSchema.index({ userType: 1 });
 userSchema.index({ 'address.city': 1 });
+userSchema.index({ 'address.location': '2dsphere' });
 userSchema.index({ 'businessInfo.specialties': 1 });
+userSchema.index({ 'businessVerification.status': 1, 'businessVerification.submittedAt': 1 });
+
+// Login lockout policy: after MAX_LOGIN_ATTEMPTS failures the account is locked,
+// and every further failure doubles the lock period up to MAX_LOCK_TIME.
+const MAX_LOGIN_ATTEMPTS = 5;
+const BASE_LOCK_TIME = 60 * 1000; // 1 minute
+const MAX_LOCK_TIME = 24 * 60 * 60 * 1000; // 24 hours
+
+// Active services allowed before the provider's business is verified
+const DEFAULT_UNVERIFIED_SERVICE_LIMIT = 3;
+
+// Hash a one-time token before storing or looking it up
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
 
 // Pre-save middleware to hash password
 userSchema.pre('save', async function(next) {
   if (!this.isModified('password')) {
-    next();
+    return next();
   }
   
   const salt = await bcrypt.genSalt(parseInt(process.env.BCRYPT_ROUNDS) || 12);
   this.password = await bcrypt.hash(this.password, salt);
+
+  // Tokens issued before this moment are no longer accepted
+  if (!this.isNew) {
+    this.passwordChangedAt = new Date();
+  }
 });
 
 // Method to compare password
@@ -147,13 +246,73 @@ userSchema.methods.comparePassword = async function(enteredPassword) {
   return await bcrypt.compare(enteredPassword, this.password);
 };
 
-// Method to generate JWT token
-userSchema.methods.generateAuthToken = function() {
+// Method to generate a short-lived JWT access token bound to a session
+userSchema.methods.generateAuthToken = function(sessionId) {
   return jwt.sign(
-    { id: this._id, userType: this.userType },
+    { id: this._id, userType: this.userType, sid: sessionId },
     process.env.JWT_SECRET,
-    { expiresIn: process.env.JWT_EXPIRE || '7d' }
+    { expiresIn: process.env.JWT_ACCESS_EXPIRE || '15m' }
+  );
+};
+
+// Method to create an email verification token.
+// Only the SHA-256 hash is stored; the raw token is returned for the email link.
+userSchema.methods.createEmailVerificationToken = function() {
+  const token = crypto.randomBytes(32).toString('hex');
+  this.emailVerificationToken = hashToken(token);
+  this.emailVerificationExpire = new Date(Date.now() + 24 * 60 * 60 * 1000); // 24 hours
+  return token;
+};
+
+// Method to create a password reset token (stored hashed, valid for 1 hour)
+userSchema.methods.createPasswordResetToken = function() {
+  const token = crypto.randomBytes(32).toString('hex');
+  this.passwordResetToken = hashToken(token);
+  this.passwordResetExpire = new Date(Date.now() + 60 * 60 * 1000); // 1 hour
+  return token;
+};
+
+// Method to check whether the password changed after a token was issued
+userSchema.methods.changedPasswordAfter = function(tokenIssuedAt) {
+  if (!this.passwordChangedAt) return false;
+  return Math.floor(this.passwordChangedAt.getTime() / 1000) > tokenIssuedAt;
+};
+
+// Method to record a failed login attempt.
+// Resolves to the new attempt count and, if the account is now locked, the lock expiry.
+userSchema.methods.registerFailedLogin = async function() {
+  const updated = await this.constructor.findByIdAndUpdate(
+    this._id,
+    { $inc: { loginAttempts: 1 } },
+    { new: true }
   );
+
+  const attempts = updated.loginAttempts;
+  let lockUntil = null;
+
+  if (attempts >= MAX_LOGIN_ATTEMPTS) {
+    const lockTime = Math.min(BASE_LOCK_TIME * Math.pow(2, attempts - MAX_LOGIN_ATTEMPTS), MAX_LOCK_TIME);
+    lockUntil = new Date(Date.now() + lockTime);
+    await this.constructor.updateOne({ _id: this._id }, { $set: { lockUntil } });
+  }
+
+  this.loginAttempts = attempts;
+  this.lockUntil = lockUntil || this.lockUntil;
+
+  return { attempts, lockUntil };
+};
+
+// Method to clear the failed login counter and any lock
+userSchema.methods.resetLoginAttempts = function() {
+  this.loginAttempts = 0;
+  this.lockUntil = undefined;
+};
+
+// Most active services a provider may have; null means no limit.
+// Providers without a verified business are capped.
+userSchema.methods.activeServiceLimit = function() {
+  if (this.isBusinessVerified) return null;
+  return parseInt(process.env.UNVERIFIED_ACTIVE_SERVICE_LIMIT) || DEFAULT_UNVERIFIED_SERVICE_LIMIT;
 };
 
 // Method to get public profile
@@ -161,9 +320,18 @@ userSchema.methods.getPublicProfile = function() {
   const userObject = this.toObject();
   delete userObject.password;
   delete userObject.emailVerificationToken;
+  delete userObject.emailVerificationExpire;
   delete userObject.passwordResetToken;
+  delete userObject.passwordResetExpire;
   delete userObject.loginAttempts;
   delete userObject.lockUntil;
+  delete userObject.imageStorageKeys;
+  if (userObject.businessVerification) {
+    delete userObject.businessVerification.history;
+    (userObject.businessVerification.documents || []).forEach(document => {
+      delete document.storageKeys;
+    });
+  }
   return userObject;
 };
 
@@ -172,9 +340,26 @@ userSchema.virtual('fullName').get(function() {
   return `${this.firstName} ${this.lastName}`;
 });
 
+// Virtual for whether the account is currently locked
+userSchema.virtual('isLocked').get(function() {
+  return Boolean(this.lockUntil && this.lockUntil > Date.now());
+});
+
 // Virtual for isServiceProvider
 userSchema.virtual('isServiceProvider').get(function() {
   return this.userType === 'service_provider';
 });
 
+userSchema.statics.hashToken = hashToken;
+
+// Unset the 'en' older accounts were given by default, so Accept-Language
+// applies to them until they choose a language
+userSchema.statics.clearDefaultLanguage = async function() {
+  const result = await this.updateMany(
+    { 'preferences.language': 'en', 'preferences.languageChosen': { $ne: true } },
+    { $unset: { 'preferences.language': 1 } }
+  );
+  return result.modifiedCount;
+};
+
 module.exports = mongoose.model('User', userSchema);
@@ -0,0 +1,741 @@
+const express = require('express');
+const { body, validationResult, query, param } = require('express-validator');
+const User = require('../models/User');
+const Service = require('../models/Service');
+const SecurityEvent = require('../models/SecurityEvent');
+const ExchangeRate = require('../models/ExchangeRate');
+const { sendPrivateFile } = require('../utils/media');
+const { sendEmail } = require('../utils/mailer');
+const emailTemplates = require('../utils/emailTemplates');
+const { BASE_CURRENCY, getRates, setExchangeRate } = require('../utils/currency');
+const { protect, requireAdmin } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Every admin route requires an authenticated administrator
+router.use(protect, requireAdmin);
+
+// Service moderation actions: the statuses each applies to and the resulting status
+const MODERATION_ACTIONS = {
+  approve: { from: ['pending_review'], to: 'active', message: 'Service approved' },
+  reject: { from: ['pending_review'], to: 'rejected', message: 'Service rejected' },
+  suspend: { from: ['active'], to: 'suspended', message: 'Service suspended' },
+  reinstate: { from: ['suspended'], to: 'active', message: 'Service reinstated' }
+};
+
+// Business verification review actions
+const VERIFICATION_ACTIONS = {
+  approve: { to: 'verified', history: 'approved', message: 'Business verified' },
+  reject: { to: 'rejected', history: 'rejected', message: 'Business verification rejected' },
+  request_info: { to: 'needs_info', history: 'info_requested', message: 'More information requested from provider' }
+};
+
+const verificationFields = 'firstName lastName email phone isBusinessVerified businessInfo businessVerification createdAt';
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Build the update for a moderation action
+const buildModerationUpdate = (action, admin, reason) => {
+  const now = new Date();
+  const update = {
+    $set: {
+      status: MODERATION_ACTIONS[action].to,
+      'moderation.moderatedBy': admin._id,
+      'moderation.moderatedAt': now
+    },
+    $unset: {},
+    $push: {
+      moderationHistory: { action, reason, admin: admin._id, createdAt: now }
+    }
+  };
+
+  switch (action) {
+    case 'approve':
+      update.$set.isVerified = true;
+      update.$set.verifiedBy = admin._id;
+      update.$set.verificationDate = now;
+      update.$unset['moderation.rejectionReason'] = 1;
+      break;
+    case 'reject':
+      update.$set.isVerified = false;
+      update.$set['moderation.rejectionReason'] = reason;
+      break;
+    case 'suspend':
+      update.$set['moderation.suspensionReason'] = reason;
+      break;
+    case 'reinstate':
+      update.$unset['moderation.suspensionReason'] = 1;
+      break;
+  }
+
+  if (!Object.keys(update.$unset).length) delete update.$unset;
+
+  return update;
+};
+
+// Shared handler for service moderation actions
+const moderateService = (action) => async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { from, message } = MODERATION_ACTIONS[action];
+
+    const service = await Service.findById(req.params.id);
+
+    if (!service) {
+      return res.status(404).json({
+        success: false,
+        message: 'Service not found'
+      });
+    }
+
+    if (!from.includes(service.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot ${action} a service with status '${service.status}'`
+      });
+    }
+
+    // Providers without a verified business may only have a few active services
+    if (MODERATION_ACTIONS[action].to === 'active') {
+      const provider = await User.findById(service.provider).select('isBusinessVerified');
+      const limit = provider ? provider.activeServiceLimit() : null;
+      if (limit !== null) {
+        const activeServices = await Service.countDocuments({ provider: service.provider, status: 'active' });
+        if (activeServices >= limit) {
+          return res.status(409).json({
+            success: false,
+            message: `Provider already has ${activeServices} active services, the limit until their business is verified`
+          });
+        }
+      }
+    }
+
+    // Only apply the action if nobody changed the status in the meantime
+    const updatedService = await Service.findOneAndUpdate(
+      { _id: service._id, status: service.status },
+      buildModerationUpdate(action, req.user, req.body.reason),
+      { new: true }
+    )
+      .select('+moderationHistory')
+      .populate('provider', 'firstName lastName email businessInfo.businessName');
+
+    if (!updatedService) {
+      return res.status(409).json({
+        success: false,
+        message: 'Service was updated by another request. Please reload and try again.'
+      });
+    }
+
+    res.json({
+      success: true,
+      message,
+      data: { service: updatedService }
+    });
+
+  } catch (error) {
+    console.error(`Moderate service (${action}) error:`, error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while moderating service'
+    });
+  }
+};
+
+const reasonValidator = body('reason')
+  .trim()
+  .isLength({ min: 5, max: 500 })
+  .withMessage('A reason between 5 and 500 characters is required');
+
+// Malformed IDs get a 400 instead of a cast error from the lookup
+const idValidator = (name, label) => param(name)
+  .isMongoId()
+  .withMessage(`Invalid ${label} ID`);
+
+// Tell the provider about a verification decision without holding up the response
+const notifyVerificationDecision = async (user, action, note) => {
+  try {
+    await sendEmail(emailTemplates.businessVerificationDecision(user, action, note));
+  } catch (error) {
+    console.error('Verification decision email error:', error);
+  }
+};
+
+// Shared handler for business verification review actions
+const reviewVerification = (action) => async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { to, history, message } = VERIFICATION_ACTIONS[action];
+    const now = new Date();
+
+    // Only pending submissions can be reviewed; the condition also guards against two admins deciding at once
+    const update = {
+      $set: {
+        isBusinessVerified: action === 'approve',
+        'businessVerification.vatRegistered': action === 'approve' && req.body.vatRegistered === true,
+        'businessVerification.status': to,
+        'businessVerification.reviewedAt': now,
+        'businessVerification.reviewedBy': req.user._id
+      },
+      $push: {
+        'businessVerification.history': { action: history, note: req.body.reason, by: req.user._id, createdAt: now }
+      }
+    };
+    if (req.body.reason) {
+      update.$set['businessVerification.reviewNote'] = req.body.reason;
+    } else {
+      update.$unset = { 'businessVerification.reviewNote': 1 };
+    }
+
+    const user = await User.findOneAndUpdate(
+      { _id: req.params.id, userType: 'service_provider', 'businessVerification.status': 'pending' },
+      update,
+      { new: true }
+    ).select(`${verificationFields} +businessVerification.history`);
+
+    if (!user) {
+      const exists = await User.exists({ _id: req.params.id, userType: 'service_provider' });
+      return res.status(exists ? 400 : 404).json({
+        success: false,
+        message: exists ? 'Only pending verifications can be reviewed' : 'Provider not found'
+      });
+    }
+
+    notifyVerificationDecision(user, action, req.body.reason);
+
+    res.json({
+      success: true,
+      message,
+      data: { provider: user }
+    });
+
+  } catch (error) {
+    console.error(`Review verification (${action}) error:`, error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while reviewing verification'
+    });
+  }
+};
+
+// @desc    Unlock a user account locked after failed logins
+// @route   PUT /api/admin/users/:id/unlock
+// @access  Private (Admin only)
+router.put('/users/:id/unlock', idValidator('id', 'user'), async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const wasLocked = user.isLocked;
+    const previousAttempts = user.loginAttempts;
+
+    user.resetLoginAttempts();
+    await user.save();
+
+    await SecurityEvent.record('account_unlocked', user, req, { wasLocked, previousAttempts });
+
+    res.json({
+      success: true,
+      message: 'Account unlocked successfully',
+      data: {
+        user: user.getPublicProfile()
+      }
+    });
+
+  } catch (error) {
+    console.error('Unlock user error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while unlocking account'
+    });
+  }
+});
+
+// @desc    Get security events for a user
+// @route   GET /api/admin/users/:id/security-events
+// @access  Private (Admin only)
+router.get('/users/:id/security-events', idValidator('id', 'user'), async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findById(req.params.id).select('firstName lastName email loginAttempts lockUntil');
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const events = await SecurityEvent.find({ user: user._id })
+      .sort({ createdAt: -1 })
+      .limit(100)
+      .populate('performedBy', 'firstName lastName email');
+
+    res.json({
+      success: true,
+      data: {
+        user: {
+          _id: user._id,
+          firstName: user.firstName,
+          lastName: user.lastName,
+          email: user.email,
+          loginAttempts: user.loginAttempts,
+          lockUntil: user.lockUntil,
+          isLocked: user.isLocked
+        },
+        events
+      }
+    });
+
+  } catch (error) {
+    console.error('Get security events error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching security events'
+    });
+  }
+});
+
+// @desc    Get service moderation queue
+// @route   GET /api/admin/services
+// @access  Private (Admin only)
+router.get('/services', [
+  query('status').optional().isIn(['pending_review', 'active', 'inactive', 'suspended', 'rejected', 'all']),
+  query('category').optional().isString(),
+  query('provider').optional().isMongoId(),
+  query('q').optional().isString(),
+  query('page').optional().isInt({ min: 1 }),
+  query('limit').optional().isInt({ min: 1, max: 100 })
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const {
+      status = 'pending_review',
+      category,
+      provider,
+      q,
+      page = 1,
+      limit = 20
+    } = req.query;
+
+    const filter = {};
+    if (status !== 'all') filter.status = status;
+    if (category) filter.category = category;
+    if (provider) filter.provider = provider;
+    if (q) filter.title = { $regex: escapeRegex(q), $options: 'i' };
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    // Oldest submissions first so the queue is worked in order
+    const [services, total] = await Promise.all([
+      Service.find(filter)
+        .select('+moderationHistory')
+        .sort({ updatedAt: 1 })
+        .populate('provider', 'firstName lastName email isVerified businessInfo.businessName')
+        .skip(skip)
+        .limit(parseInt(limit)),
+      Service.countDocuments(filter)
+    ]);
+
+    const totalPages = Math.ceil(total / parseInt(limit));
+
+    res.json({
+      success: true,
+      data: {
+        services,
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages,
+          totalServices: total,
+          hasNextPage: parseInt(page) < totalPages,
+          hasPrevPage: parseInt(page) > 1
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Get moderation queue error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching moderation queue'
+    });
+  }
+});
+
+// @desc    Approve a service
+// @route   PUT /api/admin/services/:id/approve
+// @access  Private (Admin only)
+router.put('/services/:id/approve', idValidator('id', 'service'), moderateService('approve'));
+
+// @desc    Reject a service with a reason
+// @route   PUT /api/admin/services/:id/reject
+// @access  Private (Admin only)
+router.put('/services/:id/reject', [idValidator('id', 'service'), reasonValidator], moderateService('reject'));
+
+// @desc    Suspend an active service
+// @route   PUT /api/admin/services/:id/suspend
+// @access  Private (Admin only)
+router.put('/services/:id/suspend', [idValidator('id', 'service'), reasonValidator], moderateService('suspend'));
+
+// @desc    Reinstate a suspended service
+// @route   PUT /api/admin/services/:id/reinstate
+// @access  Private (Admin only)
+router.put('/services/:id/reinstate', idValidator('id', 'service'), moderateService('reinstate'));
+
+// @desc    Get business verification queue
+// @route   GET /api/admin/verifications
+// @access  Private (Admin only)
+router.get('/verifications', [
+  query('status').optional().isIn(['pending', 'needs_info', 'verified', 'rejected', 'all']),
+  query('page').optional().isInt({ min: 1 }),
+  query('limit').optional().isInt({ min: 1, max: 100 })
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { status = 'pending', page = 1, limit = 20 } = req.query;
+
+    const filter = { userType: 'service_provider' };
+    filter['businessVerification.status'] = status === 'all'
+      ? { $in: ['pending', 'needs_info', 'verified', 'rejected'] }
+      : status;
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    // Oldest submissions first so the queue is worked in order
+    const [providers, total] = await Promise.all([
+      User.find(filter)
+        .select(verificationFields)
+        .sort({ 'businessVerification.submittedAt': 1 })
+        .skip(skip)
+        .limit(parseInt(limit)),
+      User.countDocuments(filter)
+    ]);
+
+    const totalPages = Math.ceil(total / parseInt(limit));
+
+    res.json({
+      success: true,
+      data: {
+        providers,
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages,
+          totalProviders: total,
+          hasNextPage: parseInt(page) < totalPages,
+          hasPrevPage: parseInt(page) > 1
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Get verification queue error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching verification queue'
+    });
+  }
+});
+
+// @desc    Get a provider's verification details and history
+// @route   GET /api/admin/verifications/:id
+// @access  Private (Admin only)
+router.get('/verifications/:id', idValidator('id', 'provider'), async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const provider = await User.findOne({ _id: req.params.id, userType: 'service_provider' })
+      .select(`${verificationFields} +businessVerification.history`)
+      .populate('businessVerification.history.by', 'firstName lastName userType');
+
+    if (!provider) {
+      return res.status(404).json({
+        success: false,
+        message: 'Provider not found'
+      });
+    }
+
+    const activeServices = await Service.countDocuments({ provider: provider._id, status: 'active' });
+
+    res.json({
+      success: true,
+      data: {
+        provider,
+        activeServices,
+        activeServiceLimit: provider.activeServiceLimit()
+      }
+    });
+
+  } catch (error) {
+    console.error('Get verification error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching verification'
+    });
+  }
+});
+
+// @desc    Download a provider's verification document
+// @route   GET /api/admin/verifications/:id/documents/:documentId
+// @access  Private (Admin only)
+router.get('/verifications/:id/documents/:documentId', [
+  idValidator('id', 'provider'),
+  idValidator('documentId', 'document')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const provider = await User.findOne({ _id: req.params.id, userType: 'service_provider' })
+      .select('businessVerification.documents');
+    const document = provider && provider.businessVerification.documents.id(req.params.documentId);
+
+    if (!document) {
+      return res.status(404).json({
+        success: false,
+        message: 'Document not found'
+      });
+    }
+
+    await sendPrivateFile(res, document);
+
+  } catch (error) {
+    console.error('Download verification document error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while downloading document'
+    });
+  }
+});
+
+// @desc    Approve a provider's business verification. Send vatRegistered: true
+//          when the organisation number is in Merverdiavgiftsregisteret.
+// @route   PUT /api/admin/verifications/:id/approve
+// @access  Private (Admin only)
+router.put('/verifications/:id/approve', [
+  idValidator('id', 'provider'),
+  body('vatRegistered')
+    .optional()
+    .isBoolean()
+    .withMessage('vatRegistered must be true or false')
+    .toBoolean()
+], reviewVerification('approve'));
+
+// @desc    Reject a provider's business verification with a reason
+// @route   PUT /api/admin/verifications/:id/reject
+// @access  Private (Admin only)
+router.put('/verifications/:id/reject', [idValidator('id', 'provider'), reasonValidator], reviewVerification('reject'));
+
+// @desc    Ask a provider for more verification information
+// @route   PUT /api/admin/verifications/:id/request-info
+// @access  Private (Admin only)
+router.put('/verifications/:id/request-info', [idValidator('id', 'provider'), reasonValidator], reviewVerification('request_info'));
+
+// @desc    Get current exchange rates
+// @route   GET /api/admin/exchange-rates
+// @access  Private (Admin only)
+router.get('/exchange-rates', async (req, res) => {
+  try {
+    const [rates, latest] = await Promise.all([
+      getRates(),
+      ExchangeRate.aggregate([
+        { $sort: { currency: 1, createdAt: -1 } },
+        { $group: { _id: '$currency', entry: { $first: '$$ROOT' } } }
+      ])
+    ]);
+
+    const updates = latest.reduce((byCurrency, { _id, entry }) => ({ ...byCurrency, [_id]: entry }), {});
+
+    res.json({
+      success: true,
+      data: {
+        baseCurrency: BASE_CURRENCY,
+        rates: Object.entries(rates).map(([currency, rate]) => ({
+          currency,
+          rate,
+          // Currencies an admin has not set yet use the built-in default
+          isDefault: currency !== BASE_CURRENCY && !updates[currency],
+          updatedAt: updates[currency] ? updates[currency].createdAt : null
+        }))
+      }
+    });
+
+  } catch (error) {
+    console.error('Get exchange rates error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching exchange rates'
+    });
+  }
+});
+
+// @desc    Get the rate history for a currency
+// @route   GET /api/admin/exchange-rates/:currency/history
+// @access  Private (Admin only)
+router.get('/exchange-rates/:currency/history', [
+  param('currency').isIn(ExchangeRate.schema.path('currency').enumValues).withMessage('Unsupported currency'),
+  query('page').optional().isInt({ min: 1 }),
+  query('limit').optional().isInt({ min: 1, max: 100 })
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { page = 1, limit = 20 } = req.query;
+    const filter = { currency: req.params.currency };
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const [history, total] = await Promise.all([
+      ExchangeRate.find(filter)
+        .sort({ createdAt: -1 })
+        .populate('setBy', 'firstName lastName email')
+        .skip(skip)
+        .limit(parseInt(limit)),
+      ExchangeRate.countDocuments(filter)
+    ]);
+
+    const totalPages = Math.ceil(total / parseInt(limit));
+
+    res.json({
+      success: true,
+      data: {
+        baseCurrency: BASE_CURRENCY,
+        history,
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages,
+          totalEntries: total,
+          hasNextPage: parseInt(page) < totalPages,
+          hasPrevPage: parseInt(page) > 1
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Get exchange rate history error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching exchange rate history'
+    });
+  }
+});
+
+// @desc    Set the exchange rate for a currency
+// @route   PUT /api/admin/exchange-rates/:currency
+// @access  Private (Admin only)
+router.put('/exchange-rates/:currency', [
+  param('currency').isIn(ExchangeRate.schema.path('currency').enumValues).withMessage('Unsupported currency'),
+  body('rate')
+    .isFloat({ gt: 0 })
+    .withMessage('Rate must be a positive number')
+    .toFloat(),
+  body('note')
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Note cannot exceed 200 characters')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    // Also reprices every service in this currency
+    const entry = await setExchangeRate(req.params.currency, req.body.rate, {
+      user: req.user,
+      note: req.body.note
+    });
+
+    res.json({
+      success: true,
+      message: `Exchange rate for ${req.params.currency} updated`,
+      data: { exchangeRate: entry, baseCurrency: BASE_CURRENCY }
+    });
+
+  } catch (error) {
+    console.error('Set exchange rate error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while setting exchange rate'
+    });
+  }
+});
+
+module.exports = router;
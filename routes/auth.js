@@ -1,12 +1,91 @@
 const express = require('express');
-const { body, validationResult } = require('express-validator');
+const { body, param, validationResult } = require('express-validator');
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
+const rateLimit = require('express-rate-limit');
 const User = require('../models/User');
+const SecurityEvent = require('../models/SecurityEvent');
+const Session = require('../models/Session');
 const { protect, requireVerification } = require('../middleware/auth');
+const { sendEmail } = require('../utils/mailer');
+const emailTemplates = require('../utils/emailTemplates');
+const { withGeocodedAddress, isValidCoordinates } = require('../utils/geocoder');
+const { SUPPORTED_LANGUAGES, t, localized } = require('../utils/i18n');
 
 const router = express.Router();
 
+// Limit verification email resends per account
+const resendVerificationLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 3,
+  keyGenerator: (req) => req.user._id.toString(),
+  standardHeaders: true,
+  legacyHeaders: false,
+  message: (req) => ({
+    success: false,
+    message: t(req, 'auth.tooManyVerificationEmails')
+  })
+});
+
+// Limit password reset requests per IP address
+const forgotPasswordLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 5,
+  standardHeaders: true,
+  legacyHeaders: false,
+  message: (req) => ({
+    success: false,
+    message: t(req, 'auth.tooManyResetRequests')
+  })
+});
+
+// Set the access token cookie, and the refresh token cookie when one was issued.
+// The refresh token is only ever sent to the auth routes.
+const setAuthCookies = (res, accessToken, refreshToken) => {
+  res.cookie('token', accessToken, {
+    httpOnly: true,
+    secure: process.env.NODE_ENV === 'production',
+    maxAge: 15 * 60 * 1000 // 15 minutes
+  });
+
+  if (refreshToken) {
+    res.cookie('refreshToken', refreshToken, {
+      httpOnly: true,
+      secure: process.env.NODE_ENV === 'production',
+      sameSite: 'strict',
+      path: '/api/auth',
+      maxAge: (parseInt(process.env.REFRESH_TOKEN_EXPIRE_DAYS) || 30) * 24 * 60 * 60 * 1000
+    });
+  }
+};
+
+const clearAuthCookies = (res) => {
+  res.cookie('token', 'none', {
+    expires: new Date(Date.now() + 10 * 1000), // 10 seconds
+    httpOnly: true
+  });
+  res.clearCookie('refreshToken', { path: '/api/auth' });
+};
+
+// Start a new session and issue its tokens
+const startSession = async (req, res, user) => {
+  const { session, refreshToken } = await Session.start(user, req);
+  const token = user.generateAuthToken(session._id);
+
+  setAuthCookies(res, token, refreshToken);
+
+  return { token, refreshToken };
+};
+
+// Send the verification email without failing the calling request
+const sendVerificationEmail = async (user, token) => {
+  try {
+    await sendEmail(emailTemplates.emailVerification(user, token));
+  } catch (error) {
+    console.error('Verification email error:', error);
+  }
+};
+
 // @desc    Register user
 // @route   POST /api/auth/register
 // @access  Public
@@ -14,24 +93,28 @@ router.post('/register', [
   body('firstName')
     .trim()
     .isLength({ min: 2, max: 50 })
-    .withMessage('First name must be between 2 and 50 characters'),
+    .withMessage(localized('auth.firstNameLength')),
   body('lastName')
     .trim()
     .isLength({ min: 2, max: 50 })
-    .withMessage('Last name must be between 2 and 50 characters'),
+    .withMessage(localized('auth.lastNameLength')),
   body('email')
     .isEmail()
     .normalizeEmail()
-    .withMessage('Please provide a valid email address'),
+    .withMessage(localized('auth.emailInvalid')),
   body('password')
     .isLength({ min: 6 })
-    .withMessage('Password must be at least 6 characters long'),
+    .withMessage(localized('auth.passwordLength')),
   body('phone')
     .matches(/^[\+]?[1-9][\d]{0,15}$/)
-    .withMessage('Please provide a valid phone number'),
+    .withMessage(localized('auth.phoneInvalid')),
   body('userType')
     .isIn(['customer', 'service_provider'])
-    .withMessage('User type must be either customer or service_provider')
+    .withMessage(localized('auth.userTypeInvalid')),
+  body('address.location.coordinates')
+    .optional()
+    .custom(isValidCoordinates)
+    .withMessage(localized('auth.locationInvalid'))
 ], async (req, res) => {
   try {
     // Check for validation errors
@@ -50,7 +133,7 @@ router.post('/register', [
     if (existingUser) {
       return res.status(400).json({
         success: false,
-        message: 'User with this email already exists'
+        message: t(req, 'auth.emailTaken')
       });
     }
 
@@ -62,28 +145,25 @@ router.post('/register', [
       password,
       phone,
       userType,
-      address,
+      address: withGeocodedAddress(address),
       businessInfo
     });
 
+    const verificationToken = user.createEmailVerificationToken();
     await user.save();
 
-    // Generate JWT token
-    const token = user.generateAuthToken();
+    await sendVerificationEmail(user, verificationToken);
 
-    // Set cookie
-    res.cookie('token', token, {
-      httpOnly: true,
-      secure: process.env.NODE_ENV === 'production',
-      maxAge: 7 * 24 * 60 * 60 * 1000 // 7 days
-    });
+    // Start a session and issue access and refresh tokens
+    const { token, refreshToken } = await startSession(req, res, user);
 
     res.status(201).json({
       success: true,
-      message: 'User registered successfully',
+      message: t(req, 'auth.registered'),
       data: {
         user: user.getPublicProfile(),
-        token
+        token,
+        refreshToken
       }
     });
 
@@ -91,7 +171,7 @@ router.post('/register', [
     console.error('Registration error:', error);
     res.status(500).json({
       success: false,
-      message: 'Server error during registration'
+      message: t(req, 'auth.registerFailed')
     });
   }
 });
@@ -103,10 +183,10 @@ router.post('/login', [
   body('email')
     .isEmail()
     .normalizeEmail()
-    .withMessage('Please provide a valid email address'),
+    .withMessage(localized('auth.emailInvalid')),
   body('password')
     .notEmpty()
-    .withMessage('Password is required')
+    .withMessage(localized('auth.passwordRequired'))
 ], async (req, res) => {
   try {
     // Check for validation errors
@@ -126,46 +206,61 @@ router.post('/login', [
     if (!user) {
       return res.status(401).json({
         success: false,
-        message: 'Invalid credentials'
+        message: t(req, 'auth.invalidCredentials')
       });
     }
 
     if (!user.isActive) {
       return res.status(401).json({
         success: false,
-        message: 'Account is deactivated. Please contact support.'
+        message: t(req, 'auth.accountDeactivated')
+      });
+    }
+
+    if (user.isLocked) {
+      return res.status(423).json({
+        success: false,
+        message: t(req, 'auth.accountLocked', { until: user.lockUntil.toISOString() }),
+        data: { lockUntil: user.lockUntil }
       });
     }
 
     // Check password
     const isPasswordValid = await user.comparePassword(password);
     if (!isPasswordValid) {
+      const { attempts, lockUntil } = await user.registerFailedLogin();
+
+      if (lockUntil) {
+        await SecurityEvent.record('account_locked', user, req, { attempts, lockUntil });
+
+        return res.status(423).json({
+          success: false,
+          message: t(req, 'auth.accountLocked', { until: lockUntil.toISOString() }),
+          data: { lockUntil }
+        });
+      }
+
       return res.status(401).json({
         success: false,
-        message: 'Invalid credentials'
+        message: t(req, 'auth.invalidCredentials')
       });
     }
 
-    // Update last login
+    // Update last login and clear failed attempts
     user.lastLogin = new Date();
+    user.resetLoginAttempts();
     await user.save();
 
-    // Generate JWT token
-    const token = user.generateAuthToken();
-
-    // Set cookie
-    res.cookie('token', token, {
-      httpOnly: true,
-      secure: process.env.NODE_ENV === 'production',
-      maxAge: 7 * 24 * 60 * 60 * 1000 // 7 days
-    });
+    // Start a session and issue access and refresh tokens
+    const { token, refreshToken } = await startSession(req, res, user);
 
     res.json({
       success: true,
-      message: 'Login successful',
+      message: t(req, 'auth.loginSuccess'),
       data: {
         user: user.getPublicProfile(),
-        token
+        token,
+        refreshToken
       }
     });
 
@@ -173,7 +268,7 @@ router.post('/login', [
     console.error('Login error:', error);
     res.status(500).json({
       success: false,
-      message: 'Server error during login'
+      message: t(req, 'auth.loginFailed')
     });
   }
 });
@@ -196,7 +291,7 @@ router.get('/me', protect, async (req, res) => {
     console.error('Get profile error:', error);
     res.status(500).json({
       success: false,
-      message: 'Server error while fetching profile'
+      message: t(req, 'auth.profileFetchFailed')
     });
   }
 });
@@ -209,20 +304,42 @@ router.put('/me', protect, [
     .optional()
     .trim()
     .isLength({ min: 2, max: 50 })
-    .withMessage('First name must be between 2 and 50 characters'),
+    .withMessage(localized('auth.firstNameLength')),
   body('lastName')
     .optional()
     .trim()
     .isLength({ min: 2, max: 50 })
-    .withMessage('Last name must be between 2 and 50 characters'),
+    .withMessage(localized('auth.lastNameLength')),
   body('phone')
     .optional()
     .matches(/^[\+]?[1-9][\d]{0,15}$/)
-    .withMessage('Please provide a valid phone number'),
+    .withMessage(localized('auth.phoneInvalid')),
+  body('address.location.coordinates')
+    .optional()
+    .custom(isValidCoordinates)
+    .withMessage(localized('auth.locationInvalid')),
   body('bio')
     .optional()
     .isLength({ max: 500 })
-    .withMessage('Bio cannot exceed 500 characters')
+    .withMessage(localized('auth.bioLength')),
+  body('preferences.currency')
+    .optional({ values: 'null' })
+    .isIn(['NOK', 'EUR', 'USD'])
+    .withMessage(localized('auth.currencyInvalid')),
+  body('preferences.language')
+    .optional({ values: 'null' })
+    .isIn(SUPPORTED_LANGUAGES)
+    .withMessage(localized('auth.languageInvalid', { languages: SUPPORTED_LANGUAGES.join(', ') })),
+  body('timeOff')
+    .optional()
+    .isArray()
+    .withMessage(localized('auth.timeOffList')),
+  body('timeOff.*.start')
+    .isISO8601()
+    .withMessage(localized('auth.timeOffStart')),
+  body('timeOff.*.end')
+    .isISO8601()
+    .withMessage(localized('auth.timeOffEnd'))
 ], async (req, res) => {
   try {
     // Check for validation errors
@@ -236,6 +353,9 @@ router.put('/me', protect, [
 
     const updates = req.body;
     const allowedUpdates = ['firstName', 'lastName', 'phone', 'address', 'bio', 'preferences'];
+    if (req.user.userType === 'service_provider') {
+      allowedUpdates.push('timeOff');
+    }
     
     // Filter out non-allowed updates
     const filteredUpdates = Object.keys(updates)
@@ -245,6 +365,18 @@ router.put('/me', protect, [
         return obj;
       }, {});
 
+    if (filteredUpdates.address) {
+      filteredUpdates.address = withGeocodedAddress(filteredUpdates.address);
+    }
+
+    // Preferences are replaced whole, so record whether this update picks a language
+    if (filteredUpdates.preferences) {
+      filteredUpdates.preferences = {
+        ...filteredUpdates.preferences,
+        languageChosen: Boolean(filteredUpdates.preferences.language)
+      };
+    }
+
     const user = await User.findByIdAndUpdate(
       req.user._id,
       filteredUpdates,
@@ -253,7 +385,7 @@ router.put('/me', protect, [
 
     res.json({
       success: true,
-      message: 'Profile updated successfully',
+      message: t(req, 'auth.profileUpdated'),
       data: {
         user: user.getPublicProfile()
       }
@@ -263,7 +395,7 @@ router.put('/me', protect, [
     console.error('Update profile error:', error);
     res.status(500).json({
       success: false,
-      message: 'Server error while updating profile'
+      message: t(req, 'auth.profileUpdateFailed')
     });
   }
 });
@@ -274,10 +406,10 @@ router.put('/me', protect, [
 router.put('/change-password', protect, [
   body('currentPassword')
     .notEmpty()
-    .withMessage('Current password is required'),
+    .withMessage(localized('auth.currentPasswordRequired')),
   body('newPassword')
     .isLength({ min: 6 })
-    .withMessage('New password must be at least 6 characters long')
+    .withMessage(localized('auth.newPasswordLength'))
 ], async (req, res) => {
   try {
     // Check for validation errors
@@ -299,41 +431,406 @@ router.put('/change-password', protect, [
     if (!isCurrentPasswordValid) {
       return res.status(400).json({
         success: false,
-        message: 'Current password is incorrect'
+        message: t(req, 'auth.currentPasswordIncorrect')
       });
     }
 
-    // Update password
+    // Update password (this invalidates previously issued tokens)
     user.password = newPassword;
     await user.save();
 
+    // Sign out other devices and keep the current session signed in
+    await Session.revokeAllForUser(user._id, 'password_changed', req.authSession._id);
+    const token = user.generateAuthToken(req.authSession._id);
+    setAuthCookies(res, token);
+
     res.json({
       success: true,
-      message: 'Password changed successfully'
+      message: t(req, 'auth.passwordChanged'),
+      data: { token }
     });
 
   } catch (error) {
     console.error('Change password error:', error);
     res.status(500).json({
       success: false,
-      message: 'Server error while changing password'
+      message: t(req, 'auth.passwordChangeFailed')
     });
   }
 });
 
-// @desc    Logout user
-// @route   POST /api/auth/logout
+// @desc    Verify email address
+// @route   POST /api/auth/verify-email/:token
+// @access  Public
+router.post('/verify-email/:token', async (req, res) => {
+  try {
+    const user = await User.findOne({
+      emailVerificationToken: User.hashToken(req.params.token),
+      emailVerificationExpire: { $gt: new Date() }
+    });
+
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: t(req, 'auth.verificationLinkInvalid')
+      });
+    }
+
+    user.isVerified = true;
+    user.emailVerificationToken = undefined;
+    user.emailVerificationExpire = undefined;
+    await user.save();
+
+    res.json({
+      success: true,
+      message: t(req, 'auth.emailVerified'),
+      data: {
+        user: user.getPublicProfile()
+      }
+    });
+
+  } catch (error) {
+    console.error('Verify email error:', error);
+    res.status(500).json({
+      success: false,
+      message: t(req, 'auth.emailVerifyFailed')
+    });
+  }
+});
+
+// @desc    Resend verification email
+// @route   POST /api/auth/resend-verification
 // @access  Private
-router.post('/logout', protect, (req, res) => {
-  res.cookie('token', 'none', {
-    expires: new Date(Date.now() + 10 * 1000), // 10 seconds
-    httpOnly: true
-  });
+router.post('/resend-verification', protect, resendVerificationLimiter, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+
+    if (user.isVerified) {
+      return res.status(400).json({
+        success: false,
+        message: t(req, 'auth.alreadyVerified')
+      });
+    }
+
+    const verificationToken = user.createEmailVerificationToken();
+    await user.save();
+
+    await sendVerificationEmail(user, verificationToken);
+
+    res.json({
+      success: true,
+      message: t(req, 'auth.verificationSent')
+    });
+
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    res.status(500).json({
+      success: false,
+      message: t(req, 'auth.verificationSendFailed')
+    });
+  }
+});
+
+// Look up the account and email a reset link. Runs after the response has been
+// sent so the timing and content of the response do not reveal whether it exists.
+const issuePasswordReset = async (email) => {
+  try {
+    const user = await User.findOne({ email });
+    if (!user || !user.isActive) return;
+
+    const resetToken = user.createPasswordResetToken();
+    await user.save();
+
+    await sendEmail(emailTemplates.passwordReset(user, resetToken));
+  } catch (error) {
+    console.error('Password reset email error:', error);
+  }
+};
+
+// @desc    Request password reset email
+// @route   POST /api/auth/forgot-password
+// @access  Public
+router.post('/forgot-password', forgotPasswordLimiter, [
+  body('email')
+    .isEmail()
+    .normalizeEmail()
+    .withMessage(localized('auth.emailInvalid'))
+], (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array()
+    });
+  }
+
+  issuePasswordReset(req.body.email);
 
   res.json({
     success: true,
-    message: 'Logged out successfully'
+    message: t(req, 'auth.resetLinkSent')
   });
 });
 
+// @desc    Reset password with emailed token
+// @route   POST /api/auth/reset-password/:token
+// @access  Public
+router.post('/reset-password/:token', [
+  body('password')
+    .isLength({ min: 6 })
+    .withMessage(localized('auth.passwordLength'))
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    // Claim the token atomically so it can only be used once
+    const user = await User.findOneAndUpdate(
+      {
+        passwordResetToken: User.hashToken(req.params.token),
+        passwordResetExpire: { $gt: new Date() }
+      },
+      { $unset: { passwordResetToken: 1, passwordResetExpire: 1 } },
+      { new: true }
+    );
+
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: t(req, 'auth.resetLinkInvalid')
+      });
+    }
+
+    // Saving the new password sets passwordChangedAt, which invalidates existing tokens
+    user.password = req.body.password;
+    await user.save();
+
+    // Sign the user out everywhere
+    await Session.revokeAllForUser(user._id, 'password_reset');
+    clearAuthCookies(res);
+
+    res.json({
+      success: true,
+      message: t(req, 'auth.passwordReset')
+    });
+
+  } catch (error) {
+    console.error('Reset password error:', error);
+    res.status(500).json({
+      success: false,
+      message: t(req, 'auth.passwordResetFailed')
+    });
+  }
+});
+
+// @desc    Exchange refresh token for new tokens
+// @route   POST /api/auth/refresh
+// @access  Public (requires refresh token)
+router.post('/refresh', async (req, res) => {
+  try {
+    const presentedToken = (req.cookies && req.cookies.refreshToken) || req.body.refreshToken;
+
+    if (!presentedToken) {
+      return res.status(401).json({
+        success: false,
+        message: t(req, 'auth.refreshTokenRequired')
+      });
+    }
+
+    const result = await Session.rotate(presentedToken, req);
+
+    if (!result) {
+      clearAuthCookies(res);
+      return res.status(401).json({
+        success: false,
+        message: t(req, 'auth.sessionEnded')
+      });
+    }
+
+    // An already-used token was presented: the session is revoked
+    if (result.reused) {
+      await SecurityEvent.record('refresh_token_reuse', result.session.user, req, {
+        session: result.session._id
+      });
+
+      clearAuthCookies(res);
+      return res.status(401).json({
+        success: false,
+        message: t(req, 'auth.sessionRevokedForSecurity')
+      });
+    }
+
+    const user = await User.findById(result.session.user);
+
+    if (!user || !user.isActive) {
+      await result.session.revoke('admin');
+      clearAuthCookies(res);
+      return res.status(401).json({
+        success: false,
+        message: t(req, 'auth.accountDeactivated')
+      });
+    }
+
+    // Within the reuse grace period there is no new refresh token: the client
+    // keeps the one a concurrent refresh has just received
+    const token = user.generateAuthToken(result.session._id);
+    setAuthCookies(res, token, result.refreshToken);
+
+    res.json({
+      success: true,
+      data: {
+        token,
+        refreshToken: result.refreshToken
+      }
+    });
+
+  } catch (error) {
+    console.error('Refresh token error:', error);
+    res.status(500).json({
+      success: false,
+      message: t(req, 'auth.refreshFailed')
+    });
+  }
+});
+
+// @desc    Get active sessions for current user
+// @route   GET /api/auth/sessions
+// @access  Private
+router.get('/sessions', protect, async (req, res) => {
+  try {
+    const sessions = await Session.find({
+      user: req.user._id,
+      revokedAt: { $exists: false },
+      expiresAt: { $gt: new Date() }
+    }).sort({ lastUsedAt: -1 });
+
+    res.json({
+      success: true,
+      data: {
+        sessions: sessions.map(session => ({
+          _id: session._id,
+          device: session.device,
+          userAgent: session.userAgent,
+          ipAddress: session.ipAddress,
+          lastIpAddress: session.lastIpAddress,
+          lastUsedAt: session.lastUsedAt,
+          createdAt: session.createdAt,
+          expiresAt: session.expiresAt,
+          isCurrent: session._id.toString() === req.authSession._id.toString()
+        }))
+      }
+    });
+
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    res.status(500).json({
+      success: false,
+      message: t(req, 'auth.sessionsFetchFailed')
+    });
+  }
+});
+
+// @desc    Sign out all other devices
+// @route   DELETE /api/auth/sessions
+// @access  Private
+router.delete('/sessions', protect, async (req, res) => {
+  try {
+    const result = await Session.revokeAllForUser(req.user._id, 'user_revoked', req.authSession._id);
+
+    res.json({
+      success: true,
+      message: t(req, 'auth.otherSessionsRevoked'),
+      data: { revokedCount: result.modifiedCount }
+    });
+
+  } catch (error) {
+    console.error('Revoke sessions error:', error);
+    res.status(500).json({
+      success: false,
+      message: t(req, 'auth.sessionsRevokeFailed')
+    });
+  }
+});
+
+// @desc    Sign out a specific device
+// @route   DELETE /api/auth/sessions/:id
+// @access  Private
+router.delete('/sessions/:id', [
+  protect,
+  param('id')
+    .isMongoId()
+    .withMessage(localized('auth.sessionIdInvalid'))
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const session = await Session.findOne({
+      _id: req.params.id,
+      user: req.user._id,
+      revokedAt: { $exists: false }
+    });
+
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: t(req, 'auth.sessionNotFound')
+      });
+    }
+
+    await session.revoke('user_revoked');
+
+    if (session._id.toString() === req.authSession._id.toString()) {
+      clearAuthCookies(res);
+    }
+
+    res.json({
+      success: true,
+      message: t(req, 'auth.sessionRevoked')
+    });
+
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(500).json({
+      success: false,
+      message: t(req, 'auth.sessionRevokeFailed')
+    });
+  }
+});
+
+// @desc    Logout user
+// @route   POST /api/auth/logout
+// @access  Private
+router.post('/logout', protect, async (req, res) => {
+  try {
+    await req.authSession.revoke('logout');
+    clearAuthCookies(res);
+
+    res.json({
+      success: true,
+      message: t(req, 'auth.loggedOut')
+    });
+
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({
+      success: false,
+      message: t(req, 'auth.logoutFailed')
+    });
+  }
+});
+
 module.exports = router;
@@ -0,0 +1,531 @@
+const express = require('express');
+const { body, param, validationResult, query } = require('express-validator');
+const Booking = require('../models/Booking');
+const Service = require('../models/Service');
+const Payment = require('../models/Payment');
+const Quote = require('../models/Quote');
+const Negotiation = require('../models/Negotiation');
+const { capturePayment, cancelPayment } = require('../utils/payments');
+const { issueInvoiceForBooking } = require('../utils/invoices');
+const { protect, requireCustomer, requireServiceProvider } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Statuses that occupy the provider's calendar
+const ACTIVE_STATUSES = ['requested', 'confirmed', 'in_progress'];
+
+const listValidators = [
+  query('status').optional().isIn(Booking.STATUSES),
+  query('page').optional().isInt({ min: 1 }),
+  query('limit').optional().isInt({ min: 1, max: 50 })
+];
+
+// Shared handler for the "my bookings" lists
+const listBookings = (ownerField) => async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { status, page = 1, limit = 12 } = req.query;
+
+    const filter = { [ownerField]: req.user._id };
+    if (status) filter.status = status;
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const [bookings, total] = await Promise.all([
+      Booking.find(filter)
+        .sort({ scheduledStart: -1 })
+        .populate('service', 'title category pricing duration')
+        .populate(ownerField === 'customer' ? 'provider' : 'customer', 'firstName lastName businessInfo.businessName isBusinessVerified profileImage')
+        .skip(skip)
+        .limit(parseInt(limit)),
+      Booking.countDocuments(filter)
+    ]);
+
+    const totalPages = Math.ceil(total / parseInt(limit));
+
+    res.json({
+      success: true,
+      data: {
+        bookings,
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages,
+          totalBookings: total,
+          hasNextPage: parseInt(page) < totalPages,
+          hasPrevPage: parseInt(page) > 1
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Get bookings error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching bookings'
+    });
+  }
+};
+
+// The exact price of a quote the customer books from
+const quotePrice = (quote) => ({
+  amount: quote.total,
+  currency: quote.currency,
+  vatRate: quote.tax.rate,
+  items: quote.lines.map(line => ({ description: line.description, amount: line.amount }))
+});
+
+// The price agreed for a negotiable service
+const agreedPrice = (service, negotiation) => ({
+  amount: negotiation.agreedAmount,
+  currency: negotiation.currency,
+  vatRate: service.pricing.vatRate,
+  items: [{ description: `${service.title} (agreed price)`, amount: negotiation.agreedAmount }]
+});
+
+// Why a quote cannot be used for this booking, if it cannot
+const quoteProblem = (quote, { service, user, scheduledStart, address }) => {
+  if (!quote || !quote.service.equals(service._id) ||
+    (quote.customer && !quote.customer.equals(user._id))) {
+    return 'Quote not found for this service';
+  }
+  if (quote.booking) return 'This quote has already been used';
+  if (quote.expiresAt <= new Date()) return 'This quote has expired';
+
+  // Travel was priced for the quoted address
+  if (quote.address && quote.address.postalCode && address && address.postalCode &&
+    address.postalCode !== quote.address.postalCode) {
+    return 'The booking address must match the address the quote was made for';
+  }
+
+  // Surcharges depend on the time of the job, so the quote must be for the booked time
+  if (quote.scheduledStart) {
+    if (quote.scheduledStart.getTime() !== scheduledStart.getTime()) {
+      return 'The booking must start at the time the quote was made for';
+    }
+  } else {
+    const surcharges = service.pricing.surcharges || {};
+    if (surcharges.weekend > 0 || surcharges.evening > 0) {
+      return 'Get a quote for the time you want to book';
+    }
+  }
+  return null;
+};
+
+// Active bookings of the provider that overlap a time range
+const overlappingBookings = (provider, scheduledStart, scheduledEnd) => ({
+  provider,
+  status: { $in: ACTIVE_STATUSES },
+  scheduledStart: { $lt: scheduledEnd },
+  scheduledEnd: { $gt: scheduledStart }
+});
+
+// Give back the quote or agreed price a booking took, so the customer can try again
+const releaseBookingClaims = async (booking, { quote, negotiation }) => {
+  if (quote) {
+    await Quote.updateOne(
+      { _id: quote._id, booking: booking._id },
+      [{ $set: { purgeAt: '$expiresAt' } }, { $unset: ['booking', 'usedAt'] }]
+    );
+  }
+  if (negotiation) {
+    await Negotiation.updateOne(
+      { _id: negotiation._id, booking: booking._id },
+      { $set: { active: true }, $unset: { booking: 1 }, $inc: { __v: 1 } }
+    );
+  }
+};
+
+// Charge the customer when the job is done and release the card hold when it
+// is called off. The booking change stands even if the gateway call fails;
+// the error is returned so the provider can retry the capture.
+const settleBookingPayment = async (booking) => {
+  const payment = await Payment.findOne({
+    booking: booking._id,
+    status: { $in: Payment.OPEN_STATUSES }
+  });
+  if (!payment) return {};
+
+  try {
+    if (booking.status === 'completed' && payment.status === 'authorized') {
+      return { payment: await capturePayment(payment) || payment };
+    }
+    if (booking.status === 'cancelled') {
+      return { payment: await cancelPayment(payment) || payment };
+    }
+    return { payment };
+  } catch (error) {
+    console.error('Settle booking payment error:', error);
+    return {
+      payment,
+      paymentError: booking.status === 'completed'
+        ? 'The payment could not be captured. Please try again from the payment.'
+        : 'The payment could not be released. Please contact support.'
+    };
+  }
+};
+
+// Malformed IDs get a 400 instead of a cast error from the lookup
+const bookingIdValidator = param('id')
+  .isMongoId()
+  .withMessage('Invalid booking ID');
+
+// Shared handler for status changes
+const transitionBooking = (toStatus, successMessage) => async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const booking = await Booking.findById(req.params.id);
+
+    if (!booking) {
+      return res.status(404).json({
+        success: false,
+        message: 'Booking not found'
+      });
+    }
+
+    if (!booking.isParticipant(req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to update this booking'
+      });
+    }
+
+    if (!booking.canTransition(toStatus, req.user)) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot change booking from '${booking.status}' to '${toStatus}'`
+      });
+    }
+
+    const updatedBooking = await Booking.transition(booking._id, booking.status, toStatus, {
+      user: req.user,
+      reason: req.body.reason
+    });
+
+    // Another request changed the booking first
+    if (!updatedBooking) {
+      return res.status(409).json({
+        success: false,
+        message: 'Booking was updated by another request. Please reload and try again.'
+      });
+    }
+
+    // Confirmed bookings count towards the service's booking total until they are called off
+    if (toStatus === 'confirmed') {
+      await Service.adjustBookingCount(updatedBooking.service, 1);
+    } else if (booking.status === 'confirmed' && ['cancelled', 'no_show'].includes(toStatus)) {
+      await Service.adjustBookingCount(updatedBooking.service, -1);
+    }
+
+    const { payment, paymentError } = ['completed', 'cancelled'].includes(toStatus)
+      ? await settleBookingPayment(updatedBooking)
+      : {};
+
+    // The provider can issue the invoice later if this fails
+    let invoice;
+    if (toStatus === 'completed' && updatedBooking.price && updatedBooking.price.amount) {
+      invoice = await issueInvoiceForBooking(updatedBooking).catch(error => {
+        console.error('Issue booking invoice error:', error);
+      });
+    }
+
+    res.json({
+      success: true,
+      message: successMessage,
+      data: { booking: updatedBooking, payment, paymentError, invoice }
+    });
+
+  } catch (error) {
+    console.error('Update booking status error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating booking'
+    });
+  }
+};
+
+// @desc    Create booking request
+// @route   POST /api/bookings
+// @access  Private (Customers only)
+router.post('/', [
+  protect,
+  requireCustomer,
+  body('service')
+    .isMongoId()
+    .withMessage('A valid service ID is required'),
+  body('scheduledStart')
+    .isISO8601()
+    .withMessage('Start time must be a valid date'),
+  body('quote')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid quote ID'),
+  body('notes')
+    .optional()
+    .isLength({ max: 1000 })
+    .withMessage('Notes cannot exceed 1000 characters')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const service = await Service.findById(req.body.service);
+
+    if (!service || !service.isAvailable) {
+      return res.status(404).json({
+        success: false,
+        message: 'Service not available'
+      });
+    }
+
+    const scheduledStart = new Date(req.body.scheduledStart);
+    if (scheduledStart <= new Date()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Booking must be scheduled in the future'
+      });
+    }
+
+    // Booking from a quote charges exactly the quoted price
+    let quote = null;
+    if (req.body.quote) {
+      quote = await Quote.findById(req.body.quote);
+      const problem = quoteProblem(quote, {
+        service,
+        user: req.user,
+        scheduledStart,
+        address: req.body.address
+      });
+      if (problem) {
+        return res.status(400).json({
+          success: false,
+          message: problem
+        });
+      }
+    }
+
+    // Negotiable services are booked at the price agreed with the provider
+    let negotiation = null;
+    if (service.pricing.type === 'negotiable') {
+      negotiation = await Negotiation.findOne({
+        customer: req.user._id,
+        service: service._id,
+        status: 'agreed',
+        active: true
+      });
+      if (!negotiation) {
+        return res.status(400).json({
+          success: false,
+          message: 'Agree a price with the provider before booking this service'
+        });
+      }
+    }
+
+    // Hourly quotes book the quoted number of hours
+    const minutes = quote && quote.hours ? quote.hours * 60 : (service.duration || 60);
+    const scheduledEnd = new Date(scheduledStart.getTime() + minutes * 60 * 1000);
+
+    // Reject overlapping bookings for the same provider
+    const conflict = await Booking.exists(overlappingBookings(service.provider, scheduledStart, scheduledEnd));
+    if (conflict) {
+      return res.status(409).json({
+        success: false,
+        message: 'The provider is already booked at this time'
+      });
+    }
+
+    const booking = new Booking({
+      customer: req.user._id,
+      provider: service.provider,
+      service: service._id,
+      scheduledStart,
+      scheduledEnd,
+      notes: req.body.notes,
+      address: req.body.address || (quote && quote.address && quote.address.postalCode ? quote.address : req.user.address),
+      price: quote ? quotePrice(quote) : (negotiation ? agreedPrice(service, negotiation) : service.priceSnapshot()),
+      quote: quote ? quote._id : undefined,
+      negotiation: negotiation ? negotiation._id : undefined,
+      statusHistory: [{ status: 'requested', changedBy: req.user._id }]
+    });
+
+    if (quote) {
+      // Take the quote atomically so it cannot be used for two bookings
+      const taken = await Quote.findOneAndUpdate(
+        { _id: quote._id, booking: { $exists: false }, expiresAt: { $gt: new Date() } },
+        { $set: { booking: booking._id, customer: req.user._id, usedAt: new Date() }, $unset: { purgeAt: 1 } }
+      );
+      if (!taken) {
+        return res.status(409).json({
+          success: false,
+          message: 'This quote is no longer available'
+        });
+      }
+    }
+
+    if (negotiation) {
+      // Likewise the agreed price is good for one booking
+      const taken = await Negotiation.findOneAndUpdate(
+        { _id: negotiation._id, status: 'agreed', active: true },
+        { $set: { active: false, booking: booking._id }, $inc: { __v: 1 } }
+      );
+      if (!taken) {
+        return res.status(409).json({
+          success: false,
+          message: 'The agreed price has already been used for a booking'
+        });
+      }
+    }
+
+    try {
+      await booking.save();
+    } catch (error) {
+      await releaseBookingClaims(booking, { quote, negotiation });
+      throw error;
+    }
+
+    // The check above and the insert are separate steps, so two requests can
+    // both pass it. Look again now that the booking is stored and back out if
+    // another one got in: the later of two racing requests always sees the
+    // other, so the slot is never booked twice (at worst both are refused).
+    const overlapping = await Booking.exists({
+      ...overlappingBookings(service.provider, scheduledStart, scheduledEnd),
+      _id: { $ne: booking._id }
+    });
+    if (overlapping) {
+      await Booking.deleteOne({ _id: booking._id });
+      await releaseBookingClaims(booking, { quote, negotiation });
+      return res.status(409).json({
+        success: false,
+        message: 'The provider is already booked at this time'
+      });
+    }
+
+    await booking.populate('service', 'title category pricing duration');
+
+    res.status(201).json({
+      success: true,
+      message: 'Booking requested successfully',
+      data: { booking }
+    });
+
+  } catch (error) {
+    console.error('Create booking error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while creating booking'
+    });
+  }
+});
+
+// @desc    Get bookings made by the current customer
+// @route   GET /api/bookings/customer
+// @access  Private (Customers only)
+router.get('/customer', [protect, requireCustomer, ...listValidators], listBookings('customer'));
+
+// @desc    Get bookings received by the current provider
+// @route   GET /api/bookings/provider
+// @access  Private (Service Providers only)
+router.get('/provider', [protect, requireServiceProvider, ...listValidators], listBookings('provider'));
+
+// @desc    Get booking by ID
+// @route   GET /api/bookings/:id
+// @access  Private (Booking participants and admins)
+router.get('/:id', [protect, bookingIdValidator], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const booking = await Booking.findById(req.params.id)
+      .populate('service', 'title category pricing duration')
+      .populate('customer', 'firstName lastName phone profileImage')
+      .populate('provider', 'firstName lastName businessInfo.businessName isBusinessVerified profileImage');
+
+    if (!booking) {
+      return res.status(404).json({
+        success: false,
+        message: 'Booking not found'
+      });
+    }
+
+    const userId = req.user._id.toString();
+    const isParticipant = booking.customer._id.toString() === userId || booking.provider._id.toString() === userId;
+    if (!isParticipant && req.user.userType !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to view this booking'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { booking }
+    });
+
+  } catch (error) {
+    console.error('Get booking error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching booking'
+    });
+  }
+});
+
+// @desc    Confirm booking
+// @route   PUT /api/bookings/:id/confirm
+// @access  Private (Service Provider - Booking owner only)
+router.put('/:id/confirm', [protect, requireServiceProvider, bookingIdValidator], transitionBooking('confirmed', 'Booking confirmed'));
+
+// @desc    Mark booking as started
+// @route   PUT /api/bookings/:id/start
+// @access  Private (Service Provider - Booking owner only)
+router.put('/:id/start', [protect, requireServiceProvider, bookingIdValidator], transitionBooking('in_progress', 'Booking started'));
+
+// @desc    Mark booking as completed
+// @route   PUT /api/bookings/:id/complete
+// @access  Private (Service Provider - Booking owner only)
+router.put('/:id/complete', [protect, requireServiceProvider, bookingIdValidator], transitionBooking('completed', 'Booking completed'));
+
+// @desc    Mark customer as no-show
+// @route   PUT /api/bookings/:id/no-show
+// @access  Private (Service Provider - Booking owner only)
+router.put('/:id/no-show', [protect, requireServiceProvider, bookingIdValidator], transitionBooking('no_show', 'Booking marked as no-show'));
+
+// @desc    Cancel booking
+// @route   PUT /api/bookings/:id/cancel
+// @access  Private (Booking participants)
+router.put('/:id/cancel', [
+  protect,
+  bookingIdValidator,
+  body('reason')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Cancellation reason cannot exceed 500 characters')
+], transitionBooking('cancelled', 'Booking cancelled'));
+
+module.exports = router;
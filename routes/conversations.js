@@ -0,0 +1,718 @@
+const express = require('express');
+const { body, param, validationResult, query } = require('express-validator');
+const Conversation = require('../models/Conversation');
+const Message = require('../models/Message');
+const Service = require('../models/Service');
+const { trackInquiry } = require('../utils/analytics');
+const { attachmentKey, describeAttachment, sendPrivateFile } = require('../utils/media');
+const { subscribe, publish } = require('../utils/realtime');
+const { protect, requireCustomer, requireAdmin } = require('../middleware/auth');
+
+const router = express.Router();
+
+const PREVIEW_LENGTH = 140;
+
+const participantFields = 'firstName lastName profileImage businessInfo.businessName isBusinessVerified';
+
+// Validators shared by the two routes that send a message
+const messageValidators = [
+  body('body')
+    .optional()
+    .trim()
+    .isLength({ max: 5000 })
+    .withMessage('Message cannot exceed 5000 characters'),
+  body('attachments')
+    .optional()
+    .isArray({ max: Message.MAX_ATTACHMENTS })
+    .withMessage(`A message can have at most ${Message.MAX_ATTACHMENTS} attachments`),
+  body('attachments.*.name')
+    .trim()
+    .notEmpty()
+    .withMessage('Attachment name is required'),
+  body('attachments.*')
+    .custom(async (attachment, { req }) => {
+      const key = attachmentKey(attachment, req.user._id);
+      if (!key || !(await describeAttachment(key))) throw new Error('Not an uploaded attachment');
+    })
+    .withMessage('Attachments must be files you uploaded through /api/media/attachments'),
+  body()
+    .custom(value => Boolean((value.body && value.body.trim()) || (value.attachments && value.attachments.length)))
+    .withMessage('Message must have text or an attachment')
+];
+
+const otherRole = (role) => (role === 'customer' ? 'provider' : 'customer');
+
+/**
+ * Store a message and update the thread preview and the recipient's unread
+ * count, then push it to the recipient's open streams.
+ */
+const postMessage = async (conversation, sender, { body: text, attachments = [] }) => {
+  const role = conversation.roleOf(sender._id);
+  // Type and size come from the stored file; the client's claims are ignored
+  const stored = await Promise.all(attachments.map(async ({ name, key }) => {
+    const storageKey = attachmentKey({ key }, sender._id);
+    return { name, key: storageKey, ...(await describeAttachment(storageKey)) };
+  }));
+  const message = new Message({
+    conversation: conversation._id,
+    sender: sender._id,
+    body: text,
+    attachments: stored
+  });
+  // Attachments are private files, downloaded through the conversation
+  message.attachments.forEach(attachment => {
+    attachment.url = `/api/conversations/${conversation._id}/messages/${message._id}/attachments/${attachment._id}`;
+  });
+  await message.save();
+
+  await Conversation.updateOne({ _id: conversation._id }, {
+    $set: {
+      lastMessage: {
+        body: (text || '').slice(0, PREVIEW_LENGTH),
+        sender: sender._id,
+        hasAttachments: message.attachments.length > 0,
+        sentAt: message.createdAt
+      },
+      lastMessageAt: message.createdAt
+    },
+    $inc: { [`unreadCount.${otherRole(role)}`]: 1 }
+  });
+
+  publish(conversation.otherParticipant(sender._id), 'message', {
+    conversation: conversation._id,
+    message
+  });
+
+  return message;
+};
+
+// Load a thread the user takes part in. Admins may open any thread for moderation.
+const findConversationFor = async (id, user) => {
+  const conversation = await Conversation.findById(id);
+  if (!conversation) return { status: 404, message: 'Conversation not found' };
+
+  const role = conversation.roleOf(user._id);
+  if (!role && user.userType !== 'admin') {
+    return { status: 403, message: 'Not authorized to access this conversation' };
+  }
+
+  return { conversation, role };
+};
+
+// @desc    Stream new messages and read receipts (Server-Sent Events)
+// @route   GET /api/conversations/stream
+// @access  Private
+router.get('/stream', protect, (req, res) => {
+  subscribe(req.user._id, req, res);
+});
+
+// @desc    Get total unread message count
+// @route   GET /api/conversations/unread-count
+// @access  Private
+router.get('/unread-count', protect, async (req, res) => {
+  try {
+    const [result] = await Conversation.aggregate([
+      { $match: { $or: [{ customer: req.user._id }, { provider: req.user._id }] } },
+      {
+        $group: {
+          _id: null,
+          unread: {
+            $sum: {
+              $cond: [{ $eq: ['$customer', req.user._id] }, '$unreadCount.customer', '$unreadCount.provider']
+            }
+          },
+          conversations: {
+            $sum: {
+              $cond: [
+                { $gt: [{ $cond: [{ $eq: ['$customer', req.user._id] }, '$unreadCount.customer', '$unreadCount.provider'] }, 0] },
+                1,
+                0
+              ]
+            }
+          }
+        }
+      }
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        unreadMessages: result ? result.unread : 0,
+        unreadConversations: result ? result.conversations : 0
+      }
+    });
+
+  } catch (error) {
+    console.error('Get unread count error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching unread count'
+    });
+  }
+});
+
+// @desc    Get reported conversations
+// @route   GET /api/conversations/reported
+// @access  Private (Admin only)
+router.get('/reported', [
+  protect,
+  requireAdmin,
+  query('page').optional().isInt({ min: 1 }),
+  query('limit').optional().isInt({ min: 1, max: 100 })
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { page = 1, limit = 20 } = req.query;
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const [conversations, total] = await Promise.all([
+      Conversation.find({ isFlagged: true })
+        .sort({ updatedAt: -1 })
+        .populate('service', 'title')
+        .populate('customer', 'firstName lastName email')
+        .populate('provider', 'firstName lastName email businessInfo.businessName')
+        .populate('reports.reporter', 'firstName lastName')
+        .skip(skip)
+        .limit(parseInt(limit)),
+      Conversation.countDocuments({ isFlagged: true })
+    ]);
+
+    const totalPages = Math.ceil(total / parseInt(limit));
+
+    res.json({
+      success: true,
+      data: {
+        conversations,
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages,
+          totalConversations: total,
+          hasNextPage: parseInt(page) < totalPages,
+          hasPrevPage: parseInt(page) > 1
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Get reported conversations error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching reported conversations'
+    });
+  }
+});
+
+// @desc    Start a conversation about a service (or continue the existing one)
+// @route   POST /api/conversations
+// @access  Private (Customer only)
+router.post('/', [
+  protect,
+  requireCustomer,
+  body('service')
+    .isMongoId()
+    .withMessage('A valid service ID is required'),
+  ...messageValidators
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const service = await Service.findById(req.body.service).select('provider status isVerified title');
+
+    if (!service || !service.isAvailable) {
+      return res.status(404).json({
+        success: false,
+        message: 'Service not available'
+      });
+    }
+
+    let conversation = await Conversation.findOne({ service: service._id, customer: req.user._id });
+    let isNew = false;
+
+    if (!conversation) {
+      try {
+        conversation = await Conversation.create({
+          service: service._id,
+          customer: req.user._id,
+          provider: service.provider
+        });
+        isNew = true;
+      } catch (error) {
+        // Another request opened the thread first
+        if (error.code !== 11000) throw error;
+        conversation = await Conversation.findOne({ service: service._id, customer: req.user._id });
+      }
+    }
+
+    if (conversation.isBlocked()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Messaging is blocked in this conversation'
+      });
+    }
+
+    const message = await postMessage(conversation, req.user, req.body);
+
+    if (isNew) {
+      trackInquiry(service, req);
+    }
+
+    res.status(isNew ? 201 : 200).json({
+      success: true,
+      message: isNew ? 'Conversation started' : 'Message sent',
+      data: { conversation: conversation._id, message }
+    });
+
+  } catch (error) {
+    console.error('Start conversation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while starting conversation'
+    });
+  }
+});
+
+// @desc    Get the user's conversations
+// @route   GET /api/conversations
+// @access  Private
+router.get('/', [
+  protect,
+  query('role').optional().isIn(['customer', 'provider']),
+  query('unread').optional().isBoolean(),
+  query('page').optional().isInt({ min: 1 }),
+  query('limit').optional().isInt({ min: 1, max: 50 })
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { role, unread, page = 1, limit = 20 } = req.query;
+
+    // Users can take part as either side (a provider may also book other services)
+    const roles = role ? [role] : ['customer', 'provider'];
+    const onlyUnread = unread === 'true' || unread === '1';
+    const filter = {
+      $or: roles.map(side => ({
+        [side]: req.user._id,
+        ...(onlyUnread && { [`unreadCount.${side}`]: { $gt: 0 } })
+      }))
+    };
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const [conversations, total] = await Promise.all([
+      Conversation.find(filter)
+        .sort({ lastMessageAt: -1 })
+        .populate('service', 'title images')
+        .populate('customer', participantFields)
+        .populate('provider', participantFields)
+        .skip(skip)
+        .limit(parseInt(limit)),
+      Conversation.countDocuments(filter)
+    ]);
+
+    const totalPages = Math.ceil(total / parseInt(limit));
+
+    res.json({
+      success: true,
+      data: {
+        conversations: conversations.map(conversation => conversation.forParticipant(req.user._id)),
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages,
+          totalConversations: total,
+          hasNextPage: parseInt(page) < totalPages,
+          hasPrevPage: parseInt(page) > 1
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Get conversations error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching conversations'
+    });
+  }
+});
+
+// @desc    Get a conversation
+// @route   GET /api/conversations/:id
+// @access  Private (Participants, or admin)
+router.get('/:id', protect, async (req, res) => {
+  try {
+    const { conversation, role, status, message } = await findConversationFor(req.params.id, req.user);
+
+    if (!conversation) {
+      return res.status(status).json({
+        success: false,
+        message
+      });
+    }
+
+    await conversation.populate([
+      { path: 'service', select: 'title images' },
+      { path: 'customer', select: participantFields },
+      { path: 'provider', select: participantFields }
+    ]);
+
+    res.json({
+      success: true,
+      data: { conversation: role ? conversation.forParticipant(req.user._id) : conversation }
+    });
+
+  } catch (error) {
+    console.error('Get conversation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching conversation'
+    });
+  }
+});
+
+// @desc    Get messages in a conversation, newest page first
+// @route   GET /api/conversations/:id/messages
+// @access  Private (Participants, or admin)
+router.get('/:id/messages', [
+  protect,
+  query('before').optional().isMongoId().withMessage('Invalid message ID'),
+  query('limit').optional().isInt({ min: 1, max: 100 })
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { conversation, status, message } = await findConversationFor(req.params.id, req.user);
+
+    if (!conversation) {
+      return res.status(status).json({
+        success: false,
+        message
+      });
+    }
+
+    const { before, limit = 30 } = req.query;
+
+    const filter = { conversation: conversation._id };
+    if (before) filter._id = { $lt: before };
+
+    const messages = await Message.find(filter)
+      .sort({ _id: -1 })
+      .limit(parseInt(limit) + 1);
+
+    const hasMore = messages.length > parseInt(limit);
+    const page = messages.slice(0, parseInt(limit)).reverse();
+
+    res.json({
+      success: true,
+      data: {
+        messages: page,
+        hasMore,
+        // Pass as `before` to load older messages
+        nextBefore: hasMore ? page[0]._id : null
+      }
+    });
+
+  } catch (error) {
+    console.error('Get messages error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching messages'
+    });
+  }
+});
+
+// @desc    Send a message
+// @route   POST /api/conversations/:id/messages
+// @access  Private (Participants only)
+router.post('/:id/messages', [
+  protect,
+  ...messageValidators
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { conversation, role, status, message } = await findConversationFor(req.params.id, req.user);
+
+    if (!conversation || !role) {
+      return res.status(status || 403).json({
+        success: false,
+        message: message || 'Only participants can send messages'
+      });
+    }
+
+    if (conversation.isBlocked()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Messaging is blocked in this conversation'
+      });
+    }
+
+    const sent = await postMessage(conversation, req.user, req.body);
+
+    res.status(201).json({
+      success: true,
+      message: 'Message sent',
+      data: { message: sent }
+    });
+
+  } catch (error) {
+    console.error('Send message error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while sending message'
+    });
+  }
+});
+
+// @desc    Download a message attachment
+// @route   GET /api/conversations/:id/messages/:messageId/attachments/:attachmentId
+// @access  Private (Participants, or admin)
+router.get('/:id/messages/:messageId/attachments/:attachmentId', [
+  protect,
+  param('id').isMongoId().withMessage('Invalid conversation ID'),
+  param('messageId').isMongoId().withMessage('Invalid message ID'),
+  param('attachmentId').isMongoId().withMessage('Invalid attachment ID')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { conversation, status, message } = await findConversationFor(req.params.id, req.user);
+
+    if (!conversation) {
+      return res.status(status).json({
+        success: false,
+        message
+      });
+    }
+
+    const sent = await Message.findOne({ _id: req.params.messageId, conversation: conversation._id });
+    const attachment = sent && sent.attachments.id(req.params.attachmentId);
+
+    if (!attachment || !attachment.key) {
+      return res.status(404).json({
+        success: false,
+        message: 'Attachment not found'
+      });
+    }
+
+    await sendPrivateFile(res, { name: attachment.name, storageKeys: [attachment.key] });
+
+  } catch (error) {
+    console.error('Download attachment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while downloading attachment'
+    });
+  }
+});
+
+// @desc    Mark a conversation as read
+// @route   PUT /api/conversations/:id/read
+// @access  Private (Participants only)
+router.put('/:id/read', protect, async (req, res) => {
+  try {
+    const { conversation, role, status, message } = await findConversationFor(req.params.id, req.user);
+
+    if (!conversation || !role) {
+      return res.status(status || 403).json({
+        success: false,
+        message: message || 'Only participants can mark messages as read'
+      });
+    }
+
+    const readAt = new Date();
+
+    const result = await Message.updateMany(
+      { conversation: conversation._id, sender: { $ne: req.user._id }, readAt: null },
+      { $set: { readAt } }
+    );
+
+    await Conversation.updateOne({ _id: conversation._id }, {
+      $set: { [`unreadCount.${role}`]: 0, [`lastReadAt.${role}`]: readAt }
+    });
+
+    // Read receipt for the sender
+    if (result.modifiedCount) {
+      publish(conversation.otherParticipant(req.user._id), 'read', {
+        conversation: conversation._id,
+        readBy: req.user._id,
+        readAt
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { markedRead: result.modifiedCount, readAt }
+    });
+
+  } catch (error) {
+    console.error('Mark conversation read error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while marking conversation as read'
+    });
+  }
+});
+
+// Block and unblock share everything except the update
+const setBlocked = (blocked) => async (req, res) => {
+  try {
+    const { conversation, role, status, message } = await findConversationFor(req.params.id, req.user);
+
+    if (!conversation || !role) {
+      return res.status(status || 403).json({
+        success: false,
+        message: message || 'Only participants can block a conversation'
+      });
+    }
+
+    const updated = await Conversation.findByIdAndUpdate(
+      conversation._id,
+      blocked ? { $addToSet: { blockedBy: req.user._id } } : { $pull: { blockedBy: req.user._id } },
+      { new: true }
+    );
+
+    res.json({
+      success: true,
+      message: blocked ? 'Conversation blocked' : 'Conversation unblocked',
+      data: { conversation: updated.forParticipant(req.user._id) }
+    });
+
+  } catch (error) {
+    console.error(`${blocked ? 'Block' : 'Unblock'} conversation error:`, error);
+    res.status(500).json({
+      success: false,
+      message: `Server error while ${blocked ? 'blocking' : 'unblocking'} conversation`
+    });
+  }
+};
+
+// @desc    Block the other participant in a conversation
+// @route   PUT /api/conversations/:id/block
+// @access  Private (Participants only)
+router.put('/:id/block', protect, setBlocked(true));
+
+// @desc    Lift your block on a conversation
+// @route   PUT /api/conversations/:id/unblock
+// @access  Private (Participants only)
+router.put('/:id/unblock', protect, setBlocked(false));
+
+// @desc    Report a conversation or one of its messages
+// @route   POST /api/conversations/:id/report
+// @access  Private (Participants only)
+router.post('/:id/report', [
+  protect,
+  body('reason')
+    .trim()
+    .isLength({ min: 5, max: 500 })
+    .withMessage('Report reason must be between 5 and 500 characters'),
+  body('message')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid message ID'),
+  body('block')
+    .optional()
+    .isBoolean()
+    .withMessage('Block must be true or false')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { conversation, role, status, message } = await findConversationFor(req.params.id, req.user);
+
+    if (!conversation || !role) {
+      return res.status(status || 403).json({
+        success: false,
+        message: message || 'Only participants can report a conversation'
+      });
+    }
+
+    if (req.body.message) {
+      const reported = await Message.exists({ _id: req.body.message, conversation: conversation._id });
+      if (!reported) {
+        return res.status(404).json({
+          success: false,
+          message: 'Message not found in this conversation'
+        });
+      }
+    }
+
+    const alreadyReported = conversation.reports.some(report => report.reporter.toString() === req.user._id.toString());
+    if (alreadyReported) {
+      return res.status(400).json({
+        success: false,
+        message: 'You have already reported this conversation'
+      });
+    }
+
+    conversation.reports.push({ reporter: req.user._id, reason: req.body.reason, message: req.body.message });
+    conversation.isFlagged = true;
+    // Reporting usually goes together with blocking
+    if (req.body.block === true || req.body.block === 'true') {
+      conversation.blockedBy.addToSet(req.user._id);
+    }
+    await conversation.save();
+
+    res.json({
+      success: true,
+      message: 'Conversation reported. Our moderators will look into it.'
+    });
+
+  } catch (error) {
+    console.error('Report conversation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while reporting conversation'
+    });
+  }
+});
+
+module.exports = router;
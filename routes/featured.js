@@ -0,0 +1,441 @@
+const express = require('express');
+const { body, validationResult, query } = require('express-validator');
+const FeaturedListing = require('../models/FeaturedListing');
+const Service = require('../models/Service');
+const { protect, authorize, requireAdmin } = require('../middleware/auth');
+
+const router = express.Router();
+
+const isOwnerOrAdmin = (user, providerId) =>
+  user.userType === 'admin' || providerId.toString() === user._id.toString();
+
+// Put an approved period's placement on its service
+const placeFeaturedPeriod = async (period) => {
+  await Service.updateOne({ _id: period.service }, { $push: { featuredPlacements: period.toPlacement() } });
+
+  // A cancel that ran while this was being placed has already pulled the
+  // service's placements, so take this one back off
+  const live = await FeaturedListing.exists({ _id: period._id, status: { $in: ['scheduled', 'active'] } });
+  if (!live) {
+    await Service.updateOne({ _id: period.service }, { $pull: { featuredPlacements: { period: period._id } } });
+  }
+
+  await Service.syncFeaturedStatus(period.service);
+};
+
+// @desc    Request (provider) or schedule (admin) a featured period for a service
+// @route   POST /api/featured
+// @access  Private (Service Provider - Service owner, or admin)
+router.post('/', [
+  protect,
+  authorize('service_provider', 'admin'),
+  body('service')
+    .isMongoId()
+    .withMessage('A valid service ID is required'),
+  body('startsAt')
+    .isISO8601()
+    .withMessage('Start date must be a valid date'),
+  body('endsAt')
+    .isISO8601()
+    .withMessage('End date must be a valid date'),
+  body('scope')
+    .optional()
+    .isIn(['global', 'category', 'city'])
+    .withMessage('Scope must be global, category or city'),
+  body('city')
+    .if(body('scope').equals('city'))
+    .trim()
+    .notEmpty()
+    .withMessage('City is required for city-scoped features'),
+  body('notes')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Notes cannot exceed 500 characters')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const service = await Service.findById(req.body.service);
+
+    if (!service) {
+      return res.status(404).json({
+        success: false,
+        message: 'Service not found'
+      });
+    }
+
+    if (!isOwnerOrAdmin(req.user, service.provider)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to feature this service'
+      });
+    }
+
+    if (service.status !== 'active' || !service.isVerified) {
+      return res.status(400).json({
+        success: false,
+        message: 'Only active, approved services can be featured'
+      });
+    }
+
+    const startsAt = new Date(req.body.startsAt);
+    const endsAt = new Date(req.body.endsAt);
+    const now = new Date();
+
+    if (endsAt <= startsAt) {
+      return res.status(400).json({
+        success: false,
+        message: 'End date must be after start date'
+      });
+    }
+
+    if (endsAt <= now) {
+      return res.status(400).json({
+        success: false,
+        message: 'Featured period must end in the future'
+      });
+    }
+
+    const scope = req.body.scope || 'global';
+
+    if (scope === 'city') {
+      const city = req.body.city.trim().toLowerCase();
+      const coversCity = (service.serviceArea.cities || []).some(serviceCity => serviceCity.toLowerCase() === city);
+      if (!coversCity) {
+        return res.status(400).json({
+          success: false,
+          message: 'Service does not cover this city'
+        });
+      }
+    }
+
+    // Admins schedule periods directly; provider requests wait for approval
+    const isAdmin = req.user.userType === 'admin';
+
+    const period = new FeaturedListing({
+      service: service._id,
+      provider: service.provider,
+      startsAt,
+      endsAt,
+      scope,
+      // Category features always apply to the service's own category
+      category: scope === 'category' ? service.category : undefined,
+      city: scope === 'city' ? req.body.city : undefined,
+      status: 'pending_approval',
+      requestedBy: req.user._id,
+      price: FeaturedListing.priceFor(scope, startsAt, endsAt),
+      notes: req.body.notes
+    });
+    if (isAdmin) {
+      period.status = period.approvedStatus(now);
+      period.approvedBy = req.user._id;
+      period.approvedAt = now;
+    }
+
+    const overlap = await period.findOverlap();
+    if (overlap) {
+      return res.status(409).json({
+        success: false,
+        message: 'Service is already featured in this scope during the requested period',
+        data: { conflictingPeriod: overlap }
+      });
+    }
+
+    await period.save();
+
+    if (isAdmin) {
+      await placeFeaturedPeriod(period);
+    }
+
+    res.status(201).json({
+      success: true,
+      message: isAdmin
+        ? 'Featured period scheduled successfully'
+        : 'Featured period requested and waiting for approval',
+      data: { featuredPeriod: period }
+    });
+
+  } catch (error) {
+    console.error('Schedule featured period error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while scheduling featured period'
+    });
+  }
+});
+
+// @desc    Get featured periods across all services
+// @route   GET /api/featured
+// @access  Private (Admin only)
+router.get('/', [
+  protect,
+  requireAdmin,
+  query('status').optional().isIn(['pending_approval', 'scheduled', 'active', 'expired', 'cancelled']),
+  query('page').optional().isInt({ min: 1 }),
+  query('limit').optional().isInt({ min: 1, max: 100 })
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { status, page = 1, limit = 20 } = req.query;
+
+    const filter = {};
+    if (status) filter.status = status;
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const [periods, total] = await Promise.all([
+      FeaturedListing.find(filter)
+        .sort({ startsAt: -1 })
+        .populate('service', 'title category')
+        .populate('provider', 'firstName lastName businessInfo.businessName')
+        .skip(skip)
+        .limit(parseInt(limit)),
+      FeaturedListing.countDocuments(filter)
+    ]);
+
+    const totalPages = Math.ceil(total / parseInt(limit));
+
+    res.json({
+      success: true,
+      data: {
+        featuredPeriods: periods,
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages,
+          totalPeriods: total,
+          hasNextPage: parseInt(page) < totalPages,
+          hasPrevPage: parseInt(page) > 1
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Get featured periods error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching featured periods'
+    });
+  }
+});
+
+// @desc    Get featured period history for a service
+// @route   GET /api/featured/service/:serviceId
+// @access  Private (Service Provider - Service owner, or admin)
+router.get('/service/:serviceId', protect, async (req, res) => {
+  try {
+    const service = await Service.findById(req.params.serviceId).select('provider title');
+
+    if (!service) {
+      return res.status(404).json({
+        success: false,
+        message: 'Service not found'
+      });
+    }
+
+    if (!isOwnerOrAdmin(req.user, service.provider)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to view featuring history for this service'
+      });
+    }
+
+    const periods = await FeaturedListing.find({ service: service._id })
+      .sort({ startsAt: -1 })
+      .populate('requestedBy', 'firstName lastName userType')
+      .populate('cancelledBy', 'firstName lastName userType');
+
+    res.json({
+      success: true,
+      data: {
+        service: { _id: service._id, title: service.title },
+        featuredPeriods: periods
+      }
+    });
+
+  } catch (error) {
+    console.error('Get featured history error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching featuring history'
+    });
+  }
+});
+
+// @desc    Approve a requested featured period
+// @route   PUT /api/featured/:id/approve
+// @access  Private (Admin only)
+router.put('/:id/approve', [protect, requireAdmin], async (req, res) => {
+  try {
+    const period = await FeaturedListing.findById(req.params.id);
+
+    if (!period) {
+      return res.status(404).json({
+        success: false,
+        message: 'Featured period not found'
+      });
+    }
+
+    if (period.status !== 'pending_approval') {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot approve a featured period with status '${period.status}'`
+      });
+    }
+
+    const now = new Date();
+    if (period.endsAt <= now) {
+      return res.status(400).json({
+        success: false,
+        message: 'Featured period has already ended'
+      });
+    }
+
+    // Approve only while the request is still pending, so it is placed once
+    const approved = await FeaturedListing.findOneAndUpdate(
+      { _id: period._id, status: 'pending_approval' },
+      { $set: { status: period.approvedStatus(now), approvedBy: req.user._id, approvedAt: now } },
+      { new: true }
+    );
+
+    if (!approved) {
+      return res.status(409).json({
+        success: false,
+        message: 'Featured period was updated by another request. Please reload and try again.'
+      });
+    }
+
+    await placeFeaturedPeriod(approved);
+
+    res.json({
+      success: true,
+      message: 'Featured period approved',
+      data: { featuredPeriod: approved }
+    });
+
+  } catch (error) {
+    console.error('Approve featured period error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while approving featured period'
+    });
+  }
+});
+
+// @desc    Cancel or decline a featured period
+// @route   PUT /api/featured/:id/cancel
+// @access  Private (Service Provider - before the period starts, or admin)
+router.put('/:id/cancel', [
+  protect,
+  authorize('service_provider', 'admin'),
+  body('reason')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Cancellation reason cannot exceed 500 characters')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const period = await FeaturedListing.findById(req.params.id);
+
+    if (!period) {
+      return res.status(404).json({
+        success: false,
+        message: 'Featured period not found'
+      });
+    }
+
+    if (!isOwnerOrAdmin(req.user, period.provider)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to cancel this featured period'
+      });
+    }
+
+    // Providers can only withdraw periods that have not started yet
+    const isAdmin = req.user.userType === 'admin';
+    const allowedStatuses = isAdmin
+      ? ['pending_approval', 'scheduled', 'active']
+      : ['pending_approval', 'scheduled'];
+    if (!allowedStatuses.includes(period.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot cancel a featured period with status '${period.status}'`
+      });
+    }
+
+    const now = new Date();
+    if (!isAdmin && period.startsAt <= now) {
+      return res.status(400).json({
+        success: false,
+        message: 'Featured period has already started'
+      });
+    }
+
+    // Cancel only while the period is still in a cancellable state
+    const cancelled = await FeaturedListing.findOneAndUpdate(
+      {
+        _id: period._id,
+        status: { $in: allowedStatuses },
+        ...(!isAdmin && { startsAt: { $gt: now } })
+      },
+      {
+        $set: {
+          status: 'cancelled',
+          cancelledBy: req.user._id,
+          cancelledAt: now,
+          cancellationReason: req.body.reason
+        }
+      },
+      { new: true }
+    );
+
+    if (!cancelled) {
+      return res.status(409).json({
+        success: false,
+        message: 'Featured period was updated by another request. Please reload and try again.'
+      });
+    }
+
+    await Service.updateOne({ _id: period.service }, { $pull: { featuredPlacements: { period: period._id } } });
+    await Service.syncFeaturedStatus(period.service);
+
+    res.json({
+      success: true,
+      message: 'Featured period cancelled',
+      data: { featuredPeriod: cancelled }
+    });
+
+  } catch (error) {
+    console.error('Cancel featured period error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while cancelling featured period'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,319 @@
+const express = require('express');
+const { body, validationResult, query } = require('express-validator');
+const Invoice = require('../models/Invoice');
+const Booking = require('../models/Booking');
+const { toMinorUnits, fromMinorUnits } = require('../utils/money');
+const { issueInvoiceForBooking, issueCreditNote, assignNumber } = require('../utils/invoices');
+const { renderInvoicePdf, renderInvoiceEhf } = require('../utils/invoiceDocuments');
+const { protect, requireServiceProvider } = require('../middleware/auth');
+
+const router = express.Router();
+
+const FILE_PREFIXES = {
+  invoice: 'faktura',
+  credit_note: 'kreditnota'
+};
+
+// Load an invoice the user may see, along with the invoice it credits.
+// A document whose numbering failed is numbered before it is shown.
+const findInvoiceForUser = async (id, user) => {
+  const found = await Invoice.findById(id);
+  if (!found || (user.userType !== 'admin' && !found.isParticipant(user))) {
+    return {};
+  }
+  const invoice = await assignNumber(found);
+
+  const creditedInvoice = invoice.creditedInvoice
+    ? await Invoice.findById(invoice.creditedInvoice).select('number issueDate')
+    : null;
+  return { invoice, creditedInvoice };
+};
+
+// @desc    Get the user's invoices and credit notes
+// @route   GET /api/invoices
+// @access  Private (Customers see invoices addressed to them, providers the ones they issued)
+router.get('/', [
+  protect,
+  query('type').optional().isIn(['invoice', 'credit_note']).withMessage('Type must be invoice or credit_note'),
+  query('booking').optional().isMongoId().withMessage('Invalid booking ID'),
+  query('page').optional().isInt({ min: 1 }),
+  query('limit').optional().isInt({ min: 1, max: 50 })
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { type, booking, page = 1, limit = 12 } = req.query;
+
+    const filter = {};
+    if (req.user.userType === 'service_provider') filter.provider = req.user._id;
+    else if (req.user.userType === 'customer') filter.customer = req.user._id;
+    if (type) filter.type = type;
+    if (booking) filter.booking = booking;
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const [invoices, total] = await Promise.all([
+      Invoice.find(filter)
+        .sort({ issueDate: -1, number: -1 })
+        .select('-lines')
+        .skip(skip)
+        .limit(parseInt(limit)),
+      Invoice.countDocuments(filter)
+    ]);
+
+    const totalPages = Math.ceil(total / parseInt(limit));
+
+    res.json({
+      success: true,
+      data: {
+        invoices,
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages,
+          totalInvoices: total,
+          hasNextPage: parseInt(page) < totalPages,
+          hasPrevPage: parseInt(page) > 1
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Get invoices error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching invoices'
+    });
+  }
+});
+
+// @desc    Issue the invoice for a completed booking
+// @route   POST /api/invoices/booking/:bookingId
+// @access  Private (Service Provider - Booking owner only)
+router.post('/booking/:bookingId', [protect, requireServiceProvider], async (req, res) => {
+  try {
+    const booking = await Booking.findById(req.params.bookingId);
+
+    if (!booking || booking.provider.toString() !== req.user._id.toString()) {
+      return res.status(404).json({
+        success: false,
+        message: 'Booking not found'
+      });
+    }
+
+    if (booking.status !== 'completed') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invoices are issued for completed bookings'
+      });
+    }
+
+    if (!booking.price || !booking.price.amount) {
+      return res.status(400).json({
+        success: false,
+        message: 'This booking has no price to invoice'
+      });
+    }
+
+    const invoice = await issueInvoiceForBooking(booking);
+
+    res.status(201).json({
+      success: true,
+      message: 'Invoice issued',
+      data: { invoice }
+    });
+
+  } catch (error) {
+    console.error('Issue invoice error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while issuing invoice'
+    });
+  }
+});
+
+// @desc    Get single invoice or credit note
+// @route   GET /api/invoices/:id
+// @access  Private (Invoice participants and admins)
+router.get('/:id', protect, async (req, res) => {
+  try {
+    const { invoice, creditedInvoice } = await findInvoiceForUser(req.params.id, req.user);
+
+    if (!invoice) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invoice not found'
+      });
+    }
+
+    const creditNotes = invoice.type === 'invoice'
+      ? await Invoice.find({ creditedInvoice: invoice._id }).select('number issueDate grossTotal creditReason')
+      : undefined;
+
+    res.json({
+      success: true,
+      data: { invoice, creditedInvoice, creditNotes }
+    });
+
+  } catch (error) {
+    console.error('Get invoice error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching invoice'
+    });
+  }
+});
+
+// @desc    Download invoice or credit note as PDF
+// @route   GET /api/invoices/:id/pdf
+// @access  Private (Invoice participants and admins)
+router.get('/:id/pdf', protect, async (req, res) => {
+  try {
+    const { invoice, creditedInvoice } = await findInvoiceForUser(req.params.id, req.user);
+
+    if (!invoice) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invoice not found'
+      });
+    }
+
+    const pdf = await renderInvoicePdf(invoice, creditedInvoice);
+
+    res.set({
+      'Content-Type': 'application/pdf',
+      'Content-Disposition': `attachment; filename="${FILE_PREFIXES[invoice.type]}-${invoice.number}.pdf"`,
+      'Cache-Control': 'private, no-store'
+    });
+    res.send(pdf);
+
+  } catch (error) {
+    console.error('Download invoice PDF error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while rendering invoice'
+    });
+  }
+});
+
+// @desc    Download invoice or credit note as EHF (PEPPOL BIS Billing 3.0)
+// @route   GET /api/invoices/:id/ehf
+// @access  Private (Invoice participants and admins)
+router.get('/:id/ehf', protect, async (req, res) => {
+  try {
+    const { invoice, creditedInvoice } = await findInvoiceForUser(req.params.id, req.user);
+
+    if (!invoice) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invoice not found'
+      });
+    }
+
+    if (!invoice.seller.organisationNumber || !invoice.buyer.organisationNumber) {
+      return res.status(400).json({
+        success: false,
+        message: 'EHF is only available when both seller and buyer have an organisation number'
+      });
+    }
+
+    res.set({
+      'Content-Type': 'application/xml; charset=utf-8',
+      'Content-Disposition': `attachment; filename="${FILE_PREFIXES[invoice.type]}-${invoice.number}.xml"`,
+      'Cache-Control': 'private, no-store'
+    });
+    res.send(renderInvoiceEhf(invoice, creditedInvoice));
+
+  } catch (error) {
+    console.error('Download invoice EHF error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while rendering invoice'
+    });
+  }
+});
+
+// @desc    Issue a credit note against an invoice
+// @route   POST /api/invoices/:id/credit-notes
+// @access  Private (Service Provider - Invoice issuer, Admin)
+router.post('/:id/credit-notes', [
+  protect,
+  body('amount')
+    .optional()
+    .isFloat({ gt: 0 })
+    .withMessage('Credit amount must be a positive number'),
+  body('reason')
+    .trim()
+    .isLength({ min: 3, max: 500 })
+    .withMessage('Reason must be between 3 and 500 characters')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const invoice = await Invoice.findById(req.params.id);
+
+    if (!invoice || (req.user.userType !== 'admin' && invoice.provider.toString() !== req.user._id.toString())) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invoice not found'
+      });
+    }
+
+    if (invoice.type !== 'invoice') {
+      return res.status(400).json({
+        success: false,
+        message: 'Only invoices can be credited'
+      });
+    }
+
+    // Amounts in requests are in major units (kroner), MVA included
+    const remaining = invoice.grossTotal - invoice.creditedAmount;
+    const amount = req.body.amount !== undefined
+      ? toMinorUnits(req.body.amount, invoice.currency)
+      : remaining;
+
+    if (amount <= 0 || amount > remaining) {
+      return res.status(400).json({
+        success: false,
+        message: `Credit amount must be between 0 and ${fromMinorUnits(remaining, invoice.currency)} ${invoice.currency}`
+      });
+    }
+
+    const creditNote = await issueCreditNote(invoice, { amount, reason: req.body.reason });
+
+    if (!creditNote) {
+      return res.status(409).json({
+        success: false,
+        message: 'Invoice was credited by another request. Please reload and try again.'
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Credit note issued',
+      data: { creditNote }
+    });
+
+  } catch (error) {
+    console.error('Issue credit note error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while issuing credit note'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,462 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const Service = require('../models/Service');
+const User = require('../models/User');
+const { inspectFiles, storeUpload, storeUploads, uploadFiles, attachmentPrefix } = require('../utils/media');
+const { removeFiles } = require('../utils/storage');
+const { protect, requireServiceProvider } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Service media collections: upload kind, multipart field and limits
+const SERVICE_MEDIA = {
+  images: { kind: 'image', field: 'images', label: 'Image', maxPerUpload: 10, maxTotal: 20 },
+  videos: { kind: 'video', field: 'video', label: 'Video', maxPerUpload: 1, maxTotal: 5 },
+  documents: { kind: 'document', field: 'document', label: 'Document', maxPerUpload: 1, maxTotal: 10 }
+};
+
+// Profile images on the user
+const PROFILE_IMAGES = {
+  avatar: { kind: 'avatar', field: 'profileImage', label: 'Profile image', defaultValue: 'default-avatar.png' },
+  cover: { kind: 'cover', field: 'coverImage', label: 'Cover image' }
+};
+
+const captionValidator = body('caption')
+  .optional()
+  .trim()
+  .isLength({ max: 200 })
+  .withMessage('Caption cannot exceed 200 characters');
+
+// Build the stored sub-document for a collection from an upload
+const mediaEntry = (collection, stored, file, fields) => {
+  const common = { url: stored.url, mimeType: stored.mimeType, size: stored.size, storageKeys: stored.storageKeys };
+
+  switch (collection) {
+    case 'images':
+      return { ...common, caption: fields.caption, variants: stored.variants, width: stored.width, height: stored.height };
+    case 'videos':
+      return { ...common, caption: fields.caption };
+    default:
+      return { ...common, name: fields.name || file.originalname, type: fields.type };
+  }
+};
+
+// Load a service the current provider owns, or send the error response
+const findOwnedService = async (req, res, select) => {
+  const service = await Service.findById(req.params.serviceId).select(`provider ${select}`);
+
+  if (!service) {
+    res.status(404).json({
+      success: false,
+      message: 'Service not found'
+    });
+    return null;
+  }
+
+  if (service.provider.toString() !== req.user._id.toString()) {
+    res.status(403).json({
+      success: false,
+      message: 'Not authorized to manage media for this service'
+    });
+    return null;
+  }
+
+  return service;
+};
+
+const addServiceMedia = (collection) => async (req, res) => {
+  const { kind, label, maxTotal } = SERVICE_MEDIA[collection];
+
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    if (!req.files || !req.files.length) {
+      return res.status(400).json({
+        success: false,
+        message: 'No file uploaded'
+      });
+    }
+
+    const service = await findOwnedService(req, res, collection);
+    if (!service) return;
+
+    if (service[collection].length + req.files.length > maxTotal) {
+      return res.status(400).json({
+        success: false,
+        message: `A service can have at most ${maxTotal} ${collection}`
+      });
+    }
+
+    const { files, error } = inspectFiles(req.files, kind);
+    if (error) {
+      return res.status(415).json({
+        success: false,
+        message: error
+      });
+    }
+
+    const stored = await storeUploads(files, kind, `services/${service._id}/${collection}`);
+    const entries = stored.map((item, index) => mediaEntry(collection, item, files[index].file, req.body));
+
+    // The condition re-checks the limit, so concurrent uploads cannot exceed it
+    const result = await Service.updateOne(
+      { _id: service._id, [`${collection}.${maxTotal - entries.length}`]: { $exists: false } },
+      { $push: { [collection]: { $each: entries } } }
+    );
+
+    if (!result.modifiedCount) {
+      await removeFiles(stored.flatMap(item => item.storageKeys));
+      return res.status(409).json({
+        success: false,
+        message: `A service can have at most ${maxTotal} ${collection}`
+      });
+    }
+
+    if (collection === 'images') {
+      await Service.ensurePrimaryImage(service._id);
+    }
+
+    const updated = await Service.findById(service._id).select(collection);
+
+    res.status(201).json({
+      success: true,
+      message: `${label}${entries.length > 1 ? 's' : ''} uploaded successfully`,
+      data: { [collection]: updated[collection] }
+    });
+
+  } catch (error) {
+    if (error.isInvalidImage) {
+      return res.status(415).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error(`Upload service ${collection} error:`, error);
+    res.status(500).json({
+      success: false,
+      message: `Server error while uploading ${collection}`
+    });
+  }
+};
+
+const removeServiceMedia = (collection) => async (req, res) => {
+  const { label } = SERVICE_MEDIA[collection];
+
+  try {
+    const service = await findOwnedService(req, res, collection);
+    if (!service) return;
+
+    const item = service[collection].id(req.params.mediaId);
+    if (!item) {
+      return res.status(404).json({
+        success: false,
+        message: `${label} not found`
+      });
+    }
+
+    const result = await Service.updateOne(
+      { _id: service._id },
+      { $pull: { [collection]: { _id: item._id } } }
+    );
+
+    // Only the request that actually removed the entry cleans up its files
+    if (result.modifiedCount) {
+      await removeFiles(item.storageKeys);
+      if (collection === 'images' && item.isPrimary) {
+        await Service.ensurePrimaryImage(service._id);
+      }
+    }
+
+    res.json({
+      success: true,
+      message: `${label} deleted successfully`
+    });
+
+  } catch (error) {
+    console.error(`Delete service ${collection} error:`, error);
+    res.status(500).json({
+      success: false,
+      message: `Server error while deleting ${collection}`
+    });
+  }
+};
+
+const setProfileImage = (type) => async (req, res) => {
+  const { kind, field, label } = PROFILE_IMAGES[type];
+
+  try {
+    if (!req.files || !req.files.length) {
+      return res.status(400).json({
+        success: false,
+        message: 'No file uploaded'
+      });
+    }
+
+    const { files, error } = inspectFiles(req.files, kind);
+    if (error) {
+      return res.status(415).json({
+        success: false,
+        message: error
+      });
+    }
+
+    const stored = await storeUpload(files[0], kind, `users/${req.user._id}/${type}`);
+
+    const previous = await User.findByIdAndUpdate(req.user._id, {
+      $set: {
+        [field]: stored.url,
+        [`imageThumbnails.${field}`]: stored.variants.thumbnail,
+        [`imageStorageKeys.${field}`]: stored.storageKeys
+      }
+    }).select(`+imageStorageKeys.${field}`);
+
+    await removeFiles((previous && previous.imageStorageKeys && previous.imageStorageKeys[field]) || []);
+
+    res.json({
+      success: true,
+      message: `${label} updated successfully`,
+      data: { [field]: stored.url, thumbnail: stored.variants.thumbnail }
+    });
+
+  } catch (error) {
+    if (error.isInvalidImage) {
+      return res.status(415).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error(`Upload ${type} error:`, error);
+    res.status(500).json({
+      success: false,
+      message: `Server error while uploading ${label.toLowerCase()}`
+    });
+  }
+};
+
+const removeProfileImage = (type) => async (req, res) => {
+  const { field, label, defaultValue } = PROFILE_IMAGES[type];
+
+  try {
+    const update = {
+      $unset: { [`imageThumbnails.${field}`]: 1, [`imageStorageKeys.${field}`]: 1 }
+    };
+    if (defaultValue) {
+      update.$set = { [field]: defaultValue };
+    } else {
+      update.$unset[field] = 1;
+    }
+
+    const previous = await User.findByIdAndUpdate(req.user._id, update).select(`+imageStorageKeys.${field}`);
+
+    await removeFiles((previous && previous.imageStorageKeys && previous.imageStorageKeys[field]) || []);
+
+    res.json({
+      success: true,
+      message: `${label} removed`
+    });
+
+  } catch (error) {
+    console.error(`Remove ${type} error:`, error);
+    res.status(500).json({
+      success: false,
+      message: `Server error while removing ${label.toLowerCase()}`
+    });
+  }
+};
+
+// @desc    Upload images for a service (multipart field "images", up to 10 files)
+// @route   POST /api/media/services/:serviceId/images
+// @access  Private (Service Provider - Owner only)
+router.post('/services/:serviceId/images', [
+  protect,
+  requireServiceProvider,
+  uploadFiles('images', 'image', SERVICE_MEDIA.images.maxPerUpload),
+  captionValidator
+], addServiceMedia('images'));
+
+// @desc    Update an image's caption or make it the primary image
+// @route   PUT /api/media/services/:serviceId/images/:mediaId
+// @access  Private (Service Provider - Owner only)
+router.put('/services/:serviceId/images/:mediaId', [
+  protect,
+  requireServiceProvider,
+  captionValidator,
+  body('isPrimary')
+    .optional()
+    .isIn([true, 'true'])
+    .withMessage('isPrimary can only be set to true; make another image primary instead')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const service = await findOwnedService(req, res, 'images');
+    if (!service) return;
+
+    const image = service.images.id(req.params.mediaId);
+    if (!image) {
+      return res.status(404).json({
+        success: false,
+        message: 'Image not found'
+      });
+    }
+
+    if (req.body.caption !== undefined) {
+      await Service.updateOne(
+        { _id: service._id, 'images._id': image._id },
+        { $set: { 'images.$.caption': req.body.caption } }
+      );
+    }
+
+    if (req.body.isPrimary !== undefined) {
+      await Service.setPrimaryImage(service._id, image._id);
+    }
+
+    const updated = await Service.findById(service._id).select('images');
+
+    res.json({
+      success: true,
+      message: 'Image updated successfully',
+      data: { images: updated.images }
+    });
+
+  } catch (error) {
+    console.error('Update service image error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating image'
+    });
+  }
+});
+
+// @desc    Delete a service image
+// @route   DELETE /api/media/services/:serviceId/images/:mediaId
+// @access  Private (Service Provider - Owner only)
+router.delete('/services/:serviceId/images/:mediaId', [protect, requireServiceProvider], removeServiceMedia('images'));
+
+// @desc    Upload a video for a service (multipart field "video")
+// @route   POST /api/media/services/:serviceId/videos
+// @access  Private (Service Provider - Owner only)
+router.post('/services/:serviceId/videos', [
+  protect,
+  requireServiceProvider,
+  uploadFiles('video', 'video', SERVICE_MEDIA.videos.maxPerUpload),
+  captionValidator
+], addServiceMedia('videos'));
+
+// @desc    Delete a service video
+// @route   DELETE /api/media/services/:serviceId/videos/:mediaId
+// @access  Private (Service Provider - Owner only)
+router.delete('/services/:serviceId/videos/:mediaId', [protect, requireServiceProvider], removeServiceMedia('videos'));
+
+// @desc    Upload a document for a service (multipart field "document")
+// @route   POST /api/media/services/:serviceId/documents
+// @access  Private (Service Provider - Owner only)
+router.post('/services/:serviceId/documents', [
+  protect,
+  requireServiceProvider,
+  uploadFiles('document', 'document', SERVICE_MEDIA.documents.maxPerUpload),
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Document name must be between 1 and 100 characters'),
+  body('type')
+    .optional()
+    .trim()
+    .isLength({ max: 50 })
+    .withMessage('Document type cannot exceed 50 characters')
+], addServiceMedia('documents'));
+
+// @desc    Delete a service document
+// @route   DELETE /api/media/services/:serviceId/documents/:mediaId
+// @access  Private (Service Provider - Owner only)
+router.delete('/services/:serviceId/documents/:mediaId', [protect, requireServiceProvider], removeServiceMedia('documents'));
+
+// @desc    Upload a file to attach to a message (multipart field "file"). The
+//          returned key is then sent with the message.
+// @route   POST /api/media/attachments
+// @access  Private
+router.post('/attachments', [protect, uploadFiles('file', 'document')], async (req, res) => {
+  try {
+    if (!req.files || !req.files.length) {
+      return res.status(400).json({
+        success: false,
+        message: 'No file uploaded'
+      });
+    }
+
+    const { files, error } = inspectFiles(req.files, 'document');
+    if (error) {
+      return res.status(415).json({
+        success: false,
+        message: error
+      });
+    }
+
+    const stored = await storeUpload(files[0], 'document', attachmentPrefix(req.user._id));
+
+    res.status(201).json({
+      success: true,
+      data: {
+        attachment: {
+          name: files[0].file.originalname,
+          key: stored.storageKeys[0],
+          mimeType: stored.mimeType,
+          size: stored.size
+        }
+      }
+    });
+
+  } catch (error) {
+    if (error.isInvalidImage) {
+      return res.status(415).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Upload attachment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while uploading attachment'
+    });
+  }
+});
+
+// @desc    Upload a profile image (multipart field "image")
+// @route   PUT /api/media/profile/avatar
+// @access  Private
+router.put('/profile/avatar', [protect, uploadFiles('image', 'avatar')], setProfileImage('avatar'));
+
+// @desc    Remove the profile image
+// @route   DELETE /api/media/profile/avatar
+// @access  Private
+router.delete('/profile/avatar', protect, removeProfileImage('avatar'));
+
+// @desc    Upload a cover image (multipart field "image")
+// @route   PUT /api/media/profile/cover
+// @access  Private
+router.put('/profile/cover', [protect, uploadFiles('image', 'cover')], setProfileImage('cover'));
+
+// @desc    Remove the cover image
+// @route   DELETE /api/media/profile/cover
+// @access  Private
+router.delete('/profile/cover', protect, removeProfileImage('cover'));
+
+module.exports = router;
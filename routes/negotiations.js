@@ -0,0 +1,373 @@
+const express = require('express');
+const { body, validationResult, query } = require('express-validator');
+const Negotiation = require('../models/Negotiation');
+const Service = require('../models/Service');
+const { publish } = require('../utils/realtime');
+const { protect, requireCustomer } = require('../middleware/auth');
+
+const router = express.Router();
+
+const PARTICIPANT_FIELDS = 'firstName lastName businessInfo.businessName isBusinessVerified profileImage';
+
+const offerValidators = [
+  body('amount')
+    .isFloat({ gt: 0 })
+    .withMessage('Amount must be a positive number')
+    .toFloat(),
+  body('message')
+    .optional()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Message cannot exceed 1000 characters')
+];
+
+// Load a negotiation the user may see, closing it first if its open offer has run out
+const findNegotiationForUser = async (id, user) => {
+  const negotiation = await Negotiation.findById(id);
+  if (!negotiation || (user.userType !== 'admin' && !negotiation.roleOf(user._id))) {
+    return null;
+  }
+
+  if (negotiation.expireIfDue()) {
+    try {
+      await negotiation.save();
+    } catch (error) {
+      if (error.name !== 'VersionError') throw error;
+      // Changed by the other side in the meantime
+      return Negotiation.findById(id);
+    }
+  }
+  return negotiation;
+};
+
+// Tell the other side about a change
+const notifyOtherSide = (negotiation, user) => {
+  publish(negotiation.otherParticipant(user._id), 'negotiation', {
+    negotiation: negotiation._id,
+    status: negotiation.status,
+    offer: negotiation.offers[negotiation.offers.length - 1]
+  });
+};
+
+// Shared handler for answering the other side's open offer. `apply` updates
+// the negotiation and returns an error message when the answer is not allowed.
+const answerOffer = ({ action, successMessage, apply }) => async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const negotiation = await findNegotiationForUser(req.params.id, req.user);
+    const role = negotiation && negotiation.roleOf(req.user._id);
+
+    if (!role) {
+      return res.status(404).json({
+        success: false,
+        message: 'Negotiation not found'
+      });
+    }
+
+    if (negotiation.status !== 'open') {
+      return res.status(400).json({
+        success: false,
+        message: `This negotiation is ${negotiation.status}`
+      });
+    }
+
+    const offer = negotiation.openOffer;
+    if (!offer || offer.by === role) {
+      return res.status(400).json({
+        success: false,
+        message: 'Wait for the other side to answer your offer'
+      });
+    }
+
+    const now = new Date();
+    const problem = apply(negotiation, offer, { role, now, body: req.body });
+    if (problem) {
+      return res.status(400).json({
+        success: false,
+        message: problem
+      });
+    }
+    offer.respondedAt = now;
+
+    await negotiation.save();
+
+    notifyOtherSide(negotiation, req.user);
+
+    res.json({
+      success: true,
+      message: successMessage,
+      data: { negotiation }
+    });
+
+  } catch (error) {
+    if (error.name === 'VersionError') {
+      return res.status(409).json({
+        success: false,
+        message: 'The negotiation changed while you were answering. Reload it and try again.'
+      });
+    }
+    console.error(`${action} offer error:`, error);
+    res.status(500).json({
+      success: false,
+      message: `Server error while ${action.toLowerCase()} offer`
+    });
+  }
+};
+
+// @desc    Start a negotiation with a job description and budget
+// @route   POST /api/negotiations
+// @access  Private (Customers only)
+router.post('/', [
+  protect,
+  requireCustomer,
+  body('service')
+    .isMongoId()
+    .withMessage('A valid service ID is required'),
+  body('description')
+    .trim()
+    .isLength({ min: 20, max: 2000 })
+    .withMessage('Job description must be between 20 and 2000 characters'),
+  body('budget')
+    .isFloat({ gt: 0 })
+    .withMessage('Budget must be a positive number')
+    .toFloat(),
+  body('message')
+    .optional()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Message cannot exceed 1000 characters')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const service = await Service.findById(req.body.service);
+
+    if (!service || !service.isAvailable) {
+      return res.status(404).json({
+        success: false,
+        message: 'Service not available'
+      });
+    }
+
+    if (service.pricing.type !== 'negotiable') {
+      return res.status(400).json({
+        success: false,
+        message: 'This service has a set price'
+      });
+    }
+
+    const existing = await Negotiation.findOne({ customer: req.user._id, service: service._id, active: true });
+    if (existing && !existing.expireIfDue()) {
+      return res.status(409).json({
+        success: false,
+        message: existing.status === 'agreed'
+          ? 'You have already agreed a price for this service'
+          : 'You already have an open negotiation for this service',
+        data: { negotiation: existing._id }
+      });
+    }
+    if (existing) await existing.save();
+
+    const negotiation = await Negotiation.create({
+      service: service._id,
+      customer: req.user._id,
+      provider: service.provider,
+      description: req.body.description,
+      currency: service.pricing.currency,
+      offers: [{
+        by: 'customer',
+        amount: req.body.budget,
+        message: req.body.message,
+        expiresAt: Negotiation.offerExpiry()
+      }]
+    });
+
+    notifyOtherSide(negotiation, req.user);
+
+    res.status(201).json({
+      success: true,
+      message: 'Negotiation started',
+      data: { negotiation }
+    });
+
+  } catch (error) {
+    // A concurrent request opened one first
+    if (error.code === 11000 || error.name === 'VersionError') {
+      return res.status(409).json({
+        success: false,
+        message: 'You already have an open negotiation for this service'
+      });
+    }
+    console.error('Create negotiation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while starting negotiation'
+    });
+  }
+});
+
+// @desc    Get the user's negotiations
+// @route   GET /api/negotiations
+// @access  Private (Customers see the ones they started, providers the ones on their services)
+router.get('/', [
+  protect,
+  query('status').optional().isIn(Negotiation.STATUSES).withMessage('Invalid status'),
+  query('service').optional().isMongoId().withMessage('Invalid service ID'),
+  query('page').optional().isInt({ min: 1 }),
+  query('limit').optional().isInt({ min: 1, max: 50 })
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { status, service, page = 1, limit = 12 } = req.query;
+
+    const filter = {};
+    if (req.user.userType === 'service_provider') filter.provider = req.user._id;
+    else if (req.user.userType === 'customer') filter.customer = req.user._id;
+    if (status) filter.status = status;
+    if (service) filter.service = service;
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const [negotiations, total] = await Promise.all([
+      Negotiation.find(filter)
+        .sort({ updatedAt: -1 })
+        .populate('service', 'title category pricing.type pricing.currency')
+        .populate(req.user.userType === 'service_provider' ? 'customer' : 'provider', PARTICIPANT_FIELDS)
+        .skip(skip)
+        .limit(parseInt(limit)),
+      Negotiation.countDocuments(filter)
+    ]);
+
+    const totalPages = Math.ceil(total / parseInt(limit));
+
+    res.json({
+      success: true,
+      data: {
+        negotiations,
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages,
+          totalNegotiations: total,
+          hasNextPage: parseInt(page) < totalPages,
+          hasPrevPage: parseInt(page) > 1
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Get negotiations error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching negotiations'
+    });
+  }
+});
+
+// @desc    Get a negotiation with its offer history
+// @route   GET /api/negotiations/:id
+// @access  Private (Customer, provider and admins)
+router.get('/:id', protect, async (req, res) => {
+  try {
+    const negotiation = await findNegotiationForUser(req.params.id, req.user);
+
+    if (!negotiation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Negotiation not found'
+      });
+    }
+
+    await negotiation.populate([
+      { path: 'service', select: 'title category pricing.type pricing.currency' },
+      { path: 'customer', select: PARTICIPANT_FIELDS },
+      { path: 'provider', select: PARTICIPANT_FIELDS }
+    ]);
+
+    res.json({
+      success: true,
+      data: { negotiation }
+    });
+
+  } catch (error) {
+    console.error('Get negotiation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching negotiation'
+    });
+  }
+});
+
+// @desc    Answer the other side's offer with an offer of your own
+// @route   POST /api/negotiations/:id/offers
+// @access  Private (Customer or provider, on their turn)
+router.post('/:id/offers', [protect, ...offerValidators], answerOffer({
+  action: 'Countering',
+  successMessage: 'Counter-offer sent',
+  apply: (negotiation, offer, { role, now, body: { amount, message } }) => {
+    if (amount === offer.amount) return 'To agree to this amount, accept the offer';
+
+    offer.status = 'countered';
+    negotiation.offers.push({
+      by: role,
+      amount,
+      message,
+      expiresAt: Negotiation.offerExpiry(now)
+    });
+    return null;
+  }
+}));
+
+// @desc    Accept the other side's offer, fixing it as the agreed price
+// @route   POST /api/negotiations/:id/accept
+// @access  Private (Customer or provider, on their turn)
+router.post('/:id/accept', protect, answerOffer({
+  action: 'Accepting',
+  successMessage: 'Offer accepted',
+  apply: (negotiation, offer, { now }) => {
+    offer.status = 'accepted';
+    negotiation.status = 'agreed';
+    negotiation.agreedAmount = offer.amount;
+    negotiation.agreedAt = now;
+    return null;
+  }
+}));
+
+// @desc    Decline the other side's offer, ending the negotiation
+// @route   POST /api/negotiations/:id/decline
+// @access  Private (Customer or provider, on their turn)
+router.post('/:id/decline', protect, answerOffer({
+  action: 'Declining',
+  successMessage: 'Offer declined',
+  apply: (negotiation, offer, { now }) => {
+    offer.status = 'declined';
+    negotiation.status = 'declined';
+    negotiation.active = false;
+    negotiation.closedAt = now;
+    return null;
+  }
+}));
+
+module.exports = router;
@@ -0,0 +1,517 @@
+const express = require('express');
+const { body, param, validationResult } = require('express-validator');
+const Payment = require('../models/Payment');
+const Booking = require('../models/Booking');
+const Invoice = require('../models/Invoice');
+const { toMinorUnits, fromMinorUnits } = require('../utils/money');
+const { getGateway } = require('../utils/paymentGateway');
+const { applyGatewayEvent, capturePayment, refundPayment } = require('../utils/payments');
+const { protect, requireCustomer } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Bookings that can still be paid for
+const PAYABLE_BOOKING_STATUSES = ['requested', 'confirmed', 'in_progress'];
+
+// Bookings whose payment the provider may charge
+const CAPTURABLE_BOOKING_STATUSES = ['completed', 'no_show'];
+
+const isPaymentParticipant = (payment, user) => {
+  const userId = user._id.toString();
+  return payment.customer.toString() === userId || payment.provider.toString() === userId;
+};
+
+const canManagePayment = (payment, user) =>
+  user.userType === 'admin' || payment.provider.toString() === user._id.toString();
+
+// @desc    Receive payment gateway webhooks
+// @route   POST /api/payments/webhook
+// @access  Public (signature verified)
+// The body arrives unparsed (see server.js) because the signature covers the raw bytes.
+router.post('/webhook', async (req, res) => {
+  let event;
+  try {
+    event = getGateway().constructWebhookEvent(req.body, req.get('stripe-signature') || req.get('x-webhook-signature'));
+  } catch (error) {
+    if (!error.isSignatureError) console.error('Parse payment webhook error:', error);
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid webhook signature'
+    });
+  }
+
+  try {
+    if (event.type) {
+      await applyGatewayEvent(event);
+    }
+
+    res.json({ received: true });
+
+  } catch (error) {
+    // A non-2xx response makes the gateway retry the delivery
+    console.error('Payment webhook error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while processing webhook'
+    });
+  }
+});
+
+// @desc    Start paying for a booking
+// @route   POST /api/payments/intents
+// @access  Private (Customer - Booking owner only)
+router.post('/intents', [
+  protect,
+  requireCustomer,
+  body('booking')
+    .isMongoId()
+    .withMessage('Invalid booking ID')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const booking = await Booking.findById(req.body.booking);
+
+    if (!booking || booking.customer.toString() !== req.user._id.toString()) {
+      return res.status(404).json({
+        success: false,
+        message: 'Booking not found'
+      });
+    }
+
+    const payments = await Payment.find({ booking: booking._id }).select('+clientSecret').sort({ createdAt: -1 });
+
+    // Asking again returns the payment already in progress
+    const open = payments.find(payment => Payment.OPEN_STATUSES.includes(payment.status));
+    if (open) {
+      return res.json({
+        success: true,
+        data: { payment: open, clientSecret: open.clientSecret }
+      });
+    }
+
+    if (payments.some(payment => ['captured', 'partially_refunded', 'refunded'].includes(payment.status))) {
+      return res.status(400).json({
+        success: false,
+        message: 'This booking has already been paid'
+      });
+    }
+
+    if (!PAYABLE_BOOKING_STATUSES.includes(booking.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `A ${booking.status} booking cannot be paid for`
+      });
+    }
+
+    if (!booking.price || !booking.price.amount) {
+      return res.status(400).json({
+        success: false,
+        message: 'This booking has no price to pay'
+      });
+    }
+
+    const { currency } = booking.price;
+    const amount = toMinorUnits(booking.price.amount, currency);
+    const gateway = getGateway();
+
+    // One key per attempt, so a retried request reuses the gateway's intent
+    const intent = await gateway.createPaymentIntent({
+      amount,
+      currency,
+      metadata: { bookingId: booking._id.toString(), customerId: req.user._id.toString() },
+      idempotencyKey: `booking-${booking._id}-${payments.length + 1}`
+    });
+
+    let payment;
+    try {
+      payment = await Payment.create({
+        booking: booking._id,
+        customer: booking.customer,
+        provider: booking.provider,
+        service: booking.service,
+        amount,
+        currency,
+        gateway: gateway.name,
+        gatewayPaymentId: intent.id,
+        clientSecret: intent.clientSecret
+      });
+    } catch (error) {
+      // A parallel request stored the same intent first
+      if (error.code !== 11000) throw error;
+      payment = await Payment.findOne({ gateway: gateway.name, gatewayPaymentId: intent.id });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Payment started',
+      data: { payment, clientSecret: intent.clientSecret }
+    });
+
+  } catch (error) {
+    console.error('Create payment intent error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while starting payment'
+    });
+  }
+});
+
+// @desc    Start paying a subscription invoice
+// @route   POST /api/payments/invoices/:id
+// @access  Private (Customer - Invoice buyer only)
+router.post('/invoices/:id', [
+  protect,
+  requireCustomer,
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid invoice ID')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const invoice = await Invoice.findById(req.params.id);
+
+    if (!invoice || invoice.type !== 'invoice' || invoice.customer.toString() !== req.user._id.toString()) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invoice not found'
+      });
+    }
+
+    // Booking invoices are settled by the booking's own payment
+    if (!invoice.subscription) {
+      return res.status(400).json({
+        success: false,
+        message: 'This invoice is paid through its booking'
+      });
+    }
+
+    const payments = await Payment.find({ invoice: invoice._id }).select('+clientSecret').sort({ createdAt: -1 });
+
+    // Asking again returns the payment already in progress
+    const open = payments.find(payment => Payment.OPEN_STATUSES.includes(payment.status));
+    if (open) {
+      return res.json({
+        success: true,
+        data: { payment: open, clientSecret: open.clientSecret }
+      });
+    }
+
+    const amount = invoice.amountDue;
+    if (amount <= 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'This invoice has already been paid'
+      });
+    }
+
+    const { currency } = invoice;
+    const gateway = getGateway();
+
+    // One key per attempt, so a retried request reuses the gateway's intent
+    const intent = await gateway.createPaymentIntent({
+      amount,
+      currency,
+      metadata: { invoiceId: invoice._id.toString(), customerId: req.user._id.toString() },
+      idempotencyKey: `invoice-${invoice._id}-${payments.length + 1}`
+    });
+
+    let payment;
+    try {
+      payment = await Payment.create({
+        invoice: invoice._id,
+        subscription: invoice.subscription,
+        customer: invoice.customer,
+        provider: invoice.provider,
+        service: invoice.service,
+        amount,
+        currency,
+        gateway: gateway.name,
+        gatewayPaymentId: intent.id,
+        clientSecret: intent.clientSecret
+      });
+    } catch (error) {
+      // A parallel request stored the same intent first
+      if (error.code !== 11000) throw error;
+      payment = await Payment.findOne({ gateway: gateway.name, gatewayPaymentId: intent.id });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Payment started',
+      data: { payment, clientSecret: intent.clientSecret }
+    });
+
+  } catch (error) {
+    console.error('Create invoice payment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while starting payment'
+    });
+  }
+});
+
+// @desc    Get payments for a booking
+// @route   GET /api/payments/booking/:bookingId
+// @access  Private (Booking participants and admins)
+router.get('/booking/:bookingId', protect, async (req, res) => {
+  try {
+    const booking = await Booking.findById(req.params.bookingId);
+
+    if (!booking || (req.user.userType !== 'admin' && !booking.isParticipant(req.user))) {
+      return res.status(404).json({
+        success: false,
+        message: 'Booking not found'
+      });
+    }
+
+    const payments = await Payment.find({ booking: booking._id }).sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      data: { payments }
+    });
+
+  } catch (error) {
+    console.error('Get booking payments error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching payments'
+    });
+  }
+});
+
+// @desc    Get single payment
+// @route   GET /api/payments/:id
+// @access  Private (Payment participants and admins)
+router.get('/:id', protect, async (req, res) => {
+  try {
+    const payment = await Payment.findById(req.params.id)
+      .populate('booking', 'status scheduledStart scheduledEnd price')
+      .populate('service', 'title');
+
+    if (!payment || (req.user.userType !== 'admin' && !isPaymentParticipant(payment, req.user))) {
+      return res.status(404).json({
+        success: false,
+        message: 'Payment not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { payment }
+    });
+
+  } catch (error) {
+    console.error('Get payment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching payment'
+    });
+  }
+});
+
+// @desc    Charge an authorised payment (retry after a failed capture, or a no-show fee)
+// @route   POST /api/payments/:id/capture
+// @access  Private (Service Provider - Payment owner, Admin)
+router.post('/:id/capture', protect, async (req, res) => {
+  try {
+    const payment = await Payment.findById(req.params.id);
+
+    if (!payment || !canManagePayment(payment, req.user)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Payment not found'
+      });
+    }
+
+    if (payment.status !== 'authorized') {
+      return res.status(400).json({
+        success: false,
+        message: `A ${payment.status} payment cannot be captured`
+      });
+    }
+
+    // Invoice payments are for service already given; booking payments wait for the booking
+    if (!payment.invoice) {
+      const booking = await Booking.findById(payment.booking).select('status');
+      if (!booking || !CAPTURABLE_BOOKING_STATUSES.includes(booking.status)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Payments are captured once the booking is completed'
+        });
+      }
+    }
+
+    const captured = await capturePayment(payment);
+
+    if (!captured) {
+      return res.status(409).json({
+        success: false,
+        message: 'Payment was updated by another request. Please reload and try again.'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Payment captured',
+      data: { payment: captured }
+    });
+
+  } catch (error) {
+    console.error('Capture payment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while capturing payment'
+    });
+  }
+});
+
+// @desc    Refund a captured payment in full or in part
+// @route   POST /api/payments/:id/refund
+// @access  Private (Service Provider - Payment owner, Admin)
+router.post('/:id/refund', [
+  protect,
+  body('amount')
+    .optional()
+    .isFloat({ gt: 0 })
+    .withMessage('Refund amount must be a positive number'),
+  body('reason')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Refund reason cannot exceed 500 characters')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const payment = await Payment.findById(req.params.id);
+
+    if (!payment || !canManagePayment(payment, req.user)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Payment not found'
+      });
+    }
+
+    if (!['captured', 'partially_refunded'].includes(payment.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `A ${payment.status} payment cannot be refunded`
+      });
+    }
+
+    // Amounts in requests are in major units (kroner), like service prices
+    const refundable = payment.refundableAmount;
+    const amount = req.body.amount !== undefined
+      ? toMinorUnits(req.body.amount, payment.currency)
+      : refundable;
+
+    if (amount <= 0 || amount > refundable) {
+      return res.status(400).json({
+        success: false,
+        message: `Refund amount must be between 0 and ${fromMinorUnits(refundable, payment.currency)} ${payment.currency}`
+      });
+    }
+
+    const result = await refundPayment(payment, { amount, reason: req.body.reason, user: req.user });
+
+    if (!result) {
+      return res.status(409).json({
+        success: false,
+        message: 'Payment was updated by another request. Please reload and try again.'
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: result.refund.status === 'succeeded' ? 'Refund completed' : 'Refund requested',
+      data: result
+    });
+
+  } catch (error) {
+    console.error('Refund payment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while refunding payment'
+    });
+  }
+});
+
+// @desc    Act as the customer's bank on a fake-gateway payment (development only)
+// @route   POST /api/payments/:id/simulate
+// @access  Private (Payment participants)
+router.post('/:id/simulate', [
+  protect,
+  body('outcome')
+    .isIn(['authorize', 'fail', 'cancel'])
+    .withMessage('Outcome must be authorize, fail or cancel')
+], async (req, res) => {
+  try {
+    const gateway = getGateway();
+    if (gateway.name !== 'fake' || process.env.NODE_ENV === 'production') {
+      return res.status(404).json({
+        success: false,
+        message: 'Route not found'
+      });
+    }
+
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const payment = await Payment.findById(req.params.id);
+
+    if (!payment || !isPaymentParticipant(payment, req.user)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Payment not found'
+      });
+    }
+
+    // Go through the same signature check as a real delivery
+    const { payload, signature } = gateway.simulate(payment.gatewayPaymentId, req.body.outcome);
+    const updated = await applyGatewayEvent(gateway.constructWebhookEvent(payload, signature));
+
+    res.json({
+      success: true,
+      data: { payment: updated || await Payment.findById(payment._id) }
+    });
+
+  } catch (error) {
+    console.error('Simulate payment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while simulating payment'
+    });
+  }
+});
+
+module.exports = router;
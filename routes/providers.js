@@ -0,0 +1,316 @@
+const express = require('express');
+const { body, validationResult, query } = require('express-validator');
+const Service = require('../models/Service');
+const User = require('../models/User');
+const { toLocalDateString, addDays } = require('../utils/timezone');
+const { dayCount, buildProviderReport, reportToCsv } = require('../utils/providerAnalytics');
+const { normalizeOrganisationNumber, isValidOrganisationNumber } = require('../utils/orgNumber');
+const { inspectFiles, storeUploads, uploadFiles, sendPrivateFile } = require('../utils/media');
+const { removeFiles } = require('../utils/storage');
+const { protect, requireServiceProvider } = require('../middleware/auth');
+
+const router = express.Router();
+
+const DEFAULT_RANGE_DAYS = 30;
+const MAX_RANGE_DAYS = 366;
+
+// Verification documents per upload and in total
+const MAX_VERIFICATION_UPLOAD = 5;
+const MAX_VERIFICATION_DOCUMENTS = 10;
+
+// Verification statuses from which a provider may (re)submit
+const SUBMITTABLE_STATUSES = ['unverified', 'needs_info', 'rejected'];
+
+const verificationSummary = (user) => {
+  const { businessVerification = {} } = user.getPublicProfile();
+  return {
+    isBusinessVerified: user.isBusinessVerified,
+    ...businessVerification,
+    activeServiceLimit: user.activeServiceLimit()
+  };
+};
+
+// @desc    Get analytics for the provider's services
+// @route   GET /api/providers/me/analytics
+// @access  Private (Service Provider only)
+router.get('/me/analytics', [
+  protect,
+  requireServiceProvider,
+  query('from').optional().isISO8601({ strict: true }).matches(/^\d{4}-\d{2}-\d{2}$/)
+    .withMessage('From must be a date (YYYY-MM-DD)'),
+  query('to').optional().isISO8601({ strict: true }).matches(/^\d{4}-\d{2}-\d{2}$/)
+    .withMessage('To must be a date (YYYY-MM-DD)'),
+  query('interval').optional().isIn(['day', 'week']).withMessage('Interval must be day or week'),
+  query('service').optional().isMongoId().withMessage('Invalid service ID'),
+  query('format').optional().isIn(['json', 'csv']).withMessage('Format must be json or csv')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const today = toLocalDateString(new Date());
+    const to = req.query.to || today;
+    const from = req.query.from || addDays(to, -(DEFAULT_RANGE_DAYS - 1));
+    const interval = req.query.interval || 'day';
+
+    if (from > to) {
+      return res.status(400).json({
+        success: false,
+        message: 'From date must not be after to date'
+      });
+    }
+
+    if (dayCount(from, to) > MAX_RANGE_DAYS) {
+      return res.status(400).json({
+        success: false,
+        message: `Date range cannot exceed ${MAX_RANGE_DAYS} days`
+      });
+    }
+
+    const serviceFilter = { provider: req.user._id };
+    if (req.query.service) serviceFilter._id = req.query.service;
+
+    const services = await Service.find(serviceFilter)
+      .select('title category status serviceArea.cities')
+      .sort({ createdAt: -1 })
+      .lean();
+
+    if (req.query.service && !services.length) {
+      return res.status(404).json({
+        success: false,
+        message: 'Service not found'
+      });
+    }
+
+    const report = await buildProviderReport({ services, from, to, interval });
+
+    if (req.query.format === 'csv') {
+      res.set('Content-Type', 'text/csv; charset=utf-8');
+      res.set('Content-Disposition', `attachment; filename="analytics-${from}-to-${to}.csv"`);
+      return res.send(reportToCsv(report));
+    }
+
+    res.json({
+      success: true,
+      data: report
+    });
+
+  } catch (error) {
+    console.error('Get provider analytics error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching analytics'
+    });
+  }
+});
+
+// @desc    Get the provider's business verification status
+// @route   GET /api/providers/me/verification
+// @access  Private (Service Provider only)
+router.get('/me/verification', [protect, requireServiceProvider], async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: { verification: verificationSummary(req.user) }
+    });
+
+  } catch (error) {
+    console.error('Get verification status error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching verification status'
+    });
+  }
+});
+
+// @desc    Submit business details and documents for verification
+// @route   POST /api/providers/me/verification
+// @access  Private (Service Provider only)
+router.post('/me/verification', [
+  protect,
+  requireServiceProvider,
+  uploadFiles('documents', 'document', MAX_VERIFICATION_UPLOAD),
+  body('organisationNumber')
+    .custom(isValidOrganisationNumber)
+    .withMessage('Please provide a valid Norwegian organisation number'),
+  body('businessName')
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage('Business name must be between 2 and 100 characters'),
+  body('businessLicense')
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Business license cannot exceed 100 characters'),
+  body('insuranceProvider')
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Insurance provider cannot exceed 100 characters'),
+  body('policyNumber')
+    .optional()
+    .trim()
+    .isLength({ max: 50 })
+    .withMessage('Policy number cannot exceed 50 characters'),
+  body('documentType')
+    .optional()
+    .isIn(['registration_certificate', 'business_license', 'insurance', 'identity', 'other'])
+    .withMessage('Invalid document type')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const currentStatus = req.user.businessVerification.status;
+    if (!SUBMITTABLE_STATUSES.includes(currentStatus)) {
+      return res.status(400).json({
+        success: false,
+        message: currentStatus === 'verified'
+          ? 'Your business is already verified'
+          : 'Your verification is already under review'
+      });
+    }
+
+    const files = req.files || [];
+    const existingDocuments = req.user.businessVerification.documents.length;
+
+    // Answers to an information request may come without new documents
+    if (!files.length && (currentStatus !== 'needs_info' || !existingDocuments)) {
+      return res.status(400).json({
+        success: false,
+        message: 'At least one supporting document is required'
+      });
+    }
+
+    if (existingDocuments + files.length > MAX_VERIFICATION_DOCUMENTS) {
+      return res.status(400).json({
+        success: false,
+        message: `At most ${MAX_VERIFICATION_DOCUMENTS} verification documents can be stored`
+      });
+    }
+
+    const organisationNumber = normalizeOrganisationNumber(req.body.organisationNumber);
+
+    const claimedBy = await User.exists({
+      _id: { $ne: req.user._id },
+      isBusinessVerified: true,
+      'businessVerification.organisationNumber': organisationNumber
+    });
+    if (claimedBy) {
+      return res.status(409).json({
+        success: false,
+        message: 'This organisation number is already verified for another provider'
+      });
+    }
+
+    const { files: inspected, error } = inspectFiles(files, 'document');
+    if (error) {
+      return res.status(415).json({
+        success: false,
+        message: error
+      });
+    }
+
+    const stored = await storeUploads(inspected, 'document', `private/users/${req.user._id}/verification`);
+    const documents = stored.map((item, index) => ({
+      name: inspected[index].file.originalname,
+      type: req.body.documentType || 'other',
+      mimeType: item.mimeType,
+      size: item.size,
+      storageKeys: item.storageKeys
+    }));
+
+    const now = new Date();
+    const set = {
+      'businessVerification.status': 'pending',
+      'businessVerification.organisationNumber': organisationNumber,
+      'businessVerification.submittedAt': now,
+      'businessInfo.businessName': req.body.businessName,
+      // Kept in the profile; invoices use the number once it is verified
+      'businessInfo.taxNumber': organisationNumber
+    };
+    if (req.body.businessLicense) set['businessInfo.businessLicense'] = req.body.businessLicense;
+    if (req.body.insuranceProvider) {
+      set['businessInfo.insurance.hasInsurance'] = true;
+      set['businessInfo.insurance.insuranceProvider'] = req.body.insuranceProvider;
+      if (req.body.policyNumber) set['businessInfo.insurance.policyNumber'] = req.body.policyNumber;
+    }
+
+    // Conditioned on the status we checked, so parallel submissions cannot both apply.
+    // Accounts created before verification existed have no status stored.
+    const updated = await User.findOneAndUpdate(
+      {
+        _id: req.user._id,
+        'businessVerification.status': currentStatus === 'unverified' ? { $in: ['unverified', null] } : currentStatus
+      },
+      {
+        $set: set,
+        $push: {
+          'businessVerification.documents': { $each: documents },
+          'businessVerification.history': { action: 'submitted', by: req.user._id, createdAt: now }
+        }
+      },
+      { new: true }
+    );
+
+    if (!updated) {
+      await removeFiles(stored.flatMap(item => item.storageKeys));
+      return res.status(409).json({
+        success: false,
+        message: 'Verification was updated by another request. Please reload and try again.'
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Verification submitted. We will review your details shortly.',
+      data: { verification: verificationSummary(updated) }
+    });
+
+  } catch (error) {
+    console.error('Submit verification error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while submitting verification'
+    });
+  }
+});
+
+// @desc    Download one of the provider's verification documents
+// @route   GET /api/providers/me/verification/documents/:documentId
+// @access  Private (Service Provider only)
+router.get('/me/verification/documents/:documentId', [protect, requireServiceProvider], async (req, res) => {
+  try {
+    const document = req.user.businessVerification.documents.id(req.params.documentId);
+
+    if (!document) {
+      return res.status(404).json({
+        success: false,
+        message: 'Document not found'
+      });
+    }
+
+    await sendPrivateFile(res, document);
+
+  } catch (error) {
+    console.error('Download verification document error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while downloading document'
+    });
+  }
+});
+
+module.exports = router;
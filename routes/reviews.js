@@ -0,0 +1,523 @@
+const express = require('express');
+const { body, validationResult, query, param } = require('express-validator');
+const Review = require('../models/Review');
+const Service = require('../models/Service');
+const Booking = require('../models/Booking');
+const { protect, requireCustomer, requireServiceProvider, requireAdmin } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Malformed IDs get a 400 instead of a cast error from the lookup
+const reviewIdValidator = param('id')
+  .isMongoId()
+  .withMessage('Invalid review ID');
+
+const criteriaValidators = ['punctuality', 'quality', 'value'].map(criterion =>
+  body(`criteria.${criterion}`)
+    .optional()
+    .isInt({ min: 1, max: 5 })
+    .withMessage(`${criterion} score must be between 1 and 5`)
+);
+
+// @desc    Get published reviews for a service
+// @route   GET /api/reviews/service/:serviceId
+// @access  Public
+router.get('/service/:serviceId', [
+  param('serviceId').isMongoId().withMessage('Invalid service ID'),
+  query('page').optional().isInt({ min: 1 }),
+  query('limit').optional().isInt({ min: 1, max: 50 }),
+  query('sort').optional().isIn(['newest', 'oldest', 'rating_desc', 'rating_asc'])
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { page = 1, limit = 10, sort = 'newest' } = req.query;
+
+    let sortObj = {};
+    switch (sort) {
+      case 'oldest':
+        sortObj = { createdAt: 1 };
+        break;
+      case 'rating_desc':
+        sortObj = { rating: -1, createdAt: -1 };
+        break;
+      case 'rating_asc':
+        sortObj = { rating: 1, createdAt: -1 };
+        break;
+      default: // newest
+        sortObj = { createdAt: -1 };
+    }
+
+    const filter = { service: req.params.serviceId, status: 'published' };
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const [reviews, total, service] = await Promise.all([
+      Review.find(filter)
+        .sort(sortObj)
+        .populate('customer', 'firstName lastName profileImage')
+        .skip(skip)
+        .limit(parseInt(limit)),
+      Review.countDocuments(filter),
+      Service.findById(req.params.serviceId).select('qualityRating')
+    ]);
+
+    if (!service) {
+      return res.status(404).json({
+        success: false,
+        message: 'Service not found'
+      });
+    }
+
+    const totalPages = Math.ceil(total / parseInt(limit));
+
+    res.json({
+      success: true,
+      data: {
+        rating: service.qualityRating,
+        reviews: reviews.map(review => review.getPublicReview()),
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages,
+          totalReviews: total,
+          hasNextPage: parseInt(page) < totalPages,
+          hasPrevPage: parseInt(page) > 1
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Get reviews error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching reviews'
+    });
+  }
+});
+
+// @desc    Get reported reviews awaiting moderation
+// @route   GET /api/reviews/reported
+// @access  Private (Admin only)
+router.get('/reported', [protect, requireAdmin], async (req, res) => {
+  try {
+    const reviews = await Review.find({ isFlagged: true })
+      .sort({ 'reports.reportedAt': 1 })
+      .populate('customer', 'firstName lastName email')
+      .populate('service', 'title provider')
+      .populate('reports.reporter', 'firstName lastName email');
+
+    res.json({
+      success: true,
+      data: { reviews }
+    });
+
+  } catch (error) {
+    console.error('Get reported reviews error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching reported reviews'
+    });
+  }
+});
+
+// @desc    Create review
+// @route   POST /api/reviews
+// @access  Private (Customers only)
+router.post('/', [
+  protect,
+  requireCustomer,
+  body('service')
+    .isMongoId()
+    .withMessage('A valid service ID is required'),
+  body('rating')
+    .isInt({ min: 1, max: 5 })
+    .withMessage('Rating must be between 1 and 5'),
+  body('comment')
+    .optional()
+    .trim()
+    .isLength({ max: 2000 })
+    .withMessage('Review cannot exceed 2000 characters'),
+  ...criteriaValidators
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const service = await Service.findById(req.body.service);
+
+    if (!service) {
+      return res.status(404).json({
+        success: false,
+        message: 'Service not found'
+      });
+    }
+
+    // Only customers who have used the service may review it
+    const booking = await Booking.findOne({
+      service: service._id,
+      customer: req.user._id,
+      status: 'completed'
+    }).sort({ scheduledStart: -1 });
+
+    if (!booking) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only review services you have completed a booking for'
+      });
+    }
+
+    const existingReview = await Review.exists({ service: service._id, customer: req.user._id });
+    if (existingReview) {
+      return res.status(400).json({
+        success: false,
+        message: 'You have already reviewed this service. Edit your existing review instead.'
+      });
+    }
+
+    const { rating, comment, criteria } = req.body;
+
+    const review = new Review({
+      service: service._id,
+      provider: service.provider,
+      customer: req.user._id,
+      booking: booking._id,
+      rating,
+      comment,
+      criteria
+    });
+
+    await review.save();
+    await Review.recalculateServiceRating(service._id);
+
+    res.status(201).json({
+      success: true,
+      message: 'Review submitted successfully',
+      data: { review: review.getPublicReview() }
+    });
+
+  } catch (error) {
+    // Duplicate key from the unique service/customer index
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: 'You have already reviewed this service. Edit your existing review instead.'
+      });
+    }
+
+    console.error('Create review error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while creating review'
+    });
+  }
+});
+
+// @desc    Update review
+// @route   PUT /api/reviews/:id
+// @access  Private (Review author only)
+router.put('/:id', [
+  protect,
+  requireCustomer,
+  reviewIdValidator,
+  body('rating')
+    .optional()
+    .isInt({ min: 1, max: 5 })
+    .withMessage('Rating must be between 1 and 5'),
+  body('comment')
+    .optional()
+    .trim()
+    .isLength({ max: 2000 })
+    .withMessage('Review cannot exceed 2000 characters'),
+  ...criteriaValidators
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const review = await Review.findById(req.params.id);
+
+    if (!review) {
+      return res.status(404).json({
+        success: false,
+        message: 'Review not found'
+      });
+    }
+
+    if (review.customer.toString() !== req.user._id.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to update this review'
+      });
+    }
+
+    const { rating, comment, criteria } = req.body;
+    if (rating !== undefined) review.rating = rating;
+    if (comment !== undefined) review.comment = comment;
+    if (criteria) {
+      ['punctuality', 'quality', 'value'].forEach(criterion => {
+        if (criteria[criterion] !== undefined) review.criteria[criterion] = criteria[criterion];
+      });
+    }
+    review.isEdited = true;
+
+    await review.save();
+    await Review.recalculateServiceRating(review.service);
+
+    res.json({
+      success: true,
+      message: 'Review updated successfully',
+      data: { review: review.getPublicReview() }
+    });
+
+  } catch (error) {
+    console.error('Update review error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating review'
+    });
+  }
+});
+
+// @desc    Delete review
+// @route   DELETE /api/reviews/:id
+// @access  Private (Review author or admin)
+router.delete('/:id', [protect, reviewIdValidator], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const review = await Review.findById(req.params.id);
+
+    if (!review) {
+      return res.status(404).json({
+        success: false,
+        message: 'Review not found'
+      });
+    }
+
+    const isAuthor = review.customer.toString() === req.user._id.toString();
+    if (!isAuthor && req.user.userType !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to delete this review'
+      });
+    }
+
+    await Review.findByIdAndDelete(review._id);
+    await Review.recalculateServiceRating(review.service);
+
+    res.json({
+      success: true,
+      message: 'Review deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Delete review error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while deleting review'
+    });
+  }
+});
+
+// @desc    Reply to a review
+// @route   PUT /api/reviews/:id/reply
+// @access  Private (Service Provider - Service owner only)
+router.put('/:id/reply', [
+  protect,
+  requireServiceProvider,
+  reviewIdValidator,
+  body('text')
+    .trim()
+    .isLength({ min: 1, max: 1000 })
+    .withMessage('Reply must be between 1 and 1000 characters')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const review = await Review.findById(req.params.id);
+
+    if (!review) {
+      return res.status(404).json({
+        success: false,
+        message: 'Review not found'
+      });
+    }
+
+    if (review.provider.toString() !== req.user._id.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to reply to this review'
+      });
+    }
+
+    review.providerReply = {
+      text: req.body.text,
+      repliedAt: new Date()
+    };
+    await review.save();
+
+    res.json({
+      success: true,
+      message: 'Reply posted successfully',
+      data: { review: review.getPublicReview() }
+    });
+
+  } catch (error) {
+    console.error('Reply to review error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while replying to review'
+    });
+  }
+});
+
+// @desc    Report an abusive review
+// @route   POST /api/reviews/:id/report
+// @access  Private (Customers only)
+router.post('/:id/report', [
+  protect,
+  requireCustomer,
+  reviewIdValidator,
+  body('reason')
+    .trim()
+    .isLength({ min: 5, max: 500 })
+    .withMessage('Report reason must be between 5 and 500 characters')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const review = await Review.findById(req.params.id);
+
+    if (!review || review.status !== 'published') {
+      return res.status(404).json({
+        success: false,
+        message: 'Review not found'
+      });
+    }
+
+    const alreadyReported = review.reports.some(report => report.reporter.toString() === req.user._id.toString());
+    if (alreadyReported) {
+      return res.status(400).json({
+        success: false,
+        message: 'You have already reported this review'
+      });
+    }
+
+    review.reports.push({ reporter: req.user._id, reason: req.body.reason });
+    review.isFlagged = true;
+    await review.save();
+
+    res.json({
+      success: true,
+      message: 'Review reported. Our moderators will look into it.'
+    });
+
+  } catch (error) {
+    console.error('Report review error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while reporting review'
+    });
+  }
+});
+
+// @desc    Moderate a reported review
+// @route   PUT /api/reviews/:id/moderate
+// @access  Private (Admin only)
+router.put('/:id/moderate', [
+  protect,
+  requireAdmin,
+  reviewIdValidator,
+  body('action')
+    .isIn(['hide', 'publish'])
+    .withMessage('Action must be either hide or publish'),
+  body('note')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Moderation note cannot exceed 500 characters')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const review = await Review.findById(req.params.id);
+
+    if (!review) {
+      return res.status(404).json({
+        success: false,
+        message: 'Review not found'
+      });
+    }
+
+    review.status = req.body.action === 'hide' ? 'hidden' : 'published';
+    review.isFlagged = false;
+    review.moderatedBy = req.user._id;
+    review.moderatedAt = new Date();
+    review.moderationNote = req.body.note;
+    await review.save();
+
+    // Hidden reviews do not count towards the rating
+    await Review.recalculateServiceRating(review.service);
+
+    res.json({
+      success: true,
+      message: req.body.action === 'hide' ? 'Review hidden' : 'Review published',
+      data: { review }
+    });
+
+  } catch (error) {
+    console.error('Moderate review error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while moderating review'
+    });
+  }
+});
+
+module.exports = router;
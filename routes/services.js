@@ -1,10 +1,281 @@
 const express = require('express');
 const { body, validationResult, query } = require('express-validator');
 const Service = require('../models/Service');
+const Booking = require('../models/Booking');
+const User = require('../models/User');
+const Quote = require('../models/Quote');
+const { generateSlots } = require('../utils/slots');
+const { calculateQuote, quoteExpiry } = require('../utils/quote');
+const { DEFAULT_TIME_ZONE, toLocalDateString, addDays } = require('../utils/timezone');
+const {
+  parseQuery,
+  queryTrigrams,
+  minTrigramHits,
+  scoreService,
+  buildHighlights
+} = require('../utils/search');
+const { geocodePostalCode, toPoint } = require('../utils/geocoder');
+const { chargesVat } = require('../utils/invoices');
+const {
+  buildFilterParts,
+  buildListingFilter,
+  buildSort,
+  encodeCursor,
+  encodeStartCursor,
+  decodeCursor,
+  cursorCondition,
+  buildFacetPipeline,
+  formatFacets
+} = require('../utils/serviceQuery');
+const { trackImpressions, trackView } = require('../utils/analytics');
+const { removeFiles } = require('../utils/storage');
+const { SUPPORTED_CURRENCIES } = require('../utils/money');
+const {
+  BASE_CURRENCY,
+  getRates,
+  toBaseAmount,
+  withDisplayPrice,
+  resolveDisplayCurrency
+} = require('../utils/currency');
+const { SUPPORTED_LANGUAGES, t, localized, resolveLanguage, localizeService } = require('../utils/i18n');
 const { protect, requireServiceProvider, requireVerification, optionalAuth } = require('../middleware/auth');
 
 const router = express.Router();
 
+// Longest date range a single slot request may cover
+const MAX_SLOT_RANGE_DAYS = 62;
+
+// Featured services shown at the top of the first listing page
+const FEATURED_SLOTS = 3;
+
+// Most candidates a search ranks before paginating
+const MAX_SEARCH_CANDIDATES = 500;
+
+// Largest search radius for "near me" listings, in kilometres
+const MAX_SEARCH_RADIUS_KM = 500;
+
+// Service categories with their icons; names come from the message catalogues
+const CATEGORIES = [
+  { id: 'home_services', icon: '🏠' },
+  { id: 'automotive', icon: '🚗' },
+  { id: 'healthcare', icon: '🏥' },
+  { id: 'education', icon: '📚' },
+  { id: 'technology', icon: '💻' },
+  { id: 'beauty_wellness', icon: '💄' },
+  { id: 'professional_services', icon: '💼' },
+  { id: 'entertainment', icon: '🎭' },
+  { id: 'maintenance', icon: '🔧' },
+  { id: 'consulting', icon: '📋' },
+  { id: 'other', icon: '✨' }
+];
+
+// Listing filters with the price bounds converted into the base currency
+// that every service's price is also stored in
+const listingQuery = ({ category, city, minPrice, maxPrice, rating }, priceCurrency, rates) => ({
+  category,
+  city,
+  rating,
+  minBasePrice: minPrice !== undefined ? toBaseAmount(minPrice, priceCurrency, rates) : undefined,
+  maxBasePrice: maxPrice !== undefined ? toBaseAmount(maxPrice, priceCurrency, rates) : undefined
+});
+
+// How services are shown to the requester: in their language and, when a
+// display currency is chosen, with converted prices. Price bounds and the
+// histogram use the display currency, or the base currency when none is chosen.
+const resolveDisplay = async (req) => {
+  const rates = await getRates();
+  const displayCurrency = resolveDisplayCurrency(req);
+  const language = resolveLanguage(req);
+  return {
+    rates,
+    displayCurrency,
+    priceCurrency: displayCurrency || BASE_CURRENCY,
+    display: (service, options) => {
+      const localizedService = localizeService(service, language, options);
+      return displayCurrency ? withDisplayPrice(localizedService, displayCurrency, rates) : localizedService;
+    }
+  };
+};
+
+// Work out where a service operates from: explicit coordinates,
+// the base postal code, or the provider's own address
+const resolveServiceLocation = (data, provider) => {
+  if (data.location && Array.isArray(data.location.coordinates)) {
+    return toPoint(Number(data.location.coordinates[0]), Number(data.location.coordinates[1]));
+  }
+
+  const geocoded = data.serviceArea && geocodePostalCode(data.serviceArea.postalCode);
+  if (geocoded) return geocoded.location;
+
+  const providerLocation = provider && provider.address && provider.address.location;
+  if (providerLocation && providerLocation.coordinates && providerLocation.coordinates.length === 2) {
+    return toPoint(providerLocation.coordinates[0], providerLocation.coordinates[1]);
+  }
+
+  return undefined;
+};
+
+// Fields a provider sets on their own service
+const EDITABLE_FIELDS = [
+  'title', 'description', 'shortDescription', 'subcategory', 'tags',
+  'duration', 'availability', 'pricing', 'serviceArea', 'onSiteService',
+  'remoteService', 'availabilityExceptions', 'bufferTime', 'location',
+  'subscriptionTerms', 'language', 'translations'
+];
+
+const pickFields = (body, allowed) => Object.keys(body)
+  .filter(key => allowed.includes(key))
+  .reduce((obj, key) => {
+    obj[key] = body[key];
+    return obj;
+  }, {});
+
+const coordinatesValidator = body('location.coordinates')
+  .optional()
+  .custom(value => Array.isArray(value) &&
+    value.length === 2 &&
+    Math.abs(value[0]) <= 180 &&
+    Math.abs(value[1]) <= 90)
+  .withMessage(localized('services.locationInvalid'));
+
+// Surcharges and travel pricing used by quotes, on create and update
+const chargeValidators = [
+  body(['pricing.surcharges.weekend', 'pricing.surcharges.evening'])
+    .optional()
+    .isFloat({ min: 0, max: 200 })
+    .withMessage(localized('services.surchargeRange'))
+    .toFloat(),
+  body(['pricing.surcharges.eveningStart', 'pricing.surcharges.eveningEnd'])
+    .optional()
+    .matches(/^([01]\d|2[0-3]):[0-5]\d$/)
+    .withMessage(localized('services.eveningHoursFormat')),
+  body('pricing.unitName')
+    .optional()
+    .trim()
+    .isLength({ max: 30 })
+    .withMessage(localized('services.unitNameLength')),
+  body(['serviceArea.travelFee', 'serviceArea.travelFeePerKm', 'serviceArea.freeTravelDistance'])
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage(localized('services.travelFeesPositive'))
+    .toFloat()
+];
+
+// Opening hours on exception dates; the slot engine reads them as HH:mm
+const HOURS_PATTERN = /^(([01]\d|2[0-3]):[0-5]\d|24:00)$/;
+
+const availabilityExceptionValidators = [
+  body('availabilityExceptions.*.start')
+    .optional({ values: 'falsy' })
+    .matches(HOURS_PATTERN)
+    .withMessage(localized('services.exceptionHoursFormat')),
+  body('availabilityExceptions.*.end')
+    .optional({ values: 'falsy' })
+    .matches(HOURS_PATTERN)
+    .custom((end, { req, path }) => {
+      const start = req.body.availabilityExceptions[Number(path.match(/\[(\d+)\]/)[1])].start;
+      return !start || end > start;
+    })
+    .withMessage(localized('services.exceptionHoursFormat'))
+];
+
+// Notice period and plans for recurring and subscription services
+const subscriptionTermsValidators = [
+  body('subscriptionTerms.noticeDays')
+    .optional()
+    .isInt({ min: 0, max: 180 })
+    .withMessage(localized('services.noticeDaysRange'))
+    .toInt(),
+  body('subscriptionTerms.billingInterval')
+    .optional()
+    .isIn(['weekly', 'monthly'])
+    .withMessage(localized('services.billingIntervalInvalid')),
+  body('subscriptionTerms.plans')
+    .optional()
+    .isArray({ max: 10 })
+    .withMessage(localized('services.plansMax')),
+  body('subscriptionTerms.plans.*.name')
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage(localized('services.planNameLength')),
+  body('subscriptionTerms.plans.*.price')
+    .isFloat({ min: 0 })
+    .withMessage(localized('services.planPricePositive'))
+    .toFloat()
+];
+
+// Language of the listing and its translations, on create and update
+const translationValidators = [
+  body('language')
+    .optional()
+    .isIn(SUPPORTED_LANGUAGES)
+    .withMessage(localized('services.languageInvalid', { languages: SUPPORTED_LANGUAGES.join(', ') })),
+  body('translations')
+    .optional()
+    .custom(value => value && typeof value === 'object' && !Array.isArray(value) &&
+      Object.entries(value).every(([language, translation]) => SUPPORTED_LANGUAGES.includes(language) &&
+        translation && translation.title && translation.description))
+    .withMessage(localized('services.translationsInvalid', { languages: SUPPORTED_LANGUAGES.join(', ') })),
+  body(SUPPORTED_LANGUAGES.map(language => `translations.${language}.title`))
+    .optional()
+    .trim()
+    .isLength({ min: 5, max: 100 })
+    .withMessage(localized('services.titleLength')),
+  body(SUPPORTED_LANGUAGES.map(language => `translations.${language}.description`))
+    .optional()
+    .trim()
+    .isLength({ min: 20, max: 1000 })
+    .withMessage(localized('services.descriptionLength')),
+  body(SUPPORTED_LANGUAGES.map(language => `translations.${language}.shortDescription`))
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage(localized('services.shortDescriptionLength'))
+];
+
+// Services whose coverage radius (serviceArea.maxDistance) reaches a point, nearest first
+const findNearbyServices = async ({ point, filter, radiusKm, skip, limit }) => {
+  const geoNear = {
+    near: point,
+    key: 'location',
+    distanceField: 'distance',
+    spherical: true,
+    query: filter
+  };
+  if (radiusKm) geoNear.maxDistance = radiusKm * 1000;
+
+  const [result] = await Service.aggregate([
+    { $geoNear: geoNear },
+    {
+      $match: {
+        $expr: {
+          $lte: ['$distance', { $multiply: [{ $ifNull: ['$serviceArea.maxDistance', 0] }, 1000] }]
+        }
+      }
+    },
+    { $project: { searchTrigrams: 0, searchKeywords: 0, moderationHistory: 0 } },
+    {
+      $facet: {
+        services: [{ $skip: skip }, { $limit: limit }],
+        total: [{ $count: 'count' }]
+      }
+    }
+  ]);
+
+  const services = await Service.populate(result.services, {
+    path: 'provider',
+    select: 'firstName lastName businessInfo.businessName isBusinessVerified profileImage city'
+  });
+
+  return {
+    services: services.map(({ distance, ...service }) => ({
+      ...service,
+      distanceKm: Math.round(distance / 100) / 10
+    })),
+    total: result.total.length ? result.total[0].count : 0
+  };
+};
+
 // @desc    Create new service
 // @route   POST /api/services
 // @access  Private (Service Providers only)
@@ -15,26 +286,37 @@ router.post('/', [
   body('title')
     .trim()
     .isLength({ min: 5, max: 100 })
-    .withMessage('Service title must be between 5 and 100 characters'),
+    .withMessage(localized('services.titleLength')),
   body('description')
     .trim()
     .isLength({ min: 20, max: 1000 })
-    .withMessage('Service description must be between 20 and 1000 characters'),
+    .withMessage(localized('services.descriptionLength')),
   body('category')
-    .isIn([
-      'home_services', 'automotive', 'healthcare', 'education', 'technology',
-      'beauty_wellness', 'professional_services', 'entertainment', 'maintenance', 'consulting', 'other'
-    ])
-    .withMessage('Invalid service category'),
+    .isIn(CATEGORIES.map(category => category.id))
+    .withMessage(localized('services.categoryInvalid')),
   body('pricing.type')
     .isIn(['fixed', 'hourly', 'per_unit', 'negotiable'])
-    .withMessage('Invalid pricing type'),
+    .withMessage(localized('services.pricingTypeInvalid')),
   body('pricing.amount')
     .isFloat({ min: 0 })
-    .withMessage('Price must be a positive number'),
+    .withMessage(localized('services.pricePositive')),
+  body('pricing.vatRate')
+    .optional()
+    .isIn([25, 15, 12, 0])
+    .withMessage(localized('services.vatRateInvalid'))
+    .toInt(),
   body('serviceArea.cities')
     .isArray({ min: 1 })
-    .withMessage('At least one service area city is required')
+    .withMessage(localized('services.citiesRequired')),
+  body('serviceArea.maxDistance')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage(localized('services.maxDistancePositive')),
+  ...chargeValidators,
+  ...availabilityExceptionValidators,
+  ...subscriptionTermsValidators,
+  ...translationValidators,
+  coordinatesValidator
 ], async (req, res) => {
   try {
     // Check for validation errors
@@ -46,8 +328,28 @@ router.post('/', [
       });
     }
 
+    // Providers without a verified business may only have a few live or pending services
+    const limit = req.user.activeServiceLimit();
+    if (limit !== null) {
+      const openServices = await Service.countDocuments({
+        provider: req.user._id,
+        status: { $in: ['active', 'pending_review'] }
+      });
+      if (openServices >= limit) {
+        return res.status(403).json({
+          success: false,
+          message: t(req, 'services.serviceLimitReached', { limit })
+        });
+      }
+    }
+
+    // Media is uploaded separately through /api/media; featuring, moderation,
+    // ratings and counters are managed by the platform
+    const fields = pickFields(req.body, [...EDITABLE_FIELDS, 'category']);
+
     const serviceData = {
-      ...req.body,
+      ...fields,
+      location: resolveServiceLocation(req.body, req.user),
       provider: req.user._id,
       status: 'pending_review'
     };
@@ -56,11 +358,11 @@ router.post('/', [
     await service.save();
 
     // Populate provider info
-    await service.populate('provider', 'firstName lastName businessInfo.businessName profileImage');
+    await service.populate('provider', 'firstName lastName businessInfo.businessName isBusinessVerified profileImage');
 
     res.status(201).json({
       success: true,
-      message: 'Service created successfully and pending review',
+      message: t(req, 'services.created'),
       data: { service }
     });
 
@@ -68,7 +370,7 @@ router.post('/', [
     console.error('Create service error:', error);
     res.status(500).json({
       success: false,
-      message: 'Server error while creating service'
+      message: t(req, 'services.createFailed')
     });
   }
 });
@@ -80,94 +382,320 @@ router.get('/', [
   optionalAuth,
   query('category').optional().isString(),
   query('city').optional().isString(),
-  query('minPrice').optional().isFloat({ min: 0 }),
-  query('maxPrice').optional().isFloat({ min: 0 }),
-  query('rating').optional().isFloat({ min: 0, max: 5 }),
-  query('page').optional().isInt({ min: 1 }),
+  query('minPrice').optional().isFloat({ min: 0 }).toFloat(),
+  query('maxPrice').optional().isFloat({ min: 0 }).toFloat(),
+  query('rating').optional().isFloat({ min: 0, max: 5 }).toFloat(),
+  query('currency').optional().isIn(SUPPORTED_CURRENCIES).withMessage(localized('services.currencyInvalid', { currencies: SUPPORTED_CURRENCIES.join(', ') })),
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .custom((value, { req }) => !req.query.cursor)
+    .withMessage(localized('services.pageWithCursor')),
   query('limit').optional().isInt({ min: 1, max: 50 }),
-  query('sort').optional().isIn(['price_asc', 'price_desc', 'rating_desc', 'newest', 'oldest'])
+  query('sort').optional().isIn(['price_asc', 'price_desc', 'rating_desc', 'newest', 'oldest']),
+  query('lat').optional().isFloat({ min: -90, max: 90 }),
+  query('lng').optional().isFloat({ min: -180, max: 180 }),
+  query('radius').optional().isFloat({ min: 0.1, max: MAX_SEARCH_RADIUS_KM }),
+  query('postalCode').optional().matches(/^\d{4}$/),
+  query('facets').optional().isBoolean(),
+  query('cursor').optional().isString()
 ], async (req, res) => {
   try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
     const {
       category,
       city,
-      minPrice,
-      maxPrice,
-      rating,
+      lat,
+      lng,
+      radius,
+      postalCode,
+      facets,
+      cursor,
       page = 1,
       limit = 12,
       sort = 'newest'
     } = req.query;
 
+    const { rates, priceCurrency, display } = await resolveDisplay(req);
+    const listing = listingQuery(req.query, priceCurrency, rates);
+
     // Build filter object
-    const filter = { status: 'active', isVerified: true };
-
-    if (category) filter.category = category;
-    if (city) filter['serviceArea.cities'] = { $regex: city, $options: 'i' };
-    if (minPrice || maxPrice) {
-      filter['pricing.amount'] = {};
-      if (minPrice) filter['pricing.amount'].$gte = minPrice;
-      if (maxPrice) filter['pricing.amount'].$lte = maxPrice;
-    }
-    if (rating) filter['qualityRating.average'] = { $gte: rating };
-
-    // Build sort object
-    let sortObj = {};
-    switch (sort) {
-      case 'price_asc':
-        sortObj = { 'pricing.amount': 1 };
-        break;
-      case 'price_desc':
-        sortObj = { 'pricing.amount': -1 };
-        break;
-      case 'rating_desc':
-        sortObj = { 'qualityRating.average': -1 };
-        break;
-      case 'oldest':
-        sortObj = { createdAt: 1 };
-        break;
-      default: // newest
-        sortObj = { createdAt: -1 };
-    }
-
-    // Add featured services first
-    const featuredFilter = { ...filter, isFeatured: true };
-    const featuredServices = await Service.find(featuredFilter)
-      .sort({ featuredUntil: -1, ...sortObj })
-      .populate('provider', 'firstName lastName businessInfo.businessName profileImage city')
-      .limit(parseInt(limit));
-
-    // Get regular services
-    const regularFilter = { ...filter, isFeatured: { $ne: true } };
-    const skip = (parseInt(page) - 1) * parseInt(limit);
-    
-    const [regularServices, total] = await Promise.all([
-      Service.find(regularFilter)
+    const filter = buildListingFilter(listing);
+
+    // "Near me" listings are sorted by distance instead
+    if ((lat !== undefined && lng !== undefined) || postalCode) {
+      let searchLocation;
+      if (lat !== undefined && lng !== undefined) {
+        searchLocation = { lat: parseFloat(lat), lng: parseFloat(lng) };
+      } else {
+        searchLocation = geocodePostalCode(postalCode);
+        if (!searchLocation) {
+          return res.status(400).json({
+            success: false,
+            message: t(req, 'services.unknownPostalCode')
+          });
+        }
+      }
+
+      const skip = (parseInt(page) - 1) * parseInt(limit);
+      const { services, total } = await findNearbyServices({
+        point: toPoint(searchLocation.lng, searchLocation.lat),
+        filter,
+        radiusKm: radius ? parseFloat(radius) : undefined,
+        skip,
+        limit: parseInt(limit)
+      });
+
+      trackImpressions(services, req);
+
+      const totalPages = Math.ceil(total / parseInt(limit));
+
+      return res.json({
+        success: true,
+        data: {
+          searchLocation: {
+            lat: searchLocation.lat,
+            lng: searchLocation.lng,
+            postalCode: searchLocation.postalCode,
+            place: searchLocation.place,
+            precision: searchLocation.precision || 'coordinates'
+          },
+          services: services.map(service => display(service)),
+          pagination: {
+            currentPage: parseInt(page),
+            totalPages,
+            totalServices: total,
+            hasNextPage: parseInt(page) < totalPages,
+            hasPrevPage: parseInt(page) > 1
+          }
+        }
+      });
+    }
+
+    const sortObj = buildSort(sort);
+    const pageSize = parseInt(limit);
+    const pageNumber = parseInt(page);
+
+    let position = null;
+    if (cursor) {
+      position = decodeCursor(cursor, sort);
+      if (!position) {
+        return res.status(400).json({
+          success: false,
+          message: t(req, 'services.invalidCursor')
+        });
+      }
+    }
+
+    // Featured services (placements in scope for this listing and not yet expired)
+    // take the first slots of the first page only, in the listing's own order.
+    // Later pages exclude the ones already shown, which the cursor carries.
+    // Without a cursor, `page` selects an offset page: pages after the first skip
+    // the featured services and the regular ones shown before them.
+    let featuredServices = [];
+    if (!position) {
+      featuredServices = await Service.find({
+        ...filter,
+        featuredPlacements: Service.featuredNowCondition({ category, city })
+      })
         .sort(sortObj)
-        .populate('provider', 'firstName lastName businessInfo.businessName profileImage city')
-        .skip(skip)
-        .limit(parseInt(limit)),
-      Service.countDocuments(regularFilter)
+        .populate('provider', 'firstName lastName businessInfo.businessName isBusinessVerified profileImage city')
+        .limit(Math.min(FEATURED_SLOTS, pageSize));
+    }
+    const featuredIds = position
+      ? position.featuredIds
+      : featuredServices.map(service => service._id.toString());
+    const shownFeatured = pageNumber > 1 ? [] : featuredServices;
+    const skip = position ? 0 : Math.max((pageNumber - 1) * pageSize - featuredServices.length, 0);
+
+    const regularConditions = [filter];
+    if (featuredIds.length) regularConditions.push({ _id: { $nin: featuredIds } });
+    if (position && !position.atStart) regularConditions.push(cursorCondition(sort, position));
+    const regularLimit = pageSize - shownFeatured.length;
+
+    const includeFacets = facets === 'true' || facets === '1';
+
+    const [regularServices, total, facetResult] = await Promise.all([
+      regularLimit > 0
+        ? Service.find({ $and: regularConditions })
+          .sort(sortObj)
+          .skip(skip)
+          .populate('provider', 'firstName lastName businessInfo.businessName isBusinessVerified profileImage city')
+          .limit(regularLimit + 1)
+        : [],
+      Service.countDocuments(filter),
+      includeFacets
+        ? Service.aggregate(buildFacetPipeline(
+          buildFilterParts(listing),
+          { currency: priceCurrency, rate: rates[priceCurrency] }
+        ))
+        : null
     ]);
 
-    // Combine featured and regular services
-    const services = [...featuredServices, ...regularServices];
+    // One extra item was fetched to tell whether another page follows
+    const hasNextPage = regularLimit > 0
+      ? regularServices.length > regularLimit
+      : total > shownFeatured.length;
+    const pageRegularServices = regularServices.slice(0, Math.max(regularLimit, 0));
+
+    const services = [...shownFeatured, ...pageRegularServices];
+
+    trackImpressions(services, req);
+
+    let nextCursor = null;
+    if (hasNextPage) {
+      // A page of only featured services continues from the start of the regular stream
+      const lastRegular = pageRegularServices[pageRegularServices.length - 1];
+      nextCursor = lastRegular
+        ? encodeCursor(sort, lastRegular, featuredIds)
+        : encodeStartCursor(sort, featuredIds);
+    }
+
+    res.json({
+      success: true,
+      data: {
+        services: services.map(service => display(service)),
+        pagination: {
+          limit: pageSize,
+          featuredCount: shownFeatured.length,
+          currentPage: position ? null : pageNumber,
+          totalPages: Math.ceil(total / pageSize),
+          totalServices: total,
+          nextCursor,
+          hasNextPage,
+          hasPrevPage: Boolean(position) || pageNumber > 1
+        },
+        ...(facetResult && { facets: formatFacets(facetResult[0]) })
+      }
+    });
 
-    // Increment view count for each service
-    services.forEach(service => {
-      service.incrementViewCount();
+  } catch (error) {
+    console.error('Get services error:', error);
+    res.status(500).json({
+      success: false,
+      message: t(req, 'services.fetchFailed')
     });
+  }
+});
+
+// @desc    Full-text search over services
+// @route   GET /api/services/search
+// @access  Public
+router.get('/search', [
+  optionalAuth,
+  query('q')
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage(localized('services.searchQueryLength')),
+  query('category').optional().isString(),
+  query('city').optional().isString(),
+  query('minPrice').optional().isFloat({ min: 0 }).toFloat(),
+  query('maxPrice').optional().isFloat({ min: 0 }).toFloat(),
+  query('rating').optional().isFloat({ min: 0, max: 5 }).toFloat(),
+  query('currency').optional().isIn(SUPPORTED_CURRENCIES).withMessage(localized('services.currencyInvalid', { currencies: SUPPORTED_CURRENCIES.join(', ') })),
+  query('page').optional().isInt({ min: 1 }),
+  query('limit').optional().isInt({ min: 1, max: 50 })
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { q, page = 1, limit = 12 } = req.query;
 
+    const terms = parseQuery(q);
+    if (!terms.length) {
+      return res.status(400).json({
+        success: false,
+        message: t(req, 'services.searchQueryNoWords')
+      });
+    }
+
+    const { rates, priceCurrency, display } = await resolveDisplay(req);
+    const filter = buildListingFilter(listingQuery(req.query, priceCurrency, rates));
+    const grams = queryTrigrams(terms);
+
+    // Exact word matches from the weighted text index, plus trigram
+    // candidates so misspelled terms still find results. Only the parsed
+    // terms go to $text, so '-' and quotes in the query are not operators
+    const [textMatches, fuzzyMatches] = await Promise.all([
+      Service.find(
+        { ...filter, $text: { $search: terms.join(' ') } },
+        { score: { $meta: 'textScore' } }
+      )
+        .sort({ score: { $meta: 'textScore' } })
+        .limit(MAX_SEARCH_CANDIDATES)
+        .lean(),
+      Service.aggregate([
+        { $match: { ...filter, searchTrigrams: { $in: grams } } },
+        { $addFields: { trigramHits: { $size: { $setIntersection: ['$searchTrigrams', grams] } } } },
+        { $match: { trigramHits: { $gte: minTrigramHits(terms) } } },
+        { $sort: { trigramHits: -1 } },
+        { $limit: MAX_SEARCH_CANDIDATES },
+        { $project: { searchTrigrams: 0, searchKeywords: 0, moderationHistory: 0, trigramHits: 0 } }
+      ])
+    ]);
+
+    const candidates = new Map();
+    [...textMatches, ...fuzzyMatches].forEach(service => {
+      const id = service._id.toString();
+      if (!candidates.has(id)) candidates.set(id, service);
+    });
+
+    const ranked = [...candidates.values()]
+      .map(service => ({
+        service,
+        relevance: scoreService(service, terms) + (service.score || 0)
+      }))
+      .filter(result => result.relevance > 0)
+      .sort((a, b) =>
+        b.relevance - a.relevance ||
+        (b.service.qualityRating.average || 0) - (a.service.qualityRating.average || 0)
+      );
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+    const pageResults = ranked.slice(skip, skip + parseInt(limit));
+
+    const services = await Service.populate(
+      pageResults.map(result => result.service),
+      { path: 'provider', select: 'firstName lastName businessInfo.businessName isBusinessVerified profileImage city' }
+    );
+
+    trackImpressions(services, req);
+
+    const total = ranked.length;
     const totalPages = Math.ceil(total / parseInt(limit));
 
     res.json({
       success: true,
       data: {
-        services,
+        query: { q, terms },
+        services: services.map((service, index) => {
+          const { score, ...rest } = service;
+          const shown = display(rest);
+          return {
+            ...shown,
+            relevance: Math.round(pageResults[index].relevance * 100) / 100,
+            highlights: buildHighlights(shown, terms)
+          };
+        }),
         pagination: {
           currentPage: parseInt(page),
           totalPages,
-          totalServices: total + featuredServices.length,
+          totalServices: total,
           hasNextPage: parseInt(page) < totalPages,
           hasPrevPage: parseInt(page) > 1
         }
@@ -175,10 +703,72 @@ router.get('/', [
     });
 
   } catch (error) {
-    console.error('Get services error:', error);
+    console.error('Search services error:', error);
+    res.status(500).json({
+      success: false,
+      message: t(req, 'services.searchFailed')
+    });
+  }
+});
+
+// @desc    Get the current provider's own services in every status
+// @route   GET /api/services/my
+// @access  Private (Service Providers only)
+router.get('/my', [
+  protect,
+  requireServiceProvider,
+  query('status').optional().isIn(['active', 'inactive', 'suspended', 'pending_review', 'rejected'])
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const filter = { provider: req.user._id };
+    if (req.query.status) filter.status = req.query.status;
+
+    const services = await Service.find(filter).sort({ updatedAt: -1 });
+
+    res.json({
+      success: true,
+      data: { services }
+    });
+
+  } catch (error) {
+    console.error('Get my services error:', error);
+    res.status(500).json({
+      success: false,
+      message: t(req, 'services.myFetchFailed')
+    });
+  }
+});
+
+// @desc    Get service categories
+// @route   GET /api/services/categories
+// @access  Public
+router.get('/categories', optionalAuth, async (req, res) => {
+  try {
+    const categories = CATEGORIES.map(({ id, icon }) => ({
+      id,
+      name: t(req, `categories.${id}`),
+      icon
+    }));
+
+    res.json({
+      success: true,
+      data: { categories }
+    });
+
+  } catch (error) {
+    console.error('Get categories error:', error);
     res.status(500).json({
       success: false,
-      message: 'Server error while fetching services'
+      message: t(req, 'services.categoriesFetchFailed')
     });
   }
 });
@@ -189,36 +779,320 @@ router.get('/', [
 router.get('/:id', optionalAuth, async (req, res) => {
   try {
     const service = await Service.findById(req.params.id)
-      .populate('provider', 'firstName lastName businessInfo.businessName profileImage city address')
+      .populate('provider', 'firstName lastName businessInfo.businessName isBusinessVerified profileImage city address')
       .populate('verifiedBy', 'firstName lastName');
 
     if (!service) {
       return res.status(404).json({
         success: false,
-        message: 'Service not found'
+        message: t(req, 'services.notFound')
       });
     }
 
-    if (service.status !== 'active') {
+    // Owners and admins can see listings that are not public, including moderation details
+    const isOwner = req.user && service.provider._id.toString() === req.user._id.toString();
+    const isAdmin = req.user && req.user.userType === 'admin';
+
+    if (service.status !== 'active' && !isOwner && !isAdmin) {
       return res.status(404).json({
         success: false,
-        message: 'Service not available'
+        message: t(req, 'services.notAvailable')
       });
     }
 
-    // Increment view count
-    await service.incrementViewCount();
+    if (service.status === 'active' && !isOwner) {
+      trackView(service, req);
+    }
+
+    const { display } = await resolveDisplay(req);
+    const shown = display(service, { includeTranslations: isOwner || isAdmin });
+
+    // Left out of the response only; the document itself is not changed
+    if (!isOwner && !isAdmin) {
+      delete shown.moderation;
+    }
 
     res.json({
       success: true,
-      data: { service }
+      data: { service: shown }
     });
 
   } catch (error) {
     console.error('Get service error:', error);
     res.status(500).json({
       success: false,
-      message: 'Server error while fetching service'
+      message: t(req, 'services.fetchOneFailed')
+    });
+  }
+});
+
+// @desc    Get bookable time slots for a service
+// @route   GET /api/services/:id/slots
+// @access  Public
+router.get('/:id/slots', [
+  query('from')
+    .optional()
+    .isDate({ format: 'YYYY-MM-DD', strictMode: true })
+    .withMessage(localized('services.fromDateFormat')),
+  query('to')
+    .optional()
+    .isDate({ format: 'YYYY-MM-DD', strictMode: true })
+    .withMessage(localized('services.toDateFormat'))
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const from = req.query.from || toLocalDateString(new Date());
+    const to = req.query.to || addDays(from, 6);
+
+    if (to < from) {
+      return res.status(400).json({
+        success: false,
+        message: t(req, 'services.slotRangeOrder')
+      });
+    }
+
+    if (to > addDays(from, MAX_SLOT_RANGE_DAYS - 1)) {
+      return res.status(400).json({
+        success: false,
+        message: t(req, 'services.slotRangeTooLong', { days: MAX_SLOT_RANGE_DAYS })
+      });
+    }
+
+    const service = await Service.findById(req.params.id);
+
+    if (!service || service.status !== 'active') {
+      return res.status(404).json({
+        success: false,
+        message: t(req, 'services.notAvailable')
+      });
+    }
+
+    // Widen the window by a day on each side to cover UTC offsets
+    const windowStart = new Date(`${addDays(from, -1)}T00:00:00Z`);
+    const windowEnd = new Date(`${addDays(to, 2)}T00:00:00Z`);
+
+    const [provider, busy] = await Promise.all([
+      User.findById(service.provider).select('timeOff'),
+      Booking.find({
+        provider: service.provider,
+        status: { $in: ['requested', 'confirmed', 'in_progress'] },
+        scheduledStart: { $lt: windowEnd },
+        scheduledEnd: { $gt: windowStart }
+      }).select('scheduledStart scheduledEnd')
+    ]);
+
+    const slots = generateSlots(service, {
+      from,
+      to,
+      timeOff: provider ? provider.timeOff : [],
+      busy
+    });
+
+    res.json({
+      success: true,
+      data: {
+        timeZone: DEFAULT_TIME_ZONE,
+        from,
+        to,
+        duration: service.duration || 60,
+        bufferTime: service.bufferTime || 0,
+        slots
+      }
+    });
+
+  } catch (error) {
+    console.error('Get service slots error:', error);
+    res.status(500).json({
+      success: false,
+      message: t(req, 'services.slotsFetchFailed')
+    });
+  }
+});
+
+// @desc    Get a price quote for a job on a service
+// @route   POST /api/services/:id/quote
+// @access  Public
+router.post('/:id/quote', [
+  optionalAuth,
+  body('hours')
+    .optional()
+    .isFloat({ min: 0.5, max: 24 })
+    .withMessage(localized('services.hoursRange'))
+    .toFloat(),
+  body('units')
+    .optional()
+    .isInt({ min: 1, max: 1000 })
+    .withMessage(localized('services.unitsRange'))
+    .toInt(),
+  body('scheduledStart')
+    .optional()
+    .isISO8601()
+    .withMessage(localized('services.scheduledStartInvalid'))
+    .toDate(),
+  body('address.postalCode')
+    .optional()
+    .matches(/^\d{4}$/)
+    .withMessage(localized('services.postalCodeFormat')),
+  body('remote')
+    .optional()
+    .isBoolean()
+    .withMessage(localized('services.remoteInvalid'))
+    .toBoolean()
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { hours, units, scheduledStart, remote = false } = req.body;
+
+    if (scheduledStart && scheduledStart <= new Date()) {
+      return res.status(400).json({
+        success: false,
+        message: t(req, 'services.scheduledStartPast')
+      });
+    }
+
+    const service = await Service.findById(req.params.id);
+
+    if (!service || service.status !== 'active') {
+      return res.status(404).json({
+        success: false,
+        message: t(req, 'services.notAvailable')
+      });
+    }
+
+    // The job address: the one given, else the signed-in customer's own
+    let address;
+    let location;
+    if (!remote) {
+      if (req.body.address && req.body.address.postalCode) {
+        const geocoded = geocodePostalCode(req.body.address.postalCode);
+        if (!geocoded) {
+          return res.status(400).json({
+            success: false,
+            message: t(req, 'services.unknownPostalCode')
+          });
+        }
+        address = {
+          street: req.body.address.street,
+          postalCode: geocoded.postalCode,
+          city: req.body.address.city || geocoded.place
+        };
+        location = geocoded.location;
+      } else if (req.user && req.user.address && req.user.address.location &&
+        req.user.address.location.coordinates && req.user.address.location.coordinates.length === 2) {
+        address = {
+          street: req.user.address.street,
+          postalCode: req.user.address.postalCode,
+          city: req.user.address.city
+        };
+        location = req.user.address.location;
+      }
+
+      if (!location && service.serviceArea && service.serviceArea.travelFeePerKm > 0) {
+        return res.status(400).json({
+          success: false,
+          message: t(req, 'services.travelAddressRequired')
+        });
+      }
+    }
+
+    const provider = await User.findById(service.provider)
+      .select('isBusinessVerified businessVerification.organisationNumber businessVerification.vatRegistered');
+
+    const result = calculateQuote(service, {
+      hours,
+      units,
+      scheduledStart,
+      location,
+      remote,
+      chargesVat: Boolean(provider) && chargesVat(provider)
+    });
+
+    if (result.error) {
+      return res.status(400).json({
+        success: false,
+        message: t(req, result.error, result.errorParams)
+      });
+    }
+
+    const quote = await Quote.create({
+      service: service._id,
+      provider: service.provider,
+      customer: req.user ? req.user._id : undefined,
+      pricingType: service.pricing.type,
+      hours: result.hours,
+      units: result.units,
+      scheduledStart,
+      address,
+      remote,
+      distanceKm: result.distanceKm === null ? undefined : result.distanceKm,
+      currency: service.pricing.currency || BASE_CURRENCY,
+      lines: result.lines,
+      total: result.total,
+      tax: result.tax,
+      expiresAt: quoteExpiry(scheduledStart)
+    });
+
+    res.status(201).json({
+      success: true,
+      data: { quote }
+    });
+
+  } catch (error) {
+    console.error('Create quote error:', error);
+    res.status(500).json({
+      success: false,
+      message: t(req, 'services.quoteCreateFailed')
+    });
+  }
+});
+
+// @desc    Get a quote
+// @route   GET /api/services/:id/quote/:quoteId
+// @access  Public (quotes made while signed in: customer, provider and admins only)
+router.get('/:id/quote/:quoteId', optionalAuth, async (req, res) => {
+  try {
+    const quote = await Quote.findOne({ _id: req.params.quoteId, service: req.params.id })
+      .populate('service', 'title pricing.type pricing.unitName');
+
+    const userId = req.user && req.user._id.toString();
+    const canView = quote && (!quote.customer ||
+      userId === quote.customer.toString() ||
+      userId === quote.provider.toString() ||
+      (req.user && req.user.userType === 'admin'));
+
+    if (!canView) {
+      return res.status(404).json({
+        success: false,
+        message: t(req, 'services.quoteNotFound')
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { quote }
+    });
+
+  } catch (error) {
+    console.error('Get quote error:', error);
+    res.status(500).json({
+      success: false,
+      message: t(req, 'services.quoteFetchFailed')
     });
   }
 });
@@ -234,16 +1108,30 @@ router.put('/:id', [
     .optional()
     .trim()
     .isLength({ min: 5, max: 100 })
-    .withMessage('Service title must be between 5 and 100 characters'),
+    .withMessage(localized('services.titleLength')),
   body('description')
     .optional()
     .trim()
     .isLength({ min: 20, max: 1000 })
-    .withMessage('Service description must be between 20 and 1000 characters'),
+    .withMessage(localized('services.descriptionLength')),
   body('pricing.amount')
     .optional()
     .isFloat({ min: 0 })
-    .withMessage('Price must be a positive number')
+    .withMessage(localized('services.pricePositive')),
+  body('pricing.vatRate')
+    .optional()
+    .isIn([25, 15, 12, 0])
+    .withMessage(localized('services.vatRateInvalid'))
+    .toInt(),
+  body('serviceArea.maxDistance')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage(localized('services.maxDistancePositive')),
+  ...chargeValidators,
+  ...availabilityExceptionValidators,
+  ...subscriptionTermsValidators,
+  ...translationValidators,
+  coordinatesValidator
 ], async (req, res) => {
   try {
     // Check for validation errors
@@ -260,7 +1148,7 @@ router.put('/:id', [
     if (!service) {
       return res.status(404).json({
         success: false,
-        message: 'Service not found'
+        message: t(req, 'services.notFound')
       });
     }
 
@@ -268,27 +1156,20 @@ router.put('/:id', [
     if (service.provider.toString() !== req.user._id.toString()) {
       return res.status(403).json({
         success: false,
-        message: 'Not authorized to update this service'
+        message: t(req, 'services.updateForbidden')
       });
     }
 
     // Update service
-    const updates = req.body;
-    const allowedUpdates = [
-      'title', 'description', 'shortDescription', 'subcategory', 'tags',
-      'duration', 'availability', 'pricing', 'serviceArea', 'onSiteService',
-      'remoteService', 'images', 'videos', 'documents'
-    ];
-
-    const filteredUpdates = Object.keys(updates)
-      .filter(key => allowedUpdates.includes(key))
-      .reduce((obj, key) => {
-        obj[key] = updates[key];
-        return obj;
-      }, {});
+    const filteredUpdates = pickFields(req.body, EDITABLE_FIELDS);
+
+    if (filteredUpdates.location || filteredUpdates.serviceArea) {
+      const location = resolveServiceLocation(filteredUpdates, null);
+      if (location) filteredUpdates.location = location;
+    }
 
     // Reset status to pending review if significant changes made
-    if (filteredUpdates.title || filteredUpdates.description || filteredUpdates.pricing) {
+    if (filteredUpdates.title || filteredUpdates.description || filteredUpdates.translations || filteredUpdates.pricing) {
       filteredUpdates.status = 'pending_review';
     }
 
@@ -296,11 +1177,11 @@ router.put('/:id', [
       req.params.id,
       filteredUpdates,
       { new: true, runValidators: true }
-    ).populate('provider', 'firstName lastName businessInfo.businessName profileImage');
+    ).populate('provider', 'firstName lastName businessInfo.businessName isBusinessVerified profileImage');
 
     res.json({
       success: true,
-      message: 'Service updated successfully',
+      message: t(req, 'services.updated'),
       data: { service: updatedService }
     });
 
@@ -308,7 +1189,7 @@ router.put('/:id', [
     console.error('Update service error:', error);
     res.status(500).json({
       success: false,
-      message: 'Server error while updating service'
+      message: t(req, 'services.updateFailed')
     });
   }
 });
@@ -323,7 +1204,7 @@ router.delete('/:id', [protect, requireServiceProvider], async (req, res) => {
     if (!service) {
       return res.status(404).json({
         success: false,
-        message: 'Service not found'
+        message: t(req, 'services.notFound')
       });
     }
 
@@ -331,22 +1212,23 @@ router.delete('/:id', [protect, requireServiceProvider], async (req, res) => {
     if (service.provider.toString() !== req.user._id.toString()) {
       return res.status(403).json({
         success: false,
-        message: 'Not authorized to delete this service'
+        message: t(req, 'services.deleteForbidden')
       });
     }
 
     await Service.findByIdAndDelete(req.params.id);
+    await removeFiles(service.mediaStorageKeys());
 
     res.json({
       success: true,
-      message: 'Service deleted successfully'
+      message: t(req, 'services.deleted')
     });
 
   } catch (error) {
     console.error('Delete service error:', error);
     res.status(500).json({
       success: false,
-      message: 'Server error while deleting service'
+      message: t(req, 'services.deleteFailed')
     });
   }
 });
@@ -354,59 +1236,27 @@ router.delete('/:id', [protect, requireServiceProvider], async (req, res) => {
 // @desc    Get services by provider
 // @route   GET /api/services/provider/:providerId
 // @access  Public
-router.get('/provider/:providerId', async (req, res) => {
+router.get('/provider/:providerId', optionalAuth, async (req, res) => {
   try {
+    const { display } = await resolveDisplay(req);
     const services = await Service.find({
       provider: req.params.providerId,
       status: 'active',
       isVerified: true
     })
-    .populate('provider', 'firstName lastName businessInfo.businessName profileImage city')
+    .populate('provider', 'firstName lastName businessInfo.businessName isBusinessVerified profileImage city')
     .sort({ isFeatured: -1, createdAt: -1 });
 
     res.json({
       success: true,
-      data: { services }
+      data: { services: services.map(service => display(service)) }
     });
 
   } catch (error) {
     console.error('Get provider services error:', error);
     res.status(500).json({
       success: false,
-      message: 'Server error while fetching provider services'
-    });
-  }
-});
-
-// @desc    Get service categories
-// @route   GET /api/services/categories
-// @access  Public
-router.get('/categories', async (req, res) => {
-  try {
-    const categories = [
-      { id: 'home_services', name: 'Home Services', icon: '🏠' },
-      { id: 'automotive', name: 'Automotive', icon: '🚗' },
-      { id: 'healthcare', name: 'Healthcare', icon: '🏥' },
-      { id: 'education', name: 'Education', icon: '📚' },
-      { id: 'technology', name: 'Technology', icon: '💻' },
-      { id: 'beauty_wellness', name: 'Beauty & Wellness', icon: '💄' },
-      { id: 'professional_services', name: 'Professional Services', icon: '💼' },
-      { id: 'entertainment', name: 'Entertainment', icon: '🎭' },
-      { id: 'maintenance', name: 'Maintenance', icon: '🔧' },
-      { id: 'consulting', name: 'Consulting', icon: '📋' },
-      { id: 'other', name: 'Other', icon: '✨' }
-    ];
-
-    res.json({
-      success: true,
-      data: { categories }
-    });
-
-  } catch (error) {
-    console.error('Get categories error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Server error while fetching categories'
+      message: t(req, 'services.providerFetchFailed')
     });
   }
 });
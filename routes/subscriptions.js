@@ -0,0 +1,714 @@
+const express = require('express');
+const { body, validationResult, query, param } = require('express-validator');
+const Subscription = require('../models/Subscription');
+const Service = require('../models/Service');
+const Booking = require('../models/Booking');
+const { parseRRule, formatRRule, expandRecurrence, occursOn } = require('../utils/recurrence');
+const { toLocalDateString, addDays } = require('../utils/timezone');
+const {
+  occurrenceSchedule,
+  syncOccurrenceBookings,
+  cancelOccurrenceBookings,
+  startBilling,
+  changePlan,
+  cancellationDate,
+  advanceSubscription
+} = require('../utils/subscriptions');
+const { protect, requireCustomer } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Statuses that occupy the provider's calendar
+const ACTIVE_STATUSES = ['requested', 'confirmed', 'in_progress'];
+
+// Longest date range a single occurrences request may cover
+const MAX_OCCURRENCE_RANGE_DAYS = 366;
+
+const PAUSE_REASON = 'Arrangement paused';
+
+const PARTICIPANT_FIELDS = 'firstName lastName businessInfo.businessName isBusinessVerified profileImage';
+
+const dateValidator = (field) => field
+  .isDate({ format: 'YYYY-MM-DD', strictMode: true })
+  .withMessage('Dates must be in YYYY-MM-DD format');
+
+// Load an arrangement the user may see, brought up to date first
+const findSubscriptionForUser = async (id, user) => {
+  const subscription = await Subscription.findById(id);
+  if (!subscription || (user.userType !== 'admin' && !subscription.roleOf(user._id))) {
+    return null;
+  }
+
+  if (advanceSubscription(subscription)) {
+    try {
+      await subscription.save();
+    } catch (error) {
+      if (error.name !== 'VersionError') throw error;
+      // Updated by someone else in the meantime
+      return Subscription.findById(id);
+    }
+  }
+  return subscription;
+};
+
+// Why a date cannot be skipped or rescheduled, if it cannot
+const occurrenceProblem = (subscription, date, today) => {
+  const { rule } = parseRRule(subscription.rrule);
+  if (date < subscription.startDate || !occursOn(rule, subscription.startDate, date)) {
+    return 'There is no visit on this date';
+  }
+  if (date < today) return 'Past visits cannot be changed';
+  if (subscription.isPausedOn(date)) return 'The arrangement is paused on this date';
+
+  const exception = subscription.exceptionFor(date);
+  if (exception && exception.type === 'skip') return 'This visit is already skipped';
+
+  const [occurrence] = occurrenceSchedule(subscription, { from: date, to: date });
+  if (!occurrence) return 'The arrangement has ended by this date';
+  return null;
+};
+
+// Record a skip or reschedule, replacing any earlier change to the same visit
+const setException = (subscription, exception) => {
+  subscription.exceptions = subscription.exceptions
+    .filter(existing => existing.date !== exception.date)
+    .concat(exception);
+};
+
+// Shared handler for changes to an arrangement. `apply` updates the
+// subscription and returns { error } when the change is not allowed, or
+// { afterSave, data } for work to do once it is stored.
+const updateSubscription = ({ action, successMessage, roles, statuses, apply }) => async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const subscription = await findSubscriptionForUser(req.params.id, req.user);
+    const role = subscription && subscription.roleOf(req.user._id);
+
+    if (!role) {
+      return res.status(404).json({
+        success: false,
+        message: 'Arrangement not found'
+      });
+    }
+
+    if (!roles.includes(role)) {
+      return res.status(403).json({
+        success: false,
+        message: `Only the ${roles[0]} can do this`
+      });
+    }
+
+    if (!statuses.includes(subscription.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `This arrangement is ${subscription.status}`
+      });
+    }
+
+    const now = new Date();
+    const result = await apply(subscription, { req, role, now, today: toLocalDateString(now) });
+    if (result.error) {
+      return res.status(result.statusCode || 400).json({
+        success: false,
+        message: result.error
+      });
+    }
+
+    await subscription.save();
+
+    if (result.afterSave) await result.afterSave();
+    await syncOccurrenceBookings(subscription, now);
+
+    res.json({
+      success: true,
+      message: successMessage,
+      data: { subscription, ...result.data }
+    });
+
+  } catch (error) {
+    if (error.name === 'VersionError') {
+      return res.status(409).json({
+        success: false,
+        message: 'The arrangement changed in the meantime. Reload it and try again.'
+      });
+    }
+    console.error(`${action} error:`, error);
+    res.status(500).json({
+      success: false,
+      message: `Server error while ${action.toLowerCase()}`
+    });
+  }
+};
+
+// @desc    Request a recurring arrangement or subscription
+// @route   POST /api/subscriptions
+// @access  Private (Customers only)
+router.post('/', [
+  protect,
+  requireCustomer,
+  body('service')
+    .isMongoId()
+    .withMessage('A valid service ID is required'),
+  body('rrule')
+    .isString()
+    .withMessage('Recurrence rule is required, e.g. FREQ=WEEKLY;BYDAY=MO'),
+  dateValidator(body('startDate')),
+  body('startTime')
+    .matches(/^([01]\d|2[0-3]):[0-5]\d$/)
+    .withMessage('Start time must be in HH:mm format'),
+  body('plan')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid plan ID'),
+  body('notes')
+    .optional()
+    .isLength({ max: 1000 })
+    .withMessage('Notes cannot exceed 1000 characters')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const service = await Service.findById(req.body.service);
+
+    if (!service || !service.isAvailable) {
+      return res.status(404).json({
+        success: false,
+        message: 'Service not available'
+      });
+    }
+
+    if (!['recurring', 'subscription'].includes(service.serviceType)) {
+      return res.status(400).json({
+        success: false,
+        message: 'This service is not offered as a recurring arrangement'
+      });
+    }
+
+    if (service.pricing.type === 'negotiable') {
+      return res.status(400).json({
+        success: false,
+        message: 'Negotiable services cannot be booked on a schedule'
+      });
+    }
+
+    const { rule, error } = parseRRule(req.body.rrule);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    const today = toLocalDateString(new Date());
+    const { startDate } = req.body;
+    if (startDate < today) {
+      return res.status(400).json({
+        success: false,
+        message: 'Start date cannot be in the past'
+      });
+    }
+
+    if (!expandRecurrence(rule, { startDate, to: addDays(startDate, 365), limit: 1 }).length) {
+      return res.status(400).json({
+        success: false,
+        message: 'The recurrence has no visits in the coming year'
+      });
+    }
+
+    const terms = service.subscriptionTerms;
+    let plan;
+    if (service.serviceType === 'subscription') {
+      plan = req.body.plan && terms.plans.id(req.body.plan);
+      if (!plan) {
+        return res.status(400).json({
+          success: false,
+          message: terms.plans.length ? 'Choose one of the service\'s plans' : 'This service has no plans yet'
+        });
+      }
+    }
+
+    const subscription = await Subscription.create({
+      customer: req.user._id,
+      provider: service.provider,
+      service: service._id,
+      kind: service.serviceType,
+      rrule: formatRRule(rule),
+      startDate,
+      startTime: req.body.startTime,
+      duration: service.duration || 60,
+      notes: req.body.notes,
+      address: req.body.address || req.user.address,
+      price: service.serviceType === 'recurring' ? service.priceSnapshot() : undefined,
+      plan: plan ? { planId: plan._id, name: plan.name, price: plan.price } : undefined,
+      currency: service.pricing.currency,
+      billingInterval: plan ? terms.billingInterval : undefined,
+      noticeDays: terms.noticeDays
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Arrangement requested. The provider will confirm it.',
+      data: {
+        subscription,
+        upcoming: occurrenceSchedule(subscription, { from: startDate, to: addDays(startDate, 92) }).slice(0, 5)
+      }
+    });
+
+  } catch (error) {
+    console.error('Create subscription error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while requesting arrangement'
+    });
+  }
+});
+
+// @desc    Get the user's arrangements
+// @route   GET /api/subscriptions
+// @access  Private (Customers see their own, providers the ones on their services)
+router.get('/', [
+  protect,
+  query('status').optional().isIn(Subscription.STATUSES).withMessage('Invalid status'),
+  query('page').optional().isInt({ min: 1 }),
+  query('limit').optional().isInt({ min: 1, max: 50 })
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { status, page = 1, limit = 12 } = req.query;
+
+    const filter = {};
+    if (req.user.userType === 'service_provider') filter.provider = req.user._id;
+    else if (req.user.userType === 'customer') filter.customer = req.user._id;
+    if (status) filter.status = status;
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const [subscriptions, total] = await Promise.all([
+      Subscription.find(filter)
+        .sort({ createdAt: -1 })
+        .select('-billingCycles -exceptions')
+        .populate('service', 'title category serviceType')
+        .populate(req.user.userType === 'service_provider' ? 'customer' : 'provider', PARTICIPANT_FIELDS)
+        .skip(skip)
+        .limit(parseInt(limit)),
+      Subscription.countDocuments(filter)
+    ]);
+
+    const totalPages = Math.ceil(total / parseInt(limit));
+
+    res.json({
+      success: true,
+      data: {
+        subscriptions,
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages,
+          totalSubscriptions: total,
+          hasNextPage: parseInt(page) < totalPages,
+          hasPrevPage: parseInt(page) > 1
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Get subscriptions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching arrangements'
+    });
+  }
+});
+
+// @desc    Get an arrangement with its billing history
+// @route   GET /api/subscriptions/:id
+// @access  Private (Customer, provider and admins)
+router.get('/:id', protect, async (req, res) => {
+  try {
+    const subscription = await findSubscriptionForUser(req.params.id, req.user);
+
+    if (!subscription) {
+      return res.status(404).json({
+        success: false,
+        message: 'Arrangement not found'
+      });
+    }
+
+    await subscription.populate([
+      { path: 'service', select: 'title category serviceType subscriptionTerms' },
+      { path: 'customer', select: PARTICIPANT_FIELDS },
+      { path: 'provider', select: PARTICIPANT_FIELDS }
+    ]);
+
+    res.json({
+      success: true,
+      data: { subscription }
+    });
+
+  } catch (error) {
+    console.error('Get subscription error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching arrangement'
+    });
+  }
+});
+
+// @desc    Get the visits of an arrangement in a date range
+// @route   GET /api/subscriptions/:id/occurrences
+// @access  Private (Customer, provider and admins)
+router.get('/:id/occurrences', [
+  protect,
+  dateValidator(query('from').optional()),
+  dateValidator(query('to').optional())
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const from = req.query.from || toLocalDateString(new Date());
+    const to = req.query.to || addDays(from, 55);
+
+    if (to < from || to > addDays(from, MAX_OCCURRENCE_RANGE_DAYS - 1)) {
+      return res.status(400).json({
+        success: false,
+        message: `to must be within ${MAX_OCCURRENCE_RANGE_DAYS} days after from`
+      });
+    }
+
+    const subscription = await findSubscriptionForUser(req.params.id, req.user);
+
+    if (!subscription) {
+      return res.status(404).json({
+        success: false,
+        message: 'Arrangement not found'
+      });
+    }
+
+    const schedule = occurrenceSchedule(subscription, { from, to });
+    const bookings = await Booking.find({
+      subscription: subscription._id,
+      occurrenceDate: { $in: schedule.map(occurrence => occurrence.date) }
+    }).select('occurrenceDate status scheduledStart');
+    const bookingsByDate = new Map(bookings.map(booking => [booking.occurrenceDate, booking]));
+
+    res.json({
+      success: true,
+      data: {
+        from,
+        to,
+        occurrences: schedule.map(occurrence => ({
+          ...occurrence,
+          booking: bookingsByDate.get(occurrence.date) || null
+        }))
+      }
+    });
+
+  } catch (error) {
+    console.error('Get subscription occurrences error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching visits'
+    });
+  }
+});
+
+// @desc    Confirm a requested arrangement
+// @route   POST /api/subscriptions/:id/confirm
+// @access  Private (Service Provider - Owner only)
+router.post('/:id/confirm', protect, updateSubscription({
+  action: 'Confirming arrangement',
+  successMessage: 'Arrangement confirmed',
+  roles: ['provider'],
+  statuses: ['requested'],
+  apply: (subscription, { now, today }) => {
+    subscription.status = 'active';
+    subscription.activatedAt = now;
+    // Billing starts with the first visit
+    startBilling(subscription, subscription.startDate > today ? subscription.startDate : today);
+    return {};
+  }
+}));
+
+// @desc    Decline a requested arrangement
+// @route   POST /api/subscriptions/:id/decline
+// @access  Private (Service Provider - Owner only)
+router.post('/:id/decline', protect, updateSubscription({
+  action: 'Declining arrangement',
+  successMessage: 'Arrangement declined',
+  roles: ['provider'],
+  statuses: ['requested'],
+  apply: (subscription, { now }) => {
+    subscription.status = 'declined';
+    subscription.endedAt = now;
+    return {};
+  }
+}));
+
+// @desc    Skip a single visit
+// @route   POST /api/subscriptions/:id/occurrences/:date/skip
+// @access  Private (Customer or provider)
+router.post('/:id/occurrences/:date/skip', [
+  protect,
+  dateValidator(param('date')),
+  body('reason')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Reason cannot exceed 500 characters')
+], updateSubscription({
+  action: 'Skipping visit',
+  successMessage: 'Visit skipped',
+  roles: ['customer', 'provider'],
+  statuses: ['active', 'paused'],
+  apply: (subscription, { req, today }) => {
+    const { date } = req.params;
+    const problem = occurrenceProblem(subscription, date, today);
+    if (problem) return { error: problem };
+
+    setException(subscription, { date, type: 'skip', reason: req.body.reason, createdBy: req.user._id });
+    return {
+      afterSave: () => cancelOccurrenceBookings(subscription, { occurrenceDate: date }, {
+        user: req.user,
+        reason: req.body.reason || 'Visit skipped'
+      })
+    };
+  }
+}));
+
+// @desc    Move a single visit to another time
+// @route   POST /api/subscriptions/:id/occurrences/:date/reschedule
+// @access  Private (Customer or provider)
+router.post('/:id/occurrences/:date/reschedule', [
+  protect,
+  dateValidator(param('date')),
+  body('scheduledStart')
+    .isISO8601()
+    .withMessage('Start time must be a valid date')
+    .toDate(),
+  body('reason')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Reason cannot exceed 500 characters')
+], updateSubscription({
+  action: 'Rescheduling visit',
+  successMessage: 'Visit rescheduled',
+  roles: ['customer', 'provider'],
+  statuses: ['active', 'paused'],
+  apply: async (subscription, { req, now, today }) => {
+    const { date } = req.params;
+    const { scheduledStart } = req.body;
+
+    const problem = occurrenceProblem(subscription, date, today);
+    if (problem) return { error: problem };
+
+    if (scheduledStart <= now) return { error: 'The visit must be moved to a time in the future' };
+    const endsAt = subscription.cancellation && subscription.cancellation.effectiveAt;
+    if (endsAt && scheduledStart >= endsAt) return { error: 'The visit must take place before the arrangement ends' };
+
+    const scheduledEnd = new Date(scheduledStart.getTime() + subscription.duration * 60 * 1000);
+
+    // The visit's own booking does not count as a clash
+    const conflict = await Booking.exists({
+      provider: subscription.provider,
+      status: { $in: ACTIVE_STATUSES },
+      scheduledStart: { $lt: scheduledEnd },
+      scheduledEnd: { $gt: scheduledStart },
+      $or: [{ subscription: { $ne: subscription._id } }, { occurrenceDate: { $ne: date } }]
+    });
+    if (conflict) return { error: 'The provider is already booked at this time', statusCode: 409 };
+
+    setException(subscription, { date, type: 'reschedule', scheduledStart, reason: req.body.reason, createdBy: req.user._id });
+    return {
+      afterSave: () => Booking.updateOne(
+        { subscription: subscription._id, occurrenceDate: date, status: { $in: ['requested', 'confirmed'] } },
+        { $set: { scheduledStart, scheduledEnd } }
+      )
+    };
+  }
+}));
+
+// @desc    Pause an arrangement, from today or a later date
+// @route   POST /api/subscriptions/:id/pause
+// @access  Private (Customer or provider)
+router.post('/:id/pause', [
+  protect,
+  dateValidator(body('from').optional()),
+  dateValidator(body('until').optional())
+], updateSubscription({
+  action: 'Pausing arrangement',
+  successMessage: 'Arrangement paused',
+  roles: ['customer', 'provider'],
+  statuses: ['active', 'paused'],
+  apply: (subscription, { req, now, today }) => {
+    const from = req.body.from || today;
+    const { until } = req.body;
+
+    if (from < today) return { error: 'A pause cannot start in the past' };
+    if (until && until <= from) return { error: 'The pause must end after it starts' };
+
+    const overlaps = subscription.pauses.some(pause =>
+      pause.from < (until || '9999-12-31') && (pause.until || '9999-12-31') > from);
+    if (overlaps) return { error: 'The arrangement is already paused for part of this time' };
+
+    subscription.pauses.push({ from, until, createdBy: req.user._id });
+    advanceSubscription(subscription, now);
+
+    const dates = until ? { $gte: from, $lt: until } : { $gte: from };
+    return {
+      afterSave: () => cancelOccurrenceBookings(subscription, { occurrenceDate: dates }, {
+        user: req.user,
+        reason: PAUSE_REASON
+      })
+    };
+  }
+}));
+
+// @desc    End the current pause
+// @route   POST /api/subscriptions/:id/resume
+// @access  Private (Customer or provider)
+router.post('/:id/resume', protect, updateSubscription({
+  action: 'Resuming arrangement',
+  successMessage: 'Arrangement resumed',
+  roles: ['customer', 'provider'],
+  statuses: ['paused'],
+  apply: (subscription, { req, now, today }) => {
+    const pause = subscription.pauses.find(item => item.from <= today && (!item.until || today < item.until));
+    const pausedDates = pause.until ? { $gte: today, $lt: pause.until } : { $gte: today };
+    if (pause.from === today) subscription.pauses = subscription.pauses.filter(item => item !== pause);
+    else pause.until = today;
+
+    advanceSubscription(subscription, now);
+
+    // Visits this pause had called off are back on, unless another pause or
+    // the end of the arrangement still covers them
+    const filter = {
+      subscription: subscription._id,
+      status: 'cancelled',
+      cancellationReason: PAUSE_REASON,
+      occurrenceDate: pausedDates,
+      scheduledStart: { $gt: now }
+    };
+    if (subscription.pauses.length) {
+      filter.$nor = subscription.pauses.map(item => ({
+        occurrenceDate: item.until ? { $gte: item.from, $lt: item.until } : { $gte: item.from }
+      }));
+    }
+    const endsAt = subscription.cancellation && subscription.cancellation.effectiveAt;
+    if (endsAt) filter.scheduledStart.$lt = endsAt;
+
+    return {
+      afterSave: () => Booking.updateMany(
+        filter,
+        {
+          $set: { status: 'confirmed' },
+          $unset: { cancellationReason: 1, cancelledBy: 1 },
+          $push: { statusHistory: { status: 'confirmed', changedBy: req.user._id, reason: 'Arrangement resumed' } }
+        }
+      )
+    };
+  }
+}));
+
+// @desc    Give notice to end an arrangement
+// @route   POST /api/subscriptions/:id/cancel
+// @access  Private (Customer or provider)
+router.post('/:id/cancel', [
+  protect,
+  body('reason')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Reason cannot exceed 500 characters')
+], updateSubscription({
+  action: 'Cancelling arrangement',
+  successMessage: 'Notice given',
+  roles: ['customer', 'provider'],
+  statuses: ['requested', 'active', 'paused'],
+  apply: (subscription, { req, now }) => {
+    if (subscription.cancellation && subscription.cancellation.effectiveAt) {
+      return { error: `Notice has already been given. The arrangement ends ${subscription.cancellation.effectiveAt.toISOString()}` };
+    }
+
+    const effectiveAt = cancellationDate(subscription, now);
+    subscription.cancellation = {
+      requestedAt: now,
+      requestedBy: req.user._id,
+      reason: req.body.reason,
+      effectiveAt
+    };
+
+    if (subscription.status === 'requested') {
+      subscription.status = 'cancelled';
+      subscription.endedAt = now;
+    } else {
+      advanceSubscription(subscription, now);
+    }
+
+    return {
+      data: { effectiveAt },
+      afterSave: () => cancelOccurrenceBookings(subscription, { scheduledStart: { $gte: effectiveAt } }, {
+        user: req.user,
+        reason: 'Arrangement cancelled'
+      })
+    };
+  }
+}));
+
+// @desc    Change the plan of a subscription, prorating the current cycle
+// @route   PUT /api/subscriptions/:id/plan
+// @access  Private (Customer only)
+router.put('/:id/plan', [
+  protect,
+  body('plan')
+    .isMongoId()
+    .withMessage('A valid plan ID is required')
+], updateSubscription({
+  action: 'Changing plan',
+  successMessage: 'Plan changed',
+  roles: ['customer'],
+  statuses: ['active', 'paused'],
+  apply: async (subscription, { req, now }) => {
+    if (subscription.kind !== 'subscription') return { error: 'Only subscriptions have plans' };
+
+    const service = await Service.findById(subscription.service).select('subscriptionTerms');
+    const plan = service && service.subscriptionTerms.plans.id(req.body.plan);
+    if (!plan) return { error: 'Choose one of the service\'s plans' };
+    if (subscription.plan.planId && subscription.plan.planId.equals(plan._id)) {
+      return { error: 'This is already your plan' };
+    }
+
+    return { data: { proration: changePlan(subscription, plan, now) } };
+  }
+}));
+
+module.exports = router;
@@ -1,4 +1,6 @@
 const express = require('express');
+const mongoose = require('mongoose');
+const path = require('path');
 const cors = require('cors');
 const helmet = require('helmet');
 const rateLimit = require('express-rate-limit');
@@ -16,6 +18,27 @@ const connectDB = require('./config/database');
 // Import routes
 const authRoutes = require('./routes/auth');
 const serviceRoutes = require('./routes/services');
+const bookingRoutes = require('./routes/bookings');
+const reviewRoutes = require('./routes/reviews');
+const adminRoutes = require('./routes/admin');
+const featuredRoutes = require('./routes/featured');
+const providerRoutes = require('./routes/providers');
+const conversationRoutes = require('./routes/conversations');
+const mediaRoutes = require('./routes/media');
+const paymentRoutes = require('./routes/payments');
+const invoiceRoutes = require('./routes/invoices');
+const negotiationRoutes = require('./routes/negotiations');
+const subscriptionRoutes = require('./routes/subscriptions');
+
+// Import background jobs
+const { startFeaturedExpiryJob } = require('./jobs/featuredExpiry');
+const { startAnalyticsFlushJob } = require('./jobs/analyticsFlush');
+const { startNegotiationExpiryJob } = require('./jobs/negotiationExpiry');
+const { startSubscriptionJob } = require('./jobs/subscriptions');
+const { syncServiceBaseAmounts } = require('./utils/currency');
+const Service = require('./models/Service');
+const User = require('./models/User');
+const Quote = require('./models/Quote');
 
 const app = express();
 const PORT = process.env.PORT || 5000;
@@ -43,6 +66,9 @@ app.use(cors({
   credentials: true
 }));
 
+// Payment webhooks are signed over the raw body, so it must not be parsed as JSON first
+app.use('/api/payments/webhook', express.raw({ type: 'application/json', limit: '1mb' }));
+
 // Body parsing middleware
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
@@ -50,6 +76,32 @@ app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 // Cookie parser middleware
 app.use(cookieParser());
 
+// Whether a request path under /uploads points into private/, judged on the
+// path as the static handler will resolve it (decoded, dot segments removed)
+const isPrivateUploadPath = (requestPath) => {
+  let decoded;
+  try {
+    decoded = decodeURIComponent(requestPath);
+  } catch (error) {
+    return true;
+  }
+  const [firstSegment = ''] = path.posix.normalize(decoded.replace(/\\/g, '/')).split('/').filter(Boolean);
+  return firstSegment.toLowerCase() === 'private';
+};
+
+// Uploaded files when stored on local disk
+if ((process.env.STORAGE_DRIVER || 'local') === 'local') {
+  // Private files (such as verification documents) are stored outside the
+  // upload root and only served through authenticated routes
+  app.use('/uploads', (req, res, next) => (isPrivateUploadPath(req.path) ? res.status(404).end() : next()));
+  app.use('/uploads', express.static(path.resolve(process.env.UPLOAD_PATH || './uploads'), {
+    maxAge: '365d',
+    immutable: true,
+    // Let the client app on another origin embed images
+    setHeaders: (res) => res.set('Cross-Origin-Resource-Policy', 'cross-origin')
+  }));
+}
+
 // Basic route for testing
 app.get('/', (req, res) => {
   res.json({
@@ -71,6 +123,17 @@ app.get('/api/health', (req, res) => {
 // API Routes
 app.use('/api/auth', authRoutes);
 app.use('/api/services', serviceRoutes);
+app.use('/api/bookings', bookingRoutes);
+app.use('/api/reviews', reviewRoutes);
+app.use('/api/admin', adminRoutes);
+app.use('/api/featured', featuredRoutes);
+app.use('/api/providers', providerRoutes);
+app.use('/api/conversations', conversationRoutes);
+app.use('/api/media', mediaRoutes);
+app.use('/api/payments', paymentRoutes);
+app.use('/api/invoices', invoiceRoutes);
+app.use('/api/negotiations', negotiationRoutes);
+app.use('/api/subscriptions', subscriptionRoutes);
 
 // Error handling middleware
 app.use((err, req, res, next) => {
@@ -93,6 +156,48 @@ app.use('*', (req, res) => {
 const startServer = async () => {
   try {
     const dbConnected = await connectDB();
+    let stopAnalyticsFlush = null;
+
+    // Background jobs need the database
+    if (dbConnected) {
+      startFeaturedExpiryJob();
+      startNegotiationExpiryJob();
+      startSubscriptionJob();
+
+      // Fill in base-currency prices for services saved before they were stored
+      syncServiceBaseAmounts().catch(error => console.error('Sync service base amounts error:', error));
+
+      // Likewise the search keywords and trigrams that typo-tolerant search uses
+      Service.backfillSearchFields()
+        .then(count => count && console.log(`🔎 Search: indexed ${count} existing services`))
+        .catch(error => console.error('Backfill search fields error:', error));
+
+      // Keep quotes that bookings were priced from
+      Quote.migrateExpiry()
+        .catch(error => console.error('Migrate quote expiry error:', error));
+
+      // Drop the 'en' older accounts were given by default, so their browser language applies
+      User.clearDefaultLanguage()
+        .then(count => count && console.log(`🌐 i18n: cleared default language on ${count} accounts`))
+        .catch(error => console.error('Clear default language error:', error));
+
+      stopAnalyticsFlush = startAnalyticsFlushJob();
+    }
+
+    // The only shutdown path: write buffered analytics while the database is
+    // still open, then close the connection, then exit
+    ['SIGINT', 'SIGTERM'].forEach(signal => {
+      process.once(signal, async () => {
+        try {
+          if (stopAnalyticsFlush) await stopAnalyticsFlush();
+          await mongoose.connection.close();
+          console.log('🔄 MongoDB connection closed through app termination');
+        } catch (error) {
+          console.error('Shutdown error:', error);
+        }
+        process.exit(0);
+      });
+    });
     
     app.listen(PORT, () => {
       console.log(`🚀 A-Z Globe Server running on port ${PORT}`);
@@ -105,6 +210,17 @@ const startServer = async () => {
       }
       console.log(`🔐 Auth Routes: /api/auth`);
       console.log(`🛠️  Service Routes: /api/services`);
+      console.log(`📅 Booking Routes: /api/bookings`);
+      console.log(`⭐ Review Routes: /api/reviews`);
+      console.log(`🛡️  Admin Routes: /api/admin`);
+      console.log(`🌟 Featured Routes: /api/featured`);
+      console.log(`📊 Provider Routes: /api/providers`);
+      console.log(`💬 Conversation Routes: /api/conversations`);
+      console.log(`🖼️  Media Routes: /api/media`);
+      console.log(`💳 Payment Routes: /api/payments`);
+      console.log(`🧾 Invoice Routes: /api/invoices`);
+      console.log(`🤝 Negotiation Routes: /api/negotiations`);
+      console.log(`🔁 Subscription Routes: /api/subscriptions`);
     });
   } catch (error) {
     console.error('❌ Failed to start server:', error);
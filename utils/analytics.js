@@ -0,0 +1,183 @@
+const crypto = require('crypto');
+const Service = require('../models/Service');
+const ServiceStats = require('../models/ServiceStats');
+const { toLocalDateString } = require('./timezone');
+
+// Buffered service analytics. Events are counted in memory and written in
+// batches by flush(): one $inc per service for the lifetime counters and one
+// upsert per service and day for the ServiceStats rollup.
+
+// Event type -> Service counter and ServiceStats field
+const EVENT_FIELDS = {
+  impression: { counter: 'impressionCount', stat: 'impressions' },
+  view: { counter: 'viewCount', stat: 'views' },
+  inquiry: { counter: 'inquiryCount', stat: 'inquiries' }
+};
+
+// Impressions and views count once per viewer and service within this window
+const DEDUPED_EVENTS = ['impression', 'view'];
+const DEDUPE_WINDOW_MS = 30 * 60 * 1000; // 30 minutes
+const MAX_SEEN_ENTRIES = 100000;
+
+const BOT_PATTERN = /bot|crawl|spider|slurp|facebookexternalhit|preview|headless|lighthouse|curl|wget|python-requests|axios|node-fetch|go-http-client/i;
+
+// `${serviceId}|${date}` -> counts waiting to be written
+let pending = new Map();
+// `${type}|${viewer}|${serviceId}` -> time (ms) until which repeats are ignored
+const seen = new Map();
+
+const isBot = (req) => {
+  const userAgent = req.get('user-agent');
+  return !userAgent || BOT_PATTERN.test(userAgent);
+};
+
+// Stable key for the viewer: the user when logged in, otherwise IP and browser
+const viewerKey = (req) => {
+  if (req.user) return `u:${req.user._id}`;
+  const fingerprint = `${req.ip}|${req.get('user-agent') || ''}`;
+  return `a:${crypto.createHash('sha256').update(fingerprint).digest('hex').slice(0, 32)}`;
+};
+
+const providerIdOf = (service) => {
+  if (!service.provider) return undefined;
+  return (service.provider._id || service.provider).toString();
+};
+
+const pruneSeen = (nowMs) => {
+  for (const [key, until] of seen) {
+    if (until <= nowMs) seen.delete(key);
+  }
+  // Still too many: drop the oldest entries (Map keeps insertion order)
+  for (const key of seen.keys()) {
+    if (seen.size <= MAX_SEEN_ENTRIES) break;
+    seen.delete(key);
+  }
+};
+
+/**
+ * Count an event for one or more services.
+ *
+ * @param {string} type - 'impression', 'view' or 'inquiry'
+ * @param {Object|Object[]} services - Service documents (or plain objects with _id and provider)
+ * @param {Object} req - Express request, used to identify the viewer
+ * @returns {number} Number of events counted after bot filtering and dedupe
+ */
+const trackEvent = (type, services, req, now = new Date()) => {
+  if (!EVENT_FIELDS[type]) throw new Error(`Unknown analytics event type: ${type}`);
+  if (type !== 'inquiry' && isBot(req)) return 0;
+
+  const nowMs = now.getTime();
+  const viewer = viewerKey(req);
+  const date = toLocalDateString(now);
+  let counted = 0;
+
+  (Array.isArray(services) ? services : [services]).forEach(service => {
+    const serviceId = service._id.toString();
+
+    if (DEDUPED_EVENTS.includes(type)) {
+      const seenKey = `${type}|${viewer}|${serviceId}`;
+      if (seen.get(seenKey) > nowMs) return;
+      seen.set(seenKey, nowMs + DEDUPE_WINDOW_MS);
+    }
+
+    const bucketKey = `${serviceId}|${date}`;
+    let bucket = pending.get(bucketKey);
+    if (!bucket) {
+      bucket = { service: serviceId, provider: providerIdOf(service), date, impression: 0, view: 0, inquiry: 0 };
+      pending.set(bucketKey, bucket);
+    }
+    bucket[type] += 1;
+    counted += 1;
+  });
+
+  if (seen.size > MAX_SEEN_ENTRIES) pruneSeen(nowMs);
+
+  return counted;
+};
+
+const trackImpressions = (services, req) => trackEvent('impression', services, req);
+const trackView = (service, req) => trackEvent('view', service, req);
+const trackInquiry = (service, req) => trackEvent('inquiry', service, req);
+
+// Put counts from a failed flush back so the next flush retries them
+const restore = (batch) => {
+  batch.forEach((bucket, key) => {
+    const current = pending.get(key);
+    if (!current) {
+      pending.set(key, bucket);
+      return;
+    }
+    Object.keys(EVENT_FIELDS).forEach(type => {
+      current[type] += bucket[type];
+    });
+  });
+};
+
+/**
+ * Write all buffered counts. Safe to call at any time; concurrent calls
+ * each write their own batch.
+ *
+ * @returns {Promise<Object>} { services, rollups } - number of documents updated
+ */
+const flush = async () => {
+  if (!pending.size) return { services: 0, rollups: 0 };
+
+  const batch = pending;
+  pending = new Map();
+
+  const serviceIncrements = new Map();
+  const statsOps = [];
+
+  batch.forEach(bucket => {
+    const counters = serviceIncrements.get(bucket.service) || {};
+    const stats = {};
+
+    Object.entries(EVENT_FIELDS).forEach(([type, { counter, stat }]) => {
+      if (!bucket[type]) return;
+      counters[counter] = (counters[counter] || 0) + bucket[type];
+      stats[stat] = bucket[type];
+    });
+
+    serviceIncrements.set(bucket.service, counters);
+    statsOps.push({
+      updateOne: {
+        filter: { service: bucket.service, date: bucket.date },
+        update: {
+          $inc: stats,
+          ...(bucket.provider && { $setOnInsert: { provider: bucket.provider } })
+        },
+        upsert: true
+      }
+    });
+  });
+
+  const serviceOps = [...serviceIncrements].map(([serviceId, counters]) => ({
+    updateOne: { filter: { _id: serviceId }, update: { $inc: counters } }
+  }));
+
+  try {
+    await Promise.all([
+      Service.bulkWrite(serviceOps, { ordered: false }),
+      ServiceStats.bulkWrite(statsOps, { ordered: false })
+    ]);
+  } catch (error) {
+    // Counters are not idempotent, so a partial write may be retried and
+    // double-counted; losing the batch would be worse.
+    restore(batch);
+    throw error;
+  }
+
+  return { services: serviceOps.length, rollups: statsOps.length };
+};
+
+// Number of buffered service/day buckets, for monitoring
+const pendingCount = () => pending.size;
+
+module.exports = {
+  trackEvent,
+  trackImpressions,
+  trackView,
+  trackInquiry,
+  flush,
+  pendingCount
+};
@@ -0,0 +1,120 @@
+const ExchangeRate = require('../models/ExchangeRate');
+const { SUPPORTED_CURRENCIES } = require('./money');
+
+// Currency conversion. Prices are kept in the currency the provider chose;
+// each service also stores its price in the base currency
+// (pricing.baseAmount) so listings can filter and sort across currencies.
+// Rates are the value of one unit of a currency in the base currency.
+
+const BASE_CURRENCY = 'NOK';
+
+// Used for a currency until an admin sets its rate
+const DEFAULT_RATES = {
+  NOK: 1,
+  EUR: 11.5,
+  USD: 10.5
+};
+
+const RATE_CACHE_TTL = 60 * 1000; // 1 minute
+
+let cachedRates = null;
+let cachedAt = 0;
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Current rate per currency, read through a short cache.
+ *
+ * @returns {Promise<Object>} e.g. { NOK: 1, EUR: 11.62, USD: 10.71 }
+ */
+const getRates = async () => {
+  if (cachedRates && Date.now() - cachedAt < RATE_CACHE_TTL) return cachedRates;
+
+  const latest = await ExchangeRate.aggregate([
+    { $sort: { currency: 1, createdAt: -1 } },
+    { $group: { _id: '$currency', rate: { $first: '$rate' } } }
+  ]);
+
+  cachedRates = latest.reduce((rates, { _id, rate }) => ({ ...rates, [_id]: rate }), { ...DEFAULT_RATES });
+  cachedAt = Date.now();
+  return cachedRates;
+};
+
+const clearRateCache = () => {
+  cachedRates = null;
+};
+
+// 100 EUR -> 1150 NOK at 11.5
+const toBaseAmount = (amount, currency, rates) => round2(amount * rates[currency || BASE_CURRENCY]);
+
+// Convert between any two currencies through the base currency
+const convertAmount = (amount, from, to, rates) => round2(amount * rates[from || BASE_CURRENCY] / rates[to]);
+
+/**
+ * Recompute the stored base-currency price of services, after a rate change
+ * or on startup.
+ *
+ * @param {string[]} [currencies] - Only services priced in these currencies
+ */
+const syncServiceBaseAmounts = async (currencies = SUPPORTED_CURRENCIES) => {
+  // Required here: the Service model uses this module in its save hook
+  const Service = require('../models/Service');
+  const rates = await getRates();
+
+  await Promise.all(currencies.map(currency => Service.updateMany(
+    currency === BASE_CURRENCY
+      ? { $or: [{ 'pricing.currency': currency }, { 'pricing.currency': { $exists: false } }] }
+      : { 'pricing.currency': currency },
+    [{ $set: { 'pricing.baseAmount': { $round: [{ $multiply: ['$pricing.amount', rates[currency]] }, 2] } } }]
+  )));
+};
+
+/**
+ * Record a new rate for a currency and reprice the services that use it.
+ */
+const setExchangeRate = async (currency, rate, { user, note } = {}) => {
+  const entry = await ExchangeRate.create({ currency, rate, setBy: user && user._id, note });
+  clearRateCache();
+  await syncServiceBaseAmounts([currency]);
+  return entry;
+};
+
+/**
+ * Add a converted price next to the original price of a service.
+ *
+ * @param {Object} service - Service document or plain object
+ * @param {string} currency - Display currency
+ * @param {Object} rates - From getRates()
+ * @returns {Object} Plain service object with displayPrice
+ */
+const withDisplayPrice = (service, currency, rates) => {
+  const plain = typeof service.toJSON === 'function' ? service.toJSON() : service;
+  if (!plain.pricing || plain.pricing.amount === undefined) return plain;
+
+  const from = plain.pricing.currency || BASE_CURRENCY;
+  return {
+    ...plain,
+    displayPrice: {
+      amount: convertAmount(plain.pricing.amount, from, currency, rates),
+      currency,
+      converted: from !== currency
+    }
+  };
+};
+
+// The display currency asked for in the query string, else the user's preference
+const resolveDisplayCurrency = (req) => {
+  const currency = req.query.currency || (req.user && req.user.preferences && req.user.preferences.currency);
+  return SUPPORTED_CURRENCIES.includes(currency) ? currency : null;
+};
+
+module.exports = {
+  BASE_CURRENCY,
+  getRates,
+  toBaseAmount,
+  convertAmount,
+  syncServiceBaseAmounts,
+  setExchangeRate,
+  withDisplayPrice,
+  resolveDisplayCurrency
+};
@@ -0,0 +1,87 @@
+// Transactional email content
+
+const clientUrl = () => process.env.CLIENT_URL || 'http://localhost:3000';
+
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const layout = (heading, paragraphs, action) => {
+  const html = [
+    `<h2>${escapeHtml(heading)}</h2>`,
+    ...paragraphs.map(paragraph => `<p>${escapeHtml(paragraph)}</p>`),
+    action ? `<p><a href="${action.url}">${action.label}</a></p>` : ''
+  ].join('\n');
+
+  const text = [
+    heading,
+    '',
+    ...paragraphs,
+    action ? `\n${action.label}: ${action.url}` : ''
+  ].join('\n');
+
+  return { html, text };
+};
+
+const emailVerification = (user, token) => ({
+  to: user.email,
+  subject: 'Verify your A-Z Globe email address',
+  ...layout(
+    `Hi ${user.firstName},`,
+    [
+      'Please confirm your email address to finish setting up your A-Z Globe account.',
+      'This link expires in 24 hours.'
+    ],
+    { label: 'Verify email', url: `${clientUrl()}/verify-email/${token}` }
+  )
+});
+
+const passwordReset = (user, token) => ({
+  to: user.email,
+  subject: 'Reset your A-Z Globe password',
+  ...layout(
+    `Hi ${user.firstName},`,
+    [
+      'We received a request to reset the password for your A-Z Globe account.',
+      'This link expires in 1 hour and can only be used once. If you did not ask for a reset, you can ignore this email.'
+    ],
+    { label: 'Reset password', url: `${clientUrl()}/reset-password/${token}` }
+  )
+});
+
+// Outcome of an admin review of a provider's business verification
+const businessVerificationDecision = (user, action, note) => {
+  const outcomes = {
+    approve: {
+      subject: 'Your business is verified on A-Z Globe',
+      paragraphs: ['Your business details have been verified. Your services now show a verified business badge.']
+    },
+    reject: {
+      subject: 'Your A-Z Globe business verification was not approved',
+      paragraphs: ['We could not verify your business with the details provided.', `Reason: ${note}`]
+    },
+    request_info: {
+      subject: 'More information needed for your A-Z Globe business verification',
+      paragraphs: ['We need a little more information to verify your business.', note]
+    }
+  };
+  const { subject, paragraphs } = outcomes[action];
+
+  return {
+    to: user.email,
+    subject,
+    ...layout(
+      `Hi ${user.firstName},`,
+      paragraphs,
+      { label: 'View verification status', url: `${clientUrl()}/provider/verification` }
+    )
+  };
+};
+
+module.exports = {
+  emailVerification,
+  passwordReset,
+  businessVerificationDecision
+};
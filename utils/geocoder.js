@@ -0,0 +1,100 @@
+const fs = require('fs');
+const path = require('path');
+
+// Offline geocoding of Norwegian postal codes.
+//
+// The bundled dataset (data/postalCodes.json) lists every four-digit postal
+// code with the coordinates of its post town, plus the centre of the main town
+// of each two-digit area as a fallback for codes issued since. A more precise
+// file in the same format can be supplied through POSTAL_CODE_DATASET:
+//
+//   {
+//     "codes":   { "0150": { "place": "Oslo", "lat": 59.91, "lng": 10.75 } },
+//     "regions": { "01":   { "place": "Oslo", "lat": 59.91, "lng": 10.75 } }
+//   }
+
+let dataset = null;
+
+const loadDataset = () => {
+  if (!dataset) {
+    const datasetPath = process.env.POSTAL_CODE_DATASET ||
+      path.join(__dirname, '..', 'data', 'postalCodes.json');
+    const raw = JSON.parse(fs.readFileSync(datasetPath, 'utf8'));
+    dataset = { codes: raw.codes || {}, regions: raw.regions || {} };
+  }
+  return dataset;
+};
+
+const normalizePostalCode = (postalCode) => {
+  const digits = String(postalCode || '').replace(/\s/g, '');
+  return /^\d{4}$/.test(digits) ? digits : null;
+};
+
+const toPoint = (lng, lat) => ({ type: 'Point', coordinates: [lng, lat] });
+
+// Whether a value is a usable [longitude, latitude] pair
+const isValidCoordinates = (coordinates) => Array.isArray(coordinates) &&
+  coordinates.length === 2 &&
+  coordinates.every(value => typeof value === 'number' && Number.isFinite(value)) &&
+  Math.abs(coordinates[0]) <= 180 &&
+  Math.abs(coordinates[1]) <= 90;
+
+/**
+ * Look up coordinates for a Norwegian postal code.
+ *
+ * @param {string} postalCode - Four-digit postal code
+ * @returns {Object|null} { postalCode, place, lat, lng, location, precision }
+ *   where precision is 'postal_code' for exact matches and 'region' for area centres
+ */
+const geocodePostalCode = (postalCode) => {
+  const code = normalizePostalCode(postalCode);
+  if (!code) return null;
+
+  const { codes, regions } = loadDataset();
+
+  const exact = codes[code];
+  const entry = exact || regions[code.slice(0, 2)];
+  if (!entry) return null;
+
+  return {
+    postalCode: code,
+    place: entry.place,
+    lat: entry.lat,
+    lng: entry.lng,
+    location: toPoint(entry.lng, entry.lat),
+    precision: exact ? 'postal_code' : 'region'
+  };
+};
+
+// Set an address's location from its postal code, so it follows the code when
+// that changes. Coordinates sent with the address are only kept for addresses
+// without a known postal code, and only when they are valid.
+const withGeocodedAddress = (address) => {
+  if (!address) return address;
+
+  const { location, ...rest } = address;
+  const result = geocodePostalCode(address.postalCode);
+  if (result) return { ...rest, location: result.location };
+
+  const coordinates = location && location.coordinates;
+  return isValidCoordinates(coordinates) ? { ...rest, location: toPoint(coordinates[0], coordinates[1]) } : rest;
+};
+
+// Great-circle distance between two [lng, lat] pairs in kilometres
+const distanceKm = ([lng1, lat1], [lng2, lat2]) => {
+  const toRadians = (degrees) => (degrees * Math.PI) / 180;
+  const dLat = toRadians(lat2 - lat1);
+  const dLng = toRadians(lng2 - lng1);
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLng / 2) ** 2;
+  return 6371 * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+};
+
+module.exports = {
+  geocodePostalCode,
+  normalizePostalCode,
+  toPoint,
+  isValidCoordinates,
+  withGeocodedAddress,
+  distanceKm
+};
@@ -0,0 +1,64 @@
+// Norwegian public holidays (offentlige høytidsdager)
+
+const { addDays } = require('./timezone');
+
+const cache = {};
+
+// Easter Sunday for a given year (anonymous Gregorian algorithm)
+const getEasterSunday = (year) => {
+  const a = year % 19;
+  const b = Math.floor(year / 100);
+  const c = year % 100;
+  const d = Math.floor(b / 4);
+  const e = b % 4;
+  const f = Math.floor((b + 8) / 25);
+  const g = Math.floor((b - f + 1) / 3);
+  const h = (19 * a + b - d - g + 15) % 30;
+  const i = Math.floor(c / 4);
+  const k = c % 4;
+  const l = (32 + 2 * e + 2 * i - h - k) % 7;
+  const m = Math.floor((a + 11 * h + 22 * l) / 451);
+  const month = Math.floor((h + l - 7 * m + 114) / 31);
+  const day = ((h + l - 7 * m + 114) % 31) + 1;
+
+  return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+};
+
+// All public holidays for a year as a map of 'YYYY-MM-DD' => name
+const getNorwegianHolidays = (year) => {
+  if (cache[year]) return cache[year];
+
+  const easter = getEasterSunday(year);
+
+  cache[year] = {
+    [`${year}-01-01`]: 'Første nyttårsdag',
+    [addDays(easter, -3)]: 'Skjærtorsdag',
+    [addDays(easter, -2)]: 'Langfredag',
+    [easter]: 'Første påskedag',
+    [addDays(easter, 1)]: 'Andre påskedag',
+    [`${year}-05-01`]: 'Arbeidernes dag',
+    [`${year}-05-17`]: 'Grunnlovsdag',
+    [addDays(easter, 39)]: 'Kristi himmelfartsdag',
+    [addDays(easter, 49)]: 'Første pinsedag',
+    [addDays(easter, 50)]: 'Andre pinsedag',
+    [`${year}-12-25`]: 'Første juledag',
+    [`${year}-12-26`]: 'Andre juledag'
+  };
+
+  return cache[year];
+};
+
+// Name of the holiday on a 'YYYY-MM-DD' date, or null
+const getHoliday = (dateStr) => {
+  const year = parseInt(dateStr.slice(0, 4));
+  return getNorwegianHolidays(year)[dateStr] || null;
+};
+
+const isPublicHoliday = (dateStr) => Boolean(getHoliday(dateStr));
+
+module.exports = {
+  getEasterSunday,
+  getNorwegianHolidays,
+  getHoliday,
+  isPublicHoliday
+};
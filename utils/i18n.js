@@ -0,0 +1,124 @@
+// API messages and listing text in English, Norwegian and Swedish.
+// Message catalogues live in data/locales, one file per language, with
+// {name} placeholders filled in from parameters.
+
+// Languages the API speaks, matching User.preferences.language
+const SUPPORTED_LANGUAGES = ['en', 'no', 'sv'];
+const DEFAULT_LANGUAGE = 'en';
+
+const catalogues = {
+  en: require('../data/locales/en.json'),
+  no: require('../data/locales/no.json'),
+  sv: require('../data/locales/sv.json')
+};
+
+// Language tags clients send, by primary subtag. Bokmål and nynorsk both get Norwegian.
+const LANGUAGE_TAGS = {
+  en: 'en',
+  no: 'no',
+  nb: 'no',
+  nn: 'no',
+  sv: 'sv'
+};
+
+// The first supported language in an Accept-Language header, by quality
+// ('nb-NO,nb;q=0.9,en;q=0.8' -> 'no'). Returns null when none is supported.
+const languageFromHeader = (header) => {
+  const ranked = String(header || '')
+    .split(',')
+    .map(part => {
+      const [tag, ...params] = part.trim().split(';');
+      const quality = params.map(param => param.trim()).find(param => param.startsWith('q='));
+      return {
+        language: LANGUAGE_TAGS[tag.trim().toLowerCase().split('-')[0]],
+        q: quality ? parseFloat(quality.slice(2)) : 1
+      };
+    })
+    .filter(entry => entry.language && entry.q > 0)
+    .sort((a, b) => b.q - a.q);
+
+  return ranked.length ? ranked[0].language : null;
+};
+
+// The language a signed-in user chose, else the one asked for in
+// Accept-Language, else English. Accounts have no preference until the user
+// sets one, so until then the browser's language applies. A stored 'en' only
+// counts when the user chose it: older accounts were given it by default.
+const resolveLanguage = (req) => {
+  const preferences = (req.user && req.user.preferences) || {};
+  const preferred = preferences.language;
+  const chosen = preferences.languageChosen || preferred !== DEFAULT_LANGUAGE;
+  if (SUPPORTED_LANGUAGES.includes(preferred) && chosen) return preferred;
+
+  return languageFromHeader(req.headers && req.headers['accept-language']) || DEFAULT_LANGUAGE;
+};
+
+const lookup = (language, key) => key
+  .split('.')
+  .reduce((entry, part) => (entry && typeof entry === 'object' ? entry[part] : undefined), catalogues[language]);
+
+/**
+ * A message from the catalogue of a language, falling back to English and
+ * then to the key itself.
+ *
+ * @param {string} language - 'en', 'no' or 'sv'
+ * @param {string} key - e.g. 'auth.invalidCredentials'
+ * @param {Object} [params] - Values for {name} placeholders
+ * @returns {string}
+ */
+const translate = (language, key, params = {}) => {
+  const template = lookup(language, key) || lookup(DEFAULT_LANGUAGE, key) || key;
+  return template.replace(/\{(\w+)\}/g, (match, name) => (params[name] !== undefined ? String(params[name]) : match));
+};
+
+// A message in the language of a request
+const t = (req, key, params) => translate(resolveLanguage(req), key, params);
+
+// Message for an express-validator chain, translated per request:
+// body('email').isEmail().withMessage(localized('auth.emailInvalid'))
+const localized = (key, params) => (value, { req }) => t(req, key, params);
+
+/**
+ * A service's title and descriptions in a language: the listing's own text
+ * when it is written in that language, else its translation into that
+ * language, else the original. Translations are used whole, so a listing
+ * never mixes languages.
+ *
+ * @param {Object} service - Service document or plain object
+ * @param {string} language
+ * @param {Object} [options]
+ * @param {boolean} [options.includeTranslations] - Keep every translation, for the owner
+ * @returns {Object} Plain service object with contentLanguage (the language shown)
+ *   and availableLanguages
+ */
+const localizeService = (service, language, { includeTranslations = false } = {}) => {
+  const plain = typeof service.toJSON === 'function' ? service.toJSON() : service;
+  const { translations, ...rest } = plain;
+  const original = plain.language || DEFAULT_LANGUAGE;
+  const translated = (code) => Boolean(translations && translations[code] && translations[code].title);
+
+  const translation = language !== original && translated(language) ? translations[language] : null;
+
+  return {
+    ...rest,
+    ...(translation && {
+      title: translation.title,
+      shortDescription: translation.shortDescription,
+      description: translation.description
+    }),
+    ...(includeTranslations && { translations: translations || {} }),
+    contentLanguage: translation ? language : original,
+    availableLanguages: SUPPORTED_LANGUAGES.filter(code => code === original || translated(code))
+  };
+};
+
+module.exports = {
+  SUPPORTED_LANGUAGES,
+  DEFAULT_LANGUAGE,
+  languageFromHeader,
+  resolveLanguage,
+  translate,
+  t,
+  localized,
+  localizeService
+};
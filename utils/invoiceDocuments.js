@@ -0,0 +1,284 @@
+const PDFDocument = require('pdfkit');
+const { fromMinorUnits, formatMinorUnits } = require('./money');
+const { formatOrganisationNumber } = require('./orgNumber');
+
+// Rendering of invoices and credit notes: PDF for download and EHF
+// (PEPPOL BIS Billing 3.0 UBL) for business customers' accounting systems.
+
+const TITLES = {
+  invoice: 'Faktura',
+  credit_note: 'Kreditnota'
+};
+
+const dateString = (date) => date.toISOString().slice(0, 10);
+
+// Norwegian date format used on the printed document: 19.10.2026
+const displayDate = (date) => date.toLocaleDateString('nb-NO', {
+  timeZone: 'Europe/Oslo',
+  day: '2-digit',
+  month: '2-digit',
+  year: 'numeric'
+});
+
+// MVA-registered sellers show 'MVA' after the organisation number
+const sellerIdentifier = (invoice) => {
+  const { organisationNumber } = invoice.seller;
+  if (!organisationNumber) return null;
+  return `Org.nr. ${formatOrganisationNumber(organisationNumber)}${invoice.seller.vatRegistered ? ' MVA' : ''}`;
+};
+
+const addressLines = (address = {}) => [
+  address.street,
+  [address.postalCode, address.city].filter(Boolean).join(' ')
+].filter(Boolean);
+
+/**
+ * Render an invoice or credit note as a PDF.
+ *
+ * @param {Object} invoice - Invoice document
+ * @param {Object} [creditedInvoice] - The credited invoice, for credit notes
+ * @returns {Promise<Buffer>}
+ */
+const renderInvoicePdf = (invoice, creditedInvoice) => new Promise((resolve, reject) => {
+  const doc = new PDFDocument({ size: 'A4', margin: 50, info: { Title: `${TITLES[invoice.type]} ${invoice.number}` } });
+  const chunks = [];
+  doc.on('data', chunk => chunks.push(chunk));
+  doc.on('end', () => resolve(Buffer.concat(chunks)));
+  doc.on('error', reject);
+
+  const money = (amount) => formatMinorUnits(amount, invoice.currency);
+  const left = 50;
+  const right = 545;
+
+  // Seller
+  doc.font('Helvetica-Bold').fontSize(16).text(invoice.seller.name, left, 50, { width: 280 });
+  doc.font('Helvetica').fontSize(9);
+  [...addressLines(invoice.seller.address), sellerIdentifier(invoice), invoice.seller.email, invoice.seller.phone]
+    .filter(Boolean)
+    .forEach(line => doc.text(line, { width: 280 }));
+
+  // Title and document details
+  doc.font('Helvetica-Bold').fontSize(20).text(TITLES[invoice.type], 350, 50, { width: right - 350, align: 'right' });
+  doc.font('Helvetica').fontSize(9);
+  const details = [
+    [`${TITLES[invoice.type]}nummer`, String(invoice.number)],
+    [`${TITLES[invoice.type]}dato`, displayDate(invoice.issueDate)]
+  ];
+  if (invoice.deliveryDate) details.push(['Leveringsdato', displayDate(invoice.deliveryDate)]);
+  if (invoice.type === 'invoice' && invoice.dueDate) details.push(['Forfallsdato', displayDate(invoice.dueDate)]);
+  if (creditedInvoice) details.push(['Krediterer faktura', String(creditedInvoice.number)]);
+  details.forEach(([label, value]) => {
+    doc.text(`${label}: ${value}`, 350, doc.y, { width: right - 350, align: 'right' });
+  });
+
+  // Buyer and place of delivery
+  doc.font('Helvetica-Bold').fontSize(10).text('Kunde', left, 170);
+  doc.font('Helvetica').fontSize(9);
+  [
+    invoice.buyer.name,
+    ...addressLines(invoice.buyer.address),
+    invoice.buyer.organisationNumber && `Org.nr. ${formatOrganisationNumber(invoice.buyer.organisationNumber)}`,
+    invoice.buyer.email
+  ].filter(Boolean).forEach(line => doc.text(line, { width: 230 }));
+
+  const deliveryLines = addressLines(invoice.deliveryAddress);
+  if (deliveryLines.length) {
+    doc.font('Helvetica-Bold').fontSize(10).text('Leveringssted', 300, 170);
+    doc.font('Helvetica').fontSize(9);
+    deliveryLines.forEach(line => doc.text(line, 300, doc.y, { width: 245 }));
+  }
+
+  // Lines
+  const columns = [
+    { label: 'Beskrivelse', x: left, width: 200, align: 'left' },
+    { label: 'Antall', x: 250, width: 40, align: 'right' },
+    { label: 'Enhetspris', x: 290, width: 75, align: 'right' },
+    { label: 'MVA %', x: 365, width: 45, align: 'right' },
+    { label: 'MVA', x: 410, width: 60, align: 'right' },
+    { label: 'Netto', x: 470, width: 75, align: 'right' }
+  ];
+  const row = (values, font = 'Helvetica') => {
+    const y = doc.y;
+    doc.font(font);
+    const heights = values.map((value, index) => {
+      const { x, width, align } = columns[index];
+      doc.text(value, x, y, { width, align });
+      return doc.y;
+    });
+    doc.y = Math.max(...heights) + 4;
+  };
+
+  doc.y = 270;
+  row(columns.map(column => column.label), 'Helvetica-Bold');
+  doc.moveTo(left, doc.y).lineTo(right, doc.y).stroke();
+  doc.y += 4;
+  invoice.lines.forEach(line => row([
+    line.description,
+    String(line.quantity),
+    money(line.unitPrice),
+    String(line.vatRate),
+    money(line.vatAmount),
+    money(line.netAmount)
+  ]));
+  doc.moveTo(left, doc.y).lineTo(right, doc.y).stroke();
+  doc.y += 8;
+
+  // Totals and MVA breakdown
+  const total = (label, value, font = 'Helvetica') => {
+    const y = doc.y;
+    doc.font(font).text(label, 300, y, { width: 160, align: 'right' });
+    doc.text(value, 470, y, { width: 75, align: 'right' });
+  };
+  total('Sum eks. MVA', money(invoice.netTotal));
+  invoice.vatBreakdown.forEach(group => {
+    total(
+      group.rate > 0 ? `MVA ${group.rate} % av ${money(group.netAmount)}` : `Unntatt MVA ${money(group.netAmount)}`,
+      money(group.vatAmount)
+    );
+  });
+  total(invoice.type === 'credit_note' ? 'Kreditert beløp' : 'Sum inkl. MVA', money(invoice.grossTotal), 'Helvetica-Bold');
+
+  if (invoice.type === 'invoice') {
+    if (invoice.paidAmount > 0) total('Betalt', money(invoice.paidAmount));
+    if (invoice.creditedAmount > 0) total('Kreditert', money(invoice.creditedAmount));
+    total('Å betale', money(invoice.amountDue), 'Helvetica-Bold');
+  }
+
+  if (invoice.creditReason) {
+    doc.moveDown(2).font('Helvetica').text(`Årsak: ${invoice.creditReason}`, left);
+  }
+
+  doc.end();
+});
+
+const escapeXml = (value) => String(value === undefined || value === null ? '' : value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;');
+
+// Tax category codes (UNCL5305): S standard rated, E exempt, O not subject
+// to VAT. Sellers outside the MVA register have no VAT identifier, which E
+// requires, so all their lines are O and carry no rate.
+const taxCategory = (rate, vatRegistered) => {
+  if (!vatRegistered) return '<cbc:ID>O</cbc:ID>';
+  return rate > 0
+    ? `<cbc:ID>S</cbc:ID><cbc:Percent>${rate}</cbc:Percent>`
+    : '<cbc:ID>E</cbc:ID><cbc:Percent>0</cbc:Percent>';
+};
+
+// Why a breakdown group carries no VAT; PEPPOL requires one for E and O
+const taxExemption = (rate, vatRegistered) => {
+  if (!vatRegistered) return '<cbc:TaxExemptionReasonCode>VATEX-EU-O</cbc:TaxExemptionReasonCode>';
+  return rate > 0 ? '' : '<cbc:TaxExemptionReason>Unntatt merverdiavgift</cbc:TaxExemptionReason>';
+};
+
+const party = (details, { withVat }) => {
+  const number = details.organisationNumber;
+  const address = details.address || {};
+  return [
+    '<cac:Party>',
+    `<cbc:EndpointID schemeID="0192">${escapeXml(number)}</cbc:EndpointID>`,
+    `<cac:PartyName><cbc:Name>${escapeXml(details.name)}</cbc:Name></cac:PartyName>`,
+    '<cac:PostalAddress>',
+    address.street ? `<cbc:StreetName>${escapeXml(address.street)}</cbc:StreetName>` : '',
+    address.city ? `<cbc:CityName>${escapeXml(address.city)}</cbc:CityName>` : '',
+    address.postalCode ? `<cbc:PostalZone>${escapeXml(address.postalCode)}</cbc:PostalZone>` : '',
+    '<cac:Country><cbc:IdentificationCode>NO</cbc:IdentificationCode></cac:Country>',
+    '</cac:PostalAddress>',
+    withVat
+      ? `<cac:PartyTaxScheme><cbc:CompanyID>NO${escapeXml(number)}MVA</cbc:CompanyID><cac:TaxScheme><cbc:ID>VAT</cbc:ID></cac:TaxScheme></cac:PartyTaxScheme>`
+      : '',
+    '<cac:PartyLegalEntity>',
+    `<cbc:RegistrationName>${escapeXml(details.name)}</cbc:RegistrationName>`,
+    `<cbc:CompanyID schemeID="0192">${escapeXml(number)}</cbc:CompanyID>`,
+    '</cac:PartyLegalEntity>',
+    details.email ? `<cac:Contact><cbc:ElectronicMail>${escapeXml(details.email)}</cbc:ElectronicMail></cac:Contact>` : '',
+    '</cac:Party>'
+  ].join('');
+};
+
+/**
+ * Export an invoice or credit note as EHF / PEPPOL BIS Billing 3.0 UBL.
+ * Both seller and buyer must have an organisation number.
+ *
+ * @param {Object} invoice - Invoice document
+ * @param {Object} [creditedInvoice] - The credited invoice, for credit notes
+ * @returns {string} XML
+ */
+const renderInvoiceEhf = (invoice, creditedInvoice) => {
+  const isCreditNote = invoice.type === 'credit_note';
+  const root = isCreditNote ? 'CreditNote' : 'Invoice';
+  const lineElement = isCreditNote ? 'CreditNoteLine' : 'InvoiceLine';
+  const quantityElement = isCreditNote ? 'CreditedQuantity' : 'InvoicedQuantity';
+  const currency = escapeXml(invoice.currency);
+  const amount = (value) => `currencyID="${currency}">${fromMinorUnits(value, invoice.currency).toFixed(2)}`;
+  const vatRegistered = Boolean(invoice.seller.vatRegistered);
+
+  const subtotals = invoice.vatBreakdown.map(group => [
+    '<cac:TaxSubtotal>',
+    `<cbc:TaxableAmount ${amount(group.netAmount)}</cbc:TaxableAmount>`,
+    `<cbc:TaxAmount ${amount(group.vatAmount)}</cbc:TaxAmount>`,
+    '<cac:TaxCategory>',
+    taxCategory(group.rate, vatRegistered),
+    taxExemption(group.rate, vatRegistered),
+    '<cac:TaxScheme><cbc:ID>VAT</cbc:ID></cac:TaxScheme>',
+    '</cac:TaxCategory>',
+    '</cac:TaxSubtotal>'
+  ].join(''));
+
+  const lines = invoice.lines.map((line, index) => [
+    `<cac:${lineElement}>`,
+    `<cbc:ID>${index + 1}</cbc:ID>`,
+    `<cbc:${quantityElement} unitCode="EA">${line.quantity}</cbc:${quantityElement}>`,
+    `<cbc:LineExtensionAmount ${amount(line.netAmount)}</cbc:LineExtensionAmount>`,
+    '<cac:Item>',
+    `<cbc:Name>${escapeXml(line.description)}</cbc:Name>`,
+    `<cac:ClassifiedTaxCategory>${taxCategory(line.vatRate, vatRegistered)}<cac:TaxScheme><cbc:ID>VAT</cbc:ID></cac:TaxScheme></cac:ClassifiedTaxCategory>`,
+    '</cac:Item>',
+    `<cac:Price><cbc:PriceAmount ${amount(line.unitPrice)}</cbc:PriceAmount></cac:Price>`,
+    `</cac:${lineElement}>`
+  ].join(''));
+
+  const prepaid = isCreditNote ? 0 : invoice.paidAmount;
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<${root} xmlns="urn:oasis:names:specification:ubl:schema:xsd:${root}-2"`,
+    ' xmlns:cac="urn:oasis:names:specification:ubl:schema:xsd:CommonAggregateComponents-2"',
+    ' xmlns:cbc="urn:oasis:names:specification:ubl:schema:xsd:CommonBasicComponents-2">',
+    '<cbc:CustomizationID>urn:cen.eu:en16931:2017#compliant#urn:fdc:peppol.eu:2017:poacc:billing:3.0</cbc:CustomizationID>',
+    '<cbc:ProfileID>urn:fdc:peppol.eu:2017:poacc:billing:01:1.0</cbc:ProfileID>',
+    `<cbc:ID>${invoice.number}</cbc:ID>`,
+    `<cbc:IssueDate>${dateString(invoice.issueDate)}</cbc:IssueDate>`,
+    !isCreditNote && invoice.dueDate ? `<cbc:DueDate>${dateString(invoice.dueDate)}</cbc:DueDate>` : '',
+    isCreditNote ? '<cbc:CreditNoteTypeCode>381</cbc:CreditNoteTypeCode>' : '<cbc:InvoiceTypeCode>380</cbc:InvoiceTypeCode>',
+    invoice.creditReason ? `<cbc:Note>${escapeXml(invoice.creditReason)}</cbc:Note>` : '',
+    `<cbc:DocumentCurrencyCode>${currency}</cbc:DocumentCurrencyCode>`,
+    `<cbc:BuyerReference>${escapeXml(invoice.booking || invoice._id)}</cbc:BuyerReference>`,
+    creditedInvoice
+      ? `<cac:BillingReference><cac:InvoiceDocumentReference><cbc:ID>${creditedInvoice.number}</cbc:ID><cbc:IssueDate>${dateString(creditedInvoice.issueDate)}</cbc:IssueDate></cac:InvoiceDocumentReference></cac:BillingReference>`
+      : '',
+    `<cac:AccountingSupplierParty>${party(invoice.seller, { withVat: vatRegistered })}</cac:AccountingSupplierParty>`,
+    `<cac:AccountingCustomerParty>${party(invoice.buyer, { withVat: false })}</cac:AccountingCustomerParty>`,
+    invoice.deliveryDate
+      ? `<cac:Delivery><cbc:ActualDeliveryDate>${dateString(invoice.deliveryDate)}</cbc:ActualDeliveryDate></cac:Delivery>`
+      : '',
+    `<cac:TaxTotal><cbc:TaxAmount ${amount(invoice.vatTotal)}</cbc:TaxAmount>${subtotals.join('')}</cac:TaxTotal>`,
+    '<cac:LegalMonetaryTotal>',
+    `<cbc:LineExtensionAmount ${amount(invoice.netTotal)}</cbc:LineExtensionAmount>`,
+    `<cbc:TaxExclusiveAmount ${amount(invoice.netTotal)}</cbc:TaxExclusiveAmount>`,
+    `<cbc:TaxInclusiveAmount ${amount(invoice.grossTotal)}</cbc:TaxInclusiveAmount>`,
+    prepaid > 0 ? `<cbc:PrepaidAmount ${amount(prepaid)}</cbc:PrepaidAmount>` : '',
+    `<cbc:PayableAmount ${amount(invoice.grossTotal - prepaid)}</cbc:PayableAmount>`,
+    '</cac:LegalMonetaryTotal>',
+    ...lines,
+    `</${root}>`
+  ].join('\n');
+};
+
+module.exports = {
+  renderInvoicePdf,
+  renderInvoiceEhf
+};
@@ -0,0 +1,363 @@
+const Invoice = require('../models/Invoice');
+const Counter = require('../models/Counter');
+const Payment = require('../models/Payment');
+const Service = require('../models/Service');
+const User = require('../models/User');
+const { toMinorUnits } = require('./money');
+const { normalizeOrganisationNumber, isValidOrganisationNumber } = require('./orgNumber');
+
+// Invoice and credit note issuing. Prices on the platform include MVA, so
+// each line's gross amount is split into net and MVA. Lines are rounded
+// first and the MVA per rate is the group's gross minus its net, which keeps
+// the invoice total equal to the price the customer was quoted.
+
+const DEFAULT_DUE_DAYS = 14;
+const DEFAULT_VAT_RATE = 25;
+
+// Payment statuses in which the customer has been charged
+const PAID_STATUSES = ['captured', 'partially_refunded', 'refunded'];
+
+const netOf = (grossAmount, vatRate) => Math.round(grossAmount * 100 / (100 + vatRate));
+
+/**
+ * Build invoice lines, the MVA breakdown per rate and the totals.
+ *
+ * @param {Object[]} items - [{ description, quantity, grossAmount, vatRate }] with amounts in minor units
+ * @returns {Object} { lines, vatBreakdown, netTotal, vatTotal, grossTotal }
+ */
+const calculateInvoice = (items) => {
+  const lines = items.map(({ description, quantity = 1, grossAmount, vatRate }) => {
+    const netAmount = netOf(grossAmount, vatRate);
+    return {
+      description,
+      quantity,
+      unitPrice: Math.round(netAmount / quantity),
+      vatRate,
+      netAmount,
+      vatAmount: grossAmount - netAmount,
+      grossAmount
+    };
+  });
+
+  const groups = new Map();
+  for (const line of lines) {
+    const group = groups.get(line.vatRate) || { rate: line.vatRate, netAmount: 0, vatAmount: 0 };
+    group.netAmount += line.netAmount;
+    group.vatAmount += line.vatAmount;
+    groups.set(line.vatRate, group);
+  }
+  const vatBreakdown = [...groups.values()].sort((a, b) => b.rate - a.rate);
+
+  const netTotal = vatBreakdown.reduce((sum, group) => sum + group.netAmount, 0);
+  const vatTotal = vatBreakdown.reduce((sum, group) => sum + group.vatAmount, 0);
+
+  return { lines, vatBreakdown, netTotal, vatTotal, grossTotal: netTotal + vatTotal };
+};
+
+// The organisation number an admin has verified for a provider, if any
+const verifiedOrganisationNumber = (user) => {
+  const verification = user.businessVerification || {};
+  return user.isBusinessVerified && isValidOrganisationNumber(verification.organisationNumber)
+    ? normalizeOrganisationNumber(verification.organisationNumber)
+    : undefined;
+};
+
+// Only a verified business registered for MVA may charge it
+const chargesVat = (user) => Boolean(
+  verifiedOrganisationNumber(user) && user.businessVerification.vatRegistered
+);
+
+// Snapshot of a user as seller or buyer. Businesses are named by their
+// business name and identified by their organisation number: the verified
+// one for sellers, the one they gave for buyers.
+const partyFromUser = (user, { seller = false } = {}) => {
+  const info = user.businessInfo || {};
+  const organisationNumber = seller
+    ? verifiedOrganisationNumber(user)
+    : isValidOrganisationNumber(info.taxNumber) ? normalizeOrganisationNumber(info.taxNumber) : undefined;
+  const address = user.address || {};
+
+  return {
+    name: (organisationNumber && info.businessName) || `${user.firstName} ${user.lastName}`,
+    organisationNumber,
+    ...(seller && { vatRegistered: chargesVat(user) }),
+    address: {
+      street: address.street,
+      postalCode: address.postalCode,
+      city: address.city,
+      country: address.country
+    },
+    email: user.email,
+    phone: user.phone
+  };
+};
+
+const addDays = (date, days) => new Date(date.getTime() + days * 24 * 60 * 60 * 1000);
+
+/**
+ * Give a stored invoice or credit note the next number in its provider's
+ * series. Documents are stored first and numbered after, so the series has
+ * no gaps from failed or duplicate inserts. A number that still goes unused
+ * (the document was numbered in parallel, or the update failed) is recorded
+ * as voided on the counter.
+ *
+ * @param {Object} invoice - Invoice document
+ * @returns {Promise<Object>} The numbered invoice
+ */
+const assignNumber = async (invoice) => {
+  if (invoice.number) return invoice;
+
+  const series = `invoice:${invoice.provider}`;
+  const number = await Counter.next(series);
+
+  let numbered;
+  try {
+    numbered = await Invoice.findOneAndUpdate(
+      { _id: invoice._id, number: { $exists: false } },
+      { $set: { number } },
+      { new: true }
+    );
+  } catch (error) {
+    await Counter.recordVoided(series, number, `Numbering ${invoice._id} failed: ${error.message}`);
+    throw error;
+  }
+
+  if (!numbered) {
+    await Counter.recordVoided(series, number, `${invoice._id} was numbered by a parallel request`);
+    return Invoice.findById(invoice._id);
+  }
+  return numbered;
+};
+
+/**
+ * Issue the invoice for a completed booking. Issuing again returns the
+ * invoice that already exists.
+ *
+ * @param {Object} booking - Booking document
+ * @returns {Promise<Object>} The invoice
+ */
+const issueInvoiceForBooking = async (booking) => {
+  // An invoice left without a number (its numbering failed) is numbered now
+  const existing = await Invoice.findOne({ booking: booking._id, type: 'invoice' });
+  if (existing) return assignNumber(existing);
+
+  const [provider, customer, service, payment] = await Promise.all([
+    User.findById(booking.provider),
+    User.findById(booking.customer),
+    Service.findById(booking.service).select('title pricing.vatRate'),
+    Payment.findOne({ booking: booking._id, status: { $in: PAID_STATUSES } }).sort({ createdAt: -1 })
+  ]);
+
+  const { currency } = booking.price;
+  // Prices include MVA only for providers registered for it; for anyone else
+  // the whole price is their income and the invoice carries no MVA
+  let vatRate = 0;
+  if (chargesVat(provider)) {
+    vatRate = booking.price.vatRate !== undefined ? booking.price.vatRate
+      : service ? service.pricing.vatRate : DEFAULT_VAT_RATE;
+  }
+
+  // Bookings made before price items were recorded have a single amount
+  const priceItems = booking.price.items && booking.price.items.length
+    ? booking.price.items
+    : [{ description: service ? service.title : 'Service', amount: booking.price.amount }];
+
+  const totals = calculateInvoice(priceItems.map(item => ({
+    description: item.description,
+    grossAmount: toMinorUnits(item.amount, currency),
+    vatRate
+  })));
+
+  const issueDate = new Date();
+  const paidAmount = payment ? payment.amountCaptured : 0;
+  const dueDays = parseInt(process.env.INVOICE_DUE_DAYS) || DEFAULT_DUE_DAYS;
+
+  let invoice;
+  try {
+    invoice = await Invoice.create({
+      type: 'invoice',
+      provider: booking.provider,
+      customer: booking.customer,
+      booking: booking._id,
+      service: booking.service,
+      payment: payment && payment._id,
+      seller: partyFromUser(provider, { seller: true }),
+      buyer: partyFromUser(customer),
+      issueDate,
+      deliveryDate: booking.scheduledStart,
+      deliveryAddress: booking.address,
+      dueDate: paidAmount >= totals.grossTotal ? issueDate : addDays(issueDate, dueDays),
+      currency,
+      ...totals,
+      paidAmount,
+      paidAt: payment && payment.capturedAt
+    });
+  } catch (error) {
+    // Issued by a parallel request, which numbers it
+    if (error.code !== 11000) throw error;
+    return Invoice.findOne({ booking: booking._id, type: 'invoice' });
+  }
+
+  return assignNumber(invoice);
+};
+
+/**
+ * Issue the invoice for a closed subscription billing cycle: the plan price
+ * and any proration from plan changes during the cycle. Issuing again
+ * returns the invoice that already exists.
+ *
+ * @param {Object} subscription - Subscription document
+ * @param {Object} cycle - One of its closed billing cycles
+ * @returns {Promise<Object>} The invoice
+ */
+const issueInvoiceForCycle = async (subscription, cycle) => {
+  const existing = await Invoice.findOne({ subscription: subscription._id, billingCycle: cycle._id, type: 'invoice' });
+  if (existing) return assignNumber(existing);
+
+  const [provider, customer, service] = await Promise.all([
+    User.findById(subscription.provider),
+    User.findById(subscription.customer),
+    Service.findById(subscription.service).select('title pricing.vatRate')
+  ]);
+
+  const { currency } = subscription;
+  let vatRate = 0;
+  if (chargesVat(provider)) {
+    vatRate = service && service.pricing.vatRate !== undefined ? service.pricing.vatRate : DEFAULT_VAT_RATE;
+  }
+
+  const totals = calculateInvoice(cycle.items.map(item => ({
+    description: item.description,
+    grossAmount: toMinorUnits(item.amount, currency),
+    vatRate
+  })));
+
+  const issueDate = new Date();
+  const dueDays = parseInt(process.env.INVOICE_DUE_DAYS) || DEFAULT_DUE_DAYS;
+
+  let invoice;
+  try {
+    invoice = await Invoice.create({
+      type: 'invoice',
+      provider: subscription.provider,
+      customer: subscription.customer,
+      service: subscription.service,
+      subscription: subscription._id,
+      billingCycle: cycle._id,
+      seller: partyFromUser(provider, { seller: true }),
+      buyer: partyFromUser(customer),
+      issueDate,
+      deliveryDate: cycle.periodStart,
+      deliveryAddress: subscription.address,
+      dueDate: addDays(issueDate, dueDays),
+      currency,
+      ...totals
+    });
+  } catch (error) {
+    // Issued by a parallel run, which numbers it
+    if (error.code !== 11000) throw error;
+    return Invoice.findOne({ subscription: subscription._id, billingCycle: cycle._id, type: 'invoice' });
+  }
+
+  return assignNumber(invoice);
+};
+
+/**
+ * Issue a credit note against an invoice, for the whole invoice or part of it.
+ * A partial credit is spread over the invoice's MVA rates in proportion to
+ * their share of the total.
+ *
+ * @param {Object} invoice - Invoice document
+ * @param {Object} options
+ * @param {number} [options.amount] - Amount to credit in minor units, MVA included; defaults to the rest
+ * @param {string} [options.reason]
+ * @returns {Promise<Object|null>} The credit note, or null when the amount exceeds what is left to credit
+ */
+const issueCreditNote = async (invoice, { amount, reason } = {}) => {
+  const creditAmount = amount || invoice.grossTotal - invoice.creditedAmount;
+  if (creditAmount <= 0) return null;
+
+  // Reserve the amount first, so parallel credit notes cannot exceed the invoice
+  const reserved = await Invoice.findOneAndUpdate(
+    {
+      _id: invoice._id,
+      type: 'invoice',
+      $expr: { $lte: [{ $add: ['$creditedAmount', creditAmount] }, '$grossTotal'] }
+    },
+    { $inc: { creditedAmount: creditAmount } },
+    { new: true }
+  );
+  if (!reserved) return null;
+
+  let items;
+  if (creditAmount === invoice.grossTotal) {
+    items = invoice.lines.map(line => ({
+      description: line.description,
+      quantity: line.quantity,
+      grossAmount: line.grossAmount,
+      vatRate: line.vatRate
+    }));
+  } else {
+    const groups = invoice.vatBreakdown;
+    let remaining = creditAmount;
+    items = groups.map((group, index) => {
+      const share = index === groups.length - 1
+        ? remaining
+        : Math.round(creditAmount * (group.netAmount + group.vatAmount) / invoice.grossTotal);
+      remaining -= share;
+      return {
+        description: groups.length > 1
+          ? `Kreditering av faktura ${invoice.number} (${group.rate} % MVA)`
+          : `Kreditering av faktura ${invoice.number}`,
+        grossAmount: share,
+        vatRate: group.rate
+      };
+    }).filter(item => item.grossAmount > 0);
+  }
+
+  let creditNote;
+  try {
+    creditNote = await Invoice.create({
+      type: 'credit_note',
+      provider: invoice.provider,
+      customer: invoice.customer,
+      booking: invoice.booking,
+      service: invoice.service,
+      subscription: invoice.subscription,
+      billingCycle: invoice.billingCycle,
+      payment: invoice.payment,
+      creditedInvoice: invoice._id,
+      creditReason: reason,
+      seller: invoice.seller,
+      buyer: invoice.buyer,
+      deliveryDate: invoice.deliveryDate,
+      deliveryAddress: invoice.deliveryAddress,
+      currency: invoice.currency,
+      ...calculateInvoice(items)
+    });
+  } catch (error) {
+    await Invoice.updateOne({ _id: invoice._id }, { $inc: { creditedAmount: -creditAmount } });
+    throw error;
+  }
+
+  return assignNumber(creditNote);
+};
+
+/**
+ * Record a captured payment on the invoice it paid, or on the booking's
+ * invoice if one has been issued.
+ */
+const recordInvoicePayment = (payment) => Invoice.updateOne(
+  payment.invoice ? { _id: payment.invoice } : { booking: payment.booking, type: 'invoice' },
+  { $set: { payment: payment._id, paidAmount: payment.amountCaptured, paidAt: payment.capturedAt || new Date() } }
+);
+
+module.exports = {
+  calculateInvoice,
+  chargesVat,
+  assignNumber,
+  issueInvoiceForBooking,
+  issueInvoiceForCycle,
+  issueCreditNote,
+  recordInvoicePayment
+};
@@ -0,0 +1,104 @@
+const fs = require('fs');
+const path = require('path');
+const nodemailer = require('nodemailer');
+
+// Pluggable mail delivery.
+//
+// MAIL_TRANSPORT selects the transport:
+//   smtp    - deliver through SMTP_HOST / SMTP_PORT / SMTP_USER / SMTP_PASS
+//   file    - write each message as JSON to MAIL_OUTPUT_DIR (local development and tests)
+//   console - print each message to stdout
+// When MAIL_TRANSPORT is not set, production uses SMTP and everything else uses the console.
+
+const createSmtpTransport = () => {
+  const transporter = nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port: parseInt(process.env.SMTP_PORT) || 587,
+    secure: parseInt(process.env.SMTP_PORT) === 465,
+    auth: process.env.SMTP_USER ? {
+      user: process.env.SMTP_USER,
+      pass: process.env.SMTP_PASS
+    } : undefined
+  });
+
+  return {
+    name: 'smtp',
+    send: (message) => transporter.sendMail(message)
+  };
+};
+
+const createFileTransport = () => {
+  const outputDir = process.env.MAIL_OUTPUT_DIR || './tmp/mail';
+
+  return {
+    name: 'file',
+    send: async (message) => {
+      await fs.promises.mkdir(outputDir, { recursive: true });
+      const fileName = `${Date.now()}-${Math.random().toString(36).slice(2, 8)}.json`;
+      const filePath = path.join(outputDir, fileName);
+      await fs.promises.writeFile(filePath, JSON.stringify({ ...message, sentAt: new Date().toISOString() }, null, 2));
+      return { messageId: fileName, path: filePath };
+    }
+  };
+};
+
+const createConsoleTransport = () => ({
+  name: 'console',
+  send: async (message) => {
+    console.log('📧 Email');
+    console.log(`   To: ${message.to}`);
+    console.log(`   Subject: ${message.subject}`);
+    console.log(message.text);
+    return { messageId: `console-${Date.now()}` };
+  }
+});
+
+const transportFactories = {
+  smtp: createSmtpTransport,
+  file: createFileTransport,
+  console: createConsoleTransport
+};
+
+let transport = null;
+
+const getTransport = () => {
+  if (!transport) {
+    const name = process.env.MAIL_TRANSPORT ||
+      (process.env.NODE_ENV === 'production' ? 'smtp' : 'console');
+    const factory = transportFactories[name];
+
+    if (!factory) {
+      throw new Error(`Unknown mail transport '${name}'`);
+    }
+
+    transport = factory();
+  }
+  return transport;
+};
+
+// Replace the active transport, e.g. with an in-memory collector in tests
+const setTransport = (customTransport) => {
+  transport = customTransport;
+};
+
+/**
+ * Send an email through the configured transport.
+ *
+ * @param {Object} message
+ * @param {string} message.to
+ * @param {string} message.subject
+ * @param {string} message.text
+ * @param {string} [message.html]
+ */
+const sendEmail = (message) => {
+  return getTransport().send({
+    from: process.env.MAIL_FROM || 'A-Z Globe <no-reply@azglobe.no>',
+    ...message
+  });
+};
+
+module.exports = {
+  sendEmail,
+  setTransport,
+  getTransport
+};
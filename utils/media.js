@@ -0,0 +1,318 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const multer = require('multer');
+const sharp = require('sharp');
+const { getStorage, removeFiles } = require('./storage');
+
+// Upload handling: size limits, content sniffing, image re-encoding (which
+// drops EXIF and other metadata, including GPS positions) and resized variants.
+
+const DEFAULT_MAX_FILE_SIZE = 10 * 1024 * 1024; // 10 MB
+const DEFAULT_MAX_VIDEO_FILE_SIZE = 100 * 1024 * 1024; // 100 MB
+
+// Magic numbers for the formats we accept. The client's declared MIME type is ignored.
+const sniffMimeType = (buffer) => {
+  if (!buffer || buffer.length < 12) return null;
+  const ascii = (start, end) => buffer.toString('latin1', start, end);
+
+  if (buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) return 'image/jpeg';
+  if (buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) return 'image/png';
+  if (ascii(0, 4) === 'RIFF' && ascii(8, 12) === 'WEBP') return 'image/webp';
+  if (ascii(0, 5) === '%PDF-') return 'application/pdf';
+  if (ascii(4, 8) === 'ftyp') return ascii(8, 12) === 'qt  ' ? 'video/quicktime' : 'video/mp4';
+  if (buffer.readUInt32BE(0) === 0x1a45dfa3) return 'video/webm';
+  return null;
+};
+
+const EXTENSIONS = {
+  'image/jpeg': 'jpg',
+  'image/png': 'png',
+  'image/webp': 'webp',
+  'application/pdf': 'pdf',
+  'video/mp4': 'mp4',
+  'video/quicktime': 'mov',
+  'video/webm': 'webm'
+};
+
+// Resized copies per image use. The first variant is the main image.
+const IMAGE_PRESETS = {
+  service: {
+    large: { width: 1600, height: 1600, fit: 'inside' },
+    medium: { width: 800, height: 800, fit: 'inside' },
+    thumbnail: { width: 320, height: 320, fit: 'inside' }
+  },
+  avatar: {
+    medium: { width: 512, height: 512, fit: 'cover' },
+    thumbnail: { width: 128, height: 128, fit: 'cover' }
+  },
+  cover: {
+    large: { width: 1920, height: 640, fit: 'cover' },
+    thumbnail: { width: 600, height: 200, fit: 'cover' }
+  },
+  // Scanned documents keep their size; re-encoding only strips metadata
+  document: {
+    original: null
+  }
+};
+
+const maxFileSize = () => parseInt(process.env.MAX_FILE_SIZE) || DEFAULT_MAX_FILE_SIZE;
+
+// What each upload kind accepts. Kinds marked onDisk are spooled to a
+// temporary file instead of memory: videos are large, and documents are
+// mostly stored as they are.
+const MEDIA_KINDS = {
+  image: { mimeTypes: ['image/jpeg', 'image/png', 'image/webp'], maxSize: maxFileSize, preset: 'service' },
+  avatar: { mimeTypes: ['image/jpeg', 'image/png', 'image/webp'], maxSize: maxFileSize, preset: 'avatar' },
+  cover: { mimeTypes: ['image/jpeg', 'image/png', 'image/webp'], maxSize: maxFileSize, preset: 'cover' },
+  video: {
+    mimeTypes: ['video/mp4', 'video/quicktime', 'video/webm'],
+    maxSize: () => parseInt(process.env.MAX_VIDEO_FILE_SIZE) || DEFAULT_MAX_VIDEO_FILE_SIZE,
+    onDisk: true
+  },
+  document: { mimeTypes: ['application/pdf', 'image/jpeg', 'image/png'], maxSize: maxFileSize, preset: 'document', onDisk: true }
+};
+
+const encodeAs = (pipeline, mimeType) => {
+  switch (mimeType) {
+    case 'image/png':
+      return pipeline.png({ compressionLevel: 9 });
+    case 'image/webp':
+      return pipeline.webp({ quality: 85 });
+    default:
+      return pipeline.jpeg({ quality: 85, mozjpeg: true });
+  }
+};
+
+/**
+ * Re-encode an image into the preset's variants. Orientation from EXIF is
+ * applied to the pixels first; the output carries no metadata.
+ *
+ * @param {Buffer|string} input - Image data, or the path of a file holding it
+ * @returns {Promise<Object[]>} [{ name, buffer, width, height }]
+ */
+const processImage = async (input, mimeType, presetName) => {
+  const variants = [];
+  // One at a time to keep memory use flat for large uploads
+  for (const [name, size] of Object.entries(IMAGE_PRESETS[presetName])) {
+    let pipeline = sharp(input, { failOn: 'error' }).rotate();
+    if (size) pipeline = pipeline.resize({ ...size, withoutEnlargement: true });
+    const { data, info } = await encodeAs(pipeline, mimeType).toBuffer({ resolveWithObject: true });
+    variants.push({ name, buffer: data, width: info.width, height: info.height });
+  }
+  return variants;
+};
+
+// The first bytes of an upload, enough to recognise its format
+const readHeader = (file) => {
+  if (!file.path) return file.buffer;
+
+  const header = Buffer.alloc(12);
+  const fd = fs.openSync(file.path, 'r');
+  try {
+    const bytesRead = fs.readSync(fd, header, 0, header.length, 0);
+    return header.subarray(0, bytesRead);
+  } finally {
+    fs.closeSync(fd);
+  }
+};
+
+/**
+ * Check uploaded files against a media kind.
+ *
+ * @returns {Object} { files: [{ file, mimeType }] } or { error }
+ */
+const inspectFiles = (files, kind) => {
+  const { mimeTypes } = MEDIA_KINDS[kind];
+  const inspected = [];
+
+  for (const file of files) {
+    const mimeType = sniffMimeType(readHeader(file));
+    if (!mimeType || !mimeTypes.includes(mimeType)) {
+      return { error: `${file.originalname} is not an accepted file type. Allowed: ${mimeTypes.join(', ')}` };
+    }
+    inspected.push({ file, mimeType });
+  }
+
+  return { files: inspected };
+};
+
+/**
+ * Process and store one inspected upload under a key prefix.
+ *
+ * @returns {Promise<Object>} { url, variants, storageKeys, mimeType, size, width, height }
+ */
+const storeUpload = async ({ file, mimeType }, kind, prefix) => {
+  const storage = getStorage();
+  const baseName = `${prefix}/${crypto.randomBytes(12).toString('hex')}`;
+  const extension = EXTENSIONS[mimeType];
+  const { preset } = MEDIA_KINDS[kind];
+
+  if (!preset || !mimeType.startsWith('image/')) {
+    const key = `${baseName}.${extension}`;
+    const { url } = file.path
+      ? await storage.putFile(key, file.path, mimeType)
+      : await storage.put(key, file.buffer, mimeType);
+    return { url, variants: {}, storageKeys: [key], mimeType, size: file.size };
+  }
+
+  let images;
+  try {
+    images = await processImage(file.path || file.buffer, mimeType, preset);
+  } catch (error) {
+    const invalid = new Error(`${file.originalname} could not be read as an image`);
+    invalid.isInvalidImage = true;
+    throw invalid;
+  }
+
+  const stored = [];
+  try {
+    for (const image of images) {
+      const result = await storage.put(`${baseName}-${image.name}.${extension}`, image.buffer, mimeType);
+      stored.push({ ...image, ...result });
+    }
+  } catch (error) {
+    await removeFiles(stored.map(image => image.key));
+    throw error;
+  }
+
+  return {
+    url: stored[0].url,
+    variants: stored.slice(1).reduce((variants, image) => ({ ...variants, [image.name]: image.url }), {}),
+    storageKeys: stored.map(image => image.key),
+    mimeType,
+    size: stored[0].buffer.length,
+    width: stored[0].width,
+    height: stored[0].height
+  };
+};
+
+/**
+ * Store several uploads, removing everything already stored if one fails.
+ */
+const storeUploads = async (inspected, kind, prefix) => {
+  const results = [];
+  try {
+    for (const upload of inspected) {
+      results.push(await storeUpload(upload, kind, prefix));
+    }
+  } catch (error) {
+    await removeFiles(results.flatMap(result => result.storageKeys));
+    throw error;
+  }
+  return results;
+};
+
+/**
+ * Multer middleware for a multipart field, with the kind's size limit.
+ * Files are buffered in memory, or spooled to temporary files for onDisk
+ * kinds; those are removed once the response is done. Limit errors become
+ * 400/413 responses.
+ */
+const uploadFiles = (field, kind, maxCount = 1) => {
+  const handler = multer({
+    storage: MEDIA_KINDS[kind].onDisk ? multer.diskStorage({ destination: os.tmpdir() }) : multer.memoryStorage(),
+    limits: { fileSize: MEDIA_KINDS[kind].maxSize(), files: maxCount, fields: 20 }
+  }).array(field, maxCount);
+
+  const removeTemporaryFiles = (req) => {
+    (req.files || []).filter(file => file.path).forEach(file => {
+      fs.promises.unlink(file.path).catch(error => {
+        if (error.code !== 'ENOENT') console.error('Temporary upload cleanup error:', error);
+      });
+    });
+  };
+
+  return (req, res, next) => handler(req, res, (error) => {
+    res.once('close', () => removeTemporaryFiles(req));
+    if (!error) return next();
+
+    if (error instanceof multer.MulterError) {
+      const messages = {
+        LIMIT_FILE_SIZE: `File is too large. Maximum size is ${Math.floor(MEDIA_KINDS[kind].maxSize() / (1024 * 1024))} MB`,
+        LIMIT_FILE_COUNT: `At most ${maxCount} file(s) can be uploaded at once`,
+        LIMIT_UNEXPECTED_FILE: `Files must be sent in the '${field}' field`
+      };
+      return res.status(error.code === 'LIMIT_FILE_SIZE' ? 413 : 400).json({
+        success: false,
+        message: messages[error.code] || error.message
+      });
+    }
+
+    next(error);
+  });
+};
+
+// Message attachments are uploaded first, privately under the sender's own
+// prefix, and then referenced by key in the message. They are only served to
+// the conversation's participants.
+const attachmentPrefix = (userId) => `private/attachments/${userId}`;
+
+/**
+ * The storage key of an attachment, provided it is a file the user uploaded
+ * through POST /api/media/attachments.
+ *
+ * @param {Object} attachment - { key }
+ * @param {string} userId
+ * @returns {string|null}
+ */
+const attachmentKey = (attachment, userId) => {
+  if (!attachment || typeof attachment !== 'object') return null;
+
+  const { key } = attachment;
+  const prefix = `${attachmentPrefix(userId)}/`;
+  return typeof key === 'string' && key.startsWith(prefix) && /^[\w\-]+\.\w+$/.test(key.slice(prefix.length))
+    ? key
+    : null;
+};
+
+/**
+ * Type and size of a stored attachment, taken from storage rather than from
+ * the client. The key's extension is the one its sniffed type was stored with.
+ *
+ * @param {string} key - Key returned by attachmentKey
+ * @returns {Promise<Object|null>} { mimeType, size }, or null when the file is missing
+ */
+const describeAttachment = async (key) => {
+  const size = await getStorage().size(key);
+  if (size === null) return null;
+
+  const extension = key.slice(key.lastIndexOf('.') + 1);
+  const mimeType = Object.keys(EXTENSIONS).find(type => EXTENSIONS[type] === extension);
+  return { mimeType, size };
+};
+
+/**
+ * Send a privately stored file (such as a verification document or a message
+ * attachment) as a download.
+ *
+ * @param {Object} res - Express response
+ * @param {Object} document - Stored entry with name and storageKeys
+ */
+const sendPrivateFile = async (res, document) => {
+  const buffer = await getStorage().read(document.storageKeys[0]);
+  // Sniffed again, so a recorded type can never choose how the file is served
+  const mimeType = sniffMimeType(buffer);
+  const extension = EXTENSIONS[mimeType] || 'bin';
+  const baseName = (document.name || 'document').replace(/\.[^.]+$/, '').replace(/[^\w\- ]+/g, '_');
+
+  res.set({
+    'Content-Type': mimeType || 'application/octet-stream',
+    'Content-Disposition': `attachment; filename="${baseName}.${extension}"`,
+    'Cache-Control': 'private, no-store'
+  });
+  res.send(buffer);
+};
+
+module.exports = {
+  MEDIA_KINDS,
+  attachmentPrefix,
+  attachmentKey,
+  describeAttachment,
+  sendPrivateFile,
+  sniffMimeType,
+  inspectFiles,
+  storeUpload,
+  storeUploads,
+  uploadFiles
+};
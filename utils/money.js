@@ -0,0 +1,24 @@
+// Money helpers. Payment amounts are stored as integers in the currency's
+// minor unit (øre for NOK, cents for EUR/USD) to avoid floating point drift.
+
+const SUPPORTED_CURRENCIES = ['NOK', 'EUR', 'USD'];
+
+const minorUnitDigits = (currency) =>
+  new Intl.NumberFormat('en', { style: 'currency', currency }).resolvedOptions().maximumFractionDigits;
+
+// 1234.5 NOK -> 123450
+const toMinorUnits = (amount, currency) => Math.round(Number(amount) * 10 ** minorUnitDigits(currency));
+
+// 123450 NOK -> 1234.5
+const fromMinorUnits = (minorAmount, currency) => minorAmount / 10 ** minorUnitDigits(currency);
+
+// 123450 NOK -> '1 234,50 kr'
+const formatMinorUnits = (minorAmount, currency, locale = 'nb-NO') =>
+  new Intl.NumberFormat(locale, { style: 'currency', currency }).format(fromMinorUnits(minorAmount, currency));
+
+module.exports = {
+  SUPPORTED_CURRENCIES,
+  toMinorUnits,
+  fromMinorUnits,
+  formatMinorUnits
+};
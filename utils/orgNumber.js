@@ -0,0 +1,38 @@
+// Norwegian organisation numbers (organisasjonsnummer): nine digits, the
+// last being a MOD11 check digit over the first eight. Issued numbers start
+// with 8 or 9.
+
+const WEIGHTS = [3, 2, 7, 6, 5, 4, 3, 2];
+
+// Strip spaces, dots and an optional 'NO' prefix / 'MVA' suffix ("NO 923 609 016 MVA")
+const normalizeOrganisationNumber = (value) => {
+  const digits = String(value || '')
+    .toUpperCase()
+    .replace(/^NO/, '')
+    .replace(/MVA$/, '')
+    .replace(/[\s.-]/g, '');
+  return /^\d{9}$/.test(digits) ? digits : null;
+};
+
+const checkDigit = (firstEight) => {
+  const sum = WEIGHTS.reduce((total, weight, index) => total + weight * Number(firstEight[index]), 0);
+  const remainder = sum % 11;
+  if (remainder === 0) return 0;
+  // A remainder of 1 gives 10, which is never issued
+  return remainder === 1 ? null : 11 - remainder;
+};
+
+const isValidOrganisationNumber = (value) => {
+  const number = normalizeOrganisationNumber(value);
+  if (!number || !/^[89]/.test(number)) return false;
+  return checkDigit(number.slice(0, 8)) === Number(number[8]);
+};
+
+// Display format used on invoices and in Brønnøysundregistrene: '923 609 016'
+const formatOrganisationNumber = (number) => number.replace(/^(\d{3})(\d{3})(\d{3})$/, '$1 $2 $3');
+
+module.exports = {
+  normalizeOrganisationNumber,
+  isValidOrganisationNumber,
+  formatOrganisationNumber
+};
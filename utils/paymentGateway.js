@@ -0,0 +1,299 @@
+const crypto = require('crypto');
+
+// Pluggable payment gateway.
+//
+// PAYMENT_GATEWAY selects the gateway:
+//   stripe - Stripe PaymentIntents with STRIPE_SECRET_KEY / STRIPE_WEBHOOK_SECRET
+//   fake   - in-process gateway for local development and tests; no network calls.
+//            Refused in any other NODE_ENV, since anyone who can sign its webhooks can mark payments paid.
+// When PAYMENT_GATEWAY is not set, production and any environment with STRIPE_SECRET_KEY use Stripe.
+//
+// Every gateway takes amounts in minor units (øre/cents) and exposes:
+//   createPaymentIntent({ amount, currency, metadata, idempotencyKey }) -> { id, status, clientSecret }
+//   capturePaymentIntent(id, amount?)                                    -> { id, status, amountCaptured }
+//   cancelPaymentIntent(id)                                              -> { id, status }
+//   createRefund({ paymentIntentId, amount, reason, idempotencyKey })    -> { id, status, amount }
+//   constructWebhookEvent(rawBody, signature)                            -> normalized event (see below)
+//
+// Intents are created with manual capture: the customer's card is authorised
+// up front and charged when the booking is completed.
+//
+// Normalized webhook events look like
+//   { id, type, paymentId, refundId?, amount?, failureReason? }
+// where type is one of payment.authorized, payment.succeeded, payment.failed,
+// payment.cancelled, refund.succeeded, refund.failed, or null for events we ignore.
+// Signature failures throw an error with isSignatureError set.
+
+const signatureError = (message) => {
+  const error = new Error(message);
+  error.isSignatureError = true;
+  return error;
+};
+
+const createStripeGateway = () => {
+  const Stripe = require('stripe');
+  const stripe = Stripe(process.env.STRIPE_SECRET_KEY);
+
+  const refundEvent = (event, refund) => ({
+    id: event.id,
+    type: refund.status === 'succeeded' ? 'refund.succeeded'
+      : ['failed', 'canceled'].includes(refund.status) ? 'refund.failed' : null,
+    paymentId: refund.payment_intent,
+    refundId: refund.id,
+    amount: refund.amount,
+    failureReason: refund.failure_reason
+  });
+
+  const normalizeEvent = (event) => {
+    const object = event.data.object;
+
+    switch (event.type) {
+      case 'payment_intent.amount_capturable_updated':
+        return { id: event.id, type: 'payment.authorized', paymentId: object.id, amount: object.amount_capturable };
+      case 'payment_intent.succeeded':
+        return { id: event.id, type: 'payment.succeeded', paymentId: object.id, amount: object.amount_received };
+      case 'payment_intent.payment_failed':
+        return {
+          id: event.id,
+          type: 'payment.failed',
+          paymentId: object.id,
+          failureReason: object.last_payment_error && object.last_payment_error.message
+        };
+      case 'payment_intent.canceled':
+        return { id: event.id, type: 'payment.cancelled', paymentId: object.id };
+      case 'refund.updated':
+      case 'charge.refund.updated':
+        return refundEvent(event, object);
+      default:
+        return { id: event.id, type: null };
+    }
+  };
+
+  return {
+    name: 'stripe',
+
+    createPaymentIntent: async ({ amount, currency, metadata, idempotencyKey }) => {
+      const intent = await stripe.paymentIntents.create({
+        amount,
+        currency: currency.toLowerCase(),
+        capture_method: 'manual',
+        automatic_payment_methods: { enabled: true },
+        metadata
+      }, { idempotencyKey });
+      return { id: intent.id, status: intent.status, clientSecret: intent.client_secret };
+    },
+
+    capturePaymentIntent: async (id, amount) => {
+      const intent = await stripe.paymentIntents.capture(id, amount ? { amount_to_capture: amount } : {});
+      return { id: intent.id, status: intent.status, amountCaptured: intent.amount_received };
+    },
+
+    cancelPaymentIntent: async (id) => {
+      const intent = await stripe.paymentIntents.cancel(id);
+      return { id: intent.id, status: intent.status };
+    },
+
+    createRefund: async ({ paymentIntentId, amount, reason, idempotencyKey }) => {
+      const refund = await stripe.refunds.create({
+        payment_intent: paymentIntentId,
+        amount,
+        // Stripe only accepts a fixed set of reasons; ours is kept as metadata
+        metadata: reason ? { reason } : undefined
+      }, { idempotencyKey });
+      return { id: refund.id, status: refund.status, amount: refund.amount };
+    },
+
+    constructWebhookEvent: (rawBody, signature) => {
+      let event;
+      try {
+        event = stripe.webhooks.constructEvent(rawBody, signature, process.env.STRIPE_WEBHOOK_SECRET);
+      } catch (error) {
+        throw signatureError(error.message);
+      }
+      return normalizeEvent(event);
+    }
+  };
+};
+
+// Webhook signatures use Stripe's scheme: "t=<unix time>,v1=<hex HMAC-SHA256 of 't.body'>"
+const SIGNATURE_TOLERANCE_SECONDS = 300;
+
+const signPayload = (payload, secret, timestamp = Math.floor(Date.now() / 1000)) => {
+  const digest = crypto.createHmac('sha256', secret).update(`${timestamp}.${payload}`).digest('hex');
+  return `t=${timestamp},v1=${digest}`;
+};
+
+const verifySignature = (payload, header, secret) => {
+  const parts = Object.fromEntries(String(header || '').split(',').map(part => part.split('=')));
+  const timestamp = parseInt(parts.t);
+  if (!timestamp || !parts.v1) throw signatureError('Missing or malformed signature header');
+
+  if (Math.abs(Date.now() / 1000 - timestamp) > SIGNATURE_TOLERANCE_SECONDS) {
+    throw signatureError('Signature timestamp is outside the tolerance window');
+  }
+
+  const expected = Buffer.from(signPayload(payload, secret, timestamp).split('v1=')[1], 'hex');
+  const received = Buffer.from(parts.v1, 'hex');
+  if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+    throw signatureError('Signature does not match payload');
+  }
+};
+
+const FAKE_GATEWAY_ENVIRONMENTS = ['development', 'test'];
+
+const createFakeGateway = () => {
+  const environment = process.env.NODE_ENV || 'development';
+  if (!FAKE_GATEWAY_ENVIRONMENTS.includes(environment)) {
+    throw new Error(`The fake payment gateway is only available in development and test, not '${environment}'`);
+  }
+
+  // Deliveries are signed in-process, so a random secret works unless an
+  // outside tool needs to sign them too
+  const secret = process.env.FAKE_WEBHOOK_SECRET || crypto.randomBytes(32).toString('hex');
+  const intents = new Map();
+  const idempotent = new Map();
+
+  const randomId = (prefix) => `${prefix}_${crypto.randomBytes(12).toString('hex')}`;
+
+  const once = (key, create) => {
+    if (key && idempotent.has(key)) return idempotent.get(key);
+    const result = create();
+    if (key) idempotent.set(key, result);
+    return result;
+  };
+
+  const getIntent = (id) => {
+    const intent = intents.get(id);
+    if (!intent) throw new Error(`No such payment intent: ${id}`);
+    return intent;
+  };
+
+  const snapshot = (intent) => ({
+    id: intent.id,
+    status: intent.status,
+    clientSecret: intent.clientSecret,
+    amountCaptured: intent.amountCaptured
+  });
+
+  // Build a signed webhook delivery, as the gateway would POST it
+  const deliver = (event) => {
+    const payload = JSON.stringify({ id: randomId('evt'), ...event });
+    return { payload, signature: signPayload(payload, secret) };
+  };
+
+  return {
+    name: 'fake',
+
+    createPaymentIntent: async ({ amount, currency, metadata, idempotencyKey }) => once(idempotencyKey, () => {
+      const id = randomId('fake_pi');
+      const intent = {
+        id,
+        amount,
+        currency,
+        metadata,
+        status: 'requires_payment_method',
+        clientSecret: `${id}_secret_${crypto.randomBytes(8).toString('hex')}`,
+        amountCaptured: 0,
+        amountRefunded: 0
+      };
+      intents.set(id, intent);
+      return snapshot(intent);
+    }),
+
+    capturePaymentIntent: async (id, amount) => {
+      const intent = getIntent(id);
+      if (intent.status !== 'requires_capture') {
+        throw new Error(`Payment intent ${id} cannot be captured in status ${intent.status}`);
+      }
+      intent.status = 'succeeded';
+      intent.amountCaptured = amount || intent.amount;
+      return snapshot(intent);
+    },
+
+    cancelPaymentIntent: async (id) => {
+      const intent = getIntent(id);
+      if (intent.status === 'succeeded' || intent.status === 'canceled') {
+        throw new Error(`Payment intent ${id} cannot be cancelled in status ${intent.status}`);
+      }
+      intent.status = 'canceled';
+      return snapshot(intent);
+    },
+
+    createRefund: async ({ paymentIntentId, amount, idempotencyKey }) => once(idempotencyKey, () => {
+      const intent = getIntent(paymentIntentId);
+      const refundAmount = amount || intent.amountCaptured - intent.amountRefunded;
+      if (intent.status !== 'succeeded' || refundAmount > intent.amountCaptured - intent.amountRefunded) {
+        throw new Error(`Payment intent ${paymentIntentId} cannot be refunded by ${refundAmount}`);
+      }
+      intent.amountRefunded += refundAmount;
+      return { id: randomId('fake_re'), status: 'succeeded', amount: refundAmount };
+    }),
+
+    constructWebhookEvent: (rawBody, signature) => {
+      const payload = Buffer.isBuffer(rawBody) ? rawBody.toString('utf8') : String(rawBody);
+      verifySignature(payload, signature, secret);
+      const { id, type, paymentId, refundId, amount, failureReason } = JSON.parse(payload);
+      return { id, type, paymentId, refundId, amount, failureReason };
+    },
+
+    /**
+     * Act as the customer or the card network on an intent and return the
+     * signed webhook delivery the gateway would send.
+     *
+     * @param {string} id - Payment intent ID
+     * @param {string} outcome - authorize, fail or cancel
+     * @returns {Object} { payload, signature }
+     */
+    simulate: (id, outcome) => {
+      const intent = getIntent(id);
+
+      switch (outcome) {
+        case 'authorize':
+          intent.status = 'requires_capture';
+          return deliver({ type: 'payment.authorized', paymentId: id, amount: intent.amount });
+        case 'fail':
+          intent.status = 'requires_payment_method';
+          return deliver({ type: 'payment.failed', paymentId: id, failureReason: 'Your card was declined.' });
+        case 'cancel':
+          intent.status = 'canceled';
+          return deliver({ type: 'payment.cancelled', paymentId: id });
+        default:
+          throw new Error(`Unknown outcome '${outcome}'`);
+      }
+    }
+  };
+};
+
+const gatewayFactories = {
+  stripe: createStripeGateway,
+  fake: createFakeGateway
+};
+
+let gateway = null;
+
+const getGateway = () => {
+  if (!gateway) {
+    const name = process.env.PAYMENT_GATEWAY ||
+      (process.env.NODE_ENV === 'production' || process.env.STRIPE_SECRET_KEY ? 'stripe' : 'fake');
+    const factory = gatewayFactories[name];
+
+    if (!factory) {
+      throw new Error(`Unknown payment gateway '${name}'`);
+    }
+
+    gateway = factory();
+  }
+  return gateway;
+};
+
+// Replace the active gateway, e.g. with a fresh fake gateway in tests
+const setGateway = (customGateway) => {
+  gateway = customGateway;
+};
+
+module.exports = {
+  createFakeGateway,
+  getGateway,
+  setGateway,
+  signPayload
+};
@@ -0,0 +1,186 @@
+const Payment = require('../models/Payment');
+const { getGateway } = require('./paymentGateway');
+const { recordInvoicePayment } = require('./invoices');
+
+// Payment state changes. Each update is conditioned on the status it expects,
+// so webhook deliveries and API requests racing on the same payment apply once.
+
+// Statuses each webhook event may move a payment out of
+const EVENT_TRANSITIONS = {
+  'payment.authorized': { from: ['pending', 'failed'], to: 'authorized', at: 'authorizedAt' },
+  'payment.succeeded': { from: ['pending', 'authorized'], to: 'captured', at: 'capturedAt' },
+  'payment.failed': { from: ['pending'], to: 'failed' },
+  'payment.cancelled': { from: ['pending', 'authorized', 'failed'], to: 'cancelled', at: 'cancelledAt' }
+};
+
+// Move a payment to refunded or partially_refunded after a refund settles
+const settleRefundStatus = (payment) => {
+  if (!payment) return payment;
+  const status = payment.amountRefunded >= payment.amountCaptured ? 'refunded' : 'partially_refunded';
+  return Payment.findOneAndUpdate(
+    { _id: payment._id, status: { $in: ['captured', 'partially_refunded'] } },
+    { $set: { status } },
+    { new: true }
+  );
+};
+
+// Settle a pending refund matched by the filter's refunds.$elemMatch
+const markRefund = async (filter, refundStatus, amount, { set = {}, eventId } = {}) => {
+  const update = { $set: { 'refunds.$.status': refundStatus, ...set } };
+  if (refundStatus === 'succeeded') update.$inc = { amountRefunded: amount };
+  if (eventId) update.$push = { processedEvents: eventId };
+
+  const payment = await Payment.findOneAndUpdate(filter, update, { new: true });
+  return refundStatus === 'succeeded' ? settleRefundStatus(payment) : payment;
+};
+
+// A webhook can arrive before createRefund returns and the gateway's refund
+// id is stored. Then the refund is the only pending one of that amount
+// still without a gateway id.
+const awaitingGatewayId = (payment, amount) => {
+  const candidates = payment.refunds.filter(item =>
+    item.status === 'pending' && !item.gatewayRefundId && item.amount === amount);
+  return candidates.length === 1 ? candidates[0] : null;
+};
+
+/**
+ * Apply a normalized gateway event to its payment. Events already applied,
+ * or that no longer match the payment's status, are ignored.
+ *
+ * @param {Object} event - Normalized event from constructWebhookEvent
+ * @returns {Promise<Object|null>} The updated payment, or null when nothing changed
+ * @throws When a refund event matches no refund yet, so the delivery is retried
+ */
+const applyGatewayEvent = async (event) => {
+  const gateway = getGateway().name;
+  const base = { gateway, gatewayPaymentId: event.paymentId, processedEvents: { $ne: event.id } };
+
+  if (event.type === 'refund.succeeded' || event.type === 'refund.failed') {
+    const refundStatus = event.type === 'refund.succeeded' ? 'succeeded' : 'failed';
+    const payment = await Payment.findOne({ gateway, gatewayPaymentId: event.paymentId });
+    if (!payment) return null;
+
+    const refund = payment.refunds.find(item => item.gatewayRefundId === event.refundId) ||
+      awaitingGatewayId(payment, event.amount);
+    if (!refund) {
+      // The refund may be recorded any moment; failing makes the gateway retry
+      throw new Error(`No refund matches gateway refund ${event.refundId} on payment ${payment._id}`);
+    }
+    if (refund.status !== 'pending') return null;
+
+    return markRefund(
+      { ...base, refunds: { $elemMatch: { _id: refund._id, status: 'pending' } } },
+      refundStatus,
+      refund.amount,
+      { set: { 'refunds.$.gatewayRefundId': event.refundId }, eventId: event.id }
+    );
+  }
+
+  const transition = EVENT_TRANSITIONS[event.type];
+  if (!transition) return null;
+
+  const set = { status: transition.to };
+  if (transition.at) set[transition.at] = new Date();
+  if (event.type === 'payment.succeeded') set.amountCaptured = event.amount;
+  if (event.type === 'payment.failed') set.failureReason = event.failureReason;
+
+  const payment = await Payment.findOneAndUpdate(
+    { ...base, status: { $in: transition.from } },
+    { $set: set, $push: { processedEvents: event.id } },
+    { new: true }
+  );
+
+  if (payment && payment.status === 'captured') await recordInvoicePayment(payment);
+  // An invoice is for service already given, so it is charged once authorised
+  if (payment && payment.status === 'authorized' && payment.invoice) {
+    return (await capturePayment(payment)) || Payment.findById(payment._id);
+  }
+  return payment;
+};
+
+/**
+ * Charge an authorised payment.
+ *
+ * @returns {Promise<Object|null>} The captured payment, or null when it was
+ * no longer authorised (another request or a webhook got there first)
+ */
+const capturePayment = async (payment) => {
+  const result = await getGateway().capturePaymentIntent(payment.gatewayPaymentId);
+
+  const captured = await Payment.findOneAndUpdate(
+    { _id: payment._id, status: 'authorized' },
+    { $set: { status: 'captured', amountCaptured: result.amountCaptured, capturedAt: new Date() } },
+    { new: true }
+  );
+
+  if (captured) await recordInvoicePayment(captured);
+  return captured;
+};
+
+/**
+ * Release a payment that has not been captured, dropping any hold on the card.
+ */
+const cancelPayment = async (payment) => {
+  await getGateway().cancelPaymentIntent(payment.gatewayPaymentId);
+
+  return Payment.findOneAndUpdate(
+    { _id: payment._id, status: { $in: Payment.OPEN_STATUSES.concat('failed') } },
+    { $set: { status: 'cancelled', cancelledAt: new Date() } },
+    { new: true }
+  );
+};
+
+/**
+ * Refund part or all of a captured payment.
+ *
+ * The refund is recorded as pending before the gateway is called, so two
+ * concurrent requests cannot refund more than was captured. Refunds the
+ * gateway settles later are completed by the refund.succeeded webhook.
+ *
+ * @param {Object} payment - Payment document
+ * @param {Object} options
+ * @param {number} options.amount - Amount in minor units
+ * @param {string} [options.reason]
+ * @param {Object} options.user - User requesting the refund
+ * @returns {Promise<Object|null>} { payment, refund }, or null when the payment
+ * changed since it was read
+ */
+const refundPayment = async (payment, { amount, reason, user }) => {
+  const reserved = await Payment.findOneAndUpdate(
+    { _id: payment._id, updatedAt: payment.updatedAt, status: { $in: ['captured', 'partially_refunded'] } },
+    { $push: { refunds: { amount, reason, status: 'pending', requestedBy: user._id } } },
+    { new: true }
+  );
+  if (!reserved) return null;
+
+  const refund = reserved.refunds[reserved.refunds.length - 1];
+  const refundFilter = { _id: reserved._id, refunds: { $elemMatch: { _id: refund._id, status: 'pending' } } };
+
+  let result;
+  try {
+    result = await getGateway().createRefund({
+      paymentIntentId: reserved.gatewayPaymentId,
+      amount,
+      reason,
+      idempotencyKey: `refund-${refund._id}`
+    });
+  } catch (error) {
+    await markRefund(refundFilter, 'failed', amount);
+    throw error;
+  }
+
+  const gatewayFields = { 'refunds.$.gatewayRefundId': result.id };
+  const updated = result.status === 'succeeded' || result.status === 'failed'
+    ? await markRefund(refundFilter, result.status, amount, { set: gatewayFields })
+    : await Payment.findOneAndUpdate(refundFilter, { $set: gatewayFields }, { new: true });
+
+  const current = updated || await Payment.findById(reserved._id);
+  return { payment: current, refund: current.refunds.id(refund._id) };
+};
+
+module.exports = {
+  applyGatewayEvent,
+  capturePayment,
+  cancelPayment,
+  refundPayment
+};
@@ -0,0 +1,247 @@
+const Service = require('../models/Service');
+const ServiceStats = require('../models/ServiceStats');
+const Booking = require('../models/Booking');
+const { DEFAULT_TIME_ZONE, zonedTimeToUtc, addDays, getWeekday } = require('./timezone');
+
+// Provider-facing analytics built from the ServiceStats daily rollups and
+// booking requests. Days are local (Europe/Oslo) calendar days; weeks start
+// on Monday and are labelled by that Monday.
+
+const METRICS = ['impressions', 'views', 'inquiries', 'bookings'];
+
+const emptyCounts = () => METRICS.reduce((counts, metric) => ({ ...counts, [metric]: 0 }), {});
+
+const addCounts = (target, source) => {
+  METRICS.forEach(metric => {
+    target[metric] += source[metric] || 0;
+  });
+  return target;
+};
+
+// Number of days from one 'YYYY-MM-DD' to another, inclusive
+const dayCount = (from, to) =>
+  Math.round((Date.parse(`${to}T00:00:00Z`) - Date.parse(`${from}T00:00:00Z`)) / 86400000) + 1;
+
+const weekStart = (dateStr) => addDays(dateStr, -((getWeekday(dateStr) + 6) % 7));
+
+// Period label a day falls into
+const bucketOf = (dateStr, interval) => (interval === 'week' ? weekStart(dateStr) : dateStr);
+
+// Every period label between two days, in order
+const bucketsBetween = (from, to, interval) => {
+  const buckets = [];
+  for (let day = bucketOf(from, interval); day <= to; day = addDays(day, interval === 'week' ? 7 : 1)) {
+    buckets.push(day);
+  }
+  return buckets;
+};
+
+const rate = (numerator, denominator) =>
+  (denominator ? Math.round((numerator / denominator) * 10000) / 100 : null);
+
+// Conversion rates in percent; null when the base is zero
+const conversionRates = (counts) => ({
+  viewRate: rate(counts.views, counts.impressions),
+  inquiryRate: rate(counts.inquiries, counts.views),
+  bookingRate: rate(counts.bookings, counts.views)
+});
+
+// Percentage change per metric against the previous period; null when it had none
+const changeFrom = (current, previous) => METRICS.reduce((change, metric) => ({
+  ...change,
+  [metric]: previous[metric] ? Math.round(((current[metric] - previous[metric]) / previous[metric]) * 10000) / 100 : null
+}), {});
+
+/**
+ * Daily counts per service for a date range.
+ *
+ * @returns {Promise<Map>} serviceId -> Map(date -> counts)
+ */
+const loadDailyCounts = async (serviceIds, from, to) => {
+  const [stats, bookings] = await Promise.all([
+    ServiceStats.find({ service: { $in: serviceIds }, date: { $gte: from, $lte: to } }).lean(),
+    Booking.aggregate([
+      {
+        $match: {
+          service: { $in: serviceIds },
+          createdAt: {
+            $gte: zonedTimeToUtc(from, 0),
+            $lt: zonedTimeToUtc(addDays(to, 1), 0)
+          }
+        }
+      },
+      {
+        $group: {
+          _id: {
+            service: '$service',
+            date: { $dateToString: { format: '%Y-%m-%d', date: '$createdAt', timezone: DEFAULT_TIME_ZONE } }
+          },
+          bookings: { $sum: 1 }
+        }
+      }
+    ])
+  ]);
+
+  const daily = new Map();
+  const countsFor = (serviceId, date) => {
+    const key = serviceId.toString();
+    if (!daily.has(key)) daily.set(key, new Map());
+    const days = daily.get(key);
+    if (!days.has(date)) days.set(date, emptyCounts());
+    return days.get(date);
+  };
+
+  stats.forEach(stat => addCounts(countsFor(stat.service, stat.date), stat));
+  bookings.forEach(({ _id, bookings: count }) => {
+    countsFor(_id.service, _id.date).bookings += count;
+  });
+
+  return daily;
+};
+
+const totalsOf = (days) => {
+  const totals = emptyCounts();
+  if (days) days.forEach(counts => addCounts(totals, counts));
+  return totals;
+};
+
+/**
+ * Position of each service among active services in the same category and
+ * in its first listed city, ranked by detail views over the period.
+ */
+const loadRankings = async (services, from, to) => {
+  const categories = [...new Set(services.map(service => service.category))];
+  const competitors = await Service.find({ status: 'active', isVerified: true, category: { $in: categories } })
+    .select('category serviceArea.cities')
+    .lean();
+
+  const viewTotals = await ServiceStats.aggregate([
+    { $match: { service: { $in: competitors.map(service => service._id) }, date: { $gte: from, $lte: to } } },
+    { $group: { _id: '$service', views: { $sum: '$views' } } }
+  ]);
+  const viewsById = new Map(viewTotals.map(({ _id, views }) => [_id.toString(), views]));
+  const viewsOf = (service) => viewsById.get(service._id.toString()) || 0;
+
+  const positionAmong = (service, pool) => ({
+    position: pool.filter(other => viewsOf(other) > viewsOf(service)).length + 1,
+    total: pool.length
+  });
+
+  return new Map(services.map(service => {
+    const inCategory = competitors.filter(other => other.category === service.category);
+    const city = (service.serviceArea && service.serviceArea.cities || [])[0];
+    const inCity = city
+      ? inCategory.filter(other => (other.serviceArea.cities || []).some(otherCity => otherCity.toLowerCase() === city.toLowerCase()))
+      : [];
+
+    return [service._id.toString(), {
+      rankedBy: 'views',
+      // Services that are not live are not ranked
+      category: service.status === 'active' ? { name: service.category, ...positionAmong(service, inCategory) } : null,
+      city: service.status === 'active' && city ? { name: city, ...positionAmong(service, inCity) } : null
+    }];
+  }));
+};
+
+/**
+ * Build the analytics report for a provider's services.
+ *
+ * @param {Object} options
+ * @param {Object[]} options.services - The provider's services
+ * @param {string} options.from - First day, 'YYYY-MM-DD'
+ * @param {string} options.to - Last day, 'YYYY-MM-DD'
+ * @param {string} options.interval - 'day' or 'week'
+ */
+const buildProviderReport = async ({ services, from, to, interval }) => {
+  const days = dayCount(from, to);
+  const previousTo = addDays(from, -1);
+  const previousFrom = addDays(previousTo, -(days - 1));
+  const serviceIds = services.map(service => service._id);
+
+  const [current, previous, rankings] = await Promise.all([
+    loadDailyCounts(serviceIds, from, to),
+    loadDailyCounts(serviceIds, previousFrom, previousTo),
+    loadRankings(services, from, to)
+  ]);
+
+  const buckets = bucketsBetween(from, to, interval);
+  const overallTotals = emptyCounts();
+  const overallPrevious = emptyCounts();
+  const overallSeries = new Map(buckets.map(bucket => [bucket, emptyCounts()]));
+
+  const serviceReports = services.map(service => {
+    const id = service._id.toString();
+    const serviceDays = current.get(id);
+
+    const series = new Map(buckets.map(bucket => [bucket, emptyCounts()]));
+    if (serviceDays) {
+      serviceDays.forEach((counts, date) => {
+        addCounts(series.get(bucketOf(date, interval)), counts);
+        addCounts(overallSeries.get(bucketOf(date, interval)), counts);
+      });
+    }
+
+    const totals = totalsOf(serviceDays);
+    const previousTotals = totalsOf(previous.get(id));
+    addCounts(overallTotals, totals);
+    addCounts(overallPrevious, previousTotals);
+
+    return {
+      service: { _id: service._id, title: service.title, category: service.category, status: service.status },
+      totals,
+      conversion: conversionRates(totals),
+      previousPeriod: { totals: previousTotals, conversion: conversionRates(previousTotals) },
+      change: changeFrom(totals, previousTotals),
+      ranking: rankings.get(id),
+      series: [...series].map(([period, counts]) => ({ period, ...counts, ...conversionRates(counts) }))
+    };
+  });
+
+  return {
+    range: { from, to, interval, days },
+    previousRange: { from: previousFrom, to: previousTo },
+    summary: {
+      totals: overallTotals,
+      conversion: conversionRates(overallTotals),
+      previousPeriod: { totals: overallPrevious, conversion: conversionRates(overallPrevious) },
+      change: changeFrom(overallTotals, overallPrevious),
+      series: [...overallSeries].map(([period, counts]) => ({ period, ...counts, ...conversionRates(counts) }))
+    },
+    services: serviceReports
+  };
+};
+
+const csvField = (value) => {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  // Quote fields with separators, and neutralise spreadsheet formulas
+  const safe = /^[=+\-@]/.test(text) ? `'${text}` : text;
+  return /[",\n\r]/.test(safe) ? `"${safe.replace(/"/g, '""')}"` : safe;
+};
+
+// One CSV row per service and period
+const reportToCsv = (report) => {
+  const header = [
+    'service_id', 'service_title', 'period_start', ...METRICS,
+    'view_rate_pct', 'inquiry_rate_pct', 'booking_rate_pct'
+  ];
+
+  const rows = report.services.flatMap(({ service, series }) => series.map(point => [
+    service._id,
+    service.title,
+    point.period,
+    ...METRICS.map(metric => point[metric]),
+    point.viewRate,
+    point.inquiryRate,
+    point.bookingRate
+  ]));
+
+  return [header, ...rows].map(row => row.map(csvField).join(',')).join('\r\n') + '\r\n';
+};
+
+module.exports = {
+  METRICS,
+  dayCount,
+  buildProviderReport,
+  reportToCsv
+};
@@ -0,0 +1,163 @@
+const { getZonedParts, parseTime, DEFAULT_TIME_ZONE } = require('./timezone');
+const { distanceKm } = require('./geocoder');
+
+// Price quotes: what a job on a service costs for the requested hours or
+// units, place and time. Prices include MVA, so the tax is the MVA share of
+// the total rather than an addition to it.
+
+const DEFAULT_QUOTE_VALIDITY_HOURS = 48;
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+// Whether a local time of day (minutes after midnight) falls in the evening
+// window, which may run past midnight ('18:00'-'07:00')
+const isEveningTime = (minutes, start, end) => {
+  if (start === null || end === null || start === end) return false;
+  return start < end
+    ? minutes >= start && minutes < end
+    : minutes >= start || minutes < end;
+};
+
+/**
+ * Work out an itemised price for a job.
+ *
+ * @param {Object} service - Service document
+ * @param {Object} request
+ * @param {number} [request.hours] - Hourly services; defaults to the service duration
+ * @param {number} [request.units] - Per-unit services
+ * @param {Date} [request.scheduledStart] - For weekend and evening surcharges
+ * @param {Object} [request.location] - GeoJSON point of the job, for the travel fee
+ * @param {boolean} [request.remote] - Remote jobs have no travel
+ * @param {boolean} [request.chargesVat] - Whether the provider charges MVA (see utils/invoices)
+ * @returns {Object} { lines, total, tax, distanceKm, hours, units }, or { error, errorParams }
+ *   with a message key from data/locales
+ */
+const calculateQuote = (service, { hours, units, scheduledStart, location, remote = false, chargesVat = true } = {}) => {
+  const { pricing } = service;
+  const lines = [];
+
+  switch (pricing.type) {
+    case 'hourly': {
+      const quantity = hours || (service.duration ? service.duration / 60 : null);
+      if (!quantity) return { error: 'quotes.hoursRequired' };
+      hours = quantity;
+      lines.push({
+        kind: 'base',
+        description: `${service.title} (${quantity} h)`,
+        quantity,
+        unitPrice: pricing.amount,
+        amount: round2(pricing.amount * quantity)
+      });
+      break;
+    }
+    case 'per_unit': {
+      if (!units) return { error: 'quotes.unitsRequired' };
+      lines.push({
+        kind: 'base',
+        description: `${service.title} (${units} ${pricing.unitName || 'units'})`,
+        quantity: units,
+        unitPrice: pricing.amount,
+        amount: round2(pricing.amount * units)
+      });
+      break;
+    }
+    case 'fixed':
+      lines.push({ kind: 'base', description: service.title, quantity: 1, unitPrice: pricing.amount, amount: pricing.amount });
+      break;
+    default:
+      return { error: 'quotes.negotiable' };
+  }
+
+  const labour = lines[0].amount;
+
+  (pricing.additionalFees || []).forEach(fee => {
+    lines.push({ kind: 'fee', description: fee.name, quantity: 1, unitPrice: fee.amount, amount: fee.amount });
+  });
+
+  // Travel, for jobs at the customer's address
+  let distance = null;
+  if (remote) {
+    if (!service.remoteService) return { error: 'quotes.notRemote' };
+  } else {
+    if (!service.onSiteService) return { error: 'quotes.remoteOnly' };
+
+    const area = service.serviceArea || {};
+    const origin = service.location && service.location.coordinates;
+    if (location && origin && origin.length === 2) {
+      distance = round2(distanceKm(origin, location.coordinates));
+      if (area.maxDistance && distance > area.maxDistance) {
+        return {
+          error: 'quotes.outsideServiceArea',
+          errorParams: { distance: Math.round(distance), maxDistance: area.maxDistance }
+        };
+      }
+    }
+
+    if (area.travelFee > 0) {
+      lines.push({ kind: 'travel', description: 'Travel fee', quantity: 1, unitPrice: area.travelFee, amount: area.travelFee });
+    }
+    const chargedKm = distance === null ? 0 : round2(Math.max(distance - (area.freeTravelDistance || 0), 0));
+    if (area.travelFeePerKm > 0 && chargedKm > 0) {
+      lines.push({
+        kind: 'travel',
+        description: `Travel distance (${chargedKm} km)`,
+        quantity: chargedKm,
+        unitPrice: area.travelFeePerKm,
+        amount: round2(area.travelFeePerKm * chargedKm)
+      });
+    }
+  }
+
+  // Surcharges on the labour cost, by the local time the job starts
+  const surcharges = pricing.surcharges || {};
+  if (scheduledStart) {
+    const local = getZonedParts(scheduledStart, DEFAULT_TIME_ZONE);
+    const minutes = local.hour * 60 + local.minute;
+
+    if (surcharges.weekend > 0 && (local.weekday === 0 || local.weekday === 6)) {
+      lines.push({
+        kind: 'surcharge',
+        description: `Weekend surcharge (${surcharges.weekend}%)`,
+        quantity: 1,
+        unitPrice: round2(labour * surcharges.weekend / 100),
+        amount: round2(labour * surcharges.weekend / 100)
+      });
+    }
+    if (surcharges.evening > 0 &&
+      isEveningTime(minutes, parseTime(surcharges.eveningStart), parseTime(surcharges.eveningEnd))) {
+      lines.push({
+        kind: 'surcharge',
+        description: `Evening surcharge (${surcharges.evening}%)`,
+        quantity: 1,
+        unitPrice: round2(labour * surcharges.evening / 100),
+        amount: round2(labour * surcharges.evening / 100)
+      });
+    }
+  }
+
+  const total = round2(lines.reduce((sum, line) => sum + line.amount, 0));
+  let rate = 0;
+  if (chargesVat) rate = pricing.vatRate === undefined ? 25 : pricing.vatRate;
+  const netAmount = round2(total * 100 / (100 + rate));
+
+  return {
+    lines,
+    total,
+    tax: { rate, amount: round2(total - netAmount), netAmount },
+    distanceKm: distance,
+    hours: pricing.type === 'hourly' ? hours : undefined,
+    units: pricing.type === 'per_unit' ? units : undefined
+  };
+};
+
+// When a new quote stops being valid: after the validity period, or when the job starts if sooner
+const quoteExpiry = (scheduledStart, now = new Date()) => {
+  const hours = parseInt(process.env.QUOTE_VALIDITY_HOURS) || DEFAULT_QUOTE_VALIDITY_HOURS;
+  const expiry = new Date(now.getTime() + hours * 60 * 60 * 1000);
+  return scheduledStart && scheduledStart < expiry ? scheduledStart : expiry;
+};
+
+module.exports = {
+  calculateQuote,
+  quoteExpiry
+};
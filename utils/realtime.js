@@ -0,0 +1,69 @@
+// Server-Sent Events hub for pushing messaging events to connected users.
+// Connections live in this process only; with several server instances a
+// shared pub/sub channel would be needed to reach users connected elsewhere.
+
+const HEARTBEAT_INTERVAL_MS = 25 * 1000;
+const MAX_CONNECTIONS_PER_USER = 5;
+
+// userId -> Set of open responses
+const connections = new Map();
+
+const write = (res, event, data) => {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+};
+
+/**
+ * Turn a response into an event stream for a user. The stream stays open
+ * until the client disconnects.
+ */
+const subscribe = (userId, req, res) => {
+  const key = userId.toString();
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    // Stop proxies such as nginx from buffering the stream
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+  res.write('retry: 5000\n\n');
+
+  if (!connections.has(key)) connections.set(key, new Set());
+  const userConnections = connections.get(key);
+
+  // Close the oldest stream when a user opens too many
+  if (userConnections.size >= MAX_CONNECTIONS_PER_USER) {
+    const oldest = userConnections.values().next().value;
+    userConnections.delete(oldest);
+    oldest.end();
+  }
+  userConnections.add(res);
+
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_INTERVAL_MS);
+  heartbeat.unref();
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    userConnections.delete(res);
+    if (!userConnections.size) connections.delete(key);
+  });
+
+  write(res, 'connected', { at: new Date().toISOString() });
+};
+
+// Send an event to every open stream of a user. Returns the number of streams reached.
+const publish = (userId, event, data) => {
+  const userConnections = connections.get(userId.toString());
+  if (!userConnections) return 0;
+  userConnections.forEach(res => write(res, event, data));
+  return userConnections.size;
+};
+
+const isOnline = (userId) => connections.has(userId.toString());
+
+module.exports = {
+  subscribe,
+  publish,
+  isOnline
+};
@@ -0,0 +1,250 @@
+const { addDays, getWeekday, toLocalDateString } = require('./timezone');
+
+// Recurrence rules in the RRULE format of iCalendar (RFC 5545), limited to
+// what recurring services need:
+//
+//   FREQ=WEEKLY;BYDAY=MO                   every Monday
+//   FREQ=WEEKLY;INTERVAL=2;BYDAY=TU,FR     Tuesday and Friday every other week
+//   FREQ=MONTHLY;BYMONTHDAY=15             the 15th of every month
+//   FREQ=MONTHLY;BYDAY=1MO;COUNT=6         the first Monday of the month, six times
+//   FREQ=DAILY;BYDAY=MO,TU,WE,TH,FR        every weekday
+//
+// Occurrences are local calendar dates ('YYYY-MM-DD'); the caller adds the time of day.
+
+const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const FREQUENCIES = ['DAILY', 'WEEKLY', 'MONTHLY'];
+const MAX_INTERVAL = 12;
+const MAX_COUNT = 500;
+
+// Rules without an end are expanded at most this many days past their start
+// (20 years), whatever their frequency
+const MAX_HORIZON_DAYS = 20 * 366;
+
+const pad = (value) => String(value).padStart(2, '0');
+
+const daysInMonth = (year, month) => new Date(Date.UTC(year, month, 0)).getUTCDate();
+
+// Monday-first position in the week, so BYDAY lists sort the way people read them
+const weekPosition = (weekday) => (weekday + 6) % 7;
+
+const parseByDay = (value, freq) => {
+  const days = [];
+  for (const token of value.split(',')) {
+    const match = /^([+-]?\d)?(SU|MO|TU|WE|TH|FR|SA)$/.exec(token);
+    if (!match) return { error: `Invalid BYDAY value '${token}'` };
+
+    const ordinal = match[1] ? parseInt(match[1]) : null;
+    if (ordinal !== null) {
+      if (freq !== 'MONTHLY') return { error: 'Numbered weekdays (e.g. 1MO) are only allowed with FREQ=MONTHLY' };
+      if (ordinal === 0 || ordinal < -1 || ordinal > 4) {
+        return { error: 'Numbered weekdays must be 1 to 4, or -1 for the last' };
+      }
+    }
+    days.push({ weekday: WEEKDAYS.indexOf(match[2]), ordinal });
+  }
+  return { days };
+};
+
+const parseUntil = (value) => {
+  const match = /^(\d{4})(\d{2})(\d{2})(T(\d{2})(\d{2})(\d{2})Z)?$/.exec(value);
+  if (!match) return null;
+
+  const date = `${match[1]}-${match[2]}-${match[3]}`;
+  if (!match[4]) return date;
+
+  // A UTC instant ends the rule on its local date
+  return toLocalDateString(new Date(`${date}T${match[5]}:${match[6]}:${match[7]}Z`));
+};
+
+/**
+ * Parse an RRULE string, with or without the 'RRULE:' prefix.
+ *
+ * @param {string} text - e.g. 'FREQ=WEEKLY;INTERVAL=2;BYDAY=MO'
+ * @returns {Object} { rule } with { freq, interval, byDay, byMonthDay, count, until }, or { error }
+ */
+const parseRRule = (text) => {
+  if (typeof text !== 'string' || !text.trim()) return { error: 'Recurrence rule is required' };
+
+  const rule = { interval: 1, byDay: [], byMonthDay: [] };
+  const parts = text.trim().toUpperCase().replace(/^RRULE:/, '').split(';').filter(Boolean);
+
+  for (const part of parts) {
+    const [key, value] = part.split('=');
+    if (!value) return { error: `Invalid recurrence part '${part}'` };
+
+    switch (key) {
+      case 'FREQ':
+        if (!FREQUENCIES.includes(value)) return { error: `FREQ must be one of ${FREQUENCIES.join(', ')}` };
+        rule.freq = value;
+        break;
+      case 'INTERVAL':
+        rule.interval = Number(value);
+        if (!Number.isInteger(rule.interval) || rule.interval < 1 || rule.interval > MAX_INTERVAL) {
+          return { error: `INTERVAL must be between 1 and ${MAX_INTERVAL}` };
+        }
+        break;
+      case 'COUNT':
+        rule.count = Number(value);
+        if (!Number.isInteger(rule.count) || rule.count < 1 || rule.count > MAX_COUNT) {
+          return { error: `COUNT must be between 1 and ${MAX_COUNT}` };
+        }
+        break;
+      case 'UNTIL':
+        rule.until = parseUntil(value);
+        if (!rule.until) return { error: 'UNTIL must be a date in YYYYMMDD format' };
+        break;
+      case 'BYDAY':
+        rule.byDayText = value;
+        break;
+      case 'BYMONTHDAY':
+        rule.byMonthDay = value.split(',').map(Number);
+        if (rule.byMonthDay.some(day => !Number.isInteger(day) || day === 0 || day < -1 || day > 31)) {
+          return { error: 'BYMONTHDAY must be 1 to 31, or -1 for the last day' };
+        }
+        break;
+      default:
+        return { error: `Unsupported recurrence part '${key}'` };
+    }
+  }
+
+  if (!rule.freq) return { error: 'FREQ is required' };
+  if (rule.count && rule.until) return { error: 'Use either COUNT or UNTIL, not both' };
+  if (rule.byMonthDay.length && rule.freq !== 'MONTHLY') return { error: 'BYMONTHDAY is only allowed with FREQ=MONTHLY' };
+
+  if (rule.byDayText) {
+    const { days, error } = parseByDay(rule.byDayText, rule.freq);
+    if (error) return { error };
+    if (rule.byMonthDay.length) return { error: 'Use either BYDAY or BYMONTHDAY, not both' };
+    rule.byDay = days;
+  }
+  delete rule.byDayText;
+
+  return { rule };
+};
+
+// Normalised RRULE string for a parsed rule
+const formatRRule = (rule) => {
+  const parts = [`FREQ=${rule.freq}`];
+  if (rule.interval > 1) parts.push(`INTERVAL=${rule.interval}`);
+  if (rule.byDay.length) {
+    parts.push(`BYDAY=${rule.byDay.map(({ weekday, ordinal }) => `${ordinal || ''}${WEEKDAYS[weekday]}`).join(',')}`);
+  }
+  if (rule.byMonthDay.length) parts.push(`BYMONTHDAY=${rule.byMonthDay.join(',')}`);
+  if (rule.count) parts.push(`COUNT=${rule.count}`);
+  if (rule.until) parts.push(`UNTIL=${rule.until.replace(/-/g, '')}`);
+  return parts.join(';');
+};
+
+// Dates a monthly rule picks in one month, in order
+const monthlyDates = (rule, year, month, startDay) => {
+  const lastDay = daysInMonth(year, month);
+  const days = new Set();
+
+  if (rule.byDay.length) {
+    const firstWeekday = getWeekday(`${year}-${pad(month)}-01`);
+    rule.byDay.forEach(({ weekday, ordinal }) => {
+      const first = 1 + ((weekday - firstWeekday + 7) % 7);
+      const matches = [];
+      for (let day = first; day <= lastDay; day += 7) matches.push(day);
+
+      if (ordinal === null) matches.forEach(day => days.add(day));
+      else if (ordinal === -1) days.add(matches[matches.length - 1]);
+      else if (matches[ordinal - 1]) days.add(matches[ordinal - 1]);
+    });
+  } else {
+    const monthDays = rule.byMonthDay.length ? rule.byMonthDay : [startDay];
+    // Months without the day are skipped, as in iCalendar
+    monthDays.forEach(day => {
+      const resolved = day === -1 ? lastDay : day;
+      if (resolved <= lastDay) days.add(resolved);
+    });
+  }
+
+  return [...days].sort((a, b) => a - b).map(day => `${year}-${pad(month)}-${pad(day)}`);
+};
+
+// First day of the period that starts `period` intervals after the start
+const periodStart = (rule, startDate, period) => {
+  const [startYear, startMonth] = startDate.split('-').map(Number);
+
+  switch (rule.freq) {
+    case 'DAILY':
+      return addDays(startDate, period * rule.interval);
+    case 'WEEKLY':
+      return addDays(startDate, -weekPosition(getWeekday(startDate)) + period * rule.interval * 7);
+    default: {
+      const monthIndex = startMonth - 1 + period * rule.interval;
+      return `${startYear + Math.floor(monthIndex / 12)}-${pad((monthIndex % 12) + 1)}-01`;
+    }
+  }
+};
+
+// Candidate dates of the period that starts `period` intervals after the start
+const periodDates = (rule, startDate, period) => {
+  const start = periodStart(rule, startDate, period);
+
+  switch (rule.freq) {
+    case 'DAILY': {
+      const allowed = !rule.byDay.length || rule.byDay.some(({ weekday }) => weekday === getWeekday(start));
+      return allowed ? [start] : [];
+    }
+    case 'WEEKLY': {
+      const weekdays = rule.byDay.length ? rule.byDay.map(({ weekday }) => weekday) : [getWeekday(startDate)];
+      return [...new Set(weekdays)]
+        .map(weekPosition)
+        .sort((a, b) => a - b)
+        .map(position => addDays(start, position));
+    }
+    default: {
+      const [year, month] = start.split('-').map(Number);
+      return monthlyDates(rule, year, month, Number(startDate.split('-')[2]));
+    }
+  }
+};
+
+/**
+ * Dates a rule occurs on, starting from its first date.
+ *
+ * @param {Object} rule - From parseRRule()
+ * @param {Object} options
+ * @param {string} options.startDate - First possible date ('YYYY-MM-DD')
+ * @param {string} [options.from] - Leave out dates before this one
+ * @param {string} [options.to] - Leave out dates after this one
+ * @param {number} [options.limit] - Most dates to return
+ * @returns {string[]} Dates in order
+ */
+const expandRecurrence = (rule, { startDate, from, to, limit = Infinity }) => {
+  const dates = [];
+  let occurred = 0;
+
+  // Periods are walked until one starts past the last date that could be wanted
+  const end = [to, rule.until, addDays(startDate, MAX_HORIZON_DAYS)]
+    .filter(Boolean)
+    .reduce((earliest, date) => (date < earliest ? date : earliest));
+
+  for (let period = 0; periodStart(rule, startDate, period) <= end; period++) {
+    for (const date of periodDates(rule, startDate, period)) {
+      if (date < startDate) continue;
+      if ((to && date > to) || (rule.until && date > rule.until)) return dates;
+      if (rule.count && occurred >= rule.count) return dates;
+
+      occurred += 1;
+      if (!from || date >= from) {
+        dates.push(date);
+        if (dates.length >= limit) return dates;
+      }
+    }
+  }
+
+  return dates;
+};
+
+// Whether a date is one of the rule's occurrences
+const occursOn = (rule, startDate, date) => expandRecurrence(rule, { startDate, from: date, to: date }).length > 0;
+
+module.exports = {
+  parseRRule,
+  formatRRule,
+  expandRecurrence,
+  occursOn
+};
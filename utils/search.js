@@ -0,0 +1,204 @@
+const { SUPPORTED_LANGUAGES } = require('./i18n');
+
+// Text search helpers for services: Scandinavian character folding,
+// trigram candidates for typo tolerance, relevance ranking and highlighting.
+// Translated titles and descriptions are searched along with the originals.
+
+// Field weights shared by the text index and the ranking below
+const FIELD_WEIGHTS = {
+  title: 10,
+  tags: 6,
+  shortDescription: 4,
+  description: 2
+};
+
+const FOLDED_CHARACTERS = {
+  æ: 'ae', ä: 'a', å: 'a', à: 'a', á: 'a', â: 'a',
+  ø: 'o', ö: 'o', ó: 'o', ò: 'o', ô: 'o',
+  é: 'e', è: 'e', ê: 'e', ë: 'e',
+  ü: 'u', ú: 'u', í: 'i', ï: 'i', ç: 'c', ñ: 'n', ß: 'ss'
+};
+
+const MAX_QUERY_TERMS = 8;
+
+// Lowercase and fold æ/ø/å and other accented letters to plain ASCII
+const fold = (text) => String(text || '')
+  .toLowerCase()
+  .replace(/[æäåàáâøöóòôéèêëüúíïçñß]/g, char => FOLDED_CHARACTERS[char]);
+
+// Split text into folded word tokens
+const tokenize = (text) => fold(text).match(/[a-z0-9]+/g) || [];
+
+// Unique folded tokens of a query, longest first
+const parseQuery = (q) => [...new Set(tokenize(q))]
+  .filter(token => token.length > 1)
+  .sort((a, b) => b.length - a.length)
+  .slice(0, MAX_QUERY_TERMS);
+
+const trigramsOf = (token) => {
+  const padded = `  ${token} `;
+  const grams = [];
+  for (let i = 0; i < padded.length - 2; i++) {
+    grams.push(padded.slice(i, i + 3));
+  }
+  return grams;
+};
+
+const levenshtein = (a, b) => {
+  if (Math.abs(a.length - b.length) > 2) return 3;
+
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+  return previous[b.length];
+};
+
+// Typos allowed for a query term of a given length
+const allowedEdits = (term) => (term.length >= 8 ? 2 : term.length >= 4 ? 1 : 0);
+
+// How well a document word matches a query term: 1 exact, 0.8 prefix, 0.6 fuzzy, 0 none
+const matchStrength = (word, term) => {
+  if (word === term) return 1;
+  if (term.length >= 3 && word.startsWith(term)) return 0.8;
+  const edits = allowedEdits(term);
+  if (edits && levenshtein(word, term) <= edits) return 0.6;
+  return 0;
+};
+
+// Text of a field in the original language and every translation
+const fieldText = (service, field) => {
+  if (field === 'tags') return (service.tags || []).join(' ');
+
+  const translations = service.translations || {};
+  return [service[field], ...SUPPORTED_LANGUAGES.map(code => translations[code] && translations[code][field])]
+    .filter(Boolean)
+    .join(' ');
+};
+
+// Derived fields stored on each service so searches can find folded and misspelled terms
+const buildSearchFields = (service) => {
+  const text = Object.keys(FIELD_WEIGHTS).map(field => fieldText(service, field)).join(' ');
+
+  const keywords = [...new Set(tokenize(text))];
+  const trigrams = new Set();
+  keywords.forEach(word => trigramsOf(word).forEach(gram => trigrams.add(gram)));
+
+  return {
+    searchKeywords: keywords.join(' '),
+    searchTrigrams: [...trigrams]
+  };
+};
+
+// Trigrams of the query terms, for the candidate lookup
+const queryTrigrams = (terms) => [...new Set(terms.flatMap(trigramsOf))];
+
+// Minimum number of shared trigrams for a fuzzy candidate
+const minTrigramHits = (terms) => Math.max(2, Math.floor(Math.min(...terms.map(term => term.length)) / 2));
+
+/**
+ * Relevance score for a service against query terms.
+ * Every term must match some word in the service; better matches in
+ * heavier fields score higher. Returns 0 when a term is missing.
+ */
+const scoreService = (service, terms) => {
+  const fieldWords = {};
+  Object.keys(FIELD_WEIGHTS).forEach(field => {
+    fieldWords[field] = [...new Set(tokenize(fieldText(service, field)))];
+  });
+
+  let score = 0;
+  for (const term of terms) {
+    let best = 0;
+    Object.entries(FIELD_WEIGHTS).forEach(([field, weight]) => {
+      fieldWords[field].forEach(word => {
+        best = Math.max(best, matchStrength(word, term) * weight);
+      });
+    });
+    if (!best) return 0;
+    score += best;
+  }
+  return score;
+};
+
+const escapeHtml = (text) => text
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+/**
+ * Wrap matching words in <mark> tags, trimming long text to a window
+ * around the first match. Text is HTML-escaped. Returns null if nothing matches.
+ */
+const highlight = (text, terms, maxLength = 160) => {
+  if (!text) return null;
+
+  const words = [];
+  const pattern = /[\p{L}\p{N}]+/gu;
+  let found;
+  while ((found = pattern.exec(text)) !== null) {
+    const folded = fold(found[0]);
+    if (terms.some(term => matchStrength(folded, term) > 0)) {
+      words.push({ start: found.index, end: found.index + found[0].length });
+    }
+  }
+  if (!words.length) return null;
+
+  let from = 0;
+  let to = text.length;
+  if (text.length > maxLength) {
+    from = Math.max(0, words[0].start - Math.floor(maxLength / 3));
+    to = Math.min(text.length, from + maxLength);
+  }
+
+  let result = '';
+  let cursor = from;
+  words
+    .filter(word => word.start >= from && word.end <= to)
+    .forEach(word => {
+      result += escapeHtml(text.slice(cursor, word.start));
+      result += `<mark>${escapeHtml(text.slice(word.start, word.end))}</mark>`;
+      cursor = word.end;
+    });
+  result += escapeHtml(text.slice(cursor, to));
+
+  return `${from > 0 ? '…' : ''}${result}${to < text.length ? '…' : ''}`;
+};
+
+// Highlighted snippets for the fields that matched, in the text as shown
+// (pass the service after localizeService)
+const buildHighlights = (service, terms) => {
+  const highlights = {};
+  ['title', 'shortDescription', 'description'].forEach(field => {
+    const snippet = highlight(service[field], terms);
+    if (snippet) highlights[field] = snippet;
+  });
+
+  const matchedTags = (service.tags || []).filter(tag =>
+    tokenize(tag).some(word => terms.some(term => matchStrength(word, term) > 0))
+  );
+  if (matchedTags.length) highlights.tags = matchedTags;
+
+  return highlights;
+};
+
+module.exports = {
+  FIELD_WEIGHTS,
+  fold,
+  tokenize,
+  parseQuery,
+  buildSearchFields,
+  queryTrigrams,
+  minTrigramHits,
+  scoreService,
+  buildHighlights
+};
@@ -0,0 +1,279 @@
+// Query building for the public service listings: filters, facets and cursors
+
+// Price histogram bucket lower bounds per currency
+const PRICE_BUCKETS = {
+  NOK: [0, 250, 500, 1000, 2000, 5000, 10000, 25000],
+  EUR: [0, 25, 50, 100, 200, 500, 1000, 2500],
+  USD: [0, 25, 50, 100, 200, 500, 1000, 2500]
+};
+
+// Rating bands, counted as "this rating and up"
+const RATING_BANDS = [4.5, 4, 3, 2, 1];
+
+const TOP_CITIES_LIMIT = 10;
+
+// Sort modes for the listing. Every mode ends with _id so the order is total,
+// which keyset (cursor) pagination relies on.
+const SORT_MODES = {
+  newest: { field: 'createdAt', direction: -1, type: 'date' },
+  oldest: { field: 'createdAt', direction: 1, type: 'date' },
+  // Prices compare in the base currency, whatever currency the service uses
+  price_asc: { field: 'pricing.baseAmount', direction: 1, type: 'number' },
+  price_desc: { field: 'pricing.baseAmount', direction: -1, type: 'number' },
+  rating_desc: { field: 'qualityRating.average', direction: -1, type: 'number' }
+};
+
+/**
+ * Split the listing query into independent filter parts, one per filter
+ * dimension, so facets can apply every filter except their own.
+ * Price bounds are in the base currency (see utils/currency).
+ */
+const buildFilterParts = ({ category, city, minBasePrice, maxBasePrice, rating }) => {
+  const parts = {
+    base: { status: 'active', isVerified: true },
+    category: {},
+    city: {},
+    price: {},
+    rating: {}
+  };
+
+  if (category) parts.category.category = category;
+  if (city) parts.city['serviceArea.cities'] = { $regex: city, $options: 'i' };
+  if (minBasePrice !== undefined || maxBasePrice !== undefined) {
+    parts.price['pricing.baseAmount'] = {};
+    if (minBasePrice !== undefined) parts.price['pricing.baseAmount'].$gte = minBasePrice;
+    if (maxBasePrice !== undefined) parts.price['pricing.baseAmount'].$lte = maxBasePrice;
+  }
+  if (rating !== undefined) parts.rating['qualityRating.average'] = { $gte: rating };
+
+  return parts;
+};
+
+// Merge filter parts, leaving out the named dimensions
+const mergeFilterParts = (parts, ...exclude) => Object.keys(parts)
+  .filter(dimension => !exclude.includes(dimension))
+  .reduce((filter, dimension) => ({ ...filter, ...parts[dimension] }), {});
+
+// Build the filter shared by the listing and search routes
+const buildListingFilter = (query) => mergeFilterParts(buildFilterParts(query));
+
+// Expression for the lower bound of a service's price bucket in the display
+// currency, given that currency's rate against the base currency
+const priceBucketExpression = ({ currency, rate }) => ({
+  $let: {
+    vars: {
+      price: { $divide: ['$pricing.baseAmount', rate] }
+    },
+    in: {
+      $max: {
+        $filter: { input: PRICE_BUCKETS[currency], cond: { $lte: ['$$this', '$$price'] } }
+      }
+    }
+  }
+});
+
+/**
+ * Aggregation pipeline computing every facet in one pass. Each facet
+ * applies all active filters except the one for its own dimension.
+ *
+ * @param {Object} parts - From buildFilterParts
+ * @param {Object} display - { currency, rate } for the price histogram
+ */
+const buildFacetPipeline = (parts, display) => [
+  { $match: parts.base },
+  {
+    $facet: {
+      categories: [
+        { $match: mergeFilterParts(parts, 'base', 'category') },
+        { $group: { _id: { category: '$category', subcategory: '$subcategory' }, count: { $sum: 1 } } },
+        { $sort: { count: -1 } },
+        {
+          $group: {
+            _id: '$_id.category',
+            count: { $sum: '$count' },
+            subcategories: {
+              $push: {
+                $cond: [
+                  { $gt: [{ $strLenCP: { $ifNull: ['$_id.subcategory', ''] } }, 0] },
+                  { name: '$_id.subcategory', count: '$count' },
+                  '$$REMOVE'
+                ]
+              }
+            }
+          }
+        },
+        { $sort: { count: -1 } }
+      ],
+      priceHistogram: [
+        { $match: mergeFilterParts(parts, 'base', 'price') },
+        { $match: { 'pricing.baseAmount': { $ne: null } } },
+        {
+          $group: {
+            _id: { currency: display.currency, bucket: priceBucketExpression(display) },
+            count: { $sum: 1 }
+          }
+        },
+        { $sort: { '_id.bucket': 1 } }
+      ],
+      ratingBands: [
+        { $match: mergeFilterParts(parts, 'base', 'rating') },
+        {
+          $group: {
+            _id: null,
+            ...RATING_BANDS.reduce((bands, minRating, index) => ({
+              ...bands,
+              [`band${index}`]: { $sum: { $cond: [{ $gte: ['$qualityRating.average', minRating] }, 1, 0] } }
+            }), {}),
+            unrated: { $sum: { $cond: [{ $gt: ['$qualityRating.count', 0] }, 0, 1] } }
+          }
+        }
+      ],
+      cities: [
+        { $match: mergeFilterParts(parts, 'base', 'city') },
+        { $unwind: '$serviceArea.cities' },
+        {
+          $group: {
+            _id: { $toLower: { $trim: { input: '$serviceArea.cities' } } },
+            name: { $first: { $trim: { input: '$serviceArea.cities' } } },
+            count: { $sum: 1 }
+          }
+        },
+        { $sort: { count: -1, _id: 1 } },
+        { $limit: TOP_CITIES_LIMIT }
+      ],
+      availability: [
+        { $match: mergeFilterParts(parts, 'base') },
+        {
+          $group: {
+            _id: null,
+            onSite: { $sum: { $cond: ['$onSiteService', 1, 0] } },
+            remote: { $sum: { $cond: ['$remoteService', 1, 0] } }
+          }
+        }
+      ]
+    }
+  }
+];
+
+// Shape the raw $facet output for the API response
+const formatFacets = (raw) => {
+  const priceHistogram = {};
+  raw.priceHistogram.forEach(({ _id, count }) => {
+    const bounds = PRICE_BUCKETS[_id.currency] || PRICE_BUCKETS.NOK;
+    const index = bounds.indexOf(_id.bucket);
+    if (!priceHistogram[_id.currency]) priceHistogram[_id.currency] = [];
+    priceHistogram[_id.currency].push({
+      min: _id.bucket,
+      max: index >= 0 && index < bounds.length - 1 ? bounds[index + 1] : null,
+      count
+    });
+  });
+
+  const ratings = raw.ratingBands[0] || {};
+  const availability = raw.availability[0] || {};
+
+  return {
+    categories: raw.categories.map(({ _id, count, subcategories }) => ({ id: _id, count, subcategories })),
+    priceHistogram,
+    ratingBands: [
+      ...RATING_BANDS.map((minRating, index) => ({ minRating, count: ratings[`band${index}`] || 0 })),
+      { minRating: null, label: 'unrated', count: ratings.unrated || 0 }
+    ],
+    cities: raw.cities.map(({ name, count }) => ({ name, count })),
+    availability: {
+      onSite: availability.onSite || 0,
+      remote: availability.remote || 0
+    }
+  };
+};
+
+// Mongo sort specification for a sort mode
+const buildSort = (sort) => {
+  const { field, direction } = SORT_MODES[sort] || SORT_MODES.newest;
+  return { [field]: direction, _id: direction };
+};
+
+const getPath = (doc, field) => field.split('.').reduce((value, key) => (value == null ? value : value[key]), doc);
+
+/**
+ * Encode the position after the last item of a page as an opaque cursor.
+ * Featured IDs already shown on the first page travel with the cursor so
+ * later pages never repeat them.
+ */
+const encodeCursor = (sort, lastItem, featuredIds = []) => {
+  const { field } = SORT_MODES[sort];
+  const payload = {
+    s: sort,
+    v: getPath(lastItem, field),
+    id: lastItem._id.toString(),
+    f: featuredIds.map(id => id.toString())
+  };
+  return Buffer.from(JSON.stringify(payload)).toString('base64url');
+};
+
+// Cursor for the start of the regular stream, used when the first page held only featured services
+const encodeStartCursor = (sort, featuredIds = []) => Buffer.from(JSON.stringify({
+  s: sort,
+  f: featuredIds.map(id => id.toString())
+})).toString('base64url');
+
+// Decode a cursor. Returns null when it is malformed or was made for another sort mode.
+const decodeCursor = (cursor, sort) => {
+  try {
+    const payload = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (payload.s !== sort || !SORT_MODES[sort]) return null;
+
+    const featuredIds = Array.isArray(payload.f) ? payload.f.filter(id => /^[a-f\d]{24}$/i.test(id)) : [];
+    if (payload.id === undefined) return { atStart: true, featuredIds };
+    if (!/^[a-f\d]{24}$/i.test(payload.id)) return null;
+
+    // The sort value goes straight into the query, so it must have the field's type
+    if (SORT_MODES[sort].type === 'date') {
+      const value = typeof payload.v === 'string' ? new Date(payload.v) : null;
+      if (!value || isNaN(value)) return null;
+      return { value, id: payload.id, featuredIds };
+    }
+
+    if (payload.v != null && !(typeof payload.v === 'number' && Number.isFinite(payload.v))) return null;
+    return { value: payload.v, id: payload.id, featuredIds };
+  } catch (error) {
+    return null;
+  }
+};
+
+// Condition selecting the items strictly after a cursor position
+const cursorCondition = (sort, { value, id }) => {
+  const { field, direction } = SORT_MODES[sort];
+  const after = direction === 1 ? '$gt' : '$lt';
+
+  // Documents without the sort field sort before any value in ascending
+  // order and after every value in descending order
+  const valueIsMissing = value === null || value === undefined;
+  if (valueIsMissing) {
+    return direction === 1
+      ? { $or: [{ [field]: { $exists: true, $ne: null } }, { [field]: null, _id: { [after]: id } }] }
+      : { [field]: null, _id: { [after]: id } };
+  }
+
+  const conditions = [
+    { [field]: { [after]: value } },
+    { [field]: value, _id: { [after]: id } }
+  ];
+  if (direction === -1) conditions.push({ [field]: null });
+
+  return { $or: conditions };
+};
+
+module.exports = {
+  SORT_MODES,
+  buildSort,
+  encodeCursor,
+  encodeStartCursor,
+  decodeCursor,
+  cursorCondition,
+  buildFilterParts,
+  mergeFilterParts,
+  buildListingFilter,
+  buildFacetPipeline,
+  formatFacets
+};
@@ -0,0 +1,115 @@
+// Expands a service's weekly availability template into concrete
+// bookable slots on real dates.
+
+const {
+  DEFAULT_TIME_ZONE,
+  parseTime,
+  formatTime,
+  zonedTimeToUtc,
+  toLocalTimeString,
+  addDays,
+  getWeekday
+} = require('./timezone');
+const { getHoliday } = require('./holidays');
+
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const DEFAULT_DURATION = 60;
+
+const overlaps = (startA, endA, startB, endB) => startA < endB && endA > startB;
+
+// Working hours for a local date, taking date-specific exceptions into account.
+// Returns null when the provider does not work that day.
+const getWorkingHours = (service, dateStr) => {
+  const exception = (service.availabilityExceptions || []).find(ex => ex.date === dateStr);
+
+  if (exception) {
+    if (!exception.available) return null;
+    if (exception.start && exception.end) {
+      const start = parseTime(exception.start);
+      const end = parseTime(exception.end);
+      if (start === null || end === null || end <= start) return null;
+      return { start, end };
+    }
+  }
+
+  const day = service.availability && service.availability[WEEKDAYS[getWeekday(dateStr)]];
+  if (!day || day.available === false) return null;
+
+  const start = parseTime(day.start);
+  const end = parseTime(day.end);
+  if (start === null || end === null || end <= start) return null;
+
+  return { start, end };
+};
+
+/**
+ * Generate bookable slots for a service between two local dates (inclusive).
+ *
+ * @param {Object} service - Service document (availability, duration, bufferTime, availabilityExceptions)
+ * @param {Object} options
+ * @param {string} options.from - First local date, 'YYYY-MM-DD'
+ * @param {string} options.to - Last local date, 'YYYY-MM-DD'
+ * @param {Array} [options.timeOff] - Provider time-off periods ({ start, end })
+ * @param {Array} [options.busy] - Existing bookings ({ scheduledStart, scheduledEnd })
+ * @param {Date} [options.now] - Slots starting before this instant are dropped
+ * @param {string} [options.timeZone]
+ * @returns {Array} Slots with UTC start/end and their local date and times
+ */
+const generateSlots = (service, {
+  from,
+  to,
+  timeOff = [],
+  busy = [],
+  now = new Date(),
+  timeZone = DEFAULT_TIME_ZONE
+}) => {
+  const duration = service.duration || DEFAULT_DURATION;
+  const buffer = service.bufferTime || 0;
+  const durationMs = duration * 60000;
+  const bufferMs = buffer * 60000;
+
+  const blocked = [
+    ...timeOff.map(period => [new Date(period.start).getTime(), new Date(period.end).getTime()]),
+    // Keep the buffer clear on both sides of existing bookings
+    ...busy.map(booking => [
+      new Date(booking.scheduledStart).getTime() - bufferMs,
+      new Date(booking.scheduledEnd).getTime() + bufferMs
+    ])
+  ];
+
+  const slots = [];
+
+  for (let dateStr = from; dateStr <= to; dateStr = addDays(dateStr, 1)) {
+    if (getHoliday(dateStr)) continue;
+
+    const hours = getWorkingHours(service, dateStr);
+    if (!hours) continue;
+
+    for (let minute = hours.start; minute + duration <= hours.end; minute += duration + buffer) {
+      // Wall-clock times skipped by the spring-forward change do not exist
+      const start = zonedTimeToUtc(dateStr, minute, timeZone);
+      if (!start) continue;
+
+      const startMs = start.getTime();
+      const endMs = startMs + durationMs;
+
+      if (startMs < now.getTime()) continue;
+      if (blocked.some(([blockStart, blockEnd]) => overlaps(startMs, endMs, blockStart, blockEnd))) continue;
+
+      slots.push({
+        start: start.toISOString(),
+        end: new Date(endMs).toISOString(),
+        date: dateStr,
+        localStart: formatTime(minute),
+        localEnd: toLocalTimeString(endMs, timeZone)
+      });
+    }
+  }
+
+  return slots;
+};
+
+module.exports = {
+  generateSlots,
+  getWorkingHours
+};
@@ -0,0 +1,209 @@
+const fs = require('fs');
+const path = require('path');
+
+// Pluggable file storage for uploaded media.
+//
+// STORAGE_DRIVER selects the adapter:
+//   local - files under UPLOAD_PATH, served by the API at UPLOADS_BASE_URL (default /uploads);
+//           private files under PRIVATE_UPLOAD_PATH, which is never served
+//   s3    - an S3-compatible bucket (AWS S3, MinIO, Cloudflare R2, ...) configured with
+//           S3_BUCKET, S3_REGION, S3_ENDPOINT, S3_ACCESS_KEY_ID, S3_SECRET_ACCESS_KEY,
+//           S3_FORCE_PATH_STYLE and S3_PUBLIC_URL
+// Every adapter stores objects under a key such as 'services/<id>/images/<name>.jpg'
+// and exposes put(key, buffer, contentType), putFile(key, filePath, contentType),
+// read(key), size(key), remove(key) and urlFor(key). putFile copies a file from disk
+// without loading it into memory, for large uploads such as videos.
+// Keys under 'private/' are never served publicly; they are read back through
+// authenticated routes instead.
+
+const DEFAULT_UPLOAD_PATH = './uploads';
+const DEFAULT_PRIVATE_UPLOAD_PATH = './private-uploads';
+const PRIVATE_PREFIX = 'private/';
+
+// Keys come from our own code, but never let one escape the upload root
+const assertSafeKey = (key) => {
+  if (!/^[\w\-/.]+$/.test(key) || key.split('/').some(part => part === '..' || part === '')) {
+    throw new Error(`Invalid storage key '${key}'`);
+  }
+};
+
+// Private files used to live under UPLOAD_PATH/private, inside the static root.
+// Move them out once, on startup.
+const moveLegacyPrivateFiles = (root, privateRoot) => {
+  const legacyPath = path.join(root, PRIVATE_PREFIX);
+  if (!fs.existsSync(legacyPath) || fs.existsSync(privateRoot)) return;
+
+  try {
+    fs.mkdirSync(path.dirname(privateRoot), { recursive: true });
+    fs.renameSync(legacyPath, privateRoot);
+  } catch (error) {
+    console.error(`Could not move private files from ${legacyPath} to ${privateRoot}:`, error);
+  }
+};
+
+const createLocalStorage = () => {
+  const root = path.resolve(process.env.UPLOAD_PATH || DEFAULT_UPLOAD_PATH);
+  const privateRoot = path.resolve(process.env.PRIVATE_UPLOAD_PATH || DEFAULT_PRIVATE_UPLOAD_PATH);
+  const baseUrl = (process.env.UPLOADS_BASE_URL || '/uploads').replace(/\/$/, '');
+
+  moveLegacyPrivateFiles(root, privateRoot);
+
+  // Private keys are stored outside the directory served at UPLOADS_BASE_URL
+  const filePathFor = (key) => {
+    assertSafeKey(key);
+    return key.startsWith(PRIVATE_PREFIX)
+      ? path.join(privateRoot, key.slice(PRIVATE_PREFIX.length))
+      : path.join(root, key);
+  };
+
+  return {
+    name: 'local',
+    root,
+    urlFor: (key) => `${baseUrl}/${key}`,
+    put: async (key, buffer) => {
+      const filePath = filePathFor(key);
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.promises.writeFile(filePath, buffer);
+      return { key, url: `${baseUrl}/${key}` };
+    },
+    putFile: async (key, sourcePath) => {
+      const filePath = filePathFor(key);
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.promises.copyFile(sourcePath, filePath);
+      return { key, url: `${baseUrl}/${key}` };
+    },
+    read: (key) => fs.promises.readFile(filePathFor(key)),
+    // Size in bytes, or null when there is no such file
+    size: async (key) => {
+      try {
+        return (await fs.promises.stat(filePathFor(key))).size;
+      } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+      }
+    },
+    remove: async (key) => {
+      const filePath = filePathFor(key);
+      try {
+        await fs.promises.unlink(filePath);
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+      }
+    }
+  };
+};
+
+const createS3Storage = () => {
+  // Loaded lazily so local setups do not need the SDK configured
+  const { S3Client, PutObjectCommand, GetObjectCommand, HeadObjectCommand, DeleteObjectCommand } = require('@aws-sdk/client-s3');
+
+  const bucket = process.env.S3_BUCKET;
+  if (!bucket) {
+    throw new Error('S3_BUCKET is required for the s3 storage driver');
+  }
+
+  const endpoint = process.env.S3_ENDPOINT;
+  const client = new S3Client({
+    region: process.env.S3_REGION || 'eu-north-1',
+    endpoint,
+    // MinIO and most local stand-ins only support path-style URLs
+    forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true',
+    credentials: process.env.S3_ACCESS_KEY_ID ? {
+      accessKeyId: process.env.S3_ACCESS_KEY_ID,
+      secretAccessKey: process.env.S3_SECRET_ACCESS_KEY
+    } : undefined
+  });
+
+  const publicUrl = (process.env.S3_PUBLIC_URL ||
+    (endpoint ? `${endpoint.replace(/\/$/, '')}/${bucket}` : `https://${bucket}.s3.amazonaws.com`)).replace(/\/$/, '');
+  const urlFor = (key) => `${publicUrl}/${key}`;
+
+  const putObject = async (key, body, contentType, contentLength) => {
+    assertSafeKey(key);
+    await client.send(new PutObjectCommand({
+      Bucket: bucket,
+      Key: key,
+      Body: body,
+      ContentType: contentType,
+      ContentLength: contentLength,
+      CacheControl: key.startsWith(PRIVATE_PREFIX) ? 'private, no-store' : 'public, max-age=31536000, immutable'
+    }));
+    return { key, url: urlFor(key) };
+  };
+
+  return {
+    name: 's3',
+    urlFor,
+    put: (key, buffer, contentType) => putObject(key, buffer, contentType, buffer.length),
+    // Streamed from disk; S3 needs the length up front for a stream body
+    putFile: async (key, filePath, contentType) => {
+      const { size } = await fs.promises.stat(filePath);
+      return putObject(key, fs.createReadStream(filePath), contentType, size);
+    },
+    read: async (key) => {
+      assertSafeKey(key);
+      const result = await client.send(new GetObjectCommand({ Bucket: bucket, Key: key }));
+      return Buffer.from(await result.Body.transformToByteArray());
+    },
+    size: async (key) => {
+      assertSafeKey(key);
+      try {
+        const result = await client.send(new HeadObjectCommand({ Bucket: bucket, Key: key }));
+        return result.ContentLength;
+      } catch (error) {
+        if (error.name === 'NotFound') return null;
+        throw error;
+      }
+    },
+    // S3 deletes succeed for missing keys
+    remove: async (key) => {
+      assertSafeKey(key);
+      await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: key }));
+    }
+  };
+};
+
+const storageFactories = {
+  local: createLocalStorage,
+  s3: createS3Storage
+};
+
+let storage = null;
+
+const getStorage = () => {
+  if (!storage) {
+    const name = process.env.STORAGE_DRIVER || 'local';
+    const factory = storageFactories[name];
+
+    if (!factory) {
+      throw new Error(`Unknown storage driver '${name}'`);
+    }
+
+    storage = factory();
+  }
+  return storage;
+};
+
+// Replace the active storage, e.g. with an in-memory store in tests
+const setStorage = (customStorage) => {
+  storage = customStorage;
+};
+
+/**
+ * Remove stored objects, logging instead of failing so that cleanup never
+ * blocks the request that triggered it.
+ *
+ * @param {string[]} keys
+ */
+const removeFiles = async (keys) => {
+  const results = await Promise.allSettled(keys.filter(Boolean).map(key => getStorage().remove(key)));
+  results
+    .filter(result => result.status === 'rejected')
+    .forEach(result => console.error('Storage cleanup error:', result.reason));
+};
+
+module.exports = {
+  getStorage,
+  setStorage,
+  removeFiles
+};
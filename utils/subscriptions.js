@@ -0,0 +1,303 @@
+const Booking = require('../models/Booking');
+const Subscription = require('../models/Subscription');
+const { issueInvoiceForCycle } = require('./invoices');
+const { parseRRule, expandRecurrence } = require('./recurrence');
+const { parseTime, zonedTimeToUtc, toLocalDateString, addDays } = require('./timezone');
+
+// Recurring arrangements and subscriptions: which visits happen when, the
+// bookings behind them, pauses, cancellation notice and billing cycles.
+// Subscriptions are billed in arrears: each cycle is invoiced when it closes
+// and the customer pays the invoice. Dates are local to Europe/Oslo.
+
+const DEFAULT_BOOKING_HORIZON_DAYS = 14;
+
+// Bookings still open to change when an arrangement changes
+const OPEN_BOOKING_STATUSES = ['requested', 'confirmed'];
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+const startOfDay = (date) => zonedTimeToUtc(date, 0);
+
+// Occurrences this far ahead get bookings, so they show in both calendars
+const bookingHorizonDays = () => parseInt(process.env.SUBSCRIPTION_BOOKING_HORIZON_DAYS) || DEFAULT_BOOKING_HORIZON_DAYS;
+
+// Start of the visit on a date. Times that do not exist on the spring-forward
+// day move an hour later.
+const visitStart = (date, startTime) => {
+  const minutes = parseTime(startTime);
+  return zonedTimeToUtc(date, minutes) || zonedTimeToUtc(date, minutes + 60);
+};
+
+/**
+ * The occurrences of an arrangement between two dates, with skips,
+ * reschedules, pauses and any cancellation applied.
+ *
+ * @param {Object} subscription - Subscription document
+ * @param {Object} options
+ * @param {string} options.from - First date ('YYYY-MM-DD')
+ * @param {string} options.to - Last date ('YYYY-MM-DD')
+ * @returns {Object[]} { date, scheduledStart, scheduledEnd, status } where status
+ *   is 'scheduled', 'rescheduled', 'skipped' or 'paused'
+ */
+const occurrenceSchedule = (subscription, { from, to }) => {
+  if (subscription.status === 'declined') return [];
+
+  const { rule } = parseRRule(subscription.rrule);
+  const endsAt = subscription.cancellation && subscription.cancellation.effectiveAt;
+
+  return expandRecurrence(rule, { startDate: subscription.startDate, from, to })
+    .map(date => {
+      const exception = subscription.exceptionFor(date);
+      const scheduledStart = exception && exception.type === 'reschedule'
+        ? exception.scheduledStart
+        : visitStart(date, subscription.startTime);
+
+      let status = 'scheduled';
+      if (subscription.isPausedOn(date)) status = 'paused';
+      else if (exception) status = exception.type === 'skip' ? 'skipped' : 'rescheduled';
+
+      return {
+        date,
+        scheduledStart,
+        scheduledEnd: new Date(scheduledStart.getTime() + subscription.duration * 60 * 1000),
+        status
+      };
+    })
+    .filter(occurrence => !endsAt || occurrence.scheduledStart < endsAt);
+};
+
+// Price recorded on each visit's booking. Subscription visits are paid for by the cycle.
+const occurrencePrice = (subscription) => {
+  if (subscription.kind === 'recurring') return subscription.price;
+  return {
+    amount: 0,
+    currency: subscription.currency,
+    items: [{ description: `Included in the ${subscription.plan.name} plan`, amount: 0 }]
+  };
+};
+
+/**
+ * Create bookings for the arrangement's visits within the booking horizon.
+ * The provider agreed to the schedule, so the bookings start out confirmed.
+ *
+ * @returns {Promise<Object[]>} Bookings created
+ */
+const syncOccurrenceBookings = async (subscription, now = new Date()) => {
+  if (!['active', 'paused'].includes(subscription.status)) return [];
+
+  const today = toLocalDateString(now);
+  const due = occurrenceSchedule(subscription, { from: today, to: addDays(today, bookingHorizonDays()) })
+    .filter(occurrence => ['scheduled', 'rescheduled'].includes(occurrence.status) && occurrence.scheduledStart > now);
+  if (!due.length) return [];
+
+  const existing = await Booking.find({
+    subscription: subscription._id,
+    occurrenceDate: { $in: due.map(occurrence => occurrence.date) }
+  }).select('occurrenceDate');
+  const booked = new Set(existing.map(booking => booking.occurrenceDate));
+
+  const bookings = due
+    .filter(occurrence => !booked.has(occurrence.date))
+    .map(occurrence => ({
+      customer: subscription.customer,
+      provider: subscription.provider,
+      service: subscription.service,
+      scheduledStart: occurrence.scheduledStart,
+      scheduledEnd: occurrence.scheduledEnd,
+      notes: subscription.notes,
+      address: subscription.address,
+      price: occurrencePrice(subscription),
+      status: 'confirmed',
+      statusHistory: [{ status: 'confirmed', changedBy: subscription.provider, reason: 'Recurring arrangement' }],
+      subscription: subscription._id,
+      occurrenceDate: occurrence.date
+    }));
+  if (!bookings.length) return [];
+
+  try {
+    return await Booking.insertMany(bookings, { ordered: false });
+  } catch (error) {
+    // Another run booked some of them first
+    if (error.code !== 11000) throw error;
+    return error.insertedDocs || [];
+  }
+};
+
+/**
+ * Cancel the arrangement's open bookings that match a condition.
+ *
+ * @param {Object} subscription
+ * @param {Object} condition - Extra booking filter, e.g. { occurrenceDate: '2026-11-02' }
+ * @param {Object} options - { user, reason }
+ */
+const cancelOccurrenceBookings = (subscription, condition, { user, reason }) => Booking.updateMany(
+  { subscription: subscription._id, status: { $in: OPEN_BOOKING_STATUSES }, ...condition },
+  {
+    $set: { status: 'cancelled', cancellationReason: reason, cancelledBy: user && user._id },
+    $push: { statusHistory: { status: 'cancelled', changedBy: user && user._id, reason } }
+  }
+);
+
+// First billing boundary after `after`, counting whole intervals from the anchor date
+const nextBillingDate = (anchor, interval, after) => {
+  const [year, month, day] = anchor.split('-').map(Number);
+
+  for (let step = 1; ; step++) {
+    let date;
+    if (interval === 'weekly') {
+      date = addDays(anchor, step * 7);
+    } else {
+      // Months without the anchor day end on their last day
+      const lastDay = new Date(Date.UTC(year, month - 1 + step + 1, 0)).getUTCDate();
+      date = new Date(Date.UTC(year, month - 1 + step, Math.min(day, lastDay))).toISOString().slice(0, 10);
+    }
+    const boundary = startOfDay(date);
+    if (boundary > after) return boundary;
+  }
+};
+
+// Start a billing cycle at the plan's current price
+const openBillingCycle = (subscription, periodStart) => {
+  subscription.billingCycles.push({
+    periodStart,
+    periodEnd: nextBillingDate(subscription.billingAnchor, subscription.billingInterval, periodStart),
+    items: [{ kind: 'plan', description: `${subscription.plan.name} plan`, amount: subscription.plan.price }],
+    amount: subscription.plan.price
+  });
+  return subscription.currentCycle;
+};
+
+// Start billing from a date, unless a cycle is already running
+const startBilling = (subscription, date) => {
+  if (subscription.kind !== 'subscription' || subscription.currentCycle) return;
+  subscription.billingAnchor = date;
+  openBillingCycle(subscription, startOfDay(date));
+};
+
+/**
+ * Move a subscription to another plan. The rest of the current cycle is
+ * prorated: the unused part of the old plan is credited and the same part
+ * of the new plan is charged.
+ *
+ * @param {Object} subscription
+ * @param {Object} plan - Plan from the service's subscription terms
+ * @returns {Object} { credit, charge }
+ */
+const changePlan = (subscription, plan, now = new Date()) => {
+  const previous = subscription.plan;
+  const cycle = subscription.currentCycle;
+  let credit = 0;
+  let charge = 0;
+
+  if (cycle && cycle.periodStart >= now) {
+    // Nothing used yet: the cycle is billed at the new plan
+    cycle.items = [{ kind: 'plan', description: `${plan.name} plan`, amount: plan.price }];
+    cycle.amount = plan.price;
+  } else if (cycle) {
+    const remaining = (cycle.periodEnd - now) / (cycle.periodEnd - cycle.periodStart);
+    credit = round2(previous.price * remaining);
+    charge = round2(plan.price * remaining);
+    cycle.items.push(
+      { kind: 'proration', description: `Unused time on the ${previous.name} plan`, amount: -credit },
+      { kind: 'proration', description: `Remaining time on the ${plan.name} plan`, amount: charge }
+    );
+    cycle.amount = round2(cycle.items.reduce((sum, item) => sum + item.amount, 0));
+  }
+
+  subscription.plan = { planId: plan._id, name: plan.name, price: plan.price };
+  return { credit, charge };
+};
+
+// When notice given now takes effect: after the notice period and, for
+// subscriptions, at the end of the billing cycle the notice period ends in.
+// Without a notice period a subscription still runs to the end of its cycle,
+// which is billed in full.
+const cancellationDate = (subscription, now = new Date()) => {
+  if (subscription.status === 'requested') return now;
+
+  const noticeEnd = subscription.noticeDays
+    ? startOfDay(addDays(toLocalDateString(now), subscription.noticeDays))
+    : now;
+  if (subscription.kind !== 'subscription' || !subscription.billingAnchor) return noticeEnd;
+
+  return nextBillingDate(subscription.billingAnchor, subscription.billingInterval, new Date(noticeEnd.getTime() - 1));
+};
+
+/**
+ * Bring an arrangement up to date: start and end pauses, end it when its
+ * notice runs out and roll billing cycles. Returns whether anything changed.
+ */
+const advanceSubscription = (subscription, now = new Date()) => {
+  if (!['active', 'paused'].includes(subscription.status)) return false;
+
+  const startStatus = subscription.status;
+  const cyclesBefore = subscription.billingCycles.length;
+  const openBefore = subscription.currentCycle;
+  const today = toLocalDateString(now);
+  const endsAt = subscription.cancellation && subscription.cancellation.effectiveAt;
+
+  subscription.status = subscription.isPausedOn(today) ? 'paused' : 'active';
+
+  // Bill for each cycle that has started, until the arrangement ends
+  let cycle = subscription.currentCycle;
+  while (cycle && cycle.periodEnd <= now) {
+    cycle.status = 'closed';
+    cycle.closedAt = now;
+    const nextStart = cycle.periodEnd;
+    cycle = subscription.status === 'active' && !(endsAt && nextStart >= endsAt)
+      ? openBillingCycle(subscription, nextStart)
+      : null;
+  }
+
+  // Resumed after a pause that outlasted the cycle
+  if (!cycle && subscription.status === 'active' && !endsAt) startBilling(subscription, today);
+
+  if (endsAt && endsAt <= now) {
+    subscription.status = 'cancelled';
+    subscription.endedAt = endsAt;
+    if (subscription.currentCycle) {
+      subscription.currentCycle.status = 'closed';
+      subscription.currentCycle.closedAt = now;
+    }
+  }
+
+  return subscription.status !== startStatus ||
+    subscription.billingCycles.length !== cyclesBefore ||
+    subscription.currentCycle !== openBefore;
+};
+
+/**
+ * Invoice the customer for each closed billing cycle not invoiced yet.
+ * Cycles whose proration credits cover the charge have nothing to invoice.
+ *
+ * @returns {Promise<Object[]>} Invoices issued
+ */
+const invoiceClosedCycles = async (subscription) => {
+  const invoices = [];
+
+  for (const cycle of subscription.billingCycles) {
+    if (cycle.status !== 'closed' || cycle.invoice || !(cycle.amount > 0)) continue;
+
+    const invoice = await issueInvoiceForCycle(subscription, cycle);
+    // Set on its own, so it does not clash with versioned saves of the subscription
+    await Subscription.updateOne(
+      { _id: subscription._id, 'billingCycles._id': cycle._id },
+      { $set: { 'billingCycles.$.invoice': invoice._id } }
+    );
+    cycle.invoice = invoice._id;
+    invoices.push(invoice);
+  }
+
+  return invoices;
+};
+
+module.exports = {
+  occurrenceSchedule,
+  syncOccurrenceBookings,
+  cancelOccurrenceBookings,
+  startBilling,
+  changePlan,
+  cancellationDate,
+  advanceSubscription,
+  invoiceClosedCycles
+};
@@ -0,0 +1,125 @@
+// Time zone helpers built on Intl so wall-clock times in Norway
+// convert correctly across daylight saving changes.
+
+const DEFAULT_TIME_ZONE = 'Europe/Oslo';
+
+const formatters = {};
+
+const getFormatter = (timeZone) => {
+  if (!formatters[timeZone]) {
+    formatters[timeZone] = new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit',
+      weekday: 'short'
+    });
+  }
+  return formatters[timeZone];
+};
+
+const pad = (value) => String(value).padStart(2, '0');
+
+// Break a UTC instant into its wall-clock parts in the given time zone
+const getZonedParts = (date, timeZone = DEFAULT_TIME_ZONE) => {
+  const values = {};
+  getFormatter(timeZone).formatToParts(new Date(date)).forEach(part => {
+    values[part.type] = part.value;
+  });
+
+  return {
+    year: parseInt(values.year),
+    month: parseInt(values.month),
+    day: parseInt(values.day),
+    hour: parseInt(values.hour),
+    minute: parseInt(values.minute),
+    second: parseInt(values.second),
+    weekday: new Date(Date.UTC(values.year, values.month - 1, values.day)).getUTCDay()
+  };
+};
+
+// Offset from UTC in minutes at the given instant (e.g. 60 for CET, 120 for CEST)
+const getTimeZoneOffset = (date, timeZone = DEFAULT_TIME_ZONE) => {
+  const timestamp = Math.floor(new Date(date).getTime() / 1000) * 1000;
+  const p = getZonedParts(timestamp, timeZone);
+  const asUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+  return (asUtc - timestamp) / 60000;
+};
+
+// Parse 'YYYY-MM-DD' into its numeric parts
+const parseDate = (dateStr) => {
+  const [year, month, day] = dateStr.split('-').map(Number);
+  return { year, month, day };
+};
+
+// Parse 'HH:mm' into minutes after midnight
+const parseTime = (timeStr) => {
+  if (!/^\d{1,2}:\d{2}$/.test(timeStr || '')) return null;
+  const [hours, minutes] = timeStr.split(':').map(Number);
+  if (hours > 24 || minutes > 59) return null;
+  return hours * 60 + minutes;
+};
+
+const formatTime = (minutes) => `${pad(Math.floor(minutes / 60))}:${pad(minutes % 60)}`;
+
+// Convert a wall-clock time on a local date to a UTC Date.
+// Returns null for times skipped by the spring-forward gap; ambiguous
+// times during the autumn fall-back resolve to the first occurrence.
+const zonedTimeToUtc = (dateStr, minutesAfterMidnight, timeZone = DEFAULT_TIME_ZONE) => {
+  const { year, month, day } = parseDate(dateStr);
+  const wallClock = Date.UTC(year, month - 1, day) + minutesAfterMidnight * 60000;
+
+  const dayMs = 24 * 60 * 60 * 1000;
+  const offsets = new Set([
+    getTimeZoneOffset(wallClock - dayMs, timeZone),
+    getTimeZoneOffset(wallClock + dayMs, timeZone)
+  ]);
+
+  const matches = [...offsets]
+    .map(offset => wallClock - offset * 60000)
+    .filter(candidate => candidate + getTimeZoneOffset(candidate, timeZone) * 60000 === wallClock)
+    .sort((a, b) => a - b);
+
+  return matches.length ? new Date(matches[0]) : null;
+};
+
+// Local calendar date ('YYYY-MM-DD') of a UTC instant
+const toLocalDateString = (date, timeZone = DEFAULT_TIME_ZONE) => {
+  const p = getZonedParts(date, timeZone);
+  return `${p.year}-${pad(p.month)}-${pad(p.day)}`;
+};
+
+// Local wall-clock time ('HH:mm') of a UTC instant
+const toLocalTimeString = (date, timeZone = DEFAULT_TIME_ZONE) => {
+  const p = getZonedParts(date, timeZone);
+  return `${pad(p.hour)}:${pad(p.minute)}`;
+};
+
+// Add calendar days to a 'YYYY-MM-DD' string
+const addDays = (dateStr, days) => {
+  const { year, month, day } = parseDate(dateStr);
+  return new Date(Date.UTC(year, month - 1, day + days)).toISOString().slice(0, 10);
+};
+
+// Day of week (0 = Sunday) for a 'YYYY-MM-DD' string
+const getWeekday = (dateStr) => {
+  const { year, month, day } = parseDate(dateStr);
+  return new Date(Date.UTC(year, month - 1, day)).getUTCDay();
+};
+
+module.exports = {
+  DEFAULT_TIME_ZONE,
+  getZonedParts,
+  getTimeZoneOffset,
+  parseTime,
+  formatTime,
+  zonedTimeToUtc,
+  toLocalDateString,
+  toLocalTimeString,
+  addDays,
+  getWeekday
+};